@@ -0,0 +1,315 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { reviewLinkBuilder } from './ReviewLinkBuilder.js';
+import { placesHandler } from './PlacesHandler.js';
+import { exportHandler } from './ExportHandler.js';
+
+/**
+ * Handles batch lookups of many businesses at once
+ */
+export class BatchHandler {
+    constructor() {
+        this.rows = [];
+        this.concurrency = 3;
+        // Export columns: every row is exported, with its status and error when it found no single place
+        this.exportFields = ['input', ...exportHandler.fields, 'status', 'candidates', 'error'];
+        this.container = null;
+        this.progressElement = null;
+        // Table row per batch row, by index. Looked up here rather than by ID,
+        // so the table works wherever it is rendered.
+        this.rowElements = [];
+    }
+
+    /**
+     * Split pasted text into one lookup per non-empty line
+     * @param {string} text - Pasted names, Maps URLs or place IDs
+     * @returns {string[]} Lookup inputs
+     */
+    parseLines(text) {
+        return text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+    }
+
+    /**
+     * Parse an uploaded CSV file, using the first column of each row as the lookup input
+     * @param {string} text - CSV file contents
+     * @returns {string[]} Lookup inputs
+     */
+    parseCsv(text) {
+        const inputs = [];
+        let field = '';
+        let row = [];
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                inputs.push(row[0].trim());
+                field = '';
+                row = [];
+            } else {
+                field += char;
+            }
+        }
+
+        // Last row without a trailing newline
+        if (field || row.length) {
+            row.push(field);
+            inputs.push(row[0].trim());
+        }
+
+        // Skip a header row such as "name" or "input"
+        if (inputs.length && /^(name|input|business|place|query|url|place_?id)$/i.test(inputs[0])) {
+            inputs.shift();
+        }
+
+        return inputs.filter(input => input.length > 0);
+    }
+
+    /**
+     * Run every input through the Places search with a concurrency limit
+     * @param {string[]} inputs - Lookup inputs
+     * @param {HTMLElement} container - Element to render progress and results into
+     * @returns {Promise<Object[]>} Resolves with the result rows once all lookups finish
+     */
+    async run(inputs, container) {
+        console.log(`Starting batch of ${inputs.length} lookups`);
+
+        this.container = container;
+        this.rows = inputs.map((input, index) => ({
+            index,
+            input,
+            status: 'pending',
+            place: null,
+            candidates: [],
+            candidateCount: 0,
+            reviewUrl: '',
+            businessUrl: '',
+            error: ''
+        }));
+
+        this.renderTable();
+
+        // Simple worker pool, each worker pulls the next pending row
+        let nextIndex = 0;
+        const worker = async () => {
+            while (nextIndex < this.rows.length) {
+                const row = this.rows[nextIndex++];
+                await this.processRow(row);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, this.rows.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        console.log('Batch finished');
+        return this.rows;
+    }
+
+    /**
+     * Look up a single row and update its table entry
+     * @param {Object} row - Batch row
+     */
+    async processRow(row) {
+        row.status = 'running';
+        row.error = '';
+        this.updateRow(row);
+
+        try {
+            const candidates = await placesHandler.searchPlace(row.input);
+            const place = candidates[0];
+
+            this.usePlace(row, place);
+            row.candidates = candidates;
+            row.candidateCount = candidates.length;
+            row.status = candidates.length > 1 ? 'ambiguous' : 'ok';
+        } catch (err) {
+            console.error(`Batch row ${row.index + 1} failed:`, err);
+            this.usePlace(row, null);
+            row.candidates = [];
+            row.candidateCount = 0;
+            row.status = 'error';
+            row.error = err.message;
+        }
+
+        this.updateRow(row);
+        this.updateProgress();
+    }
+
+    /**
+     * Point a row and its links at a place
+     * @param {Object} row - Batch row
+     * @param {Object|null} place - Place data, or null when the row found none
+     */
+    usePlace(row, place) {
+        row.place = place;
+        row.reviewUrl = place ? reviewLinkBuilder.buildReviewUrl(place.id) : '';
+        row.businessUrl = place ? reviewLinkBuilder.buildMapsUrl(place) : '';
+    }
+
+    /**
+     * Settle an ambiguous row on the candidate the user picked
+     * @param {number} index - Row index
+     * @param {number} candidateIndex - Index into the row's candidates
+     */
+    chooseCandidate(index, candidateIndex) {
+        const row = this.rows[index];
+        const place = row && row.candidates[candidateIndex];
+        if (!place) return;
+
+        console.log(`Batch row ${index + 1} settled on`, place.id);
+        this.usePlace(row, place);
+        row.status = 'ok';
+        this.updateRow(row);
+        this.updateProgress();
+    }
+
+    /**
+     * Retry a single failed row
+     * @param {number} index - Row index
+     */
+    async retryRow(index) {
+        const row = this.rows[index];
+        if (!row) return;
+
+        console.log(`Retrying batch row ${index + 1}`);
+        await this.processRow(row);
+    }
+
+    /**
+     * Get export records for every row, the failed and ambiguous ones included
+     * @returns {Object[]} Export records with the exportFields columns
+     */
+    getRecords() {
+        return this.rows.map(row => ({
+            input: row.input,
+            ...exportHandler.createRecord(row.place || { id: '' }, row.reviewUrl, row.businessUrl),
+            status: row.status,
+            candidates: row.candidateCount,
+            error: row.error
+        }));
+    }
+
+    /**
+     * Render the progress display and results table
+     */
+    renderTable() {
+        this.container.innerHTML = '';
+
+        this.progressElement = document.createElement('div');
+        this.progressElement.className = 'batch-progress';
+        this.container.appendChild(this.progressElement);
+
+        exportHandler.renderExportButtons(this.container, () => this.getRecords(), 'batch-results', this.exportFields);
+
+        this.rowElements = this.rows.map(() => dom.create('tr'));
+        const table = dom.table([
+            '#',
+            i18n.t('batch.column.input'),
+            i18n.t('batch.column.place'),
+            i18n.t('batch.column.placeId'),
+            i18n.t('batch.column.links'),
+            i18n.t('batch.column.status')
+        ], this.rowElements, 'batch-table');
+
+        this.container.appendChild(table);
+
+        this.rows.forEach(row => this.updateRow(row));
+        this.updateProgress();
+    }
+
+    /**
+     * Re-render a single table row from its current state
+     * @param {Object} row - Batch row
+     */
+    updateRow(row) {
+        const tr = this.rowElements[row.index];
+        if (!tr) return;
+
+        const statusText = {
+            pending: i18n.t('batch.status.pending'),
+            running: i18n.t('batch.status.running'),
+            ok: row.place && row.place.previousPlaceId
+                ? i18n.t('batch.status.replaced', { id: row.place.previousPlaceId })
+                : i18n.t('batch.status.ok'),
+            ambiguous: i18n.t('batch.status.ambiguous', { count: row.candidateCount }),
+            error: i18n.t('batch.status.error', { error: row.error })
+        }[row.status];
+
+        const links = row.place ? [
+            dom.create('a', { href: row.reviewUrl, target: '_blank', textContent: i18n.t('batch.review') }),
+            ' ',
+            dom.create('a', { href: row.businessUrl, target: '_blank', textContent: i18n.t('batch.maps') })
+        ] : [];
+
+        let action = null;
+        if (row.status === 'error') {
+            action = dom.create('button', { className: 'copy batch-retry', textContent: i18n.t('batch.retry') });
+            action.addEventListener('click', () => {
+                this.retryRow(row.index);
+            });
+        } else if (row.status === 'ambiguous') {
+            // The best match is used until the user picks the right one
+            action = dom.create('select', { className: 'correction-dropdown batch-choose', attrs: { 'aria-label': i18n.t('batch.choose') } }, [
+                dom.create('option', { value: '', textContent: i18n.t('batch.choose'), disabled: true, selected: true }),
+                ...row.candidates.map((candidate, candidateIndex) => dom.create('option', {
+                    value: candidateIndex,
+                    textContent: [candidate.displayName || i18n.t('place.none'), candidate.formattedAddress].filter(Boolean).join(', ')
+                }))
+            ]);
+            action.addEventListener('change', () => {
+                this.chooseCandidate(row.index, Number(action.value));
+            });
+        }
+
+        tr.className = `batch-status-${row.status}`;
+        tr.replaceChildren(
+            dom.create('td', { textContent: row.index + 1 }),
+            dom.create('td', { textContent: row.input }),
+            dom.create('td', { textContent: row.place ? row.place.displayName || i18n.t('place.none') : '' }),
+            dom.create('td', { textContent: row.place ? row.place.id : '' }),
+            dom.create('td', {}, links),
+            dom.create('td', {}, [statusText, action && ' ', action])
+        );
+    }
+
+    /**
+     * Update the progress display
+     */
+    updateProgress() {
+        if (!this.progressElement) return;
+
+        const done = this.rows.filter(row => row.status !== 'pending' && row.status !== 'running').length;
+        const failed = this.rows.filter(row => row.status === 'error').length;
+        const ambiguous = this.rows.filter(row => row.status === 'ambiguous').length;
+
+        dom.replace(this.progressElement,
+            dom.create('progress', { value: done, max: this.rows.length }),
+            dom.create('p', { textContent: i18n.t('batch.progress', { done, total: this.rows.length, failed, ambiguous }) })
+        );
+    }
+}
+
+// Create a singleton instance
+export const batchHandler = new BatchHandler();
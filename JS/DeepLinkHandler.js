@@ -0,0 +1,205 @@
+import { urlParser } from './UrlParser.js';
+import { qrCodeHandler } from './QRCodeHandler.js';
+
+/**
+ * Handles shareable deep links and browser history.
+ *
+ * Supported URL parts:
+ *   ?place_id=...&name=...&address=...  Open a place, without a lookup when name is present
+ *   &cid=...                            The place's Maps CID, for the link variants built from it
+ *   ?q=...                              Pre-fill the search box and run the lookup
+ *   ?ec= &fg= &bg= &margin= &size= &shape=  QR options
+ *   #batch, #library                    Open and scroll to that section
+ */
+export class DeepLinkHandler {
+    constructor() {
+        // Short URL parameter names for each QR option
+        this.qrParams = {
+            ec: 'correctionLevel',
+            fg: 'colorDark',
+            bg: 'colorLight',
+            margin: 'margin',
+            size: 'size',
+            shape: 'moduleShape'
+        };
+
+        // Parameters owned by deep links, replaced whenever a new link is built
+        this.linkParams = ['place_id', 'name', 'address', 'cid', 'q', ...Object.keys(this.qrParams)];
+
+        // Hash routes and the element each one opens
+        this.sections = {
+            batch: 'batchSection',
+            library: 'librarySection'
+        };
+    }
+
+    /**
+     * Read a deep link from a URL
+     * @param {string} [url] - URL to read, defaults to the current page
+     * @returns {Object} {placeId, name, address, cid, query, section, qrSettings}
+     */
+    parse(url = window.location.href) {
+        const parsed = new URL(url);
+        const params = parsed.searchParams;
+        const placeId = (params.get('place_id') || '').trim();
+        const cid = (params.get('cid') || '').trim();
+        const section = parsed.hash.replace(/^#/, '');
+
+        return {
+            placeId: urlParser.isPlaceId(placeId) ? placeId : null,
+            name: (params.get('name') || '').trim() || null,
+            address: (params.get('address') || '').trim() || null,
+            cid: /^\d+$/.test(cid) ? cid : null,
+            query: (params.get('q') || '').trim() || null,
+            section: this.sections[section] ? section : null,
+            qrSettings: this.readQrSettings(params)
+        };
+    }
+
+    /**
+     * Read and validate QR options from URL parameters
+     * @param {URLSearchParams} params - URL parameters
+     * @returns {Object} Valid QR settings, empty when none are given
+     */
+    readQrSettings(params) {
+        const settings = {};
+        const colorPattern = /^#?[0-9a-f]{6}$/i;
+
+        const correctionLevel = (params.get('ec') || '').toUpperCase();
+        if (['L', 'M', 'Q', 'H'].includes(correctionLevel)) {
+            settings.correctionLevel = correctionLevel;
+        }
+
+        ['fg', 'bg'].forEach((param) => {
+            const value = params.get(param);
+            if (value && colorPattern.test(value)) {
+                settings[this.qrParams[param]] = `#${value.replace('#', '').toLowerCase()}`;
+            }
+        });
+
+        if (params.has('margin')) {
+            const margin = parseInt(params.get('margin'), 10);
+            if (margin >= 0 && margin <= 10) settings.margin = margin;
+        }
+
+        const size = parseInt(params.get('size'), 10);
+        if ([256, 512, 1024, 2048].includes(size)) {
+            settings.size = size;
+        }
+
+        const shape = params.get('shape');
+        if (['square', 'rounded', 'dots'].includes(shape)) {
+            settings.moduleShape = shape;
+        }
+
+        return settings;
+    }
+
+    /**
+     * Build a URL based on the current page with the deep link parameters replaced.
+     * Other parameters (e.g. provider=fake) are kept.
+     * @param {Object} values - Parameter values, empty ones are left out
+     * @param {string} [hash] - Hash route without the #
+     * @returns {string} URL
+     */
+    buildUrl(values, hash = '') {
+        const url = new URL(window.location.href);
+        this.linkParams.forEach(param => url.searchParams.delete(param));
+
+        Object.entries(values).forEach(([param, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                url.searchParams.set(param, value);
+            }
+        });
+
+        url.hash = hash;
+        return url.toString();
+    }
+
+    /**
+     * Build a link that opens a place without needing an API key
+     * @param {Object} placeData - Place data with id, displayName, formattedAddress and optionally cid
+     * @param {Object} [qrOptions] - QR options to carry, only those differing from the defaults are added
+     * @returns {string} Shareable URL
+     */
+    buildPlaceUrl(placeData, qrOptions = null) {
+        const values = {
+            place_id: placeData.id,
+            name: placeData.displayName,
+            address: placeData.formattedAddress,
+            cid: placeData.cid
+        };
+
+        if (qrOptions) {
+            Object.entries(this.qrParams).forEach(([param, option]) => {
+                if (qrOptions[option] !== qrCodeHandler.defaultSettings[option]) {
+                    values[param] = String(qrOptions[option]).replace('#', '');
+                }
+            });
+        }
+
+        return this.buildUrl(values);
+    }
+
+    /**
+     * Build a link that runs a search
+     * @param {string} query - Business name, Maps link or Place ID
+     * @returns {string} Shareable URL
+     */
+    buildSearchUrl(query) {
+        return this.buildUrl({ q: query });
+    }
+
+    /**
+     * Add a history entry for a displayed place
+     * @param {Object} placeData - Place data
+     * @param {boolean} [replace=false] - Replace the current entry instead of adding one
+     */
+    pushPlace(placeData, replace = false) {
+        this.push({ view: 'place', place: JSON.parse(JSON.stringify(placeData)) }, this.buildPlaceUrl(placeData), replace);
+    }
+
+    /**
+     * Add a history entry for a list of search candidates
+     * @param {string} query - Search input
+     * @param {Object[]} candidates - Candidate places
+     * @param {boolean} [replace=false] - Replace the current entry instead of adding one
+     */
+    pushCandidates(query, candidates, replace = false) {
+        this.push({ view: 'candidates', query, candidates: JSON.parse(JSON.stringify(candidates)) }, this.buildSearchUrl(query), replace);
+    }
+
+    /**
+     * Push a history entry, or replace the current one when the URL is unchanged
+     * @param {Object} state - History state
+     * @param {string} url - URL for the entry
+     * @param {boolean} [replace=false] - Always replace the current entry
+     */
+    push(state, url, replace = false) {
+        try {
+            if (replace || url === window.location.href) {
+                history.replaceState(state, '', url);
+            } else {
+                history.pushState(state, '', url);
+            }
+        } catch (e) {
+            // file:// pages and sandboxed frames may refuse history changes
+            console.error('Failed to update browser history:', e);
+        }
+    }
+
+    /**
+     * Open and scroll to the section named by a hash route
+     * @param {string} section - Hash route, e.g. "batch"
+     */
+    openSection(section) {
+        const element = document.getElementById(this.sections[section]);
+        if (!element) return;
+
+        element.open = true;
+        element.scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+// Create a singleton instance
+export const deepLinkHandler = new DeepLinkHandler();
@@ -0,0 +1,147 @@
+import { i18n } from './I18nHandler.js';
+
+/**
+ * Builds DOM nodes without parsing markup. Place data, error messages and anything
+ * read back from storage go in as text nodes, so they can never become HTML.
+ */
+export class DomHelper {
+    constructor() {
+        // Counter behind uniqueId, so labels can point at controls in any number of results on one page
+        this.idCounter = 0;
+    }
+
+    /**
+     * Create an element
+     * @param {string} tag - Tag name
+     * @param {Object} [props] - Element properties such as className, href, textContent or disabled.
+     *   attrs sets plain attributes (dir, lang, colspan), dataset fills data-* attributes.
+     * @param {Array<Node|string|null|undefined|false>} [children] - Child nodes and text, empty entries are skipped
+     * @returns {HTMLElement} Element
+     */
+    create(tag, props = {}, children = []) {
+        const { attrs, dataset, ...properties } = props;
+        const element = document.createElement(tag);
+
+        Object.assign(element, properties);
+        if (attrs) {
+            Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, value));
+        }
+        if (dataset) {
+            Object.assign(element.dataset, dataset);
+        }
+
+        element.append(...this.compact(children));
+        return element;
+    }
+
+    /**
+     * Replace a container's content with nodes and text
+     * @param {HTMLElement} container - Element to fill
+     * @param {...(Node|string|null|undefined|false)} children - New content, empty entries are skipped
+     */
+    replace(container, ...children) {
+        container.replaceChildren(...this.compact(children));
+    }
+
+    /**
+     * Replace a container's content with a single message
+     * @param {HTMLElement} container - Element to fill
+     * @param {string} message - Message text
+     * @param {string} [className] - Class of the message paragraph
+     */
+    showMessage(container, message, className = 'default-output') {
+        this.replace(container, this.create('p', { className, textContent: message }));
+    }
+
+    /**
+     * Replace a container's content with an error
+     * @param {HTMLElement} container - Element to fill
+     * @param {string} message - Error text, e.g. err.message
+     * @param {string} [hint] - Smaller note below the error
+     */
+    showError(container, message, hint = null) {
+        this.replace(container,
+            this.create('p', { className: 'error-message' }, [
+                this.create('strong', { textContent: i18n.t('errors.prefix') }),
+                ' ',
+                message
+            ]),
+            hint && this.create('div', { className: 'debug', textContent: hint })
+        );
+    }
+
+    /**
+     * Build a table
+     * @param {string[]} headers - Column headings
+     * @param {Array<HTMLTableRowElement|Array<Node|string>>} rows - Ready rows, or cells per row where a string cell becomes text
+     * @param {string} [className] - Table class
+     * @returns {HTMLTableElement} Table
+     */
+    table(headers, rows, className = 'usage-table') {
+        const head = this.create('thead', {}, [
+            this.create('tr', {}, headers.map(header => this.create('th', { textContent: header })))
+        ]);
+        const body = this.create('tbody', {}, rows.map(cells => (
+            cells.tagName === 'TR' ? cells : this.create('tr', {}, cells.map(cell => this.cell(cell)))
+        )));
+
+        return this.create('table', { className }, [head, body]);
+    }
+
+    /**
+     * Wrap content in a table cell, unless it already is one
+     * @param {Node|string} content - Cell content
+     * @returns {HTMLTableCellElement} Cell
+     */
+    cell(content) {
+        return content && content.tagName === 'TD' ? content : this.create('td', {}, [content]);
+    }
+
+    /**
+     * Show a generated HTML document in another window without document.write.
+     * The markup is parsed inertly first, so scripts in it never run.
+     * @param {Window} targetWindow - Window from window.open()
+     * @param {string} html - Complete HTML document
+     */
+    showDocument(targetWindow, html) {
+        const parsed = new DOMParser().parseFromString(html, 'text/html');
+        const target = targetWindow.document;
+        target.replaceChild(target.importNode(parsed.documentElement, true), target.documentElement);
+    }
+
+    /**
+     * Check a URL is safe to link to. Only http and https pass, so stored or
+     * returned data can't slip in a javascript: link.
+     * @param {string} url - URL to check
+     * @returns {boolean} True for http(s) URLs
+     */
+    isWebUrl(url) {
+        try {
+            return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Make an element ID no other element on the page uses
+     * @param {string} prefix - Readable start of the ID, e.g. 'qr-size'
+     * @returns {string} ID such as "qr-size-3"
+     */
+    uniqueId(prefix) {
+        this.idCounter++;
+        return `${prefix}-${this.idCounter}`;
+    }
+
+    /**
+     * Drop empty entries from a child list
+     * @param {Array} children - Child nodes and text
+     * @returns {Array<Node|string>} Children worth appending
+     */
+    compact(children) {
+        return children.filter(child => child !== null && child !== undefined && child !== false && child !== '');
+    }
+}
+
+// Create a singleton instance
+export const dom = new DomHelper();
@@ -0,0 +1,304 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { qrCodeHandler } from './QRCodeHandler.js';
+
+/**
+ * Handles exporting place data and QR codes as downloadable files
+ */
+export class ExportHandler {
+    constructor() {
+        this.fields = ['id', 'displayName', 'formattedAddress', 'reviewUrl', 'businessUrl'];
+        this.crcTable = null;
+    }
+
+    /**
+     * Build an export record for a place
+     * @param {Object} placeData - Place data with id, displayName and formattedAddress
+     * @param {string} reviewUrl - URL for the review page
+     * @param {string} businessUrl - URL for the business page
+     * @returns {Object} Export record
+     */
+    createRecord(placeData, reviewUrl, businessUrl) {
+        return {
+            id: placeData.id,
+            displayName: placeData.displayName || '',
+            formattedAddress: placeData.formattedAddress || '',
+            reviewUrl,
+            businessUrl
+        };
+    }
+
+    /**
+     * Convert records to CSV text. Cells that a spreadsheet would run as a formula
+     * (=, +, - or @ first, e.g. from a business name) are kept as text with a leading '.
+     * @param {Object[]} records - Export records
+     * @param {string[]} [fields] - Columns, defaults to this.fields
+     * @returns {string} CSV text
+     */
+    toCsv(records, fields = this.fields) {
+        const escape = (value) => {
+            let text = String(value ?? '');
+            if (/^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [fields.join(',')];
+        records.forEach((record) => {
+            lines.push(fields.map(field => escape(record[field])).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Convert records to JSON text
+     * @param {Object[]} records - Export records
+     * @param {string[]} [fields] - Keys to include, defaults to this.fields
+     * @returns {string} JSON text
+     */
+    toJson(records, fields = this.fields) {
+        return JSON.stringify(records, fields, 2);
+    }
+
+    /**
+     * Turn a business name into a safe file name
+     * @param {string} name - Business name
+     * @returns {string} File name without extension
+     */
+    fileNameFor(name) {
+        const slug = (name || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60);
+
+        return slug || 'place';
+    }
+
+    /**
+     * Trigger a browser download
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - Name of the downloaded file
+     */
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log('Download started:', fileName);
+    }
+
+    /**
+     * Download records as a CSV file
+     * @param {Object[]} records - Export records
+     * @param {string} baseName - File name without extension
+     * @param {string[]} [fields] - Columns, defaults to this.fields
+     */
+    exportCsv(records, baseName, fields = this.fields) {
+        this.download(new Blob([this.toCsv(records, fields)], { type: 'text/csv' }), `${baseName}.csv`);
+    }
+
+    /**
+     * Download records as a JSON file
+     * @param {Object[]} records - Export records
+     * @param {string} baseName - File name without extension
+     * @param {string[]} [fields] - Keys to include, defaults to this.fields
+     */
+    exportJson(records, baseName, fields = this.fields) {
+        this.download(new Blob([this.toJson(records, fields)], { type: 'application/json' }), `${baseName}.json`);
+    }
+
+    /**
+     * Download a ZIP holding the review and Maps QR PNGs for every record that has a place
+     * @param {Object[]} records - Export records
+     * @param {string} baseName - File name without extension
+     */
+    async exportQrZip(records, baseName) {
+        const files = [];
+        const usedNames = new Set();
+
+        for (const record of records.filter(item => item.id)) {
+            // Keep file names unique when several places share a name
+            let name = this.fileNameFor(record.displayName);
+            if (usedNames.has(name)) {
+                name = `${name}-${record.id}`;
+            }
+            usedNames.add(name);
+
+            const reviewPng = await qrCodeHandler.renderQRCodeImage(record.reviewUrl);
+            const businessPng = await qrCodeHandler.renderQRCodeImage(record.businessUrl);
+
+            files.push({ name: `${name}-review.png`, data: this.dataUrlToBytes(reviewPng) });
+            files.push({ name: `${name}-maps.png`, data: this.dataUrlToBytes(businessPng) });
+        }
+
+        this.download(this.createZip(files), `${baseName}-qr-codes.zip`);
+    }
+
+    /**
+     * Add CSV, JSON and QR ZIP export buttons to a container
+     * @param {HTMLElement} container - Element to append the buttons to
+     * @param {Function} getRecords - Returns the records to export when a button is clicked
+     * @param {string} baseName - File name without extension
+     * @param {string[]} [fields] - CSV columns and JSON keys, defaults to this.fields
+     */
+    renderExportButtons(container, getRecords, baseName, fields = this.fields) {
+        const csvButton = dom.create('button', { className: 'copy', textContent: i18n.t('export.csv') });
+        const jsonButton = dom.create('button', { className: 'copy', textContent: i18n.t('export.json') });
+        const zipButton = dom.create('button', { className: 'copy', textContent: i18n.t('export.zip') });
+        const exportBox = dom.create('div', { className: 'link-box export-box' }, [csvButton, jsonButton, zipButton]);
+        const exportError = dom.create('p', { className: 'error-message export-error' });
+
+        csvButton.addEventListener('click', () => {
+            this.exportCsv(getRecords(), baseName, fields);
+        });
+
+        jsonButton.addEventListener('click', () => {
+            this.exportJson(getRecords(), baseName, fields);
+        });
+
+        zipButton.addEventListener('click', async () => {
+            zipButton.disabled = true;
+            exportError.textContent = '';
+            try {
+                await this.exportQrZip(getRecords(), baseName);
+            } catch (err) {
+                console.error('Failed to export QR codes:', err);
+                exportError.textContent = i18n.t('export.zipFailed', { error: err.message });
+            } finally {
+                zipButton.disabled = false;
+            }
+        });
+
+        container.append(exportBox, exportError);
+    }
+
+    /**
+     * Decode a base64 data URL into bytes
+     * @param {string} dataUrl - Data URL
+     * @returns {Uint8Array} Decoded bytes
+     */
+    dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.substring(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Calculate the CRC-32 checksum used by the ZIP format
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} Unsigned CRC-32
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Encode a local date and time the way ZIP headers store them (MS-DOS format,
+     * two-second resolution, years 1980 to 2107)
+     * @param {Date} date - Date to encode
+     * @returns {Object} {time, date} as 16-bit values
+     */
+    toDosDateTime(date) {
+        const year = Math.min(2107, Math.max(1980, date.getFullYear()));
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Build an uncompressed ZIP archive. PNGs are already compressed,
+     * so storing them as-is keeps this small without a zip library.
+     * @param {Array<{name: string, data: Uint8Array}>} files - Files to include
+     * @param {Date} [modified] - Modification time of every file, defaults to now
+     * @returns {Blob} ZIP archive
+     */
+    createZip(files, modified = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = this.toDosDateTime(modified);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach((file) => {
+            const nameBytes = encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+
+            // Local file header
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);           // Version needed
+            local.setUint16(6, 0x0800, true);       // UTF-8 file names
+            local.setUint16(8, 0, true);            // Stored, no compression
+            local.setUint16(10, dosTime.time, true);
+            local.setUint16(12, dosTime.date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            localParts.push(local, nameBytes, file.data);
+
+            // Central directory entry
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime.time, true);
+            central.setUint16(14, dosTime.date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(central, nameBytes);
+
+            offset += 30 + nameBytes.length + file.data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+}
+
+// Create a singleton instance
+export const exportHandler = new ExportHandler();
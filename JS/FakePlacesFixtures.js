@@ -0,0 +1,99 @@
+/**
+ * Sample places served by FakePlacesProvider
+ *
+ * places   - Place records, shaped like Places API (New) results
+ * movedIds - Obsolete place IDs mapped to the ID Google now returns for them
+ * staleIds - Place IDs that come back as NOT_FOUND
+ */
+export const fakePlacesFixtures = {
+    places: [
+        {
+            id: 'ChIJFakeJoesPizzaGreenwich01',
+            displayName: 'Joe\'s Pizza',
+            formattedAddress: '7 Carmine St, New York, NY 10014, USA',
+            googleMapsURI: 'https://maps.google.com/?cid=1957113480285324553',
+            location: { lat: 40.7305947, lng: -74.0021503 },
+            rating: 4.5,
+            userRatingCount: 18452,
+            businessStatus: 'OPERATIONAL',
+            nationalPhoneNumber: '(212) 366-1182',
+            websiteURI: 'https://www.joespizzanyc.com/',
+            regularOpeningHours: {
+                weekdayDescriptions: [
+                    'Monday: 10:00 AM – 2:00 AM',
+                    'Tuesday: 10:00 AM – 2:00 AM',
+                    'Wednesday: 10:00 AM – 2:00 AM',
+                    'Thursday: 10:00 AM – 2:00 AM',
+                    'Friday: 10:00 AM – 4:00 AM',
+                    'Saturday: 10:00 AM – 4:00 AM',
+                    'Sunday: 10:00 AM – 2:00 AM'
+                ]
+            }
+        },
+        {
+            id: 'ChIJFakeJoesPizzaBroadway002',
+            displayName: 'Joe\'s Pizza',
+            formattedAddress: '1435 Broadway, New York, NY 10018, USA',
+            googleMapsURI: 'https://maps.google.com/?cid=7214905018311268109',
+            location: { lat: 40.7546067, lng: -73.9870251 },
+            rating: 4.4,
+            userRatingCount: 9731,
+            businessStatus: 'OPERATIONAL',
+            nationalPhoneNumber: '(646) 559-4878',
+            websiteURI: 'https://www.joespizzanyc.com/'
+        },
+        {
+            id: 'ChIJFakeJoesPizzaBrooklyn003',
+            displayName: 'Joe\'s Pizza',
+            formattedAddress: '216 Bedford Ave, Brooklyn, NY 11249, USA',
+            googleMapsURI: 'https://maps.google.com/?cid=13108418297434556641',
+            location: { lat: 40.7169401, lng: -73.9593087 },
+            rating: 4.3,
+            userRatingCount: 3120,
+            businessStatus: 'CLOSED_TEMPORARILY',
+            nationalPhoneNumber: '(718) 388-2216',
+            websiteURI: 'https://www.joespizzanyc.com/'
+        },
+        {
+            id: 'ChIJFakeJoesDinerQueens00004',
+            displayName: 'Joe\'s Diner',
+            formattedAddress: '38-01 Queens Blvd, Long Island City, NY 11101, USA',
+            googleMapsURI: 'https://maps.google.com/?cid=4420581957311730297',
+            location: { lat: 40.7478101, lng: -73.9281902 },
+            rating: 4.1,
+            userRatingCount: 412,
+            businessStatus: 'OPERATIONAL',
+            nationalPhoneNumber: '(718) 555-0142'
+        },
+        {
+            id: 'ChIJFakeBlueBottleOakland005',
+            displayName: 'Blue Bottle Coffee',
+            formattedAddress: '300 Webster St, Oakland, CA 94607, USA',
+            googleMapsURI: 'https://maps.google.com/?cid=16740051622173098114',
+            location: { lat: 37.7966311, lng: -122.2756402 },
+            rating: 4.6,
+            userRatingCount: 1288,
+            businessStatus: 'OPERATIONAL',
+            nationalPhoneNumber: '(510) 653-3394',
+            websiteURI: 'https://bluebottlecoffee.com/'
+        },
+        {
+            id: 'ChIJFakeHarborDentalSeattle6',
+            displayName: 'Harbor Family Dental',
+            formattedAddress: '1200 Western Ave, Seattle, WA 98101, USA',
+            googleMapsURI: 'https://maps.google.com/?cid=9138716240913559823',
+            location: { lat: 47.6062095, lng: -122.3420913 },
+            rating: 4.9,
+            userRatingCount: 236,
+            businessStatus: 'OPERATIONAL',
+            nationalPhoneNumber: '(206) 555-0199',
+            websiteURI: 'https://harborfamilydental.example/'
+        }
+    ],
+    movedIds: {
+        'ChIJFakeHarborDentalOldId0006': 'ChIJFakeHarborDentalSeattle6'
+    },
+    staleIds: [
+        'ChIJFakeClosedBakery00000007'
+    ]
+};
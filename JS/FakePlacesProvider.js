@@ -0,0 +1,151 @@
+import { GooglePlacesProvider } from './GooglePlacesProvider.js';
+
+/**
+ * Offline Places provider serving fixture data, for demos and tests without an API key.
+ * Mimics Place.searchByText and Place#fetchFields from the Maps JS API and can
+ * simulate the failure paths of GooglePlacesProvider.
+ */
+export class FakePlacesProvider {
+    /**
+     * @param {Object} fixtures - Fixture data shaped like fakePlacesFixtures
+     * @param {Object} [options]
+     * @param {string} [options.scenario='normal'] - 'normal', 'timeout', 'script-error' or 'ambiguous'
+     * @param {number} [options.delay=150] - Simulated network delay in milliseconds
+     */
+    constructor(fixtures, { scenario = 'normal', delay = 150 } = {}) {
+        this.name = 'fake';
+        this.requiresApiKey = false;
+        this.fixtures = fixtures;
+        this.scenario = scenario;
+        this.delay = delay;
+        this.calls = [];
+    }
+
+    /**
+     * Wait for the simulated network delay
+     * @returns {Promise<void>}
+     */
+    wait() {
+        return new Promise(resolve => setTimeout(resolve, this.delay));
+    }
+
+    /**
+     * Pretend to load the Maps script
+     * @param {string} [apiKey] - Ignored
+     * @returns {Promise} Resolves, or rejects like the real loader in the failure scenarios
+     */
+    async load(apiKey) {
+        this.calls.push({ method: 'load' });
+        await this.wait();
+
+        if (this.scenario === 'timeout') {
+            throw new Error(GooglePlacesProvider.messages.timeout);
+        }
+        if (this.scenario === 'script-error') {
+            throw new Error(GooglePlacesProvider.messages.scriptError);
+        }
+    }
+
+    /**
+     * Import a fake library
+     * @param {string} name - Library name, only "places" is supported
+     * @returns {Promise<Object>} { Place }
+     */
+    async importLibrary(name) {
+        if (name !== 'places') {
+            throw new Error(`FakePlacesProvider does not provide the "${name}" library`);
+        }
+        return { Place: this.createPlaceClass() };
+    }
+
+    /**
+     * Build a Place class bound to this provider's fixtures
+     * @returns {Function} Place class
+     */
+    createPlaceClass() {
+        const provider = this;
+
+        return class Place {
+            constructor({ id }) {
+                this.id = id;
+            }
+
+            /**
+             * Text search over fixture names and addresses
+             * @param {Object} request - {textQuery, maxResultCount, locationBias}
+             * @returns {Promise<{places: Place[]}>}
+             */
+            static async searchByText(request) {
+                provider.calls.push({ method: 'searchByText', request });
+                await provider.wait();
+
+                let matches;
+                if (provider.scenario === 'ambiguous') {
+                    // Every fixture matches, with differing names
+                    matches = provider.fixtures.places;
+                } else {
+                    const words = request.textQuery.toLowerCase().split(/[\s,]+/).filter(Boolean);
+                    matches = provider.fixtures.places.filter((place) => {
+                        const haystack = `${place.displayName} ${place.formattedAddress}`.toLowerCase();
+                        return words.every(word => haystack.includes(word));
+                    });
+                }
+
+                // Like the real bias, nearer places come first but none are dropped
+                if (request.locationBias) {
+                    const { center } = request.locationBias;
+                    const distance = place => (place.location
+                        ? Math.hypot(place.location.lat - center.lat, place.location.lng - center.lng)
+                        : Infinity);
+                    matches = [...matches].sort((a, b) => distance(a) - distance(b));
+                }
+
+                const places = matches.slice(0, request.maxResultCount || 20).map((fixture) => {
+                    const place = new Place({ id: fixture.id });
+                    Object.assign(place, provider.pickFields(fixture, request.fields));
+                    return place;
+                });
+
+                return { places };
+            }
+
+            /**
+             * Fill in fields for this place's ID
+             * @param {Object} request - {fields}
+             * @returns {Promise<{place: Place}>}
+             */
+            async fetchFields(request) {
+                provider.calls.push({ method: 'fetchFields', id: this.id, request });
+                await provider.wait();
+
+                if (provider.fixtures.staleIds.includes(this.id)) {
+                    throw new Error(`NOT_FOUND: Place ${this.id} was not found`);
+                }
+
+                const currentId = provider.fixtures.movedIds[this.id] || this.id;
+                const fixture = provider.fixtures.places.find(place => place.id === currentId);
+                if (!fixture) {
+                    throw new Error(`NOT_FOUND: Place ${this.id} was not found`);
+                }
+
+                Object.assign(this, provider.pickFields(fixture, request.fields));
+                this.id = fixture.id;
+                return { place: this };
+            }
+        };
+    }
+
+    /**
+     * Copy only the requested fields, like the real API does
+     * @param {Object} fixture - Fixture place
+     * @param {string[]} fields - Requested field names
+     * @returns {Object} Selected fields
+     */
+    pickFields(fixture, fields) {
+        const picked = {};
+        (fields || Object.keys(fixture)).forEach((field) => {
+            if (field in fixture) picked[field] = fixture[field];
+        });
+        return picked;
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Places provider backed by the real Google Maps JavaScript API.
+ *
+ * Providers give PlacesHandler two things:
+ *   load(apiKey)          - Resolves once the provider is ready
+ *   importLibrary(name)   - Resolves with { Place }, matching google.maps.importLibrary("places")
+ * plus a requiresApiKey flag.
+ */
+export class GooglePlacesProvider {
+    static messages = {
+        timeout: 'Timeout loading Google Maps. Please check your API key and try again.',
+        incomplete: 'Google Maps API did not load properly',
+        scriptError: 'Failed to load Google Maps script. Check your API key, internet connection, and browser console for details.',
+        superseded: 'Google Maps loading was cancelled because the API key changed.'
+    };
+
+    constructor() {
+        this.name = 'google';
+        this.requiresApiKey = true;
+        this.mapsLoadingPromise = null;
+        this.scriptLoadTimeout = null;
+        // Rejects the pending load, so unload can settle it for whoever is waiting
+        this.rejectLoading = null;
+        this.loadedKey = null;
+        this.loadingKey = null;
+    }
+
+    /**
+     * Loads the Google Maps API
+     * @param {string} apiKey - Google Maps API key
+     * @returns {Promise} Resolves when API is loaded
+     */
+    load(apiKey) {
+        console.log('GooglePlacesProvider.load called');
+
+        // A different key needs a fresh copy of the Maps script
+        if ((this.loadedKey && this.loadedKey !== apiKey) || (this.mapsLoadingPromise && this.loadingKey !== apiKey)) {
+            this.unload();
+        }
+
+        // If already loaded, return immediately
+        if (window.google && window.google.maps && window.google.maps.places) {
+            console.log('Google Maps already loaded');
+            return Promise.resolve();
+        }
+
+        // If currently loading, return the existing promise
+        if (this.mapsLoadingPromise) {
+            console.log('Google Maps is currently loading, returning existing promise');
+            return this.mapsLoadingPromise;
+        }
+
+        this.loadingKey = apiKey;
+
+        // Create new loading promise
+        this.mapsLoadingPromise = new Promise((resolve, reject) => {
+            console.log('Creating new Google Maps loading promise');
+            this.rejectLoading = reject;
+
+            // Set timeout in case callback never fires
+            this.scriptLoadTimeout = setTimeout(() => {
+                console.error('Script load timeout - callback was not called within 10 seconds');
+                this.mapsLoadingPromise = null;
+                this.rejectLoading = null;
+                reject(new Error(GooglePlacesProvider.messages.timeout));
+            }, 10000);
+
+            // Set up callback before loading script
+            window.initMap = () => {
+                console.log('initMap callback fired');
+                clearTimeout(this.scriptLoadTimeout);
+                delete window.initMap; // Clean up
+                this.rejectLoading = null;
+
+                // Verify the API actually loaded
+                if (window.google && window.google.maps && window.google.maps.places) {
+                    console.log('Google Maps API fully loaded');
+                    this.loadedKey = apiKey;
+                    resolve();
+                } else {
+                    console.error('initMap called but API not fully available');
+                    reject(new Error(GooglePlacesProvider.messages.incomplete));
+                }
+            };
+
+            const script = document.createElement('script');
+            script.src = `https://maps.googleapis.com/maps/api/js?key=${encodeURIComponent(apiKey)}&libraries=places&callback=initMap`;
+            script.async = true;
+            script.defer = true;
+
+            script.onload = () => {
+                console.log('Script tag loaded');
+            };
+
+            script.onerror = (error) => {
+                console.error('Script load error:', error);
+                clearTimeout(this.scriptLoadTimeout);
+                this.mapsLoadingPromise = null;
+                this.rejectLoading = null;
+                reject(new Error(GooglePlacesProvider.messages.scriptError));
+            };
+
+            console.log('Appending script tag to head');
+            document.head.appendChild(script);
+        });
+
+        return this.mapsLoadingPromise;
+    }
+
+    /**
+     * Remove the Maps script and its globals so the next load uses a new key.
+     * Maps has no official unload, so this clears everything it keys off:
+     * the script tags and window.google. A pending load is rejected with messages.superseded.
+     */
+    unload() {
+        console.log('Unloading Google Maps to switch API key');
+
+        clearTimeout(this.scriptLoadTimeout);
+        if (this.rejectLoading) {
+            this.rejectLoading(new Error(GooglePlacesProvider.messages.superseded));
+            this.rejectLoading = null;
+        }
+        document.querySelectorAll('script[src*="maps.googleapis.com/maps/api/js"]').forEach(script => script.remove());
+        delete window.google;
+        delete window.initMap;
+
+        this.mapsLoadingPromise = null;
+        this.loadedKey = null;
+        this.loadingKey = null;
+    }
+
+    /**
+     * Import a Maps JS library
+     * @param {string} name - Library name, e.g. "places"
+     * @returns {Promise<Object>} Library exports
+     */
+    importLibrary(name) {
+        return google.maps.importLibrary(name);
+    }
+}
+
+// Create a singleton instance. The Maps script is loaded once per page, so every
+// PlacesHandler talking to Google shares this provider and its loading state.
+export const googlePlacesProvider = new GooglePlacesProvider();
@@ -0,0 +1,273 @@
+import { translations } from './Translations.js';
+
+/**
+ * Handles UI translation, the chosen locale and right-to-left layout.
+ *
+ * Messages come from the translations catalogues, keyed by language. Keys missing
+ * from a catalogue fall back to English. The locale's language and region are
+ * also what Places results are requested in.
+ */
+export class I18nHandler {
+    constructor() {
+        this.catalogues = translations;
+        this.fallbackLanguage = 'en';
+        this.storageKey = 'ui_locale';
+
+        // Locales offered in the language picker, named in their own language
+        this.locales = [
+            { code: 'en-US', name: 'English (US)' },
+            { code: 'en-GB', name: 'English (UK)' },
+            { code: 'es-ES', name: 'Español (España)' },
+            { code: 'es-MX', name: 'Español (México)' },
+            { code: 'fr-FR', name: 'Français (France)' },
+            { code: 'fr-CA', name: 'Français (Canada)' },
+            { code: 'ar', name: 'العربية' }
+        ];
+
+        this.locale = this.getStoredLocale() || this.detectLocale();
+        this.listeners = [];
+    }
+
+    /**
+     * Pick the offered locale closest to the browser's languages
+     * @returns {string} Locale code
+     */
+    detectLocale() {
+        // Node has no navigator before v21, the CLI then starts from the first locale
+        if (typeof navigator === 'undefined') return this.locales[0].code;
+
+        const preferred = navigator.languages || [navigator.language || this.fallbackLanguage];
+
+        for (const code of preferred) {
+            const exact = this.locales.find(locale => locale.code.toLowerCase() === code.toLowerCase());
+            if (exact) return exact.code;
+
+            const language = code.split('-')[0].toLowerCase();
+            const sameLanguage = this.locales.find(locale => locale.code.split('-')[0] === language);
+            if (sameLanguage) return sameLanguage.code;
+        }
+
+        return this.locales[0].code;
+    }
+
+    /**
+     * @returns {string} Locale code, e.g. 'fr-CA'
+     */
+    getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * @returns {string} Language part of the locale, e.g. 'fr'
+     */
+    getLanguage() {
+        return this.locale.split('-')[0];
+    }
+
+    /**
+     * @returns {string|null} Region part of the locale, e.g. 'CA', or null when the locale has none
+     */
+    getRegion() {
+        return this.locale.split('-')[1] || null;
+    }
+
+    /**
+     * @returns {string} 'rtl' or 'ltr'
+     */
+    getDirection() {
+        return this.t('meta.dir');
+    }
+
+    /**
+     * Switch locale, translate the page and tell listeners
+     * @param {string} code - Locale code from this.locales
+     */
+    setLocale(code) {
+        if (!this.locales.some(locale => locale.code === code)) {
+            throw new Error(`Unknown locale: ${code}`);
+        }
+
+        this.locale = code;
+        this.setStoredLocale(code);
+        if (typeof document !== 'undefined') {
+            this.apply(document);
+        }
+        console.log('UI locale set to', code);
+        this.listeners.forEach(callback => callback(code));
+    }
+
+    /**
+     * Register a callback for locale changes
+     * @param {Function} callback - Called with the new locale code
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Stop calling a callback registered with onChange
+     * @param {Function} callback - Callback to remove
+     */
+    offChange(callback) {
+        this.listeners = this.listeners.filter(listener => listener !== callback);
+    }
+
+    /**
+     * Check whether a message exists in the current language or the fallback
+     * @param {string} key - Message key
+     * @returns {boolean} True when the key is translated
+     */
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    /**
+     * Find a message in the current language, falling back to English
+     * @param {string} key - Message key
+     * @returns {string|Object|undefined} Message, or plural forms by category
+     */
+    lookup(key) {
+        const catalogue = this.catalogues[this.getLanguage()] || {};
+        return key in catalogue ? catalogue[key] : this.catalogues[this.fallbackLanguage][key];
+    }
+
+    /**
+     * Translate a message. {name} placeholders are filled from vars, and a numeric
+     * vars.count picks the plural form when the message has them.
+     * @param {string} key - Message key
+     * @param {Object} [vars] - Placeholder values
+     * @returns {string} Translated message, or the key when it is unknown
+     */
+    t(key, vars = {}) {
+        const message = this.resolve(key, vars);
+        return message === undefined ? key : this.fill(message, vars);
+    }
+
+    /**
+     * Translate a message into an element's content. <strong> marks in the catalogue
+     * become elements, everything else, placeholder values included, stays text.
+     * @param {HTMLElement} element - Element whose content is replaced
+     * @param {string} key - Message key
+     * @param {Object} [vars] - Placeholder values
+     */
+    render(element, key, vars = {}) {
+        const message = this.resolve(key, vars) ?? key;
+
+        const nodes = message.split(/(<strong>.*?<\/strong>)/).filter(Boolean).map((part) => {
+            const marked = part.match(/^<strong>(.*)<\/strong>$/);
+            if (!marked) return this.fill(part, vars);
+
+            const strong = document.createElement('strong');
+            strong.textContent = this.fill(marked[1], vars);
+            return strong;
+        });
+
+        element.replaceChildren(...nodes);
+    }
+
+    /**
+     * Find a message and pick its plural form
+     * @param {string} key - Message key
+     * @param {Object} vars - Placeholder values, vars.count picks the plural form
+     * @returns {string|undefined} Message with placeholders still in, or undefined when the key is unknown
+     */
+    resolve(key, vars) {
+        const message = this.lookup(key);
+
+        if (message === undefined) {
+            console.warn('Missing translation:', key);
+            return undefined;
+        }
+
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(this.locale).select(vars.count ?? 0);
+            return message[category] ?? message.other;
+        }
+
+        return message;
+    }
+
+    /**
+     * Fill {name} placeholders, formatting numbers for the locale
+     * @param {string} message - Message with placeholders
+     * @param {Object} vars - Placeholder values
+     * @returns {string} Filled message, unknown placeholders are left as they are
+     */
+    fill(message, vars) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in vars)) return match;
+            return typeof vars[name] === 'number' ? this.formatNumber(vars[name]) : String(vars[name]);
+        });
+    }
+
+    /**
+     * Format a number for the current locale
+     * @param {number} value - Number
+     * @param {Object} [options] - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    /**
+     * Translate every marked element under root and set the page language and direction.
+     *   data-i18n             - Replaces the text
+     *   data-i18n-html        - Replaces the text, keeping the catalogue's <strong> marks
+     *   data-i18n-placeholder - Replaces the placeholder
+     *   data-i18n-title       - Replaces the tooltip
+     * @param {Document|HTMLElement} root - Element to translate
+     */
+    apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach((element) => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach((element) => {
+            this.render(element, element.dataset.i18nHtml);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach((element) => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach((element) => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+
+        if (root === document) {
+            document.documentElement.lang = this.locale;
+            document.documentElement.dir = this.getDirection();
+            document.title = this.t('app.title');
+        }
+    }
+
+    /**
+     * Store the chosen locale in localStorage
+     * @param {string} code - Locale code
+     * @returns {boolean} Success status
+     */
+    setStoredLocale(code) {
+        try {
+            localStorage.setItem(this.storageKey, code);
+            return true;
+        } catch (e) {
+            console.error('Failed to save UI locale to localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get the chosen locale from localStorage
+     * @returns {string|null} Locale code, or null when none was chosen
+     */
+    getStoredLocale() {
+        try {
+            const value = localStorage.getItem(this.storageKey);
+            return this.locales.some(locale => locale.code === value) ? value : null;
+        } catch (e) {
+            console.error('Failed to read UI locale from localStorage:', e);
+            return null;
+        }
+    }
+}
+
+// Create a singleton instance
+export const i18n = new I18nHandler();
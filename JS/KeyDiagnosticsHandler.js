@@ -0,0 +1,191 @@
+import { i18n } from './I18nHandler.js';
+
+/**
+ * Turns Maps/Places API key failures into specific messages with fix-it steps,
+ * and keeps a local count of billable calls made this month
+ */
+export class KeyDiagnosticsHandler {
+    constructor() {
+        // Fix-it steps of the known failures by Maps error code, see https://developers.google.com/maps/documentation/javascript/error-messages
+        // Titles and steps are the diagnostics.failure.<code> and diagnostics.step.<step> messages
+        this.failures = {
+            InvalidKeyMapError: ['checkKey', 'credentials', 'reload'],
+            MissingKeyMapError: ['enterKey', 'reload'],
+            ExpiredKeyMapError: ['credentials', 'newKey', 'reload'],
+            RefererNotAllowedMapError: ['credentials', 'allowSite', 'reload'],
+            ApiNotActivatedMapError: ['openLibrary', 'enableMaps', 'reload'],
+            PlacesApiNotActivatedError: ['openLibrary', 'enablePlaces', 'waitAndRetry'],
+            ApiTargetBlockedMapError: ['credentials', 'allowApis', 'reload'],
+            BillingNotEnabledMapError: ['openBilling', 'linkBilling', 'reload'],
+            OverQuotaMapError: ['openQuotas', 'raiseQuota'],
+            ProjectDeniedMapError: ['checkNotices', 'contactSupport'],
+            DeletedApiProjectMapError: ['newProjectKey', 'reload'],
+            ScriptLoadError: ['checkConnection', 'disableBlockers', 'tryAgain']
+        };
+
+        // Places API error text that maps onto a known failure
+        this.messagePatterns = [
+            { pattern: /Places API \(New\)|places\.googleapis\.com|SERVICE_DISABLED/i, code: 'PlacesApiNotActivatedError' },
+            { pattern: /API_KEY_INVALID|API key not valid/i, code: 'InvalidKeyMapError' },
+            { pattern: /BILLING_DISABLED|billing/i, code: 'BillingNotEnabledMapError' },
+            { pattern: /API_KEY_HTTP_REFERRER_BLOCKED|referer/i, code: 'RefererNotAllowedMapError' },
+            { pattern: /API_KEY_SERVICE_BLOCKED/i, code: 'ApiTargetBlockedMapError' },
+            { pattern: /RESOURCE_EXHAUSTED|OVER_QUERY_LIMIT|quota/i, code: 'OverQuotaMapError' },
+            { pattern: /Failed to load Google Maps script/i, code: 'ScriptLoadError' }
+        ];
+
+        // Monthly free calls per billing tier, as published by Google in 2025
+        this.freeCalls = {
+            Essentials: 10000,
+            Pro: 5000,
+            Enterprise: 1000
+        };
+
+        this.lastErrorCode = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Watch for Maps key errors. The Maps script reports them only through
+     * gm_authFailure and "Google Maps JavaScript API error: ..." console messages.
+     */
+    install() {
+        window.gm_authFailure = () => {
+            console.log('Google Maps reported an authentication failure');
+            this.report(this.lastErrorCode || 'InvalidKeyMapError');
+        };
+
+        ['error', 'warn'].forEach((level) => {
+            const original = console[level].bind(console);
+            console[level] = (...args) => {
+                original(...args);
+                const match = String(args[0]).match(/Google Maps JavaScript API (?:error|warning): (\w+)/);
+                if (match && this.failures[match[1]]) {
+                    this.report(match[1]);
+                }
+            };
+        });
+    }
+
+    /**
+     * Register a callback for key failures reported by the Maps script
+     * @param {Function} callback - Called with a diagnosis from describe()
+     */
+    onFailure(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Record a failure code and notify listeners
+     * @param {string} code - Maps error code
+     */
+    report(code) {
+        this.lastErrorCode = code;
+        const diagnosis = this.describe(code);
+        this.listeners.forEach(callback => callback(diagnosis));
+    }
+
+    /**
+     * Look up the message and fix-it steps for a failure code
+     * @param {string} code - Maps error code
+     * @returns {Object} {code, title, steps}
+     */
+    describe(code) {
+        // The CLI builds this handler too, outside any page
+        const site = typeof window !== 'undefined' ? `${window.location.origin}/*` : i18n.t('diagnostics.yourSite');
+
+        return {
+            code,
+            title: i18n.t(`diagnostics.failure.${code}`),
+            steps: this.failures[code].map(step => i18n.t(`diagnostics.step.${step}`, { site }))
+        };
+    }
+
+    /**
+     * Explain a failed load or lookup. Maps reports key errors asynchronously, so when
+     * the Maps script itself failed to load this waits briefly for one before falling back
+     * to the error text. Call reset() before each load or search so an earlier failure
+     * isn't blamed for this one.
+     * @param {Error} error - Error from loading Maps or a Places request
+     * @param {boolean} [loadFailed=false] - The error came from loading the Maps script
+     * @returns {Promise<Object|null>} {code, title, steps}, or null when the failure is not a known key problem
+     */
+    async diagnose(error, loadFailed = false) {
+        if (loadFailed && !this.lastErrorCode) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        if (this.lastErrorCode) {
+            return this.describe(this.lastErrorCode);
+        }
+
+        const message = (error && error.message) || '';
+        const known = this.messagePatterns.find(({ pattern }) => pattern.test(message));
+        return known ? this.describe(known.code) : null;
+    }
+
+    /**
+     * Forget the last failure, e.g. before a lookup or testing a new key
+     */
+    reset() {
+        this.lastErrorCode = null;
+    }
+
+    /**
+     * Count one billable call against this month's usage
+     * @param {string} tier - 'Essentials', 'Pro' or 'Enterprise'
+     */
+    recordCall(tier) {
+        const usage = this.getUsage();
+        usage.counts[tier] = (usage.counts[tier] || 0) + 1;
+        this.setStoredUsage(usage);
+    }
+
+    /**
+     * Get this month's call counts, starting fresh each month
+     * @returns {Object} {month, counts}
+     */
+    getUsage() {
+        const month = new Date().toISOString().slice(0, 7);
+        const usage = this.getStoredUsage();
+        return usage && usage.month === month ? usage : { month, counts: {} };
+    }
+
+    /**
+     * Reset this month's call counts
+     */
+    resetUsage() {
+        this.setStoredUsage({ month: new Date().toISOString().slice(0, 7), counts: {} });
+    }
+
+    /**
+     * Store usage counts in localStorage
+     * @param {Object} usage - {month, counts}
+     * @returns {boolean} Success status
+     */
+    setStoredUsage(usage) {
+        try {
+            localStorage.setItem('api_usage', JSON.stringify(usage));
+            return true;
+        } catch (e) {
+            console.error('Failed to save API usage to localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get usage counts from localStorage
+     * @returns {Object|null} {month, counts}
+     */
+    getStoredUsage() {
+        try {
+            const value = localStorage.getItem('api_usage');
+            return value ? JSON.parse(value) : null;
+        } catch (e) {
+            console.error('Failed to read API usage from localStorage:', e);
+            return null;
+        }
+    }
+}
+
+// Create a singleton instance
+export const keyDiagnosticsHandler = new KeyDiagnosticsHandler();
@@ -0,0 +1,494 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { keyStorageHandler } from './KeyStorageHandler.js';
+import { keyDiagnosticsHandler } from './KeyDiagnosticsHandler.js';
+import { placesHandler } from './PlacesHandler.js';
+import { mapPreviewHandler } from './MapPreviewHandler.js';
+
+/**
+ * Handles the API key panel of the page: the named keys, how they are stored,
+ * the key test and this month's usage
+ */
+export class KeyPanelHandler {
+    constructor() {
+        this.elements = null;
+        this.keyring = keyStorageHandler.createKeyring();
+        // Full key of the selected entry, the key field only shows it masked
+        this.fullApiKey = '';
+        // Encrypted mode without a passphrase keeps the keys in this page only
+        this.keyUnsaved = false;
+    }
+
+    /**
+     * Load the saved keys and wire up the panel's controls
+     * @param {Object} elements - The page's elements by ID, see main.js
+     */
+    init(elements) {
+        this.elements = elements;
+
+        // Encrypted keys wait for the passphrase
+        const savedKeyring = keyStorageHandler.load();
+        if (savedKeyring) {
+            this.keyring = savedKeyring;
+            this.activateKey(this.keyring.activeId);
+            console.log('API keys loaded and masked');
+        }
+        this.updateKeyControls();
+        this.renderUsage();
+
+        // API key field events
+        elements.apiKey.addEventListener('focus', () => {
+            if (this.fullApiKey && elements.apiKey.value.includes('•')) {
+                elements.apiKey.value = this.fullApiKey;
+            }
+        });
+
+        elements.apiKey.addEventListener('blur', () => {
+            const currentValue = elements.apiKey.value.trim();
+            if (currentValue && !currentValue.includes('•')) {
+                this.rememberApiKey(currentValue);
+            }
+        });
+
+        // The map preview's map ID belongs to the key's Cloud project
+        elements.mapId.value = mapPreviewHandler.getStoredMapId();
+        elements.mapId.addEventListener('change', () => {
+            elements.mapId.value = elements.mapId.value.trim();
+            mapPreviewHandler.setStoredMapId(elements.mapId.value);
+        });
+
+        // Named key events
+        elements.keySelect.addEventListener('change', () => {
+            this.activateKey(elements.keySelect.value);
+            this.persistKeyring();
+        });
+        elements.keyName.addEventListener('change', () => this.handleRenameKey());
+        elements.addKeyBtn.addEventListener('click', () => this.handleAddKey());
+        elements.removeKeyBtn.addEventListener('click', () => this.handleRemoveKey());
+
+        // Key storage events
+        elements.keyStorageMode.addEventListener('change', () => this.handleKeyModeChange());
+        elements.unlockKeyBtn.addEventListener('click', () => this.handleUnlockKey());
+        elements.keyPassphrase.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.handleUnlockKey();
+            }
+        });
+        elements.lockKeyBtn.addEventListener('click', () => this.handleLockKey());
+        elements.forgetKeyBtn.addEventListener('click', () => this.handleForgetKey());
+
+        // Key diagnostics events
+        elements.testKeyBtn.addEventListener('click', () => this.handleTestKey());
+        elements.resetUsageBtn.addEventListener('click', () => {
+            keyDiagnosticsHandler.resetUsage();
+            this.renderUsage();
+        });
+    }
+
+    /**
+     * Redraw the panel's generated text, e.g. after a language change
+     */
+    refresh() {
+        this.renderKeySelect();
+        this.updateKeyControls();
+        this.renderUsage();
+    }
+
+    /**
+     * Get the key to look places up with, taking a newly typed key first.
+     * Shows why there is none in the given container.
+     * @param {HTMLElement} container - Element to show a missing or locked key in
+     * @param {string} missingKey - Message ID for a missing key
+     * @returns {Promise<boolean>} False when the provider needs a key and there is none
+     */
+    async takeApiKey(container, missingKey) {
+        const apiKey = this.elements.apiKey.value.trim();
+
+        if (!apiKey && placesHandler.provider.requiresApiKey && this.isKeyLocked()) {
+            dom.showMessage(container, i18n.t('errors.keysLocked'), 'error-message');
+            return false;
+        }
+        if (!apiKey && placesHandler.provider.requiresApiKey) {
+            dom.showMessage(container, i18n.t(missingKey), 'error-message');
+            return false;
+        }
+
+        if (apiKey && !apiKey.includes('•')) {
+            await this.rememberApiKey(apiKey);
+        }
+        return true;
+    }
+
+    /**
+     * @returns {string} Full API key of the selected entry, empty when there is none
+     */
+    getApiKey() {
+        return this.fullApiKey;
+    }
+
+    /**
+     * Check the key with a single free request before any search
+     */
+    async handleTestKey() {
+        const { keyTestResult, testKeyBtn } = this.elements;
+        const apiKey = this.elements.apiKey.value.trim();
+
+        if (!placesHandler.provider.requiresApiKey) {
+            dom.showMessage(keyTestResult, i18n.t('diagnostics.demoNoKey'));
+            return;
+        }
+        if (!apiKey && this.isKeyLocked()) {
+            dom.showMessage(keyTestResult, i18n.t('errors.keysLocked'), 'error-message');
+            return;
+        }
+        if (!apiKey) {
+            dom.showMessage(keyTestResult, i18n.t('diagnostics.enterKey'), 'error-message');
+            return;
+        }
+
+        if (!apiKey.includes('•')) {
+            await this.rememberApiKey(apiKey);
+        }
+
+        dom.showMessage(keyTestResult, i18n.t('diagnostics.testing'));
+        testKeyBtn.disabled = true;
+        keyDiagnosticsHandler.reset();
+
+        let loaded = false;
+        try {
+            await placesHandler.loadGoogleMaps(this.fullApiKey);
+            loaded = true;
+            await placesHandler.testKey();
+            dom.replace(keyTestResult, dom.create('p', { className: 'key-ok' }, [
+                dom.create('strong', { textContent: i18n.t('diagnostics.keyWorks') }),
+                ' ',
+                i18n.t('diagnostics.keyWorksDetail')
+            ]));
+        } catch (err) {
+            console.error('Key test failed:', err);
+            await this.showFailure(keyTestResult, err, !loaded);
+        } finally {
+            testKeyBtn.disabled = false;
+            this.renderUsage();
+        }
+    }
+
+    /**
+     * Show a failed lookup: a key failure with its fix-it steps, anything else as an error
+     * @param {HTMLElement} container - Element to render into
+     * @param {Error} err - Lookup error
+     * @param {boolean} [loadFailed=false] - The error came from loading the Maps script
+     * @returns {Promise<void>}
+     */
+    async showFailure(container, err, loadFailed = false) {
+        const diagnosis = await keyDiagnosticsHandler.diagnose(err, loadFailed);
+        if (diagnosis) {
+            this.renderDiagnosis(container, diagnosis);
+        } else {
+            dom.showError(container, err.message, i18n.t('errors.consoleHint'));
+        }
+    }
+
+    /**
+     * Show a key failure with its fix-it steps
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} diagnosis - {code, title, steps} from keyDiagnosticsHandler
+     */
+    renderDiagnosis(container, diagnosis) {
+        dom.replace(container,
+            dom.create('p', { className: 'error-message' }, [
+                dom.create('strong', { textContent: i18n.t('errors.prefix') }),
+                ' ',
+                diagnosis.title
+            ]),
+            dom.create('ol', { className: 'fix-steps' }, diagnosis.steps.map(step => dom.create('li', { textContent: step }))),
+            dom.create('div', { className: 'debug', textContent: i18n.t('diagnostics.errorCode', { code: diagnosis.code }) })
+        );
+    }
+
+    /**
+     * Show this month's call counts against the free usage per billing tier
+     */
+    renderUsage() {
+        const usage = keyDiagnosticsHandler.getUsage();
+
+        const rows = Object.entries(keyDiagnosticsHandler.freeCalls).map(([tier, free]) => {
+            const count = usage.counts[tier] || 0;
+            const percent = Math.min(100, Math.round((count / free) * 100));
+
+            // Set through the style object, which the page's Content-Security-Policy allows
+            const fill = dom.create('div');
+            fill.style.width = `${percent}%`;
+
+            return dom.create('tr', { className: count >= free ? 'over' : '' }, [
+                dom.cell(tier),
+                dom.cell(`${i18n.formatNumber(count)} / ${i18n.formatNumber(free)}`),
+                dom.cell(dom.create('div', { className: 'usage-bar' }, [fill]))
+            ]);
+        });
+
+        dom.replace(this.elements.usagePanel, dom.table([i18n.t('usage.tier'), i18n.t('usage.calls', { month: usage.month }), ''], rows));
+    }
+
+    /**
+     * Mask API key for display
+     * @param {string} apiKey - Full API key
+     * @returns {string} Masked API key
+     */
+    maskApiKey(apiKey) {
+        if (apiKey.length <= 6) return apiKey;
+        return '•'.repeat(apiKey.length - 6) + apiKey.slice(-6);
+    }
+
+    /**
+     * Check whether encrypted keys are saved but not yet unlocked
+     * @returns {boolean} True when the passphrase is needed
+     */
+    isKeyLocked() {
+        return !this.keyring.keys.length && keyStorageHandler.hasEncryptedKey();
+    }
+
+    /**
+     * Get the selected named key
+     * @returns {Object|null} {id, name, key}
+     */
+    getActiveKey() {
+        return this.keyring.keys.find(entry => entry.id === this.keyring.activeId) || null;
+    }
+
+    /**
+     * Describe the key lookups are made with, for the saved places library.
+     * Only the key's ID and name are recorded, never the key itself.
+     * @returns {Object|null} {id, name}, or null when the provider needs no key
+     */
+    getLookupKey() {
+        const entry = this.getActiveKey();
+        if (!placesHandler.provider.requiresApiKey || !entry) return null;
+        return { id: entry.id, name: entry.name };
+    }
+
+    /**
+     * Switch to a named key. Google Maps is reloaded with it on the next lookup.
+     * @param {string} id - Key entry ID, the first key is used when it is unknown
+     */
+    activateKey(id) {
+        const entry = this.keyring.keys.find(item => item.id === id) || this.keyring.keys[0] || null;
+
+        this.keyring.activeId = entry ? entry.id : null;
+        this.fullApiKey = entry ? entry.key : '';
+        this.elements.apiKey.value = this.fullApiKey ? this.maskApiKey(this.fullApiKey) : '';
+        this.elements.keyName.value = entry ? entry.name : '';
+
+        // Failures seen with the previous key no longer apply
+        keyDiagnosticsHandler.reset();
+        this.renderKeySelect();
+        console.log('Active API key:', entry ? entry.name : 'none');
+    }
+
+    /**
+     * Fill the key picker with the named keys
+     */
+    renderKeySelect() {
+        const { keySelect, removeKeyBtn } = this.elements;
+
+        dom.replace(keySelect, ...this.keyring.keys.map(entry => dom.create('option', {
+            value: entry.id,
+            textContent: entry.name || i18n.t('keys.unnamed'),
+            selected: entry.id === this.keyring.activeId
+        })));
+
+        keySelect.disabled = this.keyring.keys.length < 2;
+        removeKeyBtn.disabled = !this.keyring.keys.length;
+    }
+
+    /**
+     * Use a newly entered key for the selected name and store it the way the user chose
+     * @param {string} apiKey - Full API key
+     */
+    async rememberApiKey(apiKey) {
+        let entry = this.getActiveKey();
+        if (!entry) {
+            entry = keyStorageHandler.createEntry(this.elements.keyName.value.trim() || i18n.t('keys.defaultName'));
+            this.keyring.keys.push(entry);
+            this.keyring.activeId = entry.id;
+        }
+
+        entry.key = apiKey;
+        this.fullApiKey = apiKey;
+        this.elements.apiKey.value = this.maskApiKey(apiKey);
+        keyDiagnosticsHandler.reset();
+        this.renderKeySelect();
+
+        await this.persistKeyring();
+    }
+
+    /**
+     * Store the keyring the way the user chose
+     */
+    async persistKeyring() {
+        if (keyStorageHandler.getMode() === 'encrypted') {
+            // Without a passphrase the keys are only kept in this page
+            const passphrase = this.elements.keyPassphrase.value;
+            this.keyUnsaved = !(passphrase && await keyStorageHandler.save(this.keyring, passphrase));
+            if (!this.keyUnsaved) {
+                this.elements.keyPassphrase.value = '';
+            }
+        } else {
+            this.keyUnsaved = false;
+            await keyStorageHandler.save(this.keyring);
+        }
+
+        this.updateKeyControls();
+    }
+
+    /**
+     * Add an empty named key and select it
+     */
+    handleAddKey() {
+        const entry = keyStorageHandler.createEntry(i18n.t('keys.numbered', { number: this.keyring.keys.length + 1 }));
+        this.keyring.keys.push(entry);
+        this.activateKey(entry.id);
+        this.elements.keyName.focus();
+        this.elements.keyName.select();
+    }
+
+    /**
+     * Rename the selected key
+     */
+    handleRenameKey() {
+        const entry = this.getActiveKey();
+        const name = this.elements.keyName.value.trim();
+        if (!entry || !name) return;
+
+        entry.name = name;
+        this.renderKeySelect();
+        this.persistKeyring();
+    }
+
+    /**
+     * Remove the selected key
+     */
+    handleRemoveKey() {
+        const entry = this.getActiveKey();
+        if (!entry || !confirm(i18n.t('keys.confirmRemove', { name: entry.name }))) return;
+
+        this.keyring.keys = this.keyring.keys.filter(item => item.id !== entry.id);
+        placesHandler.unloadGoogleMaps();
+        this.activateKey(null);
+
+        if (this.keyring.keys.length) {
+            this.persistKeyring();
+        } else {
+            keyStorageHandler.forget();
+            this.keyUnsaved = false;
+            this.updateKeyControls();
+        }
+    }
+
+    /**
+     * Move the keys to the newly chosen storage
+     */
+    async handleKeyModeChange() {
+        keyStorageHandler.setMode(this.elements.keyStorageMode.value);
+        if (this.keyring.keys.length) {
+            await this.persistKeyring();
+        } else {
+            this.updateKeyControls();
+        }
+    }
+
+    /**
+     * Unlock the saved keys, or encrypt and save the current ones
+     */
+    async handleUnlockKey() {
+        const { keyPassphrase, keyStatus } = this.elements;
+        const passphrase = keyPassphrase.value;
+        if (!passphrase) {
+            keyStatus.textContent = i18n.t('keys.enterPassphrase');
+            return;
+        }
+
+        if (this.isKeyLocked()) {
+            try {
+                this.keyring = await keyStorageHandler.unlock(passphrase);
+                keyPassphrase.value = '';
+                this.activateKey(this.keyring.activeId);
+                this.updateKeyControls();
+            } catch (err) {
+                keyStatus.textContent = i18n.t('keys.wrongPassphrase');
+            }
+            return;
+        }
+
+        if (!this.keyring.keys.length) {
+            keyStatus.textContent = i18n.t('keys.enterKey');
+            return;
+        }
+        await this.persistKeyring();
+    }
+
+    /**
+     * Clear the unlocked keys from this page, keeping the encrypted copy
+     */
+    handleLockKey() {
+        placesHandler.unloadGoogleMaps();
+        this.keyring = keyStorageHandler.createKeyring();
+        this.keyUnsaved = false;
+        this.activateKey(null);
+        this.updateKeyControls();
+        console.log('API keys locked');
+    }
+
+    /**
+     * Remove the keys from this page and from every store
+     */
+    handleForgetKey() {
+        if (!confirm(i18n.t('keys.confirmForget'))) return;
+
+        keyStorageHandler.forget();
+        placesHandler.unloadGoogleMaps();
+        this.keyring = keyStorageHandler.createKeyring();
+        this.keyUnsaved = false;
+        this.elements.keyPassphrase.value = '';
+        this.activateKey(null);
+        this.updateKeyControls();
+    }
+
+    /**
+     * Show the key storage controls and status that fit the current mode
+     */
+    updateKeyControls() {
+        const elements = this.elements;
+        const mode = keyStorageHandler.getMode();
+        const encrypted = mode === 'encrypted';
+        const stored = keyStorageHandler.hasEncryptedKey();
+        const locked = this.isKeyLocked();
+        const hasKeys = this.keyring.keys.length > 0;
+
+        elements.keyStorageMode.value = mode;
+        elements.keyPassphrase.hidden = !encrypted || (stored && !locked && !this.keyUnsaved);
+        elements.unlockKeyBtn.hidden = elements.keyPassphrase.hidden;
+        elements.unlockKeyBtn.textContent = i18n.t(locked ? 'keys.unlock' : 'keys.encryptSave');
+        elements.lockKeyBtn.hidden = !(encrypted && stored && hasKeys && !this.keyUnsaved);
+        elements.forgetKeyBtn.disabled = !hasKeys && !stored;
+        elements.addKeyBtn.disabled = locked;
+
+        let status;
+        if (locked) {
+            status = 'keys.status.locked';
+        } else if (encrypted && stored && !this.keyUnsaved) {
+            status = 'keys.status.encryptedSaved';
+        } else if (encrypted) {
+            status = hasKeys ? 'keys.status.encryptedUnsaved' : 'keys.status.encryptedEmpty';
+        } else if (mode === 'local') {
+            status = 'keys.status.local';
+        } else {
+            status = 'keys.status.session';
+        }
+        elements.keyStatus.textContent = i18n.t(status);
+    }
+}
+
+// Create a singleton instance
+export const keyPanelHandler = new KeyPanelHandler();
@@ -0,0 +1,276 @@
+/**
+ * Handles where the API keys are kept. Keys live in a keyring of named keys,
+ * {activeId, keys: [{id, name, key}]}, stored in one of three ways:
+ *   session   - sessionStorage, forgotten when the tab closes
+ *   local     - localStorage, in plain text
+ *   encrypted - localStorage, AES-GCM encrypted with a key derived from a passphrase
+ */
+export class KeyStorageHandler {
+    constructor() {
+        this.modes = ['session', 'local', 'encrypted'];
+        this.modeKey = 'api_key_mode';
+        this.plainKey = 'google_api_keys';
+        this.legacyKey = 'google_api_key';
+        this.encryptedKey = 'google_api_key_encrypted';
+        this.iterations = 250000;
+    }
+
+    /**
+     * Create an empty keyring
+     * @returns {Object} {activeId, keys}
+     */
+    createKeyring() {
+        return { activeId: null, keys: [] };
+    }
+
+    /**
+     * Create a named key entry
+     * @param {string} name - Display name, e.g. the client the key belongs to
+     * @param {string} [key] - API key
+     * @returns {Object} {id, name, key}
+     */
+    createEntry(name, key = '') {
+        return {
+            id: `key-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            key
+        };
+    }
+
+    /**
+     * Turn stored data into a keyring. A bare string is a key saved before named keys existed.
+     * @param {string} value - Stored keyring JSON or a single key
+     * @returns {Object} Keyring
+     */
+    toKeyring(value) {
+        try {
+            const parsed = JSON.parse(value);
+            if (parsed && Array.isArray(parsed.keys)) return parsed;
+        } catch (e) {
+            // Not JSON, so a single legacy key
+        }
+
+        const entry = { ...this.createEntry('My key', value), id: 'default' };
+        return { activeId: entry.id, keys: [entry] };
+    }
+
+    /**
+     * Get the storage mode. Keys saved before modes existed stay in localStorage.
+     * @returns {string} 'session', 'local' or 'encrypted'
+     */
+    getMode() {
+        try {
+            const mode = localStorage.getItem(this.modeKey);
+            if (this.modes.includes(mode)) return mode;
+            return localStorage.getItem(this.plainKey) || localStorage.getItem(this.legacyKey) ? 'local' : 'session';
+        } catch (e) {
+            console.error('Failed to read key storage mode from localStorage:', e);
+            return 'session';
+        }
+    }
+
+    /**
+     * Change the storage mode, removing the keys from every other store
+     * @param {string} mode - 'session', 'local' or 'encrypted'
+     * @returns {boolean} Success status
+     */
+    setMode(mode) {
+        if (!this.modes.includes(mode)) {
+            throw new Error(`Unknown key storage mode: ${mode}`);
+        }
+
+        try {
+            localStorage.setItem(this.modeKey, mode);
+            this.clear(mode);
+            console.log('Key storage mode set to', mode);
+            return true;
+        } catch (e) {
+            console.error('Failed to save key storage mode to localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether encrypted keys are stored
+     * @returns {boolean} True when a passphrase is needed to read the keys
+     */
+    hasEncryptedKey() {
+        try {
+            return this.getMode() === 'encrypted' && Boolean(localStorage.getItem(this.encryptedKey));
+        } catch (e) {
+            console.error('Failed to read encrypted key from localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Read the keyring from session or local storage. Encrypted keys need unlock().
+     * @returns {Object|null} Keyring or null
+     */
+    load() {
+        const mode = this.getMode();
+        if (mode === 'encrypted') return null;
+
+        try {
+            const storage = mode === 'session' ? sessionStorage : localStorage;
+            const value = storage.getItem(this.plainKey) || storage.getItem(this.legacyKey);
+            console.log(value ? `API keys retrieved from ${mode} storage` : `No API keys found in ${mode} storage`);
+            return value ? this.toKeyring(value) : null;
+        } catch (e) {
+            console.error('Failed to read API keys from storage:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Store the keyring using the current mode
+     * @param {Object} keyring - Keyring
+     * @param {string} [passphrase] - Required in encrypted mode
+     * @returns {Promise<boolean>} Success status
+     */
+    async save(keyring, passphrase = '') {
+        const mode = this.getMode();
+
+        try {
+            const value = JSON.stringify(keyring);
+            if (mode === 'encrypted') {
+                if (!passphrase) {
+                    throw new Error('A passphrase is needed to encrypt the keys');
+                }
+                const encrypted = await this.encrypt(value, passphrase);
+                localStorage.setItem(this.encryptedKey, JSON.stringify(encrypted));
+            } else {
+                const storage = mode === 'session' ? sessionStorage : localStorage;
+                storage.setItem(this.plainKey, value);
+                storage.removeItem(this.legacyKey);
+            }
+
+            localStorage.setItem(this.modeKey, mode);
+            console.log(`API keys saved to ${mode} storage`);
+            return true;
+        } catch (e) {
+            console.error('Failed to save API keys:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Decrypt the stored keyring
+     * @param {string} passphrase - Passphrase used when the keys were saved
+     * @returns {Promise<Object>} Keyring
+     */
+    async unlock(passphrase) {
+        const value = localStorage.getItem(this.encryptedKey);
+        if (!value) {
+            throw new Error('No encrypted API keys are saved');
+        }
+
+        try {
+            const keyring = this.toKeyring(await this.decrypt(JSON.parse(value), passphrase));
+            console.log('API keys unlocked');
+            return keyring;
+        } catch (e) {
+            console.error('Failed to unlock API keys:', e);
+            throw new Error('Wrong passphrase, the API keys could not be unlocked');
+        }
+    }
+
+    /**
+     * Remove the keys from every store
+     */
+    forget() {
+        this.clear();
+        console.log('API keys forgotten');
+    }
+
+    /**
+     * Remove the keys from every store except the one used by a mode
+     * @param {string} [keepMode] - Mode whose store is left alone
+     */
+    clear(keepMode = null) {
+        try {
+            if (keepMode !== 'session') {
+                sessionStorage.removeItem(this.plainKey);
+                sessionStorage.removeItem(this.legacyKey);
+            }
+            if (keepMode !== 'local') {
+                localStorage.removeItem(this.plainKey);
+                localStorage.removeItem(this.legacyKey);
+            }
+            if (keepMode !== 'encrypted') localStorage.removeItem(this.encryptedKey);
+        } catch (e) {
+            console.error('Failed to clear stored API keys:', e);
+        }
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase with PBKDF2
+     * @param {string} passphrase - Passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @returns {Promise<CryptoKey>} AES key
+     */
+    async deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: this.iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt text with a passphrase
+     * @param {string} text - Plain text
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Object>} {salt, iv, data} as base64 strings
+     */
+    async encrypt(text, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveKey(passphrase, salt);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+        return {
+            salt: this.toBase64(salt),
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(data))
+        };
+    }
+
+    /**
+     * Decrypt text encrypted by encrypt()
+     * @param {Object} encrypted - {salt, iv, data} as base64 strings
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<string>} Plain text, rejects when the passphrase is wrong
+     */
+    async decrypt(encrypted, passphrase) {
+        const key = await this.deriveKey(passphrase, this.fromBase64(encrypted.salt));
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(encrypted.iv) }, key, this.fromBase64(encrypted.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64 text
+     */
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    /**
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Create a singleton instance
+export const keyStorageHandler = new KeyStorageHandler();
@@ -0,0 +1,382 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { StorageHandler } from './StorageHandler.js';
+import { exportHandler } from './ExportHandler.js';
+import { urlParser } from './UrlParser.js';
+
+/**
+ * Handles the saved-places library: search history, tags, notes and pinning
+ */
+export class LibraryHandler {
+    constructor() {
+        this.storage = new StorageHandler('saved_places');
+        this.container = null;
+        this.onOpen = null;
+        this.query = '';
+
+        // Fields an imported entry may carry, with a check for each value. Anything else is dropped.
+        const isString = value => typeof value === 'string';
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isStrings = value => Array.isArray(value) && value.every(isString);
+        this.entryFields = {
+            displayName: isString,
+            formattedAddress: isString,
+            cid: value => isString(value) && /^\d+$/.test(value),
+            location: value => Boolean(value) && isNumber(value.lat) && isNumber(value.lng),
+            businessStatus: isString,
+            rating: isNumber,
+            userRatingCount: isNumber,
+            openingHours: isStrings,
+            nationalPhoneNumber: isString,
+            websiteURI: isString,
+            previousPlaceId: value => isString(value) && urlParser.isPlaceId(value),
+            input: isString,
+            keyId: isString,
+            keyName: isString,
+            tags: isStrings,
+            notes: isString,
+            pinned: value => typeof value === 'boolean',
+            savedAt: isString,
+            lastOpenedAt: isString
+        };
+    }
+
+    /**
+     * Move a pre-library last_search_result into the library
+     * @returns {Promise<void>}
+     */
+    async init() {
+        try {
+            const legacy = localStorage.getItem('last_search_result');
+            if (legacy) {
+                await this.savePlace(JSON.parse(legacy));
+                localStorage.removeItem('last_search_result');
+                console.log('Migrated last search result into the saved places library');
+            }
+        } catch (e) {
+            console.error('Failed to migrate last search result:', e);
+        }
+    }
+
+    /**
+     * Add a place to the library, or refresh it if already saved.
+     * Tags, notes and pinning are kept.
+     * @param {Object} placeData - Place data with id, displayName and formattedAddress
+     * @param {string} [input] - Search input that found the place
+     * @param {Object} [lookupKey] - {id, name} of the API key used, never the key itself
+     * @returns {Promise<Object>} Saved entry
+     */
+    async savePlace(placeData, input = '', lookupKey = null) {
+        const existing = await this.storage.get(placeData.id);
+        const now = new Date().toISOString();
+
+        const entry = {
+            tags: [],
+            notes: '',
+            pinned: false,
+            savedAt: now,
+            ...existing,
+            ...placeData,
+            input: input || (existing && existing.input) || '',
+            ...(lookupKey ? { keyId: lookupKey.id, keyName: lookupKey.name } : {}),
+            lastOpenedAt: now
+        };
+
+        await this.storage.put(entry);
+        console.log('Place saved to library:', entry.id);
+        this.refresh();
+        return entry;
+    }
+
+    /**
+     * Update fields of a saved place
+     * @param {string} id - Place ID
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<void>}
+     */
+    async updatePlace(id, changes) {
+        const existing = await this.storage.get(id);
+        if (!existing) return;
+
+        await this.storage.put({ ...existing, ...changes });
+        this.refresh();
+    }
+
+    /**
+     * Delete a saved place
+     * @param {string} id - Place ID
+     * @returns {Promise<void>}
+     */
+    async deletePlace(id) {
+        await this.storage.delete(id);
+        console.log('Place deleted from library:', id);
+        this.refresh();
+    }
+
+    /**
+     * Mark a place as just opened
+     * @param {string} id - Place ID
+     * @returns {Promise<Object|null>} Saved entry
+     */
+    async touchPlace(id) {
+        const existing = await this.storage.get(id);
+        if (!existing) return null;
+
+        const entry = { ...existing, lastOpenedAt: new Date().toISOString() };
+        await this.storage.put(entry);
+        this.refresh();
+        return entry;
+    }
+
+    /**
+     * Get saved places matching a search, pinned first then most recently opened
+     * @param {string} [query] - Text to match against name, address, tags, notes, key name and place ID
+     * @returns {Promise<Object[]>} Saved places
+     */
+    async getPlaces(query = '') {
+        const places = await this.storage.getAll();
+        const needle = query.trim().toLowerCase();
+
+        return places
+            .filter((place) => {
+                if (!needle) return true;
+                return [place.displayName, place.formattedAddress, place.id, place.notes, place.input, place.keyName, ...(place.tags || [])]
+                    .some(value => (value || '').toLowerCase().includes(needle));
+            })
+            .sort((a, b) => {
+                if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+                return (b.lastOpenedAt || '').localeCompare(a.lastOpenedAt || '');
+            });
+    }
+
+    /**
+     * Get the most recently opened place
+     * @returns {Promise<Object|null>} Saved entry
+     */
+    async getMostRecent() {
+        const places = await this.storage.getAll();
+        if (!places.length) return null;
+        return places.sort((a, b) => (b.lastOpenedAt || '').localeCompare(a.lastOpenedAt || ''))[0];
+    }
+
+    /**
+     * Download the whole library as JSON
+     * @returns {Promise<void>}
+     */
+    async exportLibrary() {
+        const places = await this.storage.getAll();
+        const data = {
+            type: 'google-review-helper-library',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            places
+        };
+        exportHandler.download(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'saved-places.json');
+    }
+
+    /**
+     * Check an imported entry, keeping only the fields in entryFields whose values pass
+     * @param {Object} place - Entry from an exported library
+     * @returns {Object|null} Clean entry, null when it has no valid Place ID
+     */
+    sanitizeEntry(place) {
+        if (!place || typeof place !== 'object' || typeof place.id !== 'string' || !urlParser.isPlaceId(place.id)) {
+            return null;
+        }
+
+        const entry = { id: place.id.trim() };
+        Object.entries(this.entryFields).forEach(([field, isValid]) => {
+            if (place[field] !== undefined && isValid(place[field])) {
+                entry[field] = field === 'location' ? { lat: place.location.lat, lng: place.location.lng } : place[field];
+            }
+        });
+        return entry;
+    }
+
+    /**
+     * Merge an exported library into this one. Tags are combined, local notes win.
+     * Entries without a valid Place ID are skipped.
+     * @param {string} text - Exported library JSON
+     * @returns {Promise<Object>} {imported, skipped} counts of places
+     */
+    async importLibrary(text) {
+        const data = JSON.parse(text);
+        const places = Array.isArray(data) ? data : data.places;
+        if (!Array.isArray(places)) {
+            throw new Error(i18n.t('library.notAnExport'));
+        }
+
+        let count = 0;
+        let skipped = 0;
+        for (const item of places) {
+            const place = this.sanitizeEntry(item);
+            if (!place) {
+                skipped++;
+                continue;
+            }
+
+            const existing = await this.storage.get(place.id);
+            const merged = existing ? {
+                ...place,
+                ...existing,
+                tags: [...new Set([...(existing.tags || []), ...(place.tags || [])])],
+                notes: existing.notes || place.notes || '',
+                pinned: existing.pinned || place.pinned || false
+            } : {
+                tags: [],
+                notes: '',
+                pinned: false,
+                savedAt: new Date().toISOString(),
+                ...place
+            };
+
+            await this.storage.put(merged);
+            count++;
+        }
+
+        console.log(`Imported ${count} places into the library, skipped ${skipped}`);
+        this.refresh();
+        return { imported: count, skipped };
+    }
+
+    /**
+     * Render the library into a container
+     * @param {HTMLElement} container - Element holding the search box and list
+     * @param {Function} onOpen - Called with a saved place when it is opened
+     */
+    render(container, onOpen) {
+        this.container = container;
+        this.onOpen = onOpen;
+
+        const searchInput = dom.create('input', { type: 'text', className: 'library-search', placeholder: i18n.t('library.searchPlaceholder'), value: this.query });
+        const exportButton = dom.create('button', { className: 'copy library-export', textContent: i18n.t('library.export') });
+        const importButton = dom.create('button', { className: 'copy library-import', textContent: i18n.t('library.import') });
+        const importFile = dom.create('input', { type: 'file', className: 'library-import-file', accept: '.json,application/json', hidden: true });
+        const message = dom.create('p', { className: 'library-message default-output' });
+
+        dom.replace(container,
+            searchInput,
+            dom.create('ul', { className: 'library-list' }),
+            dom.create('div', { className: 'link-box' }, [exportButton, importButton, importFile]),
+            message
+        );
+
+        searchInput.addEventListener('input', () => {
+            this.query = searchInput.value;
+            this.refresh();
+        });
+
+        exportButton.addEventListener('click', () => {
+            this.exportLibrary();
+        });
+
+        importButton.addEventListener('click', () => {
+            importFile.click();
+        });
+        importFile.addEventListener('change', async () => {
+            const file = importFile.files[0];
+            if (!file) return;
+
+            try {
+                const { imported, skipped } = await this.importLibrary(await file.text());
+                message.textContent = skipped
+                    ? `${i18n.t('library.imported', { count: imported })} ${i18n.t('library.importSkipped', { count: skipped })}`
+                    : i18n.t('library.imported', { count: imported });
+            } catch (e) {
+                console.error('Failed to import library:', e);
+                message.textContent = i18n.t('library.importFailed', { error: e.message });
+            }
+            importFile.value = '';
+        });
+
+        this.refresh();
+    }
+
+    /**
+     * Re-render the list of saved places. Never rejects: it runs unawaited after every
+     * change, so a failure is shown in the list instead.
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (!this.container) return;
+
+        const list = this.container.querySelector('.library-list');
+        try {
+            this.renderPlaces(list, await this.getPlaces(this.query));
+        } catch (e) {
+            console.error('Failed to show the saved places library:', e);
+            dom.replace(list, dom.create('li', { className: 'error-message', textContent: i18n.t('library.loadFailed', { error: e.message }) }));
+        }
+    }
+
+    /**
+     * Fill the list with saved places
+     * @param {HTMLElement} list - Library list element
+     * @param {Object[]} places - Saved places from getPlaces
+     */
+    renderPlaces(list, places) {
+        list.innerHTML = '';
+
+        if (!places.length) {
+            list.appendChild(dom.create('li', {
+                className: 'default-output',
+                textContent: i18n.t(this.query ? 'library.noMatches' : 'library.empty')
+            }));
+            return;
+        }
+
+        places.forEach((place) => {
+            const openButton = dom.create('button', { className: 'copy', textContent: i18n.t('actions.open') });
+            const pinButton = dom.create('button', { className: 'copy', textContent: i18n.t(place.pinned ? 'library.unpin' : 'library.pin') });
+            const deleteButton = dom.create('button', { className: 'copy', textContent: i18n.t('library.delete') });
+            const tagsInput = dom.create('input', { type: 'text', value: (place.tags || []).join(', ') });
+            const notesInput = dom.create('textarea', { rows: 3, value: place.notes || '' });
+
+            const item = dom.create('li', { className: `library-item${place.pinned ? ' pinned' : ''}` }, [
+                dom.create('div', { className: 'library-item-header' }, [
+                    dom.create('div', {}, [
+                        dom.create('p', {}, [dom.create('strong', { textContent: place.displayName || i18n.t('place.none') })]),
+                        dom.create('p', { className: 'library-address', textContent: place.formattedAddress || i18n.t('place.none') }),
+                        place.keyName && dom.create('p', { className: 'library-address', textContent: i18n.t('library.lookedUpWith', { name: place.keyName }) }),
+                        dom.create('p', { className: 'library-tags' }, (place.tags || []).map(tag => dom.create('span', { className: 'library-tag', textContent: tag })))
+                    ])
+                ]),
+                dom.create('div', { className: 'link-box' }, [openButton, pinButton, deleteButton]),
+                dom.create('details', { className: 'library-details' }, [
+                    dom.create('summary', { textContent: i18n.t('library.tagsAndNotes') }),
+                    dom.create('label', {}, [`${i18n.t('library.tags')} `, tagsInput]),
+                    dom.create('label', {}, [`${i18n.t('library.notes')} `, notesInput])
+                ])
+            ]);
+
+            openButton.addEventListener('click', async () => {
+                const entry = await this.touchPlace(place.id);
+                if (this.onOpen) this.onOpen(entry || place);
+            });
+
+            pinButton.addEventListener('click', () => {
+                this.updatePlace(place.id, { pinned: !place.pinned });
+            });
+
+            deleteButton.addEventListener('click', () => {
+                if (confirm(i18n.t('library.confirmDelete', { name: place.displayName || place.id }))) {
+                    this.deletePlace(place.id);
+                }
+            });
+
+            tagsInput.addEventListener('change', (event) => {
+                const tags = event.target.value.split(',').map(tag => tag.trim()).filter(Boolean);
+                this.updatePlace(place.id, { tags });
+            });
+
+            notesInput.addEventListener('change', (event) => {
+                this.updatePlace(place.id, { notes: event.target.value });
+            });
+
+            list.appendChild(item);
+        });
+    }
+}
+
+// Create a singleton instance
+export const libraryHandler = new LibraryHandler();
@@ -0,0 +1,250 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { googlePlacesProvider } from './GooglePlacesProvider.js';
+import { offlineHandler } from './OfflineHandler.js';
+
+/**
+ * Draws a small map with a pin per place, so the user can check they picked the
+ * right branch. Uses the Maps JavaScript API when the Google provider has loaded it.
+ * Otherwise (fake provider, CLI, offline, or a key without Maps JavaScript API
+ * access) it falls back to a static box with the pins placed relative to each other,
+ * which still lets the user pick a candidate.
+ */
+export class MapPreviewHandler {
+    constructor() {
+        // Zoom for a single pin, close enough to see the street
+        this.singleZoom = 16;
+        this.mapHeight = 220;
+        // Advanced markers only draw on a map with a map ID. Deployments set their own,
+        // made in the Cloud Console for the key's project, in the key panel or the widget's
+        // map-id attribute. Google's demo ID is the fallback: it needs no set-up but is
+        // only meant for development.
+        this.demoMapId = 'DEMO_MAP_ID';
+    }
+
+    /**
+     * Get the map ID to draw with
+     * @param {string} [mapId] - Map ID given by the caller, e.g. the widget's map-id attribute
+     * @returns {string} The given ID, else the stored one, else Google's demo ID
+     */
+    getMapId(mapId) {
+        return (mapId || '').trim() || this.getStoredMapId() || this.demoMapId;
+    }
+
+    /**
+     * Store the map ID entered alongside the API key
+     * @param {string} mapId - Map ID, empty to go back to the demo ID
+     * @returns {boolean} Success status
+     */
+    setStoredMapId(mapId) {
+        try {
+            if (mapId) {
+                localStorage.setItem('map_id', mapId);
+            } else {
+                localStorage.removeItem('map_id');
+            }
+            return true;
+        } catch (e) {
+            console.error('Failed to save map ID to localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get the stored map ID
+     * @returns {string} Map ID, empty when none is set
+     */
+    getStoredMapId() {
+        try {
+            return localStorage.getItem('map_id') || '';
+        } catch (e) {
+            console.error('Failed to read map ID from localStorage:', e);
+            return '';
+        }
+    }
+
+    /**
+     * Build a map preview for one or more places
+     * @param {Object[]} places - Place data, those without a location are left out
+     * @param {Object} [options]
+     * @param {Object} [options.selected] - Place to highlight, the others are drawn faded
+     * @param {Function} [options.onSelect] - Called with a place when its pin is clicked
+     * @param {string} [options.mapId] - Map ID over the stored one, see getMapId
+     * @returns {HTMLElement|null} Map container, filled in once the map has loaded.
+     *   Null when none of the places has a location.
+     */
+    create(places, options = {}) {
+        const pins = places
+            .map((place, index) => ({ place, number: index + 1 }))
+            .filter(({ place }) => place.location && Number.isFinite(place.location.lat) && Number.isFinite(place.location.lng));
+        if (!pins.length) return null;
+
+        const label = pins.length > 1
+            ? i18n.t('map.candidatesLabel')
+            : i18n.t('map.label', { name: pins[0].place.displayName || pins[0].place.id });
+        const container = dom.create('div', { className: 'map-preview', attrs: { role: 'group', 'aria-label': label } });
+
+        if (!offlineHandler.isOnline()) {
+            this.renderPlaceholder(container, pins, options, 'map.fallback.offline');
+        } else if (!this.canLoadMaps()) {
+            this.renderPlaceholder(container, pins, options, 'map.fallback.unavailable');
+        } else {
+            this.renderMap(container, pins, options).catch((error) => {
+                console.error('Failed to load map preview:', error);
+                this.renderPlaceholder(container, pins, options, 'map.fallback.failed');
+            });
+        }
+
+        return container;
+    }
+
+    /**
+     * Check whether the Maps JavaScript API is there to draw a real map
+     * @returns {boolean} True when the Google provider has loaded the Maps script
+     */
+    canLoadMaps() {
+        return typeof window !== 'undefined'
+            && Boolean(window.google && window.google.maps && window.google.maps.importLibrary);
+    }
+
+    /**
+     * Draw a Maps JavaScript API map with a marker per place
+     * @param {HTMLElement} container - Map container
+     * @param {Object[]} pins - {place, number}
+     * @param {Object} options - Options passed to create
+     * @returns {Promise<void>} Rejects when the map libraries fail to load
+     */
+    async renderMap(container, pins, options) {
+        const { Map } = await googlePlacesProvider.importLibrary('maps');
+        const { AdvancedMarkerElement, PinElement } = await googlePlacesProvider.importLibrary('marker');
+        const { LatLngBounds } = await googlePlacesProvider.importLibrary('core');
+
+        const canvas = dom.create('div', { className: 'map-canvas' });
+        canvas.style.height = `${this.mapHeight}px`;
+        dom.replace(container, canvas);
+
+        const map = new Map(canvas, {
+            mapId: this.getMapId(options.mapId),
+            center: pins[0].place.location,
+            zoom: this.singleZoom,
+            disableDefaultUI: true,
+            zoomControl: true,
+            clickableIcons: false,
+            gestureHandling: 'cooperative'
+        });
+
+        pins.forEach(({ place, number }) => {
+            const selected = !options.selected || options.selected === place;
+            const pin = new PinElement({ glyph: pins.length > 1 ? i18n.formatNumber(number) : undefined });
+            // Set through the style object, which the page's Content-Security-Policy allows
+            pin.element.style.opacity = selected ? '1' : '0.6';
+
+            const marker = new AdvancedMarkerElement({
+                map,
+                position: place.location,
+                title: this.pinTitle(place, number, pins.length),
+                content: pin.element,
+                zIndex: selected ? 2 : 1
+            });
+
+            if (options.onSelect) {
+                marker.addListener('click', () => options.onSelect(place));
+            }
+        });
+
+        // Fit every pin in view, a single pin keeps the street-level zoom
+        if (pins.length > 1) {
+            const bounds = pins.reduce((all, { place }) => all.extend(place.location), new LatLngBounds());
+            map.fitBounds(bounds, 32);
+        }
+    }
+
+    /**
+     * Draw the static stand-in: a box with the pins placed relative to each other
+     * @param {HTMLElement} container - Map container
+     * @param {Object[]} pins - {place, number}
+     * @param {Object} options - Options passed to create
+     * @param {string} noteKey - Translation key saying why there is no real map
+     */
+    renderPlaceholder(container, pins, options, noteKey) {
+        const box = dom.create('div', { className: 'map-placeholder', dir: 'ltr' });
+        box.style.height = `${this.mapHeight}px`;
+
+        const positions = this.projectPins(pins);
+
+        pins.forEach((pin, index) => {
+            const { place, number } = pin;
+            const title = this.pinTitle(place, number, pins.length);
+            const selected = !options.selected || options.selected === place;
+            const className = `map-pin${selected ? '' : ' faded'}`;
+            const text = pins.length > 1 ? i18n.formatNumber(number) : '';
+
+            const marker = options.onSelect
+                ? dom.create('button', { type: 'button', className, textContent: text, title, attrs: { 'aria-label': i18n.t('map.pinSelect', { place: title }) } })
+                : dom.create('span', { className, textContent: text, title, attrs: { role: 'img', 'aria-label': title } });
+
+            if (options.onSelect) {
+                marker.addEventListener('click', () => options.onSelect(place));
+            }
+
+            // Set through the style object, which the page's Content-Security-Policy allows
+            marker.style.left = `${positions[index].x}%`;
+            marker.style.top = `${positions[index].y}%`;
+            box.appendChild(marker);
+        });
+
+        const location = pins.length === 1 ? pins[0].place.location : null;
+        dom.replace(container,
+            box,
+            dom.create('p', { className: 'map-note', textContent: i18n.t(noteKey) }),
+            location && dom.create('p', {
+                className: 'map-note',
+                dir: 'ltr',
+                textContent: `${i18n.formatNumber(location.lat, { maximumFractionDigits: 6 })}, ${i18n.formatNumber(location.lng, { maximumFractionDigits: 6 })}`
+            })
+        );
+    }
+
+    /**
+     * Place pins in a box as percentages, keeping the distances between them in
+     * proportion. Longitude is scaled by latitude so east-west distances aren't stretched.
+     * @param {Object[]} pins - {place, number}
+     * @returns {Object[]} {x, y} per pin, each between 10 and 90
+     */
+    projectPins(pins) {
+        const points = pins.map(({ place }) => ({
+            x: place.location.lng * Math.cos(place.location.lat * Math.PI / 180),
+            y: place.location.lat
+        }));
+
+        const minX = Math.min(...points.map(point => point.x));
+        const maxX = Math.max(...points.map(point => point.x));
+        const minY = Math.min(...points.map(point => point.y));
+        const maxY = Math.max(...points.map(point => point.y));
+        const span = Math.max(maxX - minX, maxY - minY);
+
+        return points.map((point) => {
+            if (!span) return { x: 50, y: 50 };
+            // Centre the spread and leave a margin so pins at the edge stay inside the box
+            return {
+                x: 50 + ((point.x - (minX + maxX) / 2) / span) * 80,
+                y: 50 - ((point.y - (minY + maxY) / 2) / span) * 80
+            };
+        });
+    }
+
+    /**
+     * Build a pin's tooltip
+     * @param {Object} place - Place data
+     * @param {number} number - Position in the candidate list
+     * @param {number} count - Number of pins on the map
+     * @returns {string} E.g. "2. Joe's Pizza, 1435 Broadway"
+     */
+    pinTitle(place, number, count) {
+        const name = [place.displayName, place.formattedAddress].filter(Boolean).join(', ') || place.id;
+        return count > 1 ? `${i18n.formatNumber(number)}. ${name}` : name;
+    }
+}
+
+// Create a singleton instance
+export const mapPreviewHandler = new MapPreviewHandler();
@@ -0,0 +1,139 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { StorageHandler } from './StorageHandler.js';
+
+/**
+ * Handles offline support: service worker registration, connection state
+ * and lookups queued while offline
+ */
+export class OfflineHandler {
+    constructor() {
+        this.queue = new StorageHandler('lookup_queue');
+        this.statusElement = null;
+    }
+
+    /**
+     * Register the service worker that caches the app shell.
+     * Service workers only run over http(s), so file:// pages skip this.
+     * @returns {Promise<void>}
+     */
+    async register() {
+        if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) {
+            console.log('Service worker not available, offline mode disabled');
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.register('./service-worker.js');
+            console.log('Service worker registered with scope:', registration.scope);
+        } catch (e) {
+            console.error('Failed to register service worker:', e);
+        }
+    }
+
+    /**
+     * Check the browser's connection state
+     * @returns {boolean} False when the browser knows it is offline
+     */
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    /**
+     * Show the connection state in an element and react to changes
+     * @param {HTMLElement} statusElement - Element for the offline and queued states
+     * @param {Function} onReconnect - Called when the connection returns
+     */
+    watch(statusElement, onReconnect) {
+        this.statusElement = statusElement;
+
+        window.addEventListener('offline', () => {
+            console.log('Connection lost');
+            this.renderStatus();
+        });
+
+        window.addEventListener('online', () => {
+            console.log('Connection restored');
+            this.renderStatus();
+            onReconnect();
+        });
+
+        this.renderStatus();
+    }
+
+    /**
+     * Queue a lookup to run when the connection returns
+     * @param {string} input - Business name, Maps link or Place ID
+     * @returns {Promise<Object>} Queued entry
+     */
+    async enqueue(input) {
+        const queued = await this.getQueued();
+        const existing = queued.find(item => item.input === input);
+        if (existing) return existing;
+
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            input,
+            queuedAt: new Date().toISOString()
+        };
+
+        await this.queue.put(entry);
+        console.log('Lookup queued until back online:', input);
+        this.renderStatus();
+        return entry;
+    }
+
+    /**
+     * Get queued lookups, oldest first
+     * @returns {Promise<Object[]>} Queued entries
+     */
+    async getQueued() {
+        const queued = await this.queue.getAll();
+        return queued.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    }
+
+    /**
+     * Remove a lookup from the queue
+     * @param {string} id - Queued entry ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this.queue.delete(id);
+        this.renderStatus();
+    }
+
+    /**
+     * Show the offline state and any queued lookups
+     * @returns {Promise<void>}
+     */
+    async renderStatus() {
+        if (!this.statusElement) return;
+
+        const queued = await this.getQueued();
+        const online = this.isOnline();
+
+        if (online && !queued.length) {
+            this.statusElement.hidden = true;
+            this.statusElement.replaceChildren();
+            return;
+        }
+
+        const message = online
+            ? i18n.t('offline.waiting', { count: queued.length })
+            : i18n.t('offline.status');
+
+        this.statusElement.hidden = false;
+        this.statusElement.className = `connection-status${online ? '' : ' offline'}`;
+        dom.replace(this.statusElement,
+            dom.create('p', {}, [
+                dom.create('strong', { textContent: i18n.t(online ? 'offline.queuedTitle' : 'offline.offlineTitle') }),
+                ' ',
+                message
+            ]),
+            queued.length > 0 && dom.create('ul', { className: 'queued-list' }, queued.map(item => dom.create('li', { textContent: item.input })))
+        );
+    }
+}
+
+// Create a singleton instance
+export const offlineHandler = new OfflineHandler();
@@ -1,204 +1,495 @@
+import { i18n } from './I18nHandler.js';
+import { urlParser } from './UrlParser.js';
+import { reviewLinkBuilder } from './ReviewLinkBuilder.js';
+import { keyDiagnosticsHandler } from './KeyDiagnosticsHandler.js';
+import { googlePlacesProvider } from './GooglePlacesProvider.js';
+import { FakePlacesProvider } from './FakePlacesProvider.js';
+import { fakePlacesFixtures } from './FakePlacesFixtures.js';
+
 /**
  * Handles all Google Places API interactions
  */
-class PlacesHandler {
-    constructor() {
-        this.mapsLoadingPromise = null;
-        this.scriptLoadTimeout = null;
+export class PlacesHandler {
+    /**
+     * @param {Object} [provider] - Places provider, defaults to the page's Google Maps provider
+     */
+    constructor(provider = googlePlacesProvider) {
+        this.provider = provider;
+
+        // Fields every request needs. googleMapsURI carries the Maps CID some link variants need,
+        // and sits in the same Pro tier as displayName.
+        this.baseFields = ['id', 'displayName', 'formattedAddress', 'googleMapsURI'];
+
+        // Optional fields, grouped by the Places API (New) billing tier they pull a request into.
+        // Their labels are the details.group.<key> messages.
+        this.detailFieldGroups = [
+            { key: 'location', tier: 'Essentials', fields: ['location'] },
+            { key: 'businessStatus', tier: 'Pro', fields: ['businessStatus'] },
+            { key: 'photo', tier: 'Pro', fields: ['photos'] },
+            { key: 'rating', tier: 'Enterprise', fields: ['rating', 'userRatingCount'] },
+            { key: 'hours', tier: 'Enterprise', fields: ['regularOpeningHours'] },
+            { key: 'phone', tier: 'Enterprise', fields: ['nationalPhoneNumber'] },
+            { key: 'website', tier: 'Enterprise', fields: ['websiteURI'] }
+        ];
+        // Only the cheap location is on by default, the map preview needs it.
+        // Groups missing from stored settings take these values, so settings saved before a group existed still get it.
+        this.defaultDetailSettings = { location: true };
+
+        // Where name searches are biased towards and what they are narrowed to.
+        // A bias only ranks nearby places first, places elsewhere can still come back.
+        this.defaultSearchSettings = {
+            biasMode: 'none',           // 'none', 'geolocation' or 'city'
+            position: null,             // {lat, lng} from the browser's geolocation
+            city: '',
+            cityLocation: null,         // {city, lat, lng} the city was found at, so it is looked up once
+            radius: 5000,               // Metres, the Places API allows up to 50 km
+            useUrlCoordinates: true,    // Search near the coordinates of a pasted Maps URL
+            region: '',                 // Region code, empty for any region
+            includedType: ''            // Place type such as 'restaurant', empty for any
+        };
+        this.maxRadius = 50000;
     }
 
     /**
-     * Loads the Google Maps API
-     * @param {string} apiKey - Google Maps API key
-     * @returns {Promise} Resolves when API is loaded
+     * Swap the provider behind every Places request
+     * @param {Object} provider - GooglePlacesProvider, FakePlacesProvider or compatible
      */
-    loadGoogleMaps(apiKey) {
-        console.log('loadGoogleMaps called');
-
-        // If already loaded, return immediately
-        if (window.google && window.google.maps && window.google.maps.places) {
-            console.log('Google Maps already loaded');
-            return Promise.resolve();
-        }
-
-        // If currently loading, return the existing promise
-        if (this.mapsLoadingPromise) {
-            console.log('Google Maps is currently loading, returning existing promise');
-            return this.mapsLoadingPromise;
-        }
-
-        // Create new loading promise
-        this.mapsLoadingPromise = new Promise((resolve, reject) => {
-            console.log('Creating new Google Maps loading promise');
-
-            // Set timeout in case callback never fires
-            this.scriptLoadTimeout = setTimeout(() => {
-                console.error('Script load timeout - callback was not called within 10 seconds');
-                this.mapsLoadingPromise = null;
-                reject(new Error('Timeout loading Google Maps. Please check your API key and try again.'));
-            }, 10000);
-
-            // Set up callback before loading script
-            window.initMap = () => {
-                console.log('initMap callback fired');
-                clearTimeout(this.scriptLoadTimeout);
-                delete window.initMap; // Clean up
-
-                // Verify the API actually loaded
-                if (window.google && window.google.maps && window.google.maps.places) {
-                    console.log('Google Maps API fully loaded');
-                    resolve();
-                } else {
-                    console.error('initMap called but API not fully available');
-                    reject(new Error('Google Maps API did not load properly'));
-                }
-            };
+    setProvider(provider) {
+        console.log('Using Places provider:', provider.name);
+        this.provider = provider;
+    }
 
-            const script = document.createElement('script');
-            script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&libraries=places&callback=initMap`;
-            script.async = true;
-            script.defer = true;
+    /**
+     * Serve lookups from the offline fixtures instead of Google, keeping an
+     * already active fake provider so its state survives a redraw
+     * @param {string} [scenario='normal'] - 'normal', 'timeout', 'script-error' or 'ambiguous'
+     */
+    useFakeProvider(scenario = 'normal') {
+        if (!(this.provider instanceof FakePlacesProvider)) {
+            this.setProvider(new FakePlacesProvider(fakePlacesFixtures, { scenario }));
+        }
+    }
 
-            script.onload = () => {
-                console.log('Script tag loaded');
-            };
+    /**
+     * Get the fields to request, based on which detail groups are switched on
+     * @returns {string[]} Places API field names
+     */
+    getRequestedFields() {
+        const enabled = this.getStoredDetailSettings();
+        const extraFields = this.detailFieldGroups
+            .filter(group => enabled[group.key])
+            .flatMap(group => group.fields);
 
-            script.onerror = (error) => {
-                console.error('Script load error:', error);
-                clearTimeout(this.scriptLoadTimeout);
-                this.mapsLoadingPromise = null;
-                reject(new Error('Failed to load Google Maps script. Check your API key, internet connection, and browser console for details.'));
-            };
+        return [...this.baseFields, ...extraFields];
+    }
 
-            console.log('Appending script tag to head');
-            document.head.appendChild(script);
-        });
+    /**
+     * Get the billing tier of a request for the enabled fields.
+     * The base fields already include displayName, which is a Pro field.
+     * @returns {string} 'Pro' or 'Enterprise'
+     */
+    getBillingTier() {
+        const enabled = this.getStoredDetailSettings();
+        const tiers = this.detailFieldGroups
+            .filter(group => enabled[group.key])
+            .map(group => group.tier);
 
-        return this.mapsLoadingPromise;
+        return tiers.includes('Enterprise') ? 'Enterprise' : 'Pro';
     }
 
     /**
-     * Extract place ID from Google Maps URL if present
-     * @param {string} input - URL or search query
-     * @returns {string|null} Extracted place ID or null
+     * Count a request towards this month's usage. Fake providers are not billed.
+     * @param {string} tier - Billing tier of the request
      */
-    extractPlaceIdFromUrl(input) {
-        // Check for place_id parameter
-        const placeIdMatch = input.match(/[?&]place_id=([^&]+)/);
-        if (placeIdMatch) return placeIdMatch[1];
+    recordCall(tier) {
+        if (this.provider.requiresApiKey) {
+            keyDiagnosticsHandler.recordCall(tier);
+        }
+    }
 
-        // Check for ftid parameter (sometimes used)
-        const ftidMatch = input.match(/[?&]ftid=([^&]+)/);
-        if (ftidMatch) return ftidMatch[1];
+    /**
+     * Check the key works for Places API (New) with the cheapest possible request,
+     * a Text Search for IDs only
+     * @returns {Promise<void>} Rejects with the Places API error when the key cannot be used
+     */
+    async testKey() {
+        const { Place } = await this.provider.importLibrary("places");
+
+        this.recordCall('Essentials');
+        await Place.searchByText({
+            textQuery: 'Google',
+            fields: ['id'],
+            maxResultCount: 1
+        });
+    }
 
-        return null;
+    /**
+     * Loads the Google Maps API
+     * @param {string} apiKey - Google Maps API key
+     * @returns {Promise} Resolves when API is loaded
+     */
+    loadGoogleMaps(apiKey) {
+        return this.provider.load(apiKey);
     }
 
     /**
-     * Extract business name from Google Maps URL
-     * @param {string} input - URL
-     * @returns {string|null} Extracted business name or null
+     * Unload the Google Maps script, e.g. when its key is locked or removed
      */
-    extractNameFromUrl(input) {
-        // Try to extract from /place/ URL structure
-        const placeMatch = input.match(/\/place\/([^\/]+)/);
-        if (placeMatch) {
-            return decodeURIComponent(placeMatch[1].replace(/\+/g, ' '));
+    unloadGoogleMaps() {
+        if (typeof this.provider.unload === 'function') {
+            this.provider.unload();
         }
-        return null;
     }
 
     /**
      * Search for a place using Text Search API
      * @param {string} searchQuery - Business name or search query
-     * @returns {Promise<Object>} Place data
+     * @param {Object} [coordinates] - {lat, lng} to bias results towards, e.g. from a pasted Maps URL
+     * @returns {Promise<Object[]>} Candidate places, best match first
      */
-    async searchPlaceByText(searchQuery) {
+    async searchPlaceByText(searchQuery, coordinates = null) {
         console.log('Searching for place with text:', searchQuery);
 
-        const { Place } = await google.maps.importLibrary("places");
+        const { Place } = await this.provider.importLibrary("places");
+        const filters = await this.getSearchFilters(coordinates);
 
         const request = {
             textQuery: searchQuery,
-            fields: ['id', 'displayName', 'formattedAddress'],
-            maxResultCount: 5 // Increased to get more results for validation
+            fields: this.getRequestedFields(),
+            maxResultCount: 20, // API maximum, the candidate picker pages through these
+            language: i18n.getLocale()
         };
 
+        // Only a region the user picked narrows the ranking; the locale alone shouldn't
+        if (filters.region) {
+            request.region = filters.region;
+        }
+
+        if (filters.locationBias) {
+            request.locationBias = {
+                center: { lat: filters.locationBias.lat, lng: filters.locationBias.lng },
+                radius: filters.locationBias.radius
+            };
+            console.log('Using location bias:', request.locationBias);
+        }
+        if (filters.includedType) {
+            request.includedType = filters.includedType;
+        }
+
+        this.recordCall(this.getBillingTier());
         const { places } = await Place.searchByText(request);
 
         if (!places || places.length === 0) {
-            throw new Error('No results found for the search query');
+            throw new Error(i18n.t('errors.noResults'));
         }
 
-        // Check if we have multiple results with different names/addresses
         if (places.length > 1) {
             console.log('Multiple results found:', places);
+        }
 
-            // Check if all results have the same name (chain restaurants)
-            const firstPlaceName = places[0].displayName;
-            const allSameName = places.every(place => place.displayName === firstPlaceName);
-
-            if (!allSameName) {
-                // Different businesses found, need more specific search
-                throw new Error('Multiple different businesses found. Please be more specific with your search terms.');
+        // Every candidate carries what the search was narrowed by, so the result can say why it came first
+        const candidates = places.map((place) => {
+            const placeData = this.toPlaceData(place);
+            if (Object.keys(filters).length) {
+                placeData.searchFilters = filters;
             }
+            return placeData;
+        });
 
-            // Same business name but multiple locations
-            if (places.length > 2) {
-                // Many locations found, need to specify city/address
-                throw new Error(`Multiple locations for "${firstPlaceName}" found. Please include city or address in your search.`);
-            }
+        return this.rankCandidates(candidates);
+    }
+
+    /**
+     * Work out what a text search is biased towards and narrowed to. Coordinates
+     * from a pasted Maps URL win over the chosen area, as they point at the place itself.
+     * @param {Object} [coordinates] - {lat, lng} from a pasted Maps URL
+     * @returns {Promise<Object>} {locationBias: {source, lat, lng, radius, city}, region, includedType}, each only when set
+     */
+    async getSearchFilters(coordinates = null) {
+        const settings = this.getStoredSearchSettings();
+        const filters = {};
+
+        let center = null;
+        if (coordinates && settings.useUrlCoordinates) {
+            center = { source: 'url', lat: coordinates.lat, lng: coordinates.lng };
+        } else if (settings.biasMode === 'geolocation' && settings.position) {
+            center = { source: 'geolocation', lat: settings.position.lat, lng: settings.position.lng };
+        } else if (settings.biasMode === 'city' && settings.city) {
+            center = { source: 'city', city: settings.city, ...await this.locateCity(settings.city) };
+        }
+
+        if (center) {
+            filters.locationBias = { ...center, radius: settings.radius };
+        }
+        if (settings.region) {
+            filters.region = settings.region;
+        }
+        if (settings.includedType) {
+            filters.includedType = settings.includedType;
         }
 
-        // Return the first (and likely only) relevant result
-        return places[0];
+        return filters;
+    }
+
+    /**
+     * Find where a city is with a one-result Text Search, remembering the answer
+     * @param {string} city - City name as typed, e.g. "Brooklyn, NY"
+     * @returns {Promise<Object>} {lat, lng}
+     */
+    async locateCity(city) {
+        const stored = this.getStoredSearchSettings().cityLocation;
+        if (stored && stored.city === city) {
+            return { lat: stored.lat, lng: stored.lng };
+        }
+
+        console.log('Looking up the search area city:', city);
+        const { Place } = await this.provider.importLibrary("places");
+
+        this.recordCall('Essentials');
+        const { places } = await Place.searchByText({
+            textQuery: city,
+            fields: ['id', 'location'],
+            maxResultCount: 1,
+            language: i18n.getLocale()
+        });
+
+        const location = places && places.length ? this.toPlaceData(places[0]).location : null;
+        if (!location) {
+            throw new Error(i18n.t('errors.cityNotFound', { city }));
+        }
+
+        this.setStoredSearchSettings({ cityLocation: { city, ...location } });
+        return location;
+    }
+
+    /**
+     * Copy the fields we use off a Places API result
+     * @param {Object} place - Place from the Places API
+     * @returns {Object} Plain place data
+     */
+    toPlaceData(place) {
+        const placeData = {
+            id: place.id,
+            displayName: place.displayName,
+            formattedAddress: place.formattedAddress
+        };
+
+        const cid = place.googleMapsURI ? reviewLinkBuilder.cidFromMapsUri(place.googleMapsURI) : null;
+        if (cid) placeData.cid = cid;
+
+        // Optional details, only present when requested
+        if (place.location) {
+            // Maps JS returns a LatLng, the fake provider a plain object
+            placeData.location = typeof place.location.lat === 'function'
+                ? { lat: place.location.lat(), lng: place.location.lng() }
+                : { lat: place.location.lat, lng: place.location.lng };
+        }
+        if (place.businessStatus) placeData.businessStatus = place.businessStatus;
+        if (typeof place.rating === 'number') placeData.rating = place.rating;
+        if (typeof place.userRatingCount === 'number') placeData.userRatingCount = place.userRatingCount;
+        if (place.regularOpeningHours && place.regularOpeningHours.weekdayDescriptions) {
+            placeData.openingHours = [...place.regularOpeningHours.weekdayDescriptions];
+        }
+        if (place.nationalPhoneNumber) placeData.nationalPhoneNumber = place.nationalPhoneNumber;
+        if (place.websiteURI) placeData.websiteURI = place.websiteURI;
+
+        // Photo URLs carry the API key, so they are kept off the saved copy
+        if (place.photos && place.photos.length && typeof place.photos[0].getURI === 'function') {
+            Object.defineProperty(placeData, 'photoUrl', {
+                value: place.photos[0].getURI({ maxWidth: 400 }),
+                enumerable: false
+            });
+        }
+
+        return placeData;
+    }
+
+    /**
+     * Order search results so the most likely match comes first.
+     * Results sharing the top result's name (chain locations) are kept
+     * together at the front, everything else follows in API order.
+     * @param {Object[]} places - Places returned by Text Search
+     * @returns {Object[]} Ranked places
+     */
+    rankCandidates(places) {
+        const firstPlaceName = places[0].displayName;
+        const sameName = places.filter(place => place.displayName === firstPlaceName);
+        const otherNames = places.filter(place => place.displayName !== firstPlaceName);
+
+        return [...sameName, ...otherNames];
     }
 
     /**
      * Get place details by ID using Places API
      * @param {string} placeId - Google Place ID
-     * @returns {Promise<Object>} Place data
+     * @returns {Promise<Object>} Place data, with previousPlaceId set when Google returned a replacement ID
      */
     async getPlaceById(placeId) {
         console.log('Getting place details for ID:', placeId);
 
-        const { Place } = await google.maps.importLibrary("places");
+        const { Place } = await this.provider.importLibrary("places");
 
         const place = new Place({
             id: placeId,
-            requestedLanguage: 'en'
+            requestedLanguage: i18n.getLocale(),
+            requestedRegion: i18n.getRegion() || undefined
         });
 
-        await place.fetchFields({
-            fields: ['id', 'displayName', 'formattedAddress']
-        });
+        try {
+            this.recordCall(this.getBillingTier());
+            await place.fetchFields({
+                fields: this.getRequestedFields()
+            });
+        } catch (err) {
+            console.error('Place details request failed:', err);
+            if (/NOT_FOUND|INVALID_ARGUMENT|INVALID_REQUEST|not found|invalid/i.test(err.message)) {
+                throw new Error(i18n.t('errors.unknownPlaceId', { id: placeId }));
+            }
+            throw err;
+        }
+
+        const placeData = this.toPlaceData(place);
+
+        // Obsolete IDs can come back with the place's current ID
+        if (placeData.id && placeData.id !== placeId) {
+            console.log(`Place ID ${placeId} has been replaced by ${placeData.id}`);
+            placeData.previousPlaceId = placeId;
+        }
+
+        return placeData;
+    }
+
+    /**
+     * Store which optional detail groups are switched on
+     * @param {Object} settings - Map of detail group key to boolean
+     * @returns {boolean} Success status
+     */
+    setStoredDetailSettings(settings) {
+        try {
+            const newSettings = { ...this.getStoredDetailSettings(), ...settings };
+            localStorage.setItem('detail_settings', JSON.stringify(newSettings));
+            console.log('Detail settings saved to localStorage');
+            return true;
+        } catch (e) {
+            console.error('Failed to save detail settings to localStorage:', e);
+            return false;
+        }
+    }
 
-        return place;
+    /**
+     * Get which optional detail groups are switched on
+     * @returns {Object} Map of detail group key to boolean
+     */
+    getStoredDetailSettings() {
+        try {
+            const value = localStorage.getItem('detail_settings');
+            return value ? { ...this.defaultDetailSettings, ...JSON.parse(value) } : { ...this.defaultDetailSettings };
+        } catch (e) {
+            console.error('Failed to read detail settings from localStorage:', e);
+            return { ...this.defaultDetailSettings };
+        }
+    }
+
+    /**
+     * Store the search area settings. Values the Places API would reject are dropped.
+     * @param {Object} settings - Any of the keys in this.defaultSearchSettings
+     * @returns {boolean} Success status
+     */
+    setStoredSearchSettings(settings) {
+        try {
+            const newSettings = { ...this.getStoredSearchSettings(), ...settings };
+            const region = String(newSettings.region || '').trim();
+            const includedType = String(newSettings.includedType || '').trim().toLowerCase();
+
+            newSettings.radius = Math.min(this.maxRadius, Math.max(1, Math.round(Number(newSettings.radius)) || this.defaultSearchSettings.radius));
+            newSettings.region = /^[a-z]{2}$/i.test(region) ? region.toUpperCase() : '';
+            newSettings.includedType = /^[a-z_]+$/.test(includedType) ? includedType : '';
+
+            localStorage.setItem('search_settings', JSON.stringify(newSettings));
+            console.log('Search area settings saved to localStorage');
+            return true;
+        } catch (e) {
+            console.error('Failed to save search area settings to localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get the search area settings
+     * @returns {Object} Settings shaped like this.defaultSearchSettings
+     */
+    getStoredSearchSettings() {
+        try {
+            const value = localStorage.getItem('search_settings');
+            return value ? { ...this.defaultSearchSettings, ...JSON.parse(value) } : { ...this.defaultSearchSettings };
+        } catch (e) {
+            console.error('Failed to read search area settings from localStorage:', e);
+            return { ...this.defaultSearchSettings };
+        }
     }
 
     /**
      * Search for a place using either ID or text query
      * @param {string} input - Google Maps URL, place ID, or business name
-     * @returns {Promise<Object>} Place data
+     * @returns {Promise<Object[]>} Candidate places, a single entry when the match is unambiguous
      */
     async searchPlace(input) {
-        // Check if input is a Google Maps URL with a place_id
-        const extractedPlaceId = this.extractPlaceIdFromUrl(input);
-        console.log('Extracted Place ID:', extractedPlaceId);
+        // A bare Place ID skips the text search entirely
+        if (urlParser.isPlaceId(input)) {
+            console.log('Input is a Place ID');
+            return [await this.getPlaceById(input.trim())];
+        }
 
-        if (extractedPlaceId) {
+        // Pull every identifier we can out of a pasted URL
+        const parsedUrl = urlParser.parse(input);
+        console.log('Parsed URL:', parsedUrl);
+
+        if (!parsedUrl) {
+            // Plain business name
+            return await this.searchPlaceByText(input);
+        }
+
+        if (parsedUrl.placeId) {
             // Get place by ID using new API
-            return await this.getPlaceById(extractedPlaceId);
-        } else {
-            // Extract business name from URL or use input as-is
-            const searchQuery = this.extractNameFromUrl(input) || input;
+            return this.attachFeatureId([await this.getPlaceById(parsedUrl.placeId)], parsedUrl);
+        }
+
+        // Fall back to a text search on the name, biased towards the URL's coordinates
+        const searchQuery = parsedUrl.name || parsedUrl.query;
+        if (searchQuery) {
             console.log('Search query:', searchQuery);
+            return this.attachFeatureId(await this.searchPlaceByText(searchQuery, parsedUrl.coordinates), parsedUrl);
+        }
+
+        if (parsedUrl.isShortLink) {
+            throw new Error(i18n.t('errors.shortLink'));
+        }
+
+        if (parsedUrl.cid) {
+            throw new Error(i18n.t('errors.cidOnly', { cid: parsedUrl.cid }));
+        }
+
+        throw new Error(i18n.t('errors.noPlaceInUrl'));
+    }
+
+    /**
+     * Keep the pasted URL's Maps feature ID on the candidate it belongs to.
+     * The Places API never returns feature IDs, so this is the only way to get one.
+     * The ID's second half is the CID, which tells us which candidate it is.
+     * @param {Object[]} candidates - Candidate places
+     * @param {Object} parsedUrl - Result of urlParser.parse
+     * @returns {Object[]} The same candidates
+     */
+    attachFeatureId(candidates, parsedUrl) {
+        if (!parsedUrl.featureId || !parsedUrl.cid) return candidates;
 
-            // Search for place using new API
-            return await this.searchPlaceByText(searchQuery);
+        const match = candidates.find(candidate => candidate.cid === parsedUrl.cid);
+        if (match) {
+            match.featureId = parsedUrl.featureId;
         }
+        return candidates;
     }
 }
 
 // Create a singleton instance
-const placesHandler = new PlacesHandler();
\ No newline at end of file
+export const placesHandler = new PlacesHandler();
\ No newline at end of file
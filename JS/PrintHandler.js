@@ -0,0 +1,431 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { qrCodeHandler } from './QRCodeHandler.js';
+import { printTemplates } from './PrintTemplates.js';
+
+/**
+ * Handles printable review-request layouts built from printTemplates
+ */
+export class PrintHandler {
+    constructor() {
+        this.templates = printTemplates;
+    }
+
+    /**
+     * Get built-in templates followed by any imported ones
+     * @returns {Object[]} Print templates
+     */
+    getTemplates() {
+        const customTemplates = this.getStoredCustomTemplates();
+        const builtInIds = new Set(this.templates.map(template => template.id));
+        return [...this.templates, ...customTemplates.filter(template => !builtInIds.has(template.id))];
+    }
+
+    /**
+     * Find a template by ID
+     * @param {string} templateId - Template ID
+     * @returns {Object} Print template, the first one when the ID is unknown
+     */
+    getTemplate(templateId) {
+        const templates = this.getTemplates();
+        return templates.find(template => template.id === templateId) || templates[0];
+    }
+
+    /**
+     * Get a template's name in the UI language. Imported templates keep their own name.
+     * @param {Object} template - Print template
+     * @returns {string} Template name
+     */
+    getTemplateName(template) {
+        const key = `print.${template.id}.name`;
+        return i18n.has(key) ? i18n.t(key) : template.name;
+    }
+
+    /**
+     * Get the headline and call to action to start from: the texts last used with the
+     * template in this language, else its translated defaults, else its own defaults
+     * @param {Object} template - Print template
+     * @returns {Object} {headline, callToAction}
+     */
+    getTexts(template) {
+        const settings = this.getStoredPrintSettings();
+        const saved = settings.texts && settings.texts[template.id];
+        if (saved && (saved.language || 'en') === i18n.getLanguage()) {
+            return saved;
+        }
+
+        const key = `print.${template.id}`;
+        return {
+            headline: i18n.has(`${key}.headline`) ? i18n.t(`${key}.headline`) : template.defaults.headline,
+            callToAction: i18n.has(`${key}.callToAction`) ? i18n.t(`${key}.callToAction`) : template.defaults.callToAction
+        };
+    }
+
+    /**
+     * Escape text for use inside the generated print document
+     * @param {string} text - Raw text
+     * @returns {string} HTML-safe text
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Build the markup for one printed panel
+     * @param {Object} template - Print template
+     * @param {Object} data - {headline, callToAction, name, address, qrSvg}
+     * @returns {string} Panel HTML
+     */
+    renderPanel(template, data) {
+        const parts = {
+            headline: `<div class="headline">${this.escapeHtml(data.headline)}</div>`,
+            callToAction: `<div class="cta">${this.escapeHtml(data.callToAction)}</div>`,
+            name: `<div class="name">${this.escapeHtml(data.name)}</div>`,
+            address: `<div class="address">${this.escapeHtml(data.address)}</div>`,
+            qr: `<div class="qr">${data.qrSvg}</div>`
+        };
+
+        // Row layouts put the QR beside the text instead of above it
+        if (template.layout === 'row') {
+            const text = template.elements.filter(element => element !== 'qr').map(element => parts[element]).join('');
+            return `<div class="panel row">${parts.qr}<div class="text">${text}</div></div>`;
+        }
+
+        return `<div class="panel">${template.elements.map(element => parts[element]).join('')}</div>`;
+    }
+
+    /**
+     * Build a complete, print-ready HTML document
+     * @param {Object} template - Print template
+     * @param {Object} data - {headline, callToAction, name, address, qrSvg}
+     * @returns {string} HTML document
+     */
+    buildDocument(template, data) {
+        const panel = this.renderPanel(template, data);
+        const count = template.grid.columns * template.grid.rows;
+        let body;
+
+        if (template.fold) {
+            // The top half is upside down so the tent reads correctly from both sides
+            body = `<div class="sheet fold"><div class="flipped">${panel}</div>${panel}</div>`;
+        } else {
+            body = `<div class="sheet grid">${panel.repeat(count)}</div>`;
+        }
+
+        return `<!DOCTYPE html>
+<html lang="${i18n.getLocale()}" dir="${i18n.getDirection()}">
+<head>
+  <meta charset="UTF-8">
+  <title>${this.escapeHtml(this.getTemplateName(template))} - ${this.escapeHtml(data.name)}</title>
+  <style>
+    @page { size: ${template.page.size}; margin: 0; }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: 'Noto Sans', Arial, sans-serif; background: #e5e5e5; }
+    .toolbar { padding: 12px; text-align: center; }
+    .toolbar button { padding: 8px 24px; font-size: 14px; cursor: pointer; }
+    .sheet {
+      width: ${template.page.width}mm;
+      height: ${template.page.height}mm;
+      margin: 0 auto 24px;
+      background: ${template.colors.background};
+      overflow: hidden;
+    }
+    .grid {
+      display: grid;
+      grid-template-columns: repeat(${template.grid.columns}, ${template.panel.width}mm);
+      grid-template-rows: repeat(${template.grid.rows}, ${template.panel.height}mm);
+      justify-content: center;
+      align-content: center;
+    }
+    .fold .flipped { transform: rotate(180deg); border-bottom: 0.2mm dashed #bbbbbb; }
+    .panel {
+      width: ${template.panel.width}mm;
+      height: ${template.panel.height}mm;
+      padding: 5mm;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 2mm;
+      text-align: center;
+      color: ${template.colors.text};
+      ${template.grid.columns * template.grid.rows > 1 ? 'outline: 0.2mm dashed #dddddd;' : ''}
+    }
+    .panel.row { flex-direction: row; text-align: start; gap: 4mm; }
+    .panel.row .text { display: flex; flex-direction: column; gap: 1.5mm; }
+    .qr { width: ${template.qrSize}mm; height: ${template.qrSize}mm; flex: 0 0 auto; }
+    .qr svg { width: 100%; height: 100%; display: block; }
+    .headline { font-size: ${template.fonts.headline}pt; font-weight: 700; color: ${template.colors.accent}; }
+    .cta { font-size: ${template.fonts.callToAction}pt; font-weight: 600; }
+    .name { font-size: ${template.fonts.name}pt; }
+    .address { font-size: ${template.fonts.address}pt; opacity: 0.75; }
+    @media print {
+      body { background: none; }
+      .toolbar { display: none; }
+      .sheet { margin: 0; }
+    }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button type="button">${this.escapeHtml(i18n.t('print.print'))}</button></div>
+  ${body}
+</body>
+</html>`;
+    }
+
+    /**
+     * Open a print preview for a template in a new tab
+     * @param {Object} template - Print template
+     * @param {Object} data - {headline, callToAction, name, address, reviewUrl}
+     * @param {Object} [qrOverrides] - QR options over the stored ones, e.g. from a shared link
+     * @returns {boolean} False when a popup blocker kept the preview from opening
+     */
+    openPreview(template, data, qrOverrides = {}) {
+        // Vector QR so it stays sharp at any print size
+        const qrSvg = qrCodeHandler.buildSvg(data.reviewUrl, qrCodeHandler.getQrOptions(qrOverrides))
+            .replace(/<\?xml[^>]*\?>\s*/, '');
+
+        const newWindow = window.open();
+        if (!newWindow) {
+            console.error('The print preview was blocked');
+            return false;
+        }
+
+        dom.showDocument(newWindow, this.buildDocument(template, { ...data, qrSvg }));
+
+        // Inline handlers are blocked by the Content-Security-Policy, so the button is wired up from here
+        newWindow.document.querySelector('.toolbar button').addEventListener('click', () => {
+            newWindow.print();
+        });
+        return true;
+    }
+
+    /**
+     * Add the print template controls to the result view
+     * @param {HTMLElement} output - Output element to append the section to
+     * @param {Object} placeData - Place data with displayName and formattedAddress
+     * @param {string} reviewUrl - URL for the review page
+     * @param {Object} [qrOverrides] - QR options over the stored ones, e.g. from a shared link
+     */
+    renderPrintSection(output, placeData, reviewUrl, qrOverrides = {}) {
+        const settings = this.getStoredPrintSettings();
+        const templates = this.getTemplates();
+        const template = this.getTemplate(settings.templateId);
+        const texts = this.getTexts(template);
+
+        const templateSelect = dom.create('select', { id: dom.uniqueId('print-template'), className: 'correction-dropdown' },
+            templates.map(item => dom.create('option', {
+                value: item.id,
+                selected: item.id === template.id,
+                textContent: this.getTemplateName(item)
+            }))
+        );
+        const headlineInput = dom.create('input', { type: 'text', value: texts.headline });
+        const ctaInput = dom.create('input', { type: 'text', value: texts.callToAction });
+        const previewButton = dom.create('button', { textContent: i18n.t('print.preview') });
+        const importInput = dom.create('input', { type: 'file', accept: '.json,application/json' });
+        const previewError = dom.create('p', { className: 'error-message print-error' });
+        const importError = dom.create('p', { className: 'error-message print-import-error' });
+
+        const printSection = dom.create('div', { className: 'qr-section print-section' }, [
+            dom.create('div', { className: 'qr-settings' }, [
+                dom.create('h3', { textContent: i18n.t('print.title') }),
+                dom.create('div', { className: 'dropdown-container' }, [
+                    dom.create('label', { htmlFor: templateSelect.id, textContent: i18n.t('print.template') }),
+                    templateSelect
+                ]),
+                dom.create('label', {}, [i18n.t('print.headline'), ' ', headlineInput]),
+                dom.create('label', {}, [i18n.t('print.callToAction'), ' ', ctaInput]),
+                previewButton,
+                previewError,
+                dom.create('label', {}, [i18n.t('print.import'), ' ', importInput]),
+                importError
+            ])
+        ]);
+
+        output.appendChild(printSection);
+
+        // Switching template loads its saved (or default) texts
+        templateSelect.addEventListener('change', () => {
+            const selected = this.getTemplate(templateSelect.value);
+            const selectedTexts = this.getTexts(selected);
+            headlineInput.value = selectedTexts.headline;
+            ctaInput.value = selectedTexts.callToAction;
+            this.setStoredPrintSettings({ templateId: selected.id });
+        });
+
+        previewButton.addEventListener('click', () => {
+            const selected = this.getTemplate(templateSelect.value);
+            const selectedTexts = { headline: headlineInput.value, callToAction: ctaInput.value };
+            this.saveTexts(selected.id, selectedTexts);
+
+            const opened = this.openPreview(selected, {
+                ...selectedTexts,
+                name: placeData.displayName || '',
+                address: placeData.formattedAddress || '',
+                reviewUrl
+            }, qrOverrides);
+            previewError.textContent = opened ? '' : i18n.t('errors.popupBlocked');
+        });
+
+        importInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            try {
+                this.importTemplates(JSON.parse(await file.text()));
+                printSection.remove();
+                this.renderPrintSection(output, placeData, reviewUrl, qrOverrides);
+            } catch (e) {
+                console.error('Failed to import print templates:', e);
+                importError.textContent = i18n.t('print.importFailed', { error: e.message });
+                importInput.value = '';
+            }
+        });
+    }
+
+    /**
+     * Save imported templates, replacing any with the same ID
+     * @param {Object|Object[]} imported - One template or a list of templates
+     */
+    importTemplates(imported) {
+        const list = Array.isArray(imported) ? imported : [imported];
+        list.forEach((template) => {
+            const problems = this.validateTemplate(template);
+            if (problems.length) {
+                throw new Error(`Template "${template.id || 'unknown'}" is invalid: ${problems.join(', ')}`);
+            }
+        });
+
+        const importedIds = new Set(list.map(template => template.id));
+        const customTemplates = this.getStoredCustomTemplates().filter(template => !importedIds.has(template.id));
+        this.setStoredCustomTemplates([...customTemplates, ...list]);
+    }
+
+    /**
+     * Check a template before its values go into the print document's markup and styles.
+     * Sizes must be numbers, colours hex codes and IDs plain words, so an imported
+     * template can't break out of the stylesheet.
+     * @param {Object} template - Print template
+     * @returns {string[]} Problems found, empty when the template is usable
+     */
+    validateTemplate(template) {
+        const required = ['id', 'name', 'page', 'panel', 'grid', 'elements', 'qrSize', 'fonts', 'colors', 'defaults'];
+        const missing = required.filter(field => !template || !(field in template));
+        if (missing.length) {
+            return [`missing ${missing.join(', ')}`];
+        }
+
+        const problems = [];
+        const isSize = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+        const sizes = {
+            'page.width': template.page.width,
+            'page.height': template.page.height,
+            'panel.width': template.panel.width,
+            'panel.height': template.panel.height,
+            'grid.columns': template.grid.columns,
+            'grid.rows': template.grid.rows,
+            qrSize: template.qrSize,
+            ...Object.fromEntries(Object.entries(template.fonts || {}).map(([name, value]) => [`fonts.${name}`, value]))
+        };
+
+        Object.entries(sizes).forEach(([name, value]) => {
+            if (!isSize(value)) problems.push(`${name} must be a positive number`);
+        });
+        ['background', 'text', 'accent'].forEach((name) => {
+            if (!/^#[0-9a-f]{3,8}$/i.test((template.colors || {})[name])) problems.push(`colors.${name} must be a hex colour`);
+        });
+        if (!/^[\w-]+$/.test(template.id)) problems.push('id may only use letters, digits, - and _');
+        if (!/^[a-z0-9 ]+$/i.test(template.page.size)) problems.push('page.size must be a CSS page size such as "A4 portrait"');
+        if (!Array.isArray(template.elements) || !template.elements.every(element => ['headline', 'name', 'qr', 'callToAction', 'address'].includes(element))) {
+            problems.push('elements may only list headline, name, qr, callToAction and address');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Remember the headline and call to action used for a template, and in which language
+     * @param {string} templateId - Template ID
+     * @param {Object} texts - {headline, callToAction}
+     */
+    saveTexts(templateId, texts) {
+        const settings = this.getStoredPrintSettings();
+        this.setStoredPrintSettings({
+            templateId,
+            texts: { ...(settings.texts || {}), [templateId]: { ...texts, language: i18n.getLanguage() } }
+        });
+    }
+
+    /**
+     * Store print settings in localStorage
+     * @param {Object} settings - Print settings to store
+     * @returns {boolean} Success status
+     */
+    setStoredPrintSettings(settings) {
+        try {
+            const newSettings = { ...this.getStoredPrintSettings(), ...settings };
+            localStorage.setItem('print_settings', JSON.stringify(newSettings));
+            console.log('Print settings saved to localStorage');
+            return true;
+        } catch (e) {
+            console.error('Failed to save print settings to localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get print settings from localStorage
+     * @returns {Object} Print settings
+     */
+    getStoredPrintSettings() {
+        try {
+            const value = localStorage.getItem('print_settings');
+            return value ? JSON.parse(value) : {};
+        } catch (e) {
+            console.error('Failed to read print settings from localStorage:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Store imported templates in localStorage
+     * @param {Object[]} templates - Custom templates
+     * @returns {boolean} Success status
+     */
+    setStoredCustomTemplates(templates) {
+        try {
+            localStorage.setItem('custom_print_templates', JSON.stringify(templates));
+            console.log('Custom print templates saved to localStorage');
+            return true;
+        } catch (e) {
+            console.error('Failed to save custom print templates to localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get imported templates from localStorage
+     * @returns {Object[]} Custom templates
+     */
+    getStoredCustomTemplates() {
+        try {
+            const value = localStorage.getItem('custom_print_templates');
+            const templates = value ? JSON.parse(value) : [];
+
+            // Stored data may have been edited by hand, only well-formed templates are used
+            return Array.isArray(templates) ? templates.filter(template => !this.validateTemplate(template).length) : [];
+        } catch (e) {
+            console.error('Failed to read custom print templates from localStorage:', e);
+            return [];
+        }
+    }
+}
+
+// Create a singleton instance
+export const printHandler = new PrintHandler();
@@ -0,0 +1,100 @@
+/**
+ * Printable review-request templates
+ *
+ * Every template is plain data, so adding a layout means adding an entry here
+ * (or importing one through PrintHandler, which keeps custom ones in localStorage).
+ * Sizes are in millimetres, font sizes in points.
+ *
+ *   page        - Paper size and the CSS @page size keyword
+ *   panel       - Size of one printed item
+ *   grid        - How many panels fit on the page
+ *   fold        - Panels mirrored above a centre fold (table tents)
+ *   elements    - Order of content inside a panel: headline, name, qr, callToAction, address
+ *   qrSize      - QR code size
+ *   fonts       - Font size per text element
+ *   colors      - Background, text and accent colours
+ *   defaults    - Starting headline and call-to-action text, for languages without print.<id>.* messages
+ */
+export const printTemplates = [
+    {
+        id: 'table-tent-a6',
+        name: 'A6 Table Tent',
+        page: { width: 148, height: 210, size: 'A5 portrait' },
+        panel: { width: 148, height: 105 },
+        grid: { columns: 1, rows: 1 },
+        fold: true,
+        elements: ['headline', 'qr', 'callToAction', 'name'],
+        qrSize: 45,
+        fonts: { headline: 18, callToAction: 12, name: 10, address: 8 },
+        colors: { background: '#ffffff', text: '#171717', accent: '#aa6519' },
+        defaults: {
+            headline: 'Enjoyed your visit?',
+            callToAction: 'Scan to leave us a review!'
+        }
+    },
+    {
+        id: 'business-cards',
+        name: 'Business Card Sheet (10 per A4)',
+        page: { width: 210, height: 297, size: 'A4 portrait' },
+        panel: { width: 85, height: 55 },
+        grid: { columns: 2, rows: 5 },
+        fold: false,
+        elements: ['qr', 'headline', 'callToAction', 'name'],
+        layout: 'row',
+        qrSize: 38,
+        fonts: { headline: 10, callToAction: 8, name: 7, address: 6 },
+        colors: { background: '#ffffff', text: '#171717', accent: '#aa6519' },
+        defaults: {
+            headline: 'Tell us how we did',
+            callToAction: 'Scan to leave a Google review'
+        }
+    },
+    {
+        id: 'flyer-letter',
+        name: 'Flyer (US Letter)',
+        page: { width: 215.9, height: 279.4, size: 'letter portrait' },
+        panel: { width: 215.9, height: 279.4 },
+        grid: { columns: 1, rows: 1 },
+        fold: false,
+        elements: ['headline', 'name', 'qr', 'callToAction', 'address'],
+        qrSize: 110,
+        fonts: { headline: 36, callToAction: 22, name: 20, address: 12 },
+        colors: { background: '#ffffff', text: '#171717', accent: '#aa6519' },
+        defaults: {
+            headline: 'We\'d love your feedback!',
+            callToAction: 'Scan the code to leave us a Google review'
+        }
+    },
+    {
+        id: 'flyer-a4',
+        name: 'Flyer (A4)',
+        page: { width: 210, height: 297, size: 'A4 portrait' },
+        panel: { width: 210, height: 297 },
+        grid: { columns: 1, rows: 1 },
+        fold: false,
+        elements: ['headline', 'name', 'qr', 'callToAction', 'address'],
+        qrSize: 110,
+        fonts: { headline: 36, callToAction: 22, name: 20, address: 12 },
+        colors: { background: '#ffffff', text: '#171717', accent: '#aa6519' },
+        defaults: {
+            headline: 'We\'d love your feedback!',
+            callToAction: 'Scan the code to leave us a Google review'
+        }
+    },
+    {
+        id: 'window-sticker',
+        name: 'Window Sticker (120mm)',
+        page: { width: 120, height: 120, size: '120mm 120mm' },
+        panel: { width: 120, height: 120 },
+        grid: { columns: 1, rows: 1 },
+        fold: false,
+        elements: ['headline', 'qr', 'callToAction'],
+        qrSize: 70,
+        fonts: { headline: 16, callToAction: 11, name: 10, address: 8 },
+        colors: { background: '#ffffff', text: '#171717', accent: '#aa6519' },
+        defaults: {
+            headline: 'Review us on Google',
+            callToAction: 'Scan with your phone camera'
+        }
+    }
+];
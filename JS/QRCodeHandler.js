@@ -1,209 +1,872 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { exportHandler } from './ExportHandler.js';
+
 /**
  * Handles QR code generation and management
  */
-class QRCodeHandler {
+export class QRCodeHandler {
     constructor() {
-        this.qrCodeInstances = {
-            review: null,
-            business: null
+        // Defaults for every customisable QR option: the helper's orange on a transparent background
+        this.defaultSettings = {
+            correctionLevel: 'M',
+            colorDark: '#aa6519',
+            colorLight: '#ffffff',
+            transparentBackground: true,
+            logo: null,
+            logoScale: 0.22,
+            margin: 4,
+            size: 1024,
+            moduleShape: 'square'
+        };
+
+        // Minimum foreground/background contrast ratio for reliable scanning
+        this.minContrastRatio = 4.5;
+
+        // Allowed range of each numeric option, values outside it are clamped
+        this.numericRanges = {
+            logoScale: { min: 0.05, max: 0.3 },
+            margin: { min: 0, max: 20, whole: true },
+            size: { min: 64, max: 4096, whole: true }
         };
     }
 
     /**
-     * Generate QR codes for the business and review pages
+     * Get the effective QR options: stored settings over defaults.
+     * A logo hides part of the code, so it forces High error correction.
+     * @param {Object} [overrides] - Options that win over the stored settings, e.g. from renderQr
+     * @returns {Object} QR options
+     */
+    getQrOptions(overrides = {}) {
+        const options = { ...this.defaultSettings, ...this.getStoredQrSettings(), ...this.sanitizeQrSettings(overrides) };
+        if (options.logo) {
+            options.correctionLevel = 'H';
+        }
+        return options;
+    }
+
+    /**
+     * Keep the QR options that are safe to draw and to write into SVG and print markup.
+     * Stored settings and API callers are not trusted, so colours must be hex, the logo
+     * a base64 raster image data URL and numbers within numericRanges.
+     * @param {Object} settings - QR options from storage or a caller
+     * @returns {Object} Valid options, invalid ones are left out so the defaults apply
+     */
+    sanitizeQrSettings(settings) {
+        const valid = {};
+        if (!settings || typeof settings !== 'object') return valid;
+
+        if (['L', 'M', 'Q', 'H'].includes(settings.correctionLevel)) {
+            valid.correctionLevel = settings.correctionLevel;
+        }
+        ['colorDark', 'colorLight'].forEach((name) => {
+            if (typeof settings[name] === 'string' && /^#[0-9a-f]{6}$/i.test(settings[name])) {
+                valid[name] = settings[name].toLowerCase();
+            }
+        });
+        if (typeof settings.transparentBackground === 'boolean') {
+            valid.transparentBackground = settings.transparentBackground;
+        }
+        if (settings.logo === null
+            || (typeof settings.logo === 'string' && /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/]+=*$/i.test(settings.logo))) {
+            valid.logo = settings.logo;
+        }
+        Object.entries(this.numericRanges).forEach(([name, range]) => {
+            const value = Number(settings[name]);
+            if (settings[name] === undefined || settings[name] === null || settings[name] === '' || !Number.isFinite(value)) return;
+            const clamped = Math.min(range.max, Math.max(range.min, value));
+            valid[name] = range.whole ? Math.round(clamped) : clamped;
+        });
+        if (['square', 'rounded', 'dots'].includes(settings.moduleShape)) {
+            valid.moduleShape = settings.moduleShape;
+        }
+
+        return valid;
+    }
+
+    /**
+     * Generate a QR code for each link, e.g. one per chosen link variant.
+     * Controls are wired up by reference and labelled through generated IDs,
+     * so any number of results can share a page.
      * @param {string} placeId - Google Place ID
      * @param {string} placeName - Name of the place
-     * @param {string} reviewUrl - URL for the review page
-     * @param {string} businessUrl - URL for the business page
+     * @param {Object[]} codes - {type, label, url}, type names the code in file names
      * @param {HTMLElement} output - Output element to append QR codes to
+     * @param {Object} [overrides] - QR options for these codes only, e.g. from a shared link. They are never stored.
      */
-    generateQRCodes(placeId, placeName, reviewUrl, businessUrl, output) {
-        // Get QR settings from localStorage
-        const qrSettings = this.getStoredQrSettings();
-        const correctionLevel = qrSettings.correctionLevel || 'M';
+    generateQRCodes(placeId, placeName, codes, output, overrides = {}) {
+        // Stored settings, under whatever this result was opened with
+        const options = this.getQrOptions(overrides);
+        const correctionLevel = options.correctionLevel;
 
         // Create QR section
         const qrSection = document.createElement('div');
         qrSection.className = 'qr-section';
 
         // Create QR settings
-        const qrSettingsDiv = document.createElement('div');
-        qrSettingsDiv.className = 'qr-settings';
-        qrSettingsDiv.innerHTML = `
-      <h3>QR Code Settings</h3>
-      <div class="dropdown-container">
-        <label for="correction-level">Error Correction:</label>
-        <select id="correction-level" class="correction-dropdown">
-          <option value="L" ${correctionLevel === 'L' ? 'selected' : ''}>Low (7%)</option>
-          <option value="M" ${correctionLevel === 'M' ? 'selected' : ''}>Medium (15%)</option>
-          <option value="Q" ${correctionLevel === 'Q' ? 'selected' : ''}>Quartile (25%)</option>
-          <option value="H" ${correctionLevel === 'H' ? 'selected' : ''}>High (30%)</option>
-        </select>
-      </div>
-    `;
+        const field = (labelKey, control, extra = []) => dom.create('div', { className: 'dropdown-container' }, [
+            dom.create('label', { htmlFor: control.id, textContent: i18n.t(labelKey) }),
+            control,
+            ...extra
+        ]);
+        const select = (name, values, selected, label, props = {}) => dom.create('select', { id: dom.uniqueId(name), className: 'correction-dropdown', ...props },
+            values.map(value => dom.create('option', { value, selected: value === selected, textContent: label(value) }))
+        );
+
+        const correctionSelect = select('correction-level', ['L', 'M', 'Q', 'H'], correctionLevel, level => i18n.t(`qr.correction.${level}`), { disabled: !!options.logo });
+        const darkInput = dom.create('input', { type: 'color', id: dom.uniqueId('qr-color-dark'), className: 'qr-color', value: options.colorDark });
+        const lightInput = dom.create('input', { type: 'color', id: dom.uniqueId('qr-color-light'), className: 'qr-color', value: options.colorLight });
+        const transparentInput = dom.create('input', { type: 'checkbox', checked: !!options.transparentBackground });
+        const shapeSelect = select('qr-module-shape', ['square', 'rounded', 'dots'], options.moduleShape, shape => i18n.t(`qr.shape.${shape}`));
+        const marginInput = dom.create('input', { type: 'number', id: dom.uniqueId('qr-margin'), className: 'correction-dropdown', min: 0, max: 10, value: options.margin });
+        const sizeSelect = select('qr-size', [256, 512, 1024, 2048].map(String), String(options.size), size => `${size} x ${size} px`);
+        const logoInput = dom.create('input', { type: 'file', id: dom.uniqueId('qr-logo'), className: 'qr-logo-input', accept: 'image/*' });
+        const logoRemoveButton = dom.create('button', { className: 'copy qr-logo-remove', disabled: !options.logo, textContent: i18n.t('actions.remove') });
+        const logoError = dom.create('p', { className: 'error-message qr-logo-error' });
+        const contrastWarning = dom.create('p', { className: 'qr-warning' });
+
+        const qrSettingsDiv = dom.create('div', { className: 'qr-settings' }, [
+            dom.create('h3', { textContent: i18n.t('qr.settings') }),
+            field('qr.correction', correctionSelect),
+            field('qr.foreground', darkInput),
+            field('qr.background', lightInput, [
+                dom.create('label', { className: 'qr-checkbox' }, [transparentInput, ` ${i18n.t('qr.transparent')}`])
+            ]),
+            field('qr.shape', shapeSelect),
+            field('qr.margin', marginInput),
+            field('qr.size', sizeSelect),
+            field('qr.logo', logoInput, [logoRemoveButton]),
+            logoError,
+            dom.create('p', { className: 'qr-note', textContent: options.logo ? i18n.t('qr.logoNote') : '' }),
+            contrastWarning
+        ]);
 
         // Create QR codes container
         const qrCodesContainer = document.createElement('div');
         qrCodesContainer.className = 'qr-codes-container';
 
-        // Create Review QR code
-        const reviewQRWrapper = document.createElement('div');
-        reviewQRWrapper.className = 'qr-code-wrapper';
-        reviewQRWrapper.innerHTML = `
-      <div class="qr-code-label">Review Page:</div>
-      <div class="qr-code" id="review-qr-container"></div>
-      <button class="qr-button" id="review-view-btn">View Raw</button>
-    `;
-
-        // Create Business QR code
-        const businessQRWrapper = document.createElement('div');
-        businessQRWrapper.className = 'qr-code-wrapper';
-        businessQRWrapper.innerHTML = `
-      <div class="qr-code-label">Maps Page:</div>
-      <div class="qr-code" id="business-qr-container"></div>
-      <button class="qr-button" id="business-view-btn">View Raw</button>
-    `;
-
-        // Append elements
-        qrCodesContainer.appendChild(reviewQRWrapper);
-        qrCodesContainer.appendChild(businessQRWrapper);
+        // View and vector download buttons for each code
+        const fileName = exportHandler.fileNameFor(placeName);
+        const buttonError = dom.create('p', { className: 'error-message qr-button-error' });
+
+        codes.forEach((code) => {
+            const codeContainer = dom.create('div', { className: 'qr-code' });
+            const viewButton = dom.create('button', { className: 'qr-button', textContent: i18n.t('qr.viewRaw') });
+            const svgButton = dom.create('button', { className: 'qr-button', textContent: 'SVG' });
+            const pdfButton = dom.create('button', { className: 'qr-button', textContent: 'PDF' });
+
+            viewButton.addEventListener('click', async () => {
+                const opened = await this.openQRCodeInNewTab(code.type, code.url, options);
+                buttonError.textContent = opened ? '' : i18n.t('errors.popupBlocked');
+            });
+            svgButton.addEventListener('click', () => {
+                this.downloadSvg(code.url, `${fileName}-${code.type}`, options);
+            });
+            pdfButton.addEventListener('click', async () => {
+                buttonError.textContent = '';
+                try {
+                    await this.downloadPdf(code.url, `${fileName}-${code.type}`, options);
+                } catch (err) {
+                    console.error('Failed to build PDF:', err);
+                    buttonError.textContent = i18n.t('qr.pdfFailed', { error: err.message });
+                }
+            });
+
+            qrCodesContainer.appendChild(dom.create('div', { className: 'qr-code-wrapper' }, [
+                dom.create('div', { className: 'qr-code-label', textContent: code.label }),
+                codeContainer,
+                dom.create('div', { className: 'qr-button-row' }, [viewButton, svgButton, pdfButton])
+            ]));
+
+            // Generate the QR code
+            this.generateQRCode(codeContainer, code.url, options, i18n.t('qr.alt', { label: code.label }));
+        });
+
         qrSection.appendChild(qrSettingsDiv);
         qrSection.appendChild(qrCodesContainer);
+        qrSection.appendChild(buttonError);
         output.appendChild(qrSection);
+        this.updateContrastWarning(contrastWarning, options);
+
+        // Save a setting, then rebuild the section so every control reflects it.
+        // The user's choice replaces the override it was made over.
+        const applySettings = (settings) => {
+            this.setStoredQrSettings(settings);
+            const remainingOverrides = { ...overrides };
+            Object.keys(settings).forEach(key => delete remainingOverrides[key]);
 
-        // Generate the QR codes
-        this.generateQRCode('review', reviewUrl, correctionLevel);
-        this.generateQRCode('business', businessUrl, correctionLevel);
+            const nextSibling = qrSection.nextSibling;
+            qrSection.remove();
+            this.generateQRCodes(placeId, placeName, codes, output, remainingOverrides);
+
+            // Keep the rebuilt section where the old one was
+            if (nextSibling) {
+                output.insertBefore(output.lastChild, nextSibling);
+            }
+        };
 
         // Set up event listeners
-        const correctionDropdown = document.getElementById('correction-level');
+        correctionSelect.addEventListener('change', (event) => {
+            applySettings({ correctionLevel: event.target.value });
+        });
+
+        darkInput.addEventListener('change', (event) => {
+            applySettings({ colorDark: event.target.value });
+        });
+
+        lightInput.addEventListener('change', (event) => {
+            applySettings({ colorLight: event.target.value });
+        });
+
+        transparentInput.addEventListener('change', (event) => {
+            applySettings({ transparentBackground: event.target.checked });
+        });
 
-        correctionDropdown.addEventListener('change', () => {
-            const level = correctionDropdown.value;
-            this.setStoredQrSettings({ correctionLevel: level });
+        shapeSelect.addEventListener('change', (event) => {
+            applySettings({ moduleShape: event.target.value });
+        });
 
-            // Regenerate QR codes with new settings
-            this.generateQRCode('review', reviewUrl, level);
-            this.generateQRCode('business', businessUrl, level);
+        marginInput.addEventListener('change', (event) => {
+            const margin = Math.min(10, Math.max(0, parseInt(event.target.value, 10) || 0));
+            applySettings({ margin });
         });
 
-        // View button event listeners
-        document.getElementById('review-view-btn').addEventListener('click', () => {
-            this.openQRCodeInNewTab('review', reviewUrl);
+        sizeSelect.addEventListener('change', (event) => {
+            applySettings({ size: parseInt(event.target.value, 10) });
         });
 
-        document.getElementById('business-view-btn').addEventListener('click', () => {
-            this.openQRCodeInNewTab('business', businessUrl);
+        logoInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            logoError.textContent = '';
+            try {
+                applySettings({ logo: await this.loadLogo(file) });
+            } catch (e) {
+                console.error('Failed to load logo:', e);
+                logoError.textContent = i18n.t('qr.logoFailed', { error: e.message });
+                logoInput.value = '';
+            }
+        });
+
+        logoRemoveButton.addEventListener('click', () => {
+            applySettings({ logo: null });
         });
     }
 
     /**
-     * Generate a QR code
-     * @param {string} type - Type of QR code ('review' or 'business')
+     * Generate a QR code and show it in a container
+     * @param {HTMLElement} container - Element the image replaces the content of
      * @param {string} url - URL to encode in the QR code
-     * @param {string} correctionLevel - Error correction level
+     * @param {Object} options - QR options from getQrOptions
+     * @param {string} alt - Alternative text for the image
+     * @returns {Promise<Object|null>} Rendered code from renderQRCode once the image is on the page,
+     *   null when the URL could not be encoded
      */
-    generateQRCode(type, url, correctionLevel) {
-        const container = document.getElementById(`${type}-qr-container`);
-
+    async generateQRCode(container, url, options, alt) {
         // Clear previous QR code
         container.innerHTML = '';
 
-        // Create a temporary div for the QR code
-        const tempDiv = document.createElement('div');
-        tempDiv.style.display = 'none';
-        container.appendChild(tempDiv);
-
-        // Generate QR code with custom styling
-        this.qrCodeInstances[type] = new QRCode(tempDiv, {
-            text: url,
-            width: 1024,
-            height: 1024,
-            colorDark: "rgb(170,101,25)",
-            colorLight: "rgba(0,0,0,0)",
-            correctLevel: QRCode.CorrectLevel[correctionLevel]
-        });
+        let qrCode;
+        try {
+            qrCode = await this.renderQRCode(url, options);
+        } catch (err) {
+            console.error('Failed to generate QR code:', err);
+
+            const error = document.createElement('p');
+            error.className = 'qr-error';
+            error.textContent = err.message;
+            container.appendChild(error);
+            return null;
+        }
+
+        const displayImg = document.createElement('img');
+        displayImg.src = qrCode.dataUrl;
+        displayImg.alt = alt;
+        displayImg.style.display = 'block';
+        displayImg.style.maxWidth = '100%';
+        displayImg.style.maxHeight = '100%';
+        displayImg.style.width = 'auto';
+        displayImg.style.height = 'auto';
+        displayImg.style.objectFit = 'contain';
 
-        // Wait for the QR code to be generated, then show it
-        setTimeout(() => {
-            const img = tempDiv.querySelector('img');
-            if (img) {
-                // Create a new image element to display the QR code
-                const displayImg = document.createElement('img');
-                displayImg.src = img.src;
-                displayImg.style.display = 'block';
-                displayImg.style.maxWidth = '100%';
-                displayImg.style.maxHeight = '100%';
-                displayImg.style.width = 'auto';
-                displayImg.style.height = 'auto';
-                displayImg.style.objectFit = 'contain';
-
-                // Clear the container and add the properly sized image
-                container.innerHTML = '';
-                container.appendChild(displayImg);
+        container.appendChild(displayImg);
+        return qrCode;
+    }
+
+    /**
+     * Render a QR code. Needs no DOM: when no canvas is given it draws into
+     * an OffscreenCanvas where available, so it also works in workers and tests.
+     * @param {string} url - URL to encode in the QR code
+     * @param {Object} [options] - QR options, defaults to getQrOptions()
+     * @param {HTMLCanvasElement|OffscreenCanvas} [canvas] - Canvas to draw into
+     * @returns {Promise<{matrix: boolean[][], moduleCount: number, canvas: (HTMLCanvasElement|OffscreenCanvas), dataUrl: string}>}
+     *   Rejects when the URL is too long for the correction level
+     */
+    async renderQRCode(url, options = this.getQrOptions(), canvas = null) {
+        const model = this.createQRCodeModel(url, options.correctionLevel);
+        const moduleCount = model.getModuleCount();
+
+        const matrix = [];
+        for (let row = 0; row < moduleCount; row++) {
+            matrix.push([]);
+            for (let col = 0; col < moduleCount; col++) {
+                matrix[row].push(model.isDark(row, col));
             }
-        }, 100);
+        }
+
+        const target = canvas || this.createCanvas(options.size);
+        await this.drawQRCode(matrix, options, target);
+
+        return {
+            matrix,
+            moduleCount,
+            canvas: target,
+            dataUrl: await this.canvasToDataUrl(target)
+        };
     }
 
     /**
-     * Open QR code in a new tab with raw colors
-     * @param {string} type - Type of QR code ('review' or 'business')
+     * Render a QR code to a PNG data URL
      * @param {string} url - URL to encode in the QR code
+     * @param {Object} [options] - QR options, defaults to getQrOptions()
+     * @returns {Promise<string>} PNG data URL
+     */
+    async renderQRCodeImage(url, options = this.getQrOptions()) {
+        const { dataUrl } = await this.renderQRCode(url, options);
+        return dataUrl;
+    }
+
+    /**
+     * Create a canvas, preferring one that isn't attached to the document
+     * @param {number} size - Width and height in pixels
+     * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas
      */
-    openQRCodeInNewTab(type, url) {
-        // Create a temporary container for the QR code
-        const tempContainer = document.createElement('div');
-        tempContainer.style.position = 'absolute';
-        tempContainer.style.left = '-9999px';
-        document.body.appendChild(tempContainer);
-
-        // Generate QR code with raw colors
-        const tempQR = new QRCode(tempContainer, {
-            text: url,
-            width: 1024,
-            height: 1024,
-            colorDark: "#000000",
-            colorLight: "#FFFFFF",
-            correctLevel: QRCode.CorrectLevel[this.getStoredQrSettings().correctionLevel || 'M']
+    createCanvas(size) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(size, size);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        return canvas;
+    }
+
+    /**
+     * Encode a canvas as a PNG data URL
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas
+     * @returns {Promise<string>} PNG data URL
+     */
+    async canvasToDataUrl(canvas) {
+        if (typeof canvas.toDataURL === 'function') {
+            return canvas.toDataURL('image/png');
+        }
+
+        const blob = await canvas.convertToBlob({ type: 'image/png' });
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to encode QR code image'));
+            reader.readAsDataURL(blob);
         });
+    }
+
+    /**
+     * Draw a QR module matrix with the chosen colours, shape, quiet zone and logo
+     * @param {boolean[][]} matrix - Dark modules, indexed [row][col]
+     * @param {Object} options - QR options from getQrOptions
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to draw into, resized to options.size
+     * @returns {Promise<void>} Resolves once the logo (if any) is drawn
+     */
+    async drawQRCode(matrix, options, canvas) {
+        const moduleCount = matrix.length;
+        const margin = options.margin;
+        const moduleSize = options.size / (moduleCount + margin * 2);
+
+        canvas.width = options.size;
+        canvas.height = options.size;
+        const context = canvas.getContext('2d');
 
-        // Wait for the QR code to be generated
-        setTimeout(() => {
-            const img = tempContainer.querySelector('img');
-            if (img) {
-                const newWindow = window.open();
-                newWindow.document.write(`
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <title>QR Code - ${type}</title>
-            <style>
-              body {
-                margin: 0;
-                padding: 20px;
-                display: flex;
-                justify-content: center;
-                align-items: center;
-                min-height: 100vh;
-                background-color: #f5f5f5;
-              }
-              img {
-                max-width: 100%;
-                height: auto;
-                box-shadow: 0 4px 8px rgba(0,0,0,0.2);
-              }
-            </style>
-          </head>
-          <body>
-            <img src="${img.src}" alt="QR Code">
-          </body>
-          </html>
-        `);
+        // Background
+        if (!options.transparentBackground) {
+            context.fillStyle = options.colorLight;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        // Modules
+        context.fillStyle = options.colorDark;
+        for (let row = 0; row < moduleCount; row++) {
+            for (let col = 0; col < moduleCount; col++) {
+                if (!matrix[row][col]) continue;
+
+                const x = (col + margin) * moduleSize;
+                const y = (row + margin) * moduleSize;
+
+                // Finder patterns stay square so scanners can lock on
+                const shape = this.isFinderModule(row, col, moduleCount) ? 'square' : options.moduleShape;
+                this.drawModule(context, shape, x, y, moduleSize);
             }
+        }
+
+        // Logo on a plate in the centre
+        if (options.logo) {
+            const logo = await this.loadImage(options.logo);
+            const logoSize = options.size * options.logoScale;
+            const plateSize = logoSize + moduleSize * 2;
+            const platePosition = (options.size - plateSize) / 2;
+
+            context.fillStyle = options.transparentBackground ? '#ffffff' : options.colorLight;
+            context.fillRect(platePosition, platePosition, plateSize, plateSize);
+
+            // Keep the logo's aspect ratio inside the square
+            const scale = Math.min(logoSize / logo.width, logoSize / logo.height);
+            const width = logo.width * scale;
+            const height = logo.height * scale;
+            context.drawImage(logo, (options.size - width) / 2, (options.size - height) / 2, width, height);
+        }
+    }
+
+    /**
+     * Draw a single dark module
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {string} shape - 'square', 'rounded' or 'dots'
+     * @param {number} x - Left edge in pixels
+     * @param {number} y - Top edge in pixels
+     * @param {number} size - Module size in pixels
+     */
+    drawModule(context, shape, x, y, size) {
+        if (shape === 'dots') {
+            context.beginPath();
+            context.arc(x + size / 2, y + size / 2, size * 0.45, 0, Math.PI * 2);
+            context.fill();
+        } else if (shape === 'rounded') {
+            const radius = size * 0.3;
+            context.beginPath();
+            context.moveTo(x + radius, y);
+            context.arcTo(x + size, y, x + size, y + size, radius);
+            context.arcTo(x + size, y + size, x, y + size, radius);
+            context.arcTo(x, y + size, x, y, radius);
+            context.arcTo(x, y, x + size, y, radius);
+            context.closePath();
+            context.fill();
+        } else {
+            // Round outwards so neighbouring modules don't leave hairline gaps
+            context.fillRect(Math.floor(x), Math.floor(y), Math.ceil(size) + 1, Math.ceil(size) + 1);
+        }
+    }
+
+    /**
+     * Check whether a module belongs to one of the three 7x7 finder patterns
+     * @param {number} row - Module row
+     * @param {number} col - Module column
+     * @param {number} moduleCount - Modules per side
+     * @returns {boolean} True for finder pattern modules
+     */
+    isFinderModule(row, col, moduleCount) {
+        const inTop = row < 7;
+        const inLeft = col < 7;
+        const inBottom = row >= moduleCount - 7;
+        const inRight = col >= moduleCount - 7;
+        return (inTop && inLeft) || (inTop && inRight) || (inBottom && inLeft);
+    }
+
+    /**
+     * Load an image from a URL
+     * @param {string} src - Image URL or data URL
+     * @returns {Promise<HTMLImageElement|ImageBitmap>} Loaded image
+     */
+    async loadImage(src) {
+        // Workers and OffscreenCanvas have no Image element
+        if (typeof Image === 'undefined') {
+            const response = await fetch(src);
+            return createImageBitmap(await response.blob());
+        }
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Failed to load logo image'));
+            image.src = src;
+        });
+    }
+
+    /**
+     * Read an uploaded logo and shrink it so it fits comfortably in localStorage
+     * @param {File} file - Uploaded image file
+     * @returns {Promise<string>} PNG data URL, at most 256px on its longest side
+     */
+    async loadLogo(file) {
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to read logo file'));
+            reader.readAsDataURL(file);
+        });
+
+        const image = await this.loadImage(dataUrl);
+        const scale = Math.min(1, 256 / Math.max(image.width, image.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Calculate the WCAG contrast ratio between two hex colours
+     * @param {string} colorA - Hex colour such as '#aa6519'
+     * @param {string} colorB - Hex colour
+     * @returns {number} Contrast ratio from 1 to 21
+     */
+    getContrastRatio(colorA, colorB) {
+        const luminance = (hex) => {
+            const channels = [1, 3, 5].map((start) => {
+                const value = parseInt(hex.substr(start, 2), 16) / 255;
+                return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+            });
+            return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+        };
+
+        const lighter = Math.max(luminance(colorA), luminance(colorB));
+        const darker = Math.min(luminance(colorA), luminance(colorB));
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    /**
+     * Warn when the colours are unlikely to scan reliably
+     * @param {HTMLElement} warning - Element to show the warning in
+     * @param {Object} options - QR options from getQrOptions
+     */
+    updateContrastWarning(warning, options) {
+        // A transparent code is only as good as whatever it ends up printed on
+        const background = options.transparentBackground ? '#ffffff' : options.colorLight;
+        const ratio = this.getContrastRatio(options.colorDark, background);
+        const messages = [];
+
+        if (ratio < this.minContrastRatio) {
+            messages.push(i18n.t('qr.lowContrast', { ratio: ratio.toFixed(1), minimum: this.minContrastRatio }));
+        }
+        if (this.getContrastRatio(options.colorDark, '#000000') > this.getContrastRatio(background, '#000000')) {
+            messages.push(i18n.t('qr.inverted'));
+        }
+        if (options.transparentBackground) {
+            messages.push(i18n.t('qr.transparentWarning'));
+        }
+
+        warning.textContent = messages.join(' ');
+    }
+
+    /**
+     * Build the QR module model for a URL
+     * @param {string} url - URL to encode in the QR code
+     * @param {string} correctionLevel - Error correction level
+     * @returns {Object} qrcodejs model exposing getModuleCount() and isDark(row, col)
+     * @throws {Error} When the URL is too long for the correction level
+     */
+    createQRCodeModel(url, correctionLevel) {
+        // Run qrcodejs' encoder without its DOM drawing, so this works headlessly
+        const generator = Object.create(QRCode.prototype);
+        generator._htOption = { correctLevel: QRCode.CorrectLevel[correctionLevel] };
+        generator._el = {};
+        generator._oDrawing = { draw() {} };
+
+        try {
+            generator.makeCode(url);
+        } catch (err) {
+            // qrcodejs reports an oversized payload as "Too long data" or "code length overflow",
+            // or runs off the end of its capacity table with a TypeError. The name is checked rather
+            // than instanceof, as the CLI runs qrcodejs in its own context with its own TypeError.
+            if (err.name === 'TypeError' || /too long|length overflow/i.test(err.message)) {
+                throw new Error(`This link (${url.length} characters) is too long for a QR code at ${correctionLevel} error correction. Choose a lower correction level or a shorter link.`);
+            }
+            throw err;
+        }
+
+        return generator._oQRCode;
+    }
+
+    /**
+     * Build an SVG document for a QR code, using whole modules as the coordinate system
+     * @param {string} url - URL to encode in the QR code
+     * @param {Object} options - QR options from getQrOptions
+     * @returns {string} SVG markup
+     */
+    buildSvg(url, options) {
+        const model = this.createQRCodeModel(url, options.correctionLevel);
+        const moduleCount = model.getModuleCount();
+        const margin = options.margin;
+        const viewSize = moduleCount + margin * 2;
+        const shapes = [];
+        let squarePath = '';
+
+        for (let row = 0; row < moduleCount; row++) {
+            for (let col = 0; col < moduleCount; col++) {
+                if (!model.isDark(row, col)) continue;
+
+                const x = col + margin;
+                const y = row + margin;
+                const shape = this.isFinderModule(row, col, moduleCount) ? 'square' : options.moduleShape;
+
+                if (shape === 'dots') {
+                    shapes.push(`<circle cx="${x + 0.5}" cy="${y + 0.5}" r="0.45"/>`);
+                } else if (shape === 'rounded') {
+                    shapes.push(`<rect x="${x}" y="${y}" width="1" height="1" rx="0.3"/>`);
+                } else {
+                    // Square modules share one path so there are no seams between them
+                    squarePath += `M${x} ${y}h1v1h-1z`;
+                }
+            }
+        }
+
+        const background = options.transparentBackground
+            ? ''
+            : `<rect width="${viewSize}" height="${viewSize}" fill="${options.colorLight}"/>`;
+
+        let logo = '';
+        if (options.logo) {
+            const logoSize = viewSize * options.logoScale;
+            const plateSize = logoSize + 2;
+            const platePosition = (viewSize - plateSize) / 2;
+            const logoPosition = (viewSize - logoSize) / 2;
+            logo = `
+  <rect x="${platePosition}" y="${platePosition}" width="${plateSize}" height="${plateSize}" fill="${options.transparentBackground ? '#ffffff' : options.colorLight}"/>
+  <image x="${logoPosition}" y="${logoPosition}" width="${logoSize}" height="${logoSize}" href="${options.logo}" preserveAspectRatio="xMidYMid meet"/>`;
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${viewSize} ${viewSize}" width="${options.size}" height="${options.size}" shape-rendering="${options.moduleShape === 'square' ? 'crispEdges' : 'geometricPrecision'}">
+  ${background}
+  <g fill="${options.colorDark}">${squarePath ? `<path d="${squarePath}"/>` : ''}${shapes.join('')}</g>${logo}
+</svg>
+`;
+    }
+
+    /**
+     * Build a single-page vector PDF for a QR code, 100mm square
+     * @param {string} url - URL to encode in the QR code
+     * @param {Object} options - QR options from getQrOptions
+     * @returns {Promise<Blob>} PDF file
+     */
+    async buildPdf(url, options) {
+        const model = this.createQRCodeModel(url, options.correctionLevel);
+        const moduleCount = model.getModuleCount();
+        const margin = options.margin;
+        const pageSize = 283.46; // 100mm in points
+        const moduleSize = pageSize / (moduleCount + margin * 2);
+        const number = (value) => value.toFixed(3);
+        const rgb = (hex) => [1, 3, 5].map(start => number(parseInt(hex.substr(start, 2), 16) / 255)).join(' ');
+
+        const commands = [];
+
+        // Background
+        if (!options.transparentBackground) {
+            commands.push(`${rgb(options.colorLight)} rg 0 0 ${number(pageSize)} ${number(pageSize)} re f`);
+        }
+
+        // Modules, PDF's origin is bottom-left so rows are flipped
+        commands.push(`${rgb(options.colorDark)} rg`);
+        const kappa = 0.5523; // Bezier approximation of a quarter circle
+        for (let row = 0; row < moduleCount; row++) {
+            for (let col = 0; col < moduleCount; col++) {
+                if (!model.isDark(row, col)) continue;
+
+                const x = (col + margin) * moduleSize;
+                const y = pageSize - (row + margin + 1) * moduleSize;
+                const shape = this.isFinderModule(row, col, moduleCount) ? 'square' : options.moduleShape;
+
+                if (shape === 'square') {
+                    commands.push(`${number(x)} ${number(y)} ${number(moduleSize)} ${number(moduleSize)} re f`);
+                    continue;
+                }
+
+                // Dots are fully rounded squares
+                const radius = moduleSize * (shape === 'dots' ? 0.45 : 0.3);
+                const inset = shape === 'dots' ? moduleSize * 0.05 : 0;
+                const left = x + inset;
+                const bottom = y + inset;
+                const right = x + moduleSize - inset;
+                const top = y + moduleSize - inset;
+                const c = radius * kappa;
+
+                commands.push([
+                    `${number(left + radius)} ${number(bottom)} m`,
+                    `${number(right - radius)} ${number(bottom)} l`,
+                    `${number(right - radius + c)} ${number(bottom)} ${number(right)} ${number(bottom + radius - c)} ${number(right)} ${number(bottom + radius)} c`,
+                    `${number(right)} ${number(top - radius)} l`,
+                    `${number(right)} ${number(top - radius + c)} ${number(right - radius + c)} ${number(top)} ${number(right - radius)} ${number(top)} c`,
+                    `${number(left + radius)} ${number(top)} l`,
+                    `${number(left + radius - c)} ${number(top)} ${number(left)} ${number(top - radius + c)} ${number(left)} ${number(top - radius)} c`,
+                    `${number(left)} ${number(bottom + radius)} l`,
+                    `${number(left)} ${number(bottom + radius - c)} ${number(left + radius - c)} ${number(bottom)} ${number(left + radius)} ${number(bottom)} c`,
+                    'f'
+                ].join(' '));
+            }
+        }
+
+        // Logo as an embedded JPEG on a plate
+        let logoImage = null;
+        if (options.logo) {
+            const logo = await this.loadImage(options.logo);
+            const logoSize = pageSize * options.logoScale;
+            const plateSize = logoSize + moduleSize * 2;
+            const platePosition = (pageSize - plateSize) / 2;
+            const scale = Math.min(logoSize / logo.width, logoSize / logo.height);
+            const width = logo.width * scale;
+            const height = logo.height * scale;
+            const plateColor = options.transparentBackground ? '#ffffff' : options.colorLight;
+
+            // JPEG has no alpha, so flatten the logo onto the plate colour first
+            const canvas = document.createElement('canvas');
+            canvas.width = logo.width;
+            canvas.height = logo.height;
+            const context = canvas.getContext('2d');
+            context.fillStyle = plateColor;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(logo, 0, 0);
+
+            logoImage = {
+                width: logo.width,
+                height: logo.height,
+                data: exportHandler.dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92))
+            };
+
+            commands.push(`${rgb(plateColor)} rg ${number(platePosition)} ${number(platePosition)} ${number(plateSize)} ${number(plateSize)} re f`);
+            commands.push(`q ${number(width)} 0 0 ${number(height)} ${number((pageSize - width) / 2)} ${number((pageSize - height) / 2)} cm /Logo Do Q`);
+        }
+
+        return this.createPdf(commands.join('\n'), pageSize, logoImage);
+    }
+
+    /**
+     * Assemble a one-page PDF file
+     * @param {string} content - Page content stream
+     * @param {number} pageSize - Page width and height in points
+     * @param {Object|null} image - Optional JPEG {width, height, data} available as /Logo
+     * @returns {Blob} PDF file
+     */
+    createPdf(content, pageSize, image) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (part) => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        const startObject = (id) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+        };
+
+        const resources = image ? '/XObject << /Logo 5 0 R >>' : '';
+
+        write('%PDF-1.4\n');
+        startObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+        startObject(2);
+        write('<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n');
+        startObject(3);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageSize} ${pageSize}] /Resources << ${resources} >> /Contents 4 0 R >>\nendobj\n`);
+        startObject(4);
+        write(`<< /Length ${encoder.encode(content).length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+        if (image) {
+            startObject(5);
+            write(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`);
+            write(image.data);
+            write('\nendstream\nendobj\n');
+        }
+
+        const objectCount = image ? 6 : 5;
+        const xrefOffset = length;
+        write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objectCount; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    /**
+     * Download a QR code as SVG
+     * @param {string} url - URL to encode in the QR code
+     * @param {string} fileName - File name without extension
+     * @param {Object} [options] - QR options, defaults to getQrOptions()
+     */
+    downloadSvg(url, fileName, options = this.getQrOptions()) {
+        const svg = this.buildSvg(url, options);
+        exportHandler.download(new Blob([svg], { type: 'image/svg+xml' }), `${fileName}.svg`);
+    }
+
+    /**
+     * Download a QR code as a vector PDF
+     * @param {string} url - URL to encode in the QR code
+     * @param {string} fileName - File name without extension
+     * @param {Object} [options] - QR options, defaults to getQrOptions()
+     * @returns {Promise<void>} Rejects when the PDF can't be built, e.g. from an unreadable logo
+     */
+    async downloadPdf(url, fileName, options = this.getQrOptions()) {
+        const pdf = await this.buildPdf(url, options);
+        exportHandler.download(pdf, `${fileName}.pdf`);
+    }
+
+    /**
+     * Open QR code in a new tab at full size
+     * @param {string} type - Type of QR code, e.g. 'review' or another link variant
+     * @param {string} url - URL to encode in the QR code
+     * @param {Object} [options] - QR options, defaults to getQrOptions()
+     * @returns {Promise<boolean>} False when a popup blocker kept the tab from opening
+     */
+    async openQRCodeInNewTab(type, url, options = this.getQrOptions()) {
+        // Open the tab straight away so popup blockers see the click
+        const newWindow = window.open();
+        if (!newWindow) {
+            console.error('The QR code tab was blocked');
+            return false;
+        }
+
+        const doc = newWindow.document;
+        doc.title = `QR Code - ${type}`;
+
+        let src;
+        try {
+            src = await this.renderQRCodeImage(url, options);
+        } catch (err) {
+            console.error('Failed to render QR code:', err);
+            doc.body.replaceChildren(dom.create('p', { textContent: err.message }));
+            return true;
+        }
+
+        const style = doc.createElement('style');
+        style.textContent = `
+          body {
+            margin: 0;
+            padding: 20px;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            background-color: #f5f5f5;
+          }
+          img {
+            max-width: 100%;
+            height: auto;
+            box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+          }
+        `;
+        doc.head.appendChild(style);
 
-            // Clean up
-            document.body.removeChild(tempContainer);
-        }, 100);
+        const img = doc.createElement('img');
+        img.src = src;
+        img.alt = 'QR Code';
+        doc.body.replaceChildren(img);
+        return true;
     }
 
     /**
@@ -225,7 +888,7 @@ class QRCodeHandler {
     }
 
     /**
-     * Get QR settings from localStorage
+     * Get QR settings from localStorage, leaving out any that fail sanitizeQrSettings
      * @returns {Object} QR settings
      */
     getStoredQrSettings() {
@@ -233,7 +896,7 @@ class QRCodeHandler {
             const value = localStorage.getItem('qr_settings');
             if (value) {
                 console.log('QR settings retrieved from localStorage');
-                return JSON.parse(value);
+                return this.sanitizeQrSettings(JSON.parse(value));
             } else {
                 console.log('No QR settings found in localStorage, using defaults');
                 return { correctionLevel: 'M' };
@@ -246,4 +909,4 @@ class QRCodeHandler {
 }
 
 // Create a singleton instance
-const qrCodeHandler = new QRCodeHandler();
\ No newline at end of file
+export const qrCodeHandler = new QRCodeHandler();
\ No newline at end of file
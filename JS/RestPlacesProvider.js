@@ -0,0 +1,182 @@
+/**
+ * Places provider calling the Places API (New) REST endpoints with fetch, for the
+ * CLI and anywhere else the Maps JS script can't run. Mimics Place.searchByText and
+ * Place#fetchFields from the Maps JS API like FakePlacesProvider does, translating
+ * field names and shapes both ways, so PlacesHandler works unchanged on top of it.
+ */
+export class RestPlacesProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.endpoint='https://places.googleapis.com/v1'] - API base URL, e.g. a local mock server
+     */
+    constructor({ endpoint = 'https://places.googleapis.com/v1' } = {}) {
+        this.name = 'rest';
+        this.requiresApiKey = true;
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.apiKey = null;
+
+        // Maps JS field names the REST API spells differently
+        this.restFieldNames = {
+            googleMapsURI: 'googleMapsUri',
+            websiteURI: 'websiteUri'
+        };
+    }
+
+    /**
+     * Keep the key for later requests. There is no script to load.
+     * @param {string} apiKey - Places API key
+     * @returns {Promise} Rejects when no key is given
+     */
+    async load(apiKey) {
+        if (!apiKey) {
+            throw new Error('An API key is required for Places API requests');
+        }
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * Import a library backed by the REST API
+     * @param {string} name - Library name, only "places" is supported
+     * @returns {Promise<Object>} { Place }
+     */
+    async importLibrary(name) {
+        if (name !== 'places') {
+            throw new Error(`RestPlacesProvider does not provide the "${name}" library`);
+        }
+        return { Place: this.createPlaceClass() };
+    }
+
+    /**
+     * Build a Place class whose requests go through this provider
+     * @returns {Function} Place class
+     */
+    createPlaceClass() {
+        const provider = this;
+
+        return class Place {
+            constructor({ id, requestedLanguage, requestedRegion }) {
+                this.id = id;
+                this.requestedLanguage = requestedLanguage;
+                this.requestedRegion = requestedRegion;
+            }
+
+            /**
+             * Text Search, POST /places:searchText
+             * @param {Object} request - {textQuery, fields, maxResultCount, language, region, locationBias, includedType}
+             * @returns {Promise<{places: Place[]}>}
+             */
+            static async searchByText(request) {
+                const body = {
+                    textQuery: request.textQuery,
+                    pageSize: request.maxResultCount
+                };
+                if (request.language) body.languageCode = request.language;
+                if (request.region) body.regionCode = request.region;
+                if (request.includedType) body.includedType = request.includedType;
+                if (request.locationBias) {
+                    body.locationBias = {
+                        circle: {
+                            center: { latitude: request.locationBias.center.lat, longitude: request.locationBias.center.lng },
+                            radius: request.locationBias.radius
+                        }
+                    };
+                }
+
+                const data = await provider.request('POST', '/places:searchText', provider.toFieldMask(request.fields, 'places.'), body);
+                const places = (data.places || []).map((result) => {
+                    const place = new Place({ id: result.id });
+                    Object.assign(place, provider.fromRest(result));
+                    return place;
+                });
+
+                return { places };
+            }
+
+            /**
+             * Place Details, GET /places/{id}
+             * @param {Object} request - {fields}
+             * @returns {Promise<{place: Place}>}
+             */
+            async fetchFields(request) {
+                const params = new URLSearchParams();
+                if (this.requestedLanguage) params.set('languageCode', this.requestedLanguage);
+                if (this.requestedRegion) params.set('regionCode', this.requestedRegion);
+                const query = params.toString() ? `?${params}` : '';
+
+                const data = await provider.request('GET', `/places/${encodeURIComponent(this.id)}${query}`, provider.toFieldMask(request.fields));
+                Object.assign(this, provider.fromRest(data));
+                return { place: this };
+            }
+        };
+    }
+
+    /**
+     * Send a request to the Places API
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the endpoint
+     * @param {string} fieldMask - X-Goog-FieldMask header
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} Parsed response
+     */
+    async request(method, path, fieldMask, body = null) {
+        const response = await fetch(`${this.endpoint}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Goog-Api-Key': this.apiKey,
+                'X-Goog-FieldMask': fieldMask
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            // Errors come back as {error: {code, status, message}}. The status leads the
+            // message, so PlacesHandler can spot NOT_FOUND and friends like it does for Maps JS.
+            const error = data.error || {};
+            throw new Error(`${error.status || `HTTP ${response.status}`}: ${error.message || response.statusText}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Turn Maps JS field names into a field mask
+     * @param {string[]} fields - Maps JS field names
+     * @param {string} [prefix] - Prefix for every field, 'places.' for Text Search
+     * @returns {string} Comma separated field mask
+     */
+    toFieldMask(fields, prefix = '') {
+        return fields.map(field => `${prefix}${this.restFieldNames[field] || field}`).join(',');
+    }
+
+    /**
+     * Reshape a REST place like the Maps JS Place it stands in for
+     * @param {Object} result - Place from the REST API
+     * @returns {Object} Fields with Maps JS names and shapes
+     */
+    fromRest(result) {
+        const place = { ...result };
+
+        Object.entries(this.restFieldNames).forEach(([name, restName]) => {
+            if (restName in place) {
+                place[name] = place[restName];
+                delete place[restName];
+            }
+        });
+
+        if (result.displayName) {
+            place.displayName = result.displayName.text;
+        }
+        if (result.location) {
+            place.location = { lat: result.location.latitude, lng: result.location.longitude };
+        }
+        if (result.photos) {
+            place.photos = result.photos.map(photo => ({
+                getURI: ({ maxWidth }) => `${this.endpoint}/${photo.name}/media?maxWidthPx=${maxWidth}&key=${encodeURIComponent(this.apiKey)}`
+            }));
+        }
+
+        return place;
+    }
+}
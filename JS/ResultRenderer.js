@@ -0,0 +1,332 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { reviewLinkBuilder } from './ReviewLinkBuilder.js';
+import { qrCodeHandler } from './QRCodeHandler.js';
+import { exportHandler } from './ExportHandler.js';
+import { printHandler } from './PrintHandler.js';
+import { shortLinkHandler } from './ShortLinkHandler.js';
+import { deepLinkHandler } from './DeepLinkHandler.js';
+import { mapPreviewHandler } from './MapPreviewHandler.js';
+
+/**
+ * Renders a looked-up place: its identifiers and details, the chosen link variants,
+ * QR codes and printable templates. Everything is built inside the container it is
+ * given, so the page, the public API and every <review-link-helper> share it.
+ */
+export class ResultRenderer {
+    /**
+     * Replace a container's content with the result for a place
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} place - Place data with id, displayName and formattedAddress
+     * @param {Object} [options]
+     * @param {string} [options.note] - Note shown above the result
+     * @param {string[]} [options.variants] - Link variants to show, defaults to the stored choice
+     * @param {boolean} [options.share=true] - Show the copy share link button
+     * @param {boolean} [options.qr=true] - Show the QR codes and their settings
+     * @param {boolean} [options.print=true] - Show the printable templates
+     * @param {boolean} [options.map=true] - Show a map with a pin at the place
+     * @param {Object[]} [options.candidates] - All places the lookup found, pinned on the map alongside this one
+     * @param {Function} [options.onSelect] - Called with a candidate when its pin on the map is clicked
+     * @param {string} [options.mapId] - Map ID for the map, defaults to the one stored with the API key
+     * @param {Object} [options.qrOptions] - QR options for this result only, over the stored ones
+     * @returns {HTMLElement} Result card, the QR codes follow it once rendered
+     */
+    render(container, place, options = {}) {
+        console.log('Displaying place info:', place);
+
+        const settings = { share: true, qr: true, print: true, map: true, qrOptions: {}, ...options };
+        const links = reviewLinkBuilder.buildAll(place, settings.variants || reviewLinkBuilder.getEnabledVariants());
+        const resultContainer = this.renderCard(place, links, settings);
+
+        // Replace whatever was shown before, the note goes above the result
+        dom.replace(container,
+            settings.note && dom.create('p', { className: 'default-output', textContent: settings.note }),
+            resultContainer
+        );
+
+        // Generate QR codes and printable templates
+        if (settings.qr || settings.print) {
+            this.renderCodes(container, resultContainer, place, links, settings);
+        }
+
+        return resultContainer;
+    }
+
+    /**
+     * Build the result card for a place: its identifiers and details, a copy button
+     * per link variant, the share link and export buttons
+     * @param {Object} place - Place data
+     * @param {Object[]} links - Chosen link variants from reviewLinkBuilder.buildAll
+     * @param {Object} settings - Options passed to render
+     * @returns {HTMLElement} Result card
+     */
+    renderCard(place, links, settings) {
+        const placeName = place.displayName || i18n.t('place.none');
+
+        // A copy button for every chosen link variant
+        const linkVariants = dom.create('div', { className: 'link-variants' });
+        this.renderLinkVariants(linkVariants, links);
+
+        // The share link carries the current QR options too
+        let shareBox = null;
+        if (settings.share) {
+            const shareButton = dom.create('button', { className: 'copy share-copy', textContent: i18n.t('actions.copyShareLink') });
+            shareButton.addEventListener('click', () => {
+                navigator.clipboard.writeText(deepLinkHandler.buildPlaceUrl(place, qrCodeHandler.getQrOptions(settings.qrOptions)));
+            });
+            shareBox = dom.create('div', { className: 'link-box' }, [
+                dom.create('span', { className: 'share-note', textContent: i18n.t('place.shareNote') }),
+                shareButton
+            ]);
+        }
+
+        const resultContainer = dom.create('div', { className: 'result-card' }, [
+            ...this.renderPlaceSummary(place),
+            place.previousPlaceId && dom.create('p', { className: 'replaced-id', textContent: i18n.t('place.replaced', { id: place.previousPlaceId }) }),
+            place.keyName && dom.create('p', { className: 'default-output', textContent: i18n.t('place.lookedUpWith', { name: place.keyName }) }),
+            this.renderSearchFilters(place),
+            this.renderPlaceDetails(place),
+            settings.map && mapPreviewHandler.create(settings.candidates || [place], { selected: place, onSelect: settings.onSelect, mapId: settings.mapId }),
+            linkVariants,
+            shareBox
+        ]);
+
+        // Add export buttons
+        exportHandler.renderExportButtons(resultContainer, () => [
+            exportHandler.createRecord(place, reviewLinkBuilder.buildReviewUrl(place.id), reviewLinkBuilder.buildMapsUrl(place))
+        ], exportHandler.fileNameFor(placeName));
+
+        return resultContainer;
+    }
+
+    /**
+     * Build the name, address and Place ID rows shown for a place
+     * @param {Object} place - Place data
+     * @returns {HTMLElement[]} Rows
+     */
+    renderPlaceSummary(place) {
+        return [
+            this.renderField('place.name', place.displayName || i18n.t('place.none')),
+            this.renderField('place.address', place.formattedAddress || i18n.t('place.none')),
+            this.renderField('place.id', dom.create('span', { dir: 'ltr', textContent: place.id }))
+        ];
+    }
+
+    /**
+     * Build the row saying what the search that found a place was narrowed by,
+     * so it is clear why this branch of a chain came first
+     * @param {Object} place - Place data, with searchFilters from PlacesHandler after a filtered text search
+     * @returns {HTMLElement|null} Row, null when the search wasn't narrowed
+     */
+    renderSearchFilters(place) {
+        const filters = place.searchFilters;
+        if (!filters) return null;
+
+        const parts = [];
+        if (filters.locationBias) {
+            const bias = filters.locationBias;
+            parts.push(i18n.t('place.searchedNear', {
+                place: bias.source === 'city' ? bias.city : i18n.t(`searchArea.source.${bias.source}`),
+                radius: i18n.formatNumber(bias.radius / 1000, { maximumFractionDigits: 1 })
+            }));
+        }
+        if (filters.region) {
+            parts.push(i18n.t('place.searchedRegion', { region: filters.region }));
+        }
+        if (filters.includedType) {
+            parts.push(i18n.t('place.searchedType', { type: filters.includedType }));
+        }
+
+        return parts.length ? this.renderField('place.searchFilters', parts.join(', '), { className: 'search-filters' }) : null;
+    }
+
+    /**
+     * Build a labelled row
+     * @param {string} labelKey - Message key of the label
+     * @param {Node|string} value - Value, a string becomes text
+     * @param {Object} [props] - Properties of the row element
+     * @returns {HTMLElement} Row
+     */
+    renderField(labelKey, value, props = {}) {
+        return dom.create('p', props, [dom.create('strong', { textContent: i18n.t(labelKey) }), ' ', value]);
+    }
+
+    /**
+     * Add the QR codes and printable templates for a result. With short links
+     * switched on the review QR code and printouts encode the place's short link,
+     * and the link is shown too.
+     * @param {HTMLElement} output - Output element to append the sections to
+     * @param {HTMLElement} resultContainer - Result card the short link is shown in
+     * @param {Object} place - Place data
+     * @param {Object[]} links - Chosen link variants from reviewLinkBuilder.buildAll
+     * @param {Object} settings - Options passed to render
+     */
+    async renderCodes(output, resultContainer, place, links, settings) {
+        const placeName = place.displayName || i18n.t('place.none');
+        const reviewUrl = reviewLinkBuilder.buildReviewUrl(place.id);
+        let qrReviewUrl = reviewUrl;
+
+        if (shortLinkHandler.isEnabled()) {
+            const shortLinkBox = document.createElement('div');
+            shortLinkBox.className = 'link-box short-link';
+            shortLinkBox.textContent = i18n.t('shortLinks.creating');
+            const shareButton = resultContainer.querySelector('button.share-copy');
+            (shareButton ? shareButton.parentElement : resultContainer.querySelector('.link-variants')).after(shortLinkBox);
+
+            try {
+                const link = await shortLinkHandler.getShortLink(place, reviewUrl);
+                qrReviewUrl = link.shortUrl;
+                this.renderShortLink(shortLinkBox, link);
+            } catch (err) {
+                console.error('Short link unavailable:', err);
+                shortLinkBox.textContent = i18n.t('shortLinks.failed', { error: err.message });
+            }
+
+            // Another result replaced this one while the server answered
+            if (!resultContainer.isConnected) return;
+        }
+
+        if (settings.qr) {
+            const codes = links
+                .filter(link => link.url)
+                .map(link => ({
+                    type: link.id,
+                    label: i18n.t(`links.variant.${link.id}`),
+                    url: link.id === 'review' ? qrReviewUrl : link.url
+                }));
+
+            qrCodeHandler.generateQRCodes(place.id, placeName, codes, output, settings.qrOptions);
+        }
+        if (settings.print) {
+            printHandler.renderPrintSection(output, place, qrReviewUrl, settings.qrOptions);
+        }
+    }
+
+    /**
+     * Show each chosen link variant with a copy button, or why it can't be built for this place
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object[]} links - {id, url, requires} from reviewLinkBuilder.buildAll
+     */
+    renderLinkVariants(container, links) {
+        links.forEach((link) => {
+            const box = document.createElement('div');
+            box.className = 'link-box';
+
+            if (!link.url) {
+                const note = document.createElement('span');
+                note.className = 'share-note';
+                note.textContent = i18n.t('links.unavailable', {
+                    name: i18n.t(`links.variant.${link.id}`),
+                    reason: i18n.t(`links.needs.${link.requires}`)
+                });
+                box.appendChild(note);
+                container.appendChild(box);
+                return;
+            }
+
+            const anchor = document.createElement('a');
+            anchor.className = 'review-link';
+            anchor.href = link.url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener';
+            anchor.textContent = i18n.t(`links.variant.${link.id}`);
+
+            const copyButton = document.createElement('button');
+            copyButton.className = 'copy';
+            copyButton.textContent = i18n.t('actions.copyLink');
+            copyButton.addEventListener('click', () => {
+                navigator.clipboard.writeText(link.url);
+            });
+
+            box.append(anchor, copyButton);
+            container.appendChild(box);
+        });
+    }
+
+    /**
+     * Show a short link with its scan count and a copy button
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} link - {shortUrl, hits} from shortLinkHandler
+     */
+    renderShortLink(container, link) {
+        container.textContent = '';
+
+        const url = document.createElement('span');
+        url.className = 'short-link-url';
+        url.dir = 'ltr';
+        url.textContent = link.shortUrl;
+
+        const scans = document.createElement('span');
+        scans.className = 'share-note';
+        scans.textContent = link.hits === null ? i18n.t('shortLinks.offline') : i18n.t('shortLinks.scanCount', { count: link.hits });
+
+        const copyButton = document.createElement('button');
+        copyButton.className = 'copy';
+        copyButton.textContent = i18n.t('shortLinks.copy');
+        copyButton.addEventListener('click', () => {
+            navigator.clipboard.writeText(link.shortUrl);
+        });
+
+        container.append(url, scans, copyButton);
+    }
+
+    /**
+     * Build the optional details block for the result card
+     * @param {Object} place - Place data, possibly with rating, hours, phone, website, photo and location
+     * @returns {HTMLElement|null} Details, null when no optional fields are present
+     */
+    renderPlaceDetails(place) {
+        const rows = [];
+
+        if (typeof place.rating === 'number') {
+            const count = typeof place.userRatingCount === 'number' ? ` ${i18n.t('place.reviewCount', { count: place.userRatingCount })}` : '';
+            const rating = i18n.formatNumber(place.rating, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+            rows.push(this.renderField('place.rating', `★ ${rating}${count}`));
+        }
+        if (place.businessStatus) {
+            const closed = place.businessStatus !== 'OPERATIONAL';
+            const statusKey = `place.status.${place.businessStatus}`;
+            rows.push(this.renderField('place.status', i18n.has(statusKey) ? i18n.t(statusKey) : place.businessStatus, closed ? { className: 'replaced-id' } : {}));
+        }
+        if (place.nationalPhoneNumber) {
+            rows.push(this.renderField('place.phone', dom.create('a', {
+                href: `tel:${place.nationalPhoneNumber.replace(/[^\d+]/g, '')}`,
+                dir: 'ltr',
+                textContent: place.nationalPhoneNumber
+            })));
+        }
+        if (place.websiteURI && dom.isWebUrl(place.websiteURI)) {
+            rows.push(this.renderField('place.website', dom.create('a', {
+                href: place.websiteURI,
+                target: '_blank',
+                rel: 'noopener',
+                dir: 'ltr',
+                textContent: place.websiteURI
+            })));
+        }
+        if (place.location) {
+            rows.push(this.renderField('place.location', dom.create('span', {
+                dir: 'ltr',
+                textContent: `${Number(place.location.lat).toFixed(6)}, ${Number(place.location.lng).toFixed(6)}`
+            })));
+        }
+        if (place.openingHours && place.openingHours.length) {
+            rows.push(dom.create('details', { className: 'place-hours' }, [
+                dom.create('summary', {}, [dom.create('strong', { textContent: i18n.t('place.hours') })]),
+                ...place.openingHours.map(line => dom.create('p', { textContent: line }))
+            ]));
+        }
+        if (place.photoUrl && dom.isWebUrl(place.photoUrl)) {
+            rows.push(dom.create('img', {
+                className: 'place-photo',
+                src: place.photoUrl,
+                alt: i18n.t('place.photoAlt', { name: place.displayName || '' })
+            }));
+        }
+
+        return rows.length ? dom.create('div', { className: 'place-details' }, rows) : null;
+    }
+}
+
+// Create a singleton instance
+export const resultRenderer = new ResultRenderer();
@@ -0,0 +1,96 @@
+import { i18n } from './I18nHandler.js';
+import { reviewLinkBuilder } from './ReviewLinkBuilder.js';
+import { PlacesHandler } from './PlacesHandler.js';
+import { FakePlacesProvider } from './FakePlacesProvider.js';
+import { fakePlacesFixtures } from './FakePlacesFixtures.js';
+import { qrCodeHandler } from './QRCodeHandler.js';
+import { resultRenderer } from './ResultRenderer.js';
+
+/**
+ * Public API for using the lookup and result view on other pages, e.g. a dashboard:
+ *
+ *   import { lookupPlace, renderResult, renderQr } from './JS/ReviewLinkApi.js';
+ *
+ *   const { place, reviewUrl } = await lookupPlace('Blue Bottle Coffee Oakland', { apiKey });
+ *   renderResult(document.querySelector('#result'), place);
+ *   await renderQr(document.querySelector('#qr'), reviewUrl, { size: 512 });
+ *
+ * The page needs CSS/main.css for the result styles and JS/vendor/qrcode.min.js
+ * (a classic script) before any QR code is drawn. Nothing here looks up elements
+ * by ID, so any number of results can share a page.
+ */
+
+/**
+ * Look up a place by business name, Maps link or Place ID. Every lookup gets its own
+ * PlacesHandler, so lookups with different providers can run side by side on one page.
+ * @param {string} input - Business name, Maps link or Place ID
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Google Maps API key, required unless the fake provider is used
+ * @param {string|Object} [options.provider] - 'fake' serves the offline fixtures instead of Google,
+ *   or any provider object such as a RestPlacesProvider
+ * @param {string} [options.scenario] - Fake provider scenario, see FakePlacesProvider
+ * @returns {Promise<Object>} {place, candidates, reviewUrl, businessUrl}, place is the best of the candidates.
+ *   Rejects when nothing matches or the key is refused.
+ */
+export async function lookupPlace(input, options = {}) {
+    const query = String(input ?? '').trim();
+    if (!query) {
+        throw new Error('lookupPlace needs a business name, Maps link or Place ID');
+    }
+
+    const handler = new PlacesHandler(createProvider(options));
+    if (handler.provider.requiresApiKey && !options.apiKey) {
+        throw new Error('lookupPlace needs an apiKey for Google Places lookups');
+    }
+
+    await handler.loadGoogleMaps(options.apiKey);
+    const candidates = await handler.searchPlace(query);
+    const place = candidates[0];
+
+    return {
+        place,
+        candidates,
+        reviewUrl: reviewLinkBuilder.buildReviewUrl(place.id),
+        businessUrl: reviewLinkBuilder.buildMapsUrl(place)
+    };
+}
+
+/**
+ * Pick the provider for one lookup
+ * @param {Object} options - lookupPlace options
+ * @returns {Object|undefined} Provider, undefined for the page's Google Maps provider
+ */
+function createProvider(options) {
+    if (options.provider === 'fake') {
+        return new FakePlacesProvider(fakePlacesFixtures, { scenario: options.scenario });
+    }
+    if (options.provider && typeof options.provider === 'object') {
+        return options.provider;
+    }
+    return undefined;
+}
+
+/**
+ * Show a place's result card with its links, QR codes and printable templates
+ * @param {HTMLElement} container - Element to render into, its content is replaced
+ * @param {Object} place - Place from lookupPlace, or any object with id, displayName and formattedAddress
+ * @param {Object} [options] - See ResultRenderer#render: note, variants, share, qr, print, map,
+ *   plus candidates and onSelect for pinning every candidate on the map
+ * @returns {HTMLElement} Result card
+ */
+export function renderResult(container, place, options = {}) {
+    return resultRenderer.render(container, place, options);
+}
+
+/**
+ * Draw a single QR code into a container
+ * @param {HTMLElement} container - Element to render into, its content is replaced
+ * @param {string} url - URL to encode, e.g. reviewUrl from lookupPlace
+ * @param {Object} [options] - QR options over the stored ones (colorDark, colorLight, size, margin,
+ *   moduleShape, correctionLevel, logo, transparentBackground), plus alt for the image text
+ * @returns {Promise<Object|null>} {matrix, moduleCount, canvas, dataUrl}, null when the URL could not be encoded
+ */
+export function renderQr(container, url, options = {}) {
+    const { alt = i18n.t('qr.alt', { label: url }), ...qrOptions } = options;
+    return qrCodeHandler.generateQRCode(container, url, qrCodeHandler.getQrOptions(qrOptions), alt);
+}
@@ -0,0 +1,244 @@
+/**
+ * Builds every link format we offer for a place. Pure string building, no DOM,
+ * so the same builders serve the result card, batch rows and exports.
+ *
+ * Variants and what they need from the place data:
+ *   review       Place ID            search.google.com write-review page
+ *   maps         Place ID            Maps search URL pinned to the place
+ *   writeReview  Maps feature ID     Google Search with the review dialog open
+ *   gpage        Maps CID            g.page/r/<token>/review
+ *   cid          Maps CID            maps.google.com/?cid=
+ *   android      Place ID            Intent that opens the Google Maps app
+ *   ios          Place ID            comgooglemapsurl:// link for Google Maps on iOS
+ */
+export class ReviewLinkBuilder {
+    constructor() {
+        // In display order. Their names are the links.variant.<id> messages.
+        this.variants = [
+            { id: 'review', requires: 'id' },
+            { id: 'maps', requires: 'id' },
+            { id: 'writeReview', requires: 'featureId' },
+            { id: 'gpage', requires: 'cid' },
+            { id: 'cid', requires: 'cid' },
+            { id: 'android', requires: 'id' },
+            { id: 'ios', requires: 'id' }
+        ];
+
+        // Shown until the user picks their own set
+        this.defaultVariants = { review: true, maps: true };
+    }
+
+    /**
+     * Build one link variant for a place
+     * @param {string} variantId - Variant ID from this.variants
+     * @param {Object} place - Place data with id, displayName, formattedAddress and optionally cid and featureId
+     * @returns {string|null} URL, or null when the place lacks what the variant needs
+     */
+    build(variantId, place) {
+        const variant = this.variants.find(entry => entry.id === variantId);
+        if (!variant) {
+            throw new Error(`Unknown link variant: ${variantId}`);
+        }
+        if (!place[variant.requires]) return null;
+        // A CID from an imported library or hand-edited URL may be anything
+        if (variant.requires === 'cid' && !this.isValidCid(place.cid)) return null;
+
+        switch (variantId) {
+            case 'review': return this.buildReviewUrl(place.id);
+            case 'maps': return this.buildMapsUrl(place);
+            case 'writeReview': return this.buildWriteReviewUrl(place);
+            case 'gpage': return this.buildGPageUrl(place.cid);
+            case 'cid': return this.buildCidUrl(place.cid);
+            case 'android': return this.buildAndroidIntent(place);
+            case 'ios': return this.buildIosUrl(place);
+        }
+        return null;
+    }
+
+    /**
+     * Build the chosen variants for a place
+     * @param {Object} place - Place data
+     * @param {string[]} [variantIds] - Variants to build, defaults to every variant
+     * @returns {Object[]} {id, url, requires}, url is null when the variant is unavailable for this place
+     */
+    buildAll(place, variantIds = this.variants.map(variant => variant.id)) {
+        return this.variants
+            .filter(variant => variantIds.includes(variant.id))
+            .map(variant => ({ id: variant.id, requires: variant.requires, url: this.build(variant.id, place) }));
+    }
+
+    /**
+     * Build the Google Review page URL for a place
+     * @param {string} placeId - Google Place ID
+     * @returns {string} Review page URL
+     */
+    buildReviewUrl(placeId) {
+        return `https://search.google.com/local/writereview?placeid=${encodeURIComponent(placeId)}`;
+    }
+
+    /**
+     * Build the Google Maps business page URL for a place
+     * @param {Object} place - Place data with id, displayName and formattedAddress
+     * @returns {string} Maps page URL
+     */
+    buildMapsUrl(place) {
+        return `https://www.google.com/maps/search/?api=1&${this.mapsQuery(place)}`;
+    }
+
+    /**
+     * Build the Google Search link that opens the place's write-review dialog
+     * @param {Object} place - Place data with featureId, e.g. "0x89c2599...:0x1b3a..."
+     * @returns {string} Search URL with the review dialog fragment
+     */
+    buildWriteReviewUrl(place) {
+        const query = encodeURIComponent(this.searchText(place) || place.featureId);
+        return `https://www.google.com/search?q=${query}#lrd=${place.featureId},3,,,,`;
+    }
+
+    /**
+     * Build the g.page review short link for a Maps CID
+     * @param {string} cid - Maps CID as a decimal string
+     * @returns {string} g.page review URL
+     */
+    buildGPageUrl(cid) {
+        return `https://g.page/r/${this.cidToReviewToken(cid)}/review`;
+    }
+
+    /**
+     * Build the Maps listing URL for a Maps CID
+     * @param {string} cid - Maps CID as a decimal string
+     * @returns {string} Maps URL
+     */
+    buildCidUrl(cid) {
+        return `https://maps.google.com/?cid=${cid}`;
+    }
+
+    /**
+     * Build an Android intent that opens the place in the Google Maps app,
+     * falling back to the Maps page in the browser when the app is missing
+     * @param {Object} place - Place data with id, displayName and formattedAddress
+     * @returns {string} intent:// URL
+     */
+    buildAndroidIntent(place) {
+        const fallback = encodeURIComponent(this.buildMapsUrl(place));
+        return `intent://www.google.com/maps/search/?api=1&${this.mapsQuery(place)}#Intent;scheme=https;package=com.google.android.apps.maps;S.browser_fallback_url=${fallback};end`;
+    }
+
+    /**
+     * Build a link that opens the place in Google Maps for iOS
+     * @param {Object} place - Place data with id, displayName and formattedAddress
+     * @returns {string} comgooglemapsurl:// URL
+     */
+    buildIosUrl(place) {
+        return `comgooglemapsurl://www.google.com/maps/search/?api=1&${this.mapsQuery(place)}`;
+    }
+
+    /**
+     * Encode a Maps CID as the token g.page review links use: a small protobuf
+     * message (field 1 fixed64 CID, field 2 varint 1) in unpadded base64url
+     * @param {string} cid - Maps CID as a decimal string
+     * @returns {string} Token such as "CbVRyQS0_H6rEAE"
+     */
+    cidToReviewToken(cid) {
+        if (!this.isValidCid(cid)) {
+            throw new Error(`Not a Maps CID: ${cid}`);
+        }
+
+        let value = BigInt(cid);
+        const bytes = [0x09];
+        for (let i = 0; i < 8; i++) {
+            bytes.push(Number(value & 0xffn));
+            value >>= 8n;
+        }
+        bytes.push(0x10, 0x01);
+
+        return btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Check that a CID is a decimal number that fits the 64 bits of a feature ID
+     * @param {*} cid - Value to check
+     * @returns {boolean} True for usable CIDs
+     */
+    isValidCid(cid) {
+        return /^\d{1,20}$/.test(String(cid)) && BigInt(cid) < 2n ** 64n;
+    }
+
+    /**
+     * Read the CID out of a Places API googleMapsURI
+     * @param {string} googleMapsUri - e.g. "https://maps.google.com/?cid=1234567890"
+     * @returns {string|null} CID, or null when the URI carries none
+     */
+    cidFromMapsUri(googleMapsUri) {
+        try {
+            const cid = new URL(googleMapsUri).searchParams.get('cid');
+            return /^\d+$/.test(cid || '') ? cid : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Query parameters for a Maps search URL pinned to a place
+     * @param {Object} place - Place data with id, displayName and formattedAddress
+     * @returns {string} "query=...&query_place_id=..."
+     */
+    mapsQuery(place) {
+        return `query=${encodeURIComponent(this.searchText(place))}&query_place_id=${encodeURIComponent(place.id)}`;
+    }
+
+    /**
+     * @param {Object} place - Place data
+     * @returns {string} Name and address, whichever are known
+     */
+    searchText(place) {
+        return [place.displayName, place.formattedAddress].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Get the variants to show: the stored choice, or the defaults when none is switched on
+     * @returns {string[]} Variant IDs in display order
+     */
+    getEnabledVariants() {
+        const enabled = { ...this.defaultVariants, ...this.getStoredVariantSettings() };
+        const ids = this.variants.filter(variant => enabled[variant.id]).map(variant => variant.id);
+        return ids.length ? ids : Object.keys(this.defaultVariants);
+    }
+
+    /**
+     * Store which link variants are switched on
+     * @param {Object} settings - Map of variant ID to boolean
+     * @returns {boolean} Success status
+     */
+    setStoredVariantSettings(settings) {
+        try {
+            const newSettings = { ...this.getStoredVariantSettings(), ...settings };
+            localStorage.setItem('link_variant_settings', JSON.stringify(newSettings));
+            console.log('Link variant settings saved to localStorage');
+            return true;
+        } catch (e) {
+            console.error('Failed to save link variant settings to localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get which link variants are switched on
+     * @returns {Object} Map of variant ID to boolean
+     */
+    getStoredVariantSettings() {
+        try {
+            const value = localStorage.getItem('link_variant_settings');
+            return value ? JSON.parse(value) : {};
+        } catch (e) {
+            console.error('Failed to read link variant settings from localStorage:', e);
+            return {};
+        }
+    }
+}
+
+// Create a singleton instance
+export const reviewLinkBuilder = new ReviewLinkBuilder();
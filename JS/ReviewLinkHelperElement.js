@@ -0,0 +1,228 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { reviewLinkBuilder } from './ReviewLinkBuilder.js';
+import { lookupPlace, renderResult } from './ReviewLinkApi.js';
+
+/**
+ * Drop-in <review-link-helper> element: a search box and the result for one place.
+ *
+ *   <link rel="stylesheet" href="CSS/main.css">
+ *   <script src="JS/vendor/qrcode.min.js"></script>
+ *   <script type="module" src="JS/ReviewLinkHelperElement.js"></script>
+ *   <review-link-helper query="Blue Bottle Coffee Oakland" api-key="..."></review-link-helper>
+ *
+ * Attributes:
+ *   query            Business name, Maps link or Place ID, looked up whenever it is set
+ *   api-key          Google Maps API key
+ *   map-id           Map ID from the key's Cloud project for the map preview, Google's demo ID otherwise
+ *   provider         'fake' serves the offline fixtures, for demos without a key
+ *   scenario         Fake provider scenario, see FakePlacesProvider
+ *   variants         Comma separated link variants, e.g. "review,gpage", defaults to the stored choice
+ *   no-search        Hide the search box, e.g. when the page sets query itself
+ *   no-qr, no-print  Leave out the QR codes or the printable templates
+ *   no-map           Leave out the map preview
+ *
+ * Fires 'place-found' with {place, candidates, reviewUrl, businessUrl} and 'lookup-error' with {error}.
+ * Content goes in the light DOM so the page's stylesheet applies, and nothing in it has a fixed ID,
+ * so any number of these can share a page.
+ */
+export class ReviewLinkHelperElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['query', 'api-key', 'provider', 'scenario', 'variants', 'no-search', 'no-qr', 'no-print', 'no-map'];
+    }
+
+    constructor() {
+        super();
+
+        // Last lookupPlace result and the candidate shown from it
+        this.result = null;
+        this.place = null;
+
+        // Only the newest lookup may show its result
+        this.lookupCount = 0;
+        this.loading = false;
+
+        this.ready = false;
+        this.handleLanguageChange = () => this.render();
+    }
+
+    connectedCallback() {
+        i18n.onChange(this.handleLanguageChange);
+        this.ready = true;
+        this.render();
+
+        const query = this.getAttribute('query');
+        if (query && !this.result) {
+            this.lookup(query);
+        }
+    }
+
+    disconnectedCallback() {
+        i18n.offChange(this.handleLanguageChange);
+        this.ready = false;
+    }
+
+    /**
+     * Look up again when what the lookup depends on changes, otherwise redraw
+     * @param {string} name - Attribute name
+     * @param {string|null} oldValue - Previous value
+     * @param {string|null} newValue - New value
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Initial attributes are handled by connectedCallback
+        if (!this.ready || oldValue === newValue) return;
+
+        this.render();
+
+        const query = this.getAttribute('query');
+        if (['query', 'api-key', 'provider', 'scenario'].includes(name) && query) {
+            this.lookup(query);
+        }
+    }
+
+    /**
+     * Rebuild the search box and output, keeping the shown result
+     */
+    render() {
+        this.output = dom.create('div', { className: 'result-output' });
+        dom.replace(this, !this.hasAttribute('no-search') && this.renderSearch(), this.output);
+
+        if (this.loading) {
+            dom.showMessage(this.output, i18n.t('output.loading'));
+        } else if (this.place) {
+            this.showPlace(this.place);
+        }
+    }
+
+    /**
+     * Build the search box
+     * @returns {HTMLElement} Input and submit button
+     */
+    renderSearch() {
+        const placeholder = i18n.t('search.inputPlaceholder');
+        const input = dom.create('input', {
+            type: 'text',
+            value: this.getAttribute('query') || '',
+            placeholder,
+            attrs: { 'aria-label': placeholder }
+        });
+        const button = dom.create('button', { textContent: i18n.t('search.submit') });
+
+        const submit = () => {
+            const query = input.value.trim();
+            if (query) {
+                this.lookup(query);
+            }
+        };
+
+        button.addEventListener('click', submit);
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                submit();
+            }
+        });
+
+        return dom.create('div', { className: 'helper-search' }, [input, button]);
+    }
+
+    /**
+     * Look up a place and show the best match
+     * @param {string} query - Business name, Maps link or Place ID
+     * @returns {Promise<void>}
+     */
+    async lookup(query) {
+        const lookupId = ++this.lookupCount;
+        this.result = null;
+        this.place = null;
+        this.loading = true;
+        dom.showMessage(this.output, i18n.t('output.loading'));
+
+        try {
+            const result = await lookupPlace(query, {
+                apiKey: this.getAttribute('api-key'),
+                provider: this.getAttribute('provider'),
+                scenario: this.getAttribute('scenario') || undefined
+            });
+            if (lookupId !== this.lookupCount) return;
+
+            this.loading = false;
+            this.result = result;
+            this.showPlace(result.place);
+            this.dispatchEvent(new CustomEvent('place-found', { detail: result, bubbles: true }));
+        } catch (error) {
+            if (lookupId !== this.lookupCount) return;
+
+            console.error('Lookup failed:', error);
+            this.loading = false;
+            dom.showError(this.output, error.message);
+            this.dispatchEvent(new CustomEvent('lookup-error', { detail: { error }, bubbles: true }));
+        }
+    }
+
+    /**
+     * Show one of the looked-up candidates, with a picker when there were several
+     * @param {Object} place - Candidate to show
+     */
+    showPlace(place) {
+        this.place = place;
+
+        const card = renderResult(this.output, place, {
+            variants: this.getVariants(),
+            share: false,
+            qr: !this.hasAttribute('no-qr'),
+            print: !this.hasAttribute('no-print'),
+            map: !this.hasAttribute('no-map'),
+            mapId: this.getAttribute('map-id') || undefined,
+            candidates: this.result ? this.result.candidates : undefined,
+            onSelect: candidate => this.showPlace(candidate)
+        });
+
+        if (this.result && this.result.candidates.length > 1) {
+            card.before(this.renderCandidatePicker(place));
+        }
+    }
+
+    /**
+     * Build a picker for switching between the looked-up candidates
+     * @param {Object} selected - Candidate shown now
+     * @returns {HTMLElement} Labelled select
+     */
+    renderCandidatePicker(selected) {
+        const candidates = this.result.candidates;
+        const select = dom.create('select', { id: dom.uniqueId('helper-candidates'), className: 'correction-dropdown' },
+            candidates.map((candidate, index) => dom.create('option', {
+                value: String(index),
+                selected: candidate === selected,
+                textContent: `${i18n.formatNumber(index + 1)}. ${[candidate.displayName, candidate.formattedAddress].filter(Boolean).join(', ') || candidate.id}`
+            }))
+        );
+
+        select.addEventListener('change', () => {
+            this.showPlace(candidates[Number(select.value)]);
+        });
+
+        return dom.create('div', { className: 'dropdown-container' }, [
+            dom.create('label', { htmlFor: select.id, textContent: i18n.t('candidates.found', { count: candidates.length }) }),
+            select
+        ]);
+    }
+
+    /**
+     * Read the variants attribute
+     * @returns {string[]|undefined} Known variant IDs, undefined to use the stored choice
+     */
+    getVariants() {
+        const known = reviewLinkBuilder.variants.map(variant => variant.id);
+        const ids = (this.getAttribute('variants') || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(id => known.includes(id));
+        return ids.length ? ids : undefined;
+    }
+}
+
+// A page may load this module from two URLs, which would define the element twice
+if (!customElements.get('review-link-helper')) {
+    customElements.define('review-link-helper', ReviewLinkHelperElement);
+}
@@ -0,0 +1,274 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { reviewLinkBuilder } from './ReviewLinkBuilder.js';
+import { placesHandler } from './PlacesHandler.js';
+import { shortLinkHandler } from './ShortLinkHandler.js';
+
+/**
+ * Handles the settings panels of the page: the language picker, where name searches
+ * look, which details and link formats are shown, and the short link server
+ */
+export class SettingsHandler {
+    constructor() {
+        this.elements = null;
+        this.onChange = null;
+    }
+
+    /**
+     * Draw the settings panels and wire up their controls
+     * @param {Object} elements - The page's elements by ID, see main.js
+     * @param {Function} onChange - Called after a setting that changes the shown result's links or QR codes
+     */
+    init(elements, onChange) {
+        this.elements = elements;
+        this.onChange = onChange;
+
+        this.renderLanguageSelect();
+        this.refresh();
+
+        elements.languageSelect.addEventListener('change', () => {
+            i18n.setLocale(elements.languageSelect.value);
+        });
+
+        // Short link events
+        elements.shortLinkEnabled.addEventListener('change', () => {
+            shortLinkHandler.setStoredSettings({ enabled: elements.shortLinkEnabled.checked });
+            this.onChange();
+        });
+        elements.shortLinkServer.addEventListener('change', () => {
+            shortLinkHandler.setStoredSettings({ serverUrl: elements.shortLinkServer.value.trim() || shortLinkHandler.defaultSettings.serverUrl });
+            this.renderShortLinkSettings();
+            this.onChange();
+        });
+        elements.shortLinkStatsBtn.addEventListener('click', () => this.handleShortLinkStats());
+    }
+
+    /**
+     * Redraw every panel, e.g. after a language change
+     */
+    refresh() {
+        this.renderSearchAreaSettings();
+        this.renderDetailSettings();
+        this.renderLinkVariantSettings();
+        this.renderShortLinkSettings();
+    }
+
+    /**
+     * Fill the language picker with the offered locales
+     */
+    renderLanguageSelect() {
+        dom.replace(this.elements.languageSelect, ...i18n.locales.map(locale => dom.create('option', {
+            value: locale.code,
+            lang: locale.code,
+            textContent: locale.name,
+            selected: locale.code === i18n.getLocale()
+        })));
+    }
+
+    /**
+     * Render the search area settings: what name searches are biased towards,
+     * and the region and place type they are narrowed to
+     */
+    renderSearchAreaSettings() {
+        const settings = placesHandler.getStoredSearchSettings();
+        const field = (labelKey, control) => dom.create('div', { className: 'dropdown-container' }, [
+            dom.create('label', { htmlFor: control.id, textContent: i18n.t(labelKey) }),
+            control
+        ]);
+        const textInput = (name, value, placeholderKey, props = {}) => dom.create('input', {
+            type: 'text',
+            id: dom.uniqueId(name),
+            className: 'correction-dropdown',
+            value,
+            placeholder: i18n.t(placeholderKey),
+            ...props
+        });
+
+        const modeSelect = dom.create('select', { id: dom.uniqueId('search-area-mode'), className: 'correction-dropdown' },
+            ['none', 'geolocation', 'city'].map(mode => dom.create('option', {
+                value: mode,
+                selected: mode === settings.biasMode,
+                textContent: i18n.t(`searchArea.mode.${mode}`)
+            }))
+        );
+        const cityInput = textInput('search-area-city', settings.city, 'searchArea.cityPlaceholder');
+        const locateButton = dom.create('button', { className: 'copy', textContent: i18n.t('searchArea.locate') });
+        const locateStatus = dom.create('span', {
+            className: 'share-note',
+            textContent: settings.position
+                ? i18n.t('searchArea.located', { lat: settings.position.lat.toFixed(4), lng: settings.position.lng.toFixed(4) })
+                : i18n.t('searchArea.notLocated')
+        });
+        const radiusInput = dom.create('input', {
+            type: 'number',
+            id: dom.uniqueId('search-area-radius'),
+            className: 'correction-dropdown',
+            min: 1,
+            max: placesHandler.maxRadius / 1000,
+            step: 'any',
+            value: settings.radius / 1000
+        });
+        const urlCheckbox = dom.create('input', { type: 'checkbox', checked: settings.useUrlCoordinates });
+        const regionInput = textInput('search-area-region', settings.region, 'searchArea.regionPlaceholder', { maxLength: 2 });
+        const typeInput = textInput('search-area-type', settings.includedType, 'searchArea.typePlaceholder');
+
+        dom.replace(this.elements.searchAreaFields,
+            field('searchArea.modeLabel', modeSelect),
+            settings.biasMode === 'city' && field('searchArea.cityLabel', cityInput),
+            settings.biasMode === 'geolocation' && dom.create('div', { className: 'link-box' }, [locateButton, locateStatus]),
+            settings.biasMode !== 'none' && field('searchArea.radiusLabel', radiusInput),
+            dom.create('label', { className: 'qr-checkbox detail-field' }, [urlCheckbox, ` ${i18n.t('searchArea.useUrl')}`]),
+            field('searchArea.regionLabel', regionInput),
+            field('searchArea.typeLabel', typeInput)
+        );
+
+        // Save a setting, then redraw so the controls show what was kept
+        const applySettings = (changes) => {
+            placesHandler.setStoredSearchSettings(changes);
+            this.renderSearchAreaSettings();
+        };
+
+        modeSelect.addEventListener('change', () => {
+            applySettings({ biasMode: modeSelect.value });
+            if (modeSelect.value === 'geolocation' && !settings.position) {
+                this.handleLocate();
+            }
+        });
+        cityInput.addEventListener('change', () => {
+            applySettings({ city: cityInput.value.trim() });
+        });
+        locateButton.addEventListener('click', () => this.handleLocate());
+        radiusInput.addEventListener('change', () => {
+            applySettings({ radius: Number(radiusInput.value) * 1000 });
+        });
+        urlCheckbox.addEventListener('change', () => {
+            applySettings({ useUrlCoordinates: urlCheckbox.checked });
+        });
+        regionInput.addEventListener('change', () => {
+            applySettings({ region: regionInput.value });
+        });
+        typeInput.addEventListener('change', () => {
+            applySettings({ includedType: typeInput.value });
+        });
+    }
+
+    /**
+     * Ask the browser where the user is and search near there from now on
+     */
+    handleLocate() {
+        const showStatus = (message) => {
+            const status = this.elements.searchAreaFields.querySelector('.link-box .share-note');
+            if (status) status.textContent = message;
+        };
+
+        if (!navigator.geolocation) {
+            showStatus(i18n.t('searchArea.locateFailed', { error: i18n.t('searchArea.noGeolocation') }));
+            return;
+        }
+
+        showStatus(i18n.t('searchArea.locating'));
+        navigator.geolocation.getCurrentPosition((position) => {
+            placesHandler.setStoredSearchSettings({
+                position: { lat: position.coords.latitude, lng: position.coords.longitude }
+            });
+            this.renderSearchAreaSettings();
+        }, (error) => {
+            console.error('Geolocation failed:', error);
+            showStatus(i18n.t('searchArea.locateFailed', { error: error.message }));
+        }, { timeout: 15000, maximumAge: 10 * 60 * 1000 });
+    }
+
+    /**
+     * Render a checkbox per optional detail group
+     */
+    renderDetailSettings() {
+        const enabled = placesHandler.getStoredDetailSettings();
+
+        dom.replace(this.elements.detailFields, ...placesHandler.detailFieldGroups.map((group) => {
+            const checkbox = dom.create('input', { type: 'checkbox', checked: !!enabled[group.key] });
+            checkbox.addEventListener('change', (event) => {
+                placesHandler.setStoredDetailSettings({ [group.key]: event.target.checked });
+            });
+
+            return dom.create('label', { className: 'qr-checkbox detail-field' }, [
+                checkbox,
+                ` ${i18n.t(`details.group.${group.key}`)} `,
+                dom.create('span', { className: 'detail-tier', textContent: group.tier })
+            ]);
+        }));
+    }
+
+    /**
+     * Render a checkbox per link variant. At least one stays switched on.
+     */
+    renderLinkVariantSettings() {
+        const enabled = reviewLinkBuilder.getEnabledVariants();
+
+        dom.replace(this.elements.linkVariantFields, ...reviewLinkBuilder.variants.map((variant) => {
+            const checkbox = dom.create('input', { type: 'checkbox', checked: enabled.includes(variant.id) });
+            checkbox.addEventListener('change', (event) => {
+                if (!event.target.checked && reviewLinkBuilder.getEnabledVariants().length === 1) {
+                    event.target.checked = true;
+                    return;
+                }
+
+                reviewLinkBuilder.setStoredVariantSettings({ [variant.id]: event.target.checked });
+                this.onChange();
+            });
+
+            return dom.create('label', { className: 'qr-checkbox detail-field' }, [
+                checkbox,
+                ` ${i18n.t(`links.variant.${variant.id}`)}`
+            ]);
+        }));
+    }
+
+    /**
+     * Show the stored short link settings
+     */
+    renderShortLinkSettings() {
+        const settings = shortLinkHandler.getSettings();
+        this.elements.shortLinkEnabled.checked = settings.enabled;
+        this.elements.shortLinkServer.value = settings.serverUrl;
+        this.elements.shortLinkDashboard.href = shortLinkHandler.getDashboardUrl();
+    }
+
+    /**
+     * Show scan counts per place from the short link server
+     */
+    async handleShortLinkStats() {
+        const container = this.elements.shortLinkStats;
+        dom.showMessage(container, i18n.t('output.loading'));
+
+        let links;
+        try {
+            links = await shortLinkHandler.getStats();
+        } catch (err) {
+            console.error('Failed to load short link stats:', err);
+            dom.showError(container, err.message);
+            return;
+        }
+
+        if (!links.length) {
+            dom.showMessage(container, i18n.t('shortLinks.none'));
+            return;
+        }
+
+        const rows = links.map(link => [
+            link.name || link.placeId,
+            dom.create('td', { dir: 'ltr', textContent: link.shortUrl }),
+            i18n.formatNumber(link.hits),
+            i18n.formatNumber(link.lastWeek)
+        ]);
+
+        dom.replace(container, dom.table([
+            i18n.t('shortLinks.place'),
+            i18n.t('shortLinks.link'),
+            i18n.t('shortLinks.scans'),
+            i18n.t('shortLinks.lastWeek')
+        ], rows));
+    }
+}
+
+// Create a singleton instance
+export const settingsHandler = new SettingsHandler();
@@ -0,0 +1,211 @@
+import { i18n } from './I18nHandler.js';
+import { StorageHandler } from './StorageHandler.js';
+
+/**
+ * Handles optional short review links from the short-link server in server/short-link-server.js.
+ * When switched on, QR codes and printouts encode the short link instead of the long review URL,
+ * and the server counts every scan. The pages' Content-Security-Policy only lets them reach the
+ * server at its default address, so a server elsewhere needs its origin added to connect-src;
+ * until it is, request() fails with a message saying so instead of a bare network error.
+ * The server in turn only answers pages on its own machine unless started with --origin.
+ */
+export class ShortLinkHandler {
+    constructor() {
+        this.defaultSettings = {
+            enabled: false,
+            serverUrl: 'http://localhost:8787'
+        };
+
+        // Short links already issued, so saved places keep theirs offline
+        this.cache = new StorageHandler('short_links', 'placeId');
+
+        // Give up on an unreachable server quickly and fall back to the review URL
+        this.timeout = 3000;
+    }
+
+    /**
+     * Get the short link settings: stored values over defaults
+     * @returns {Object} {enabled, serverUrl}
+     */
+    getSettings() {
+        return { ...this.defaultSettings, ...this.getStoredSettings() };
+    }
+
+    /**
+     * @returns {boolean} True when QR codes should use short links
+     */
+    isEnabled() {
+        return this.getSettings().enabled;
+    }
+
+    /**
+     * Server address without a trailing slash
+     * @returns {string} Server URL
+     */
+    getServerUrl() {
+        return this.getSettings().serverUrl.trim().replace(/\/+$/, '');
+    }
+
+    /**
+     * @returns {string} URL of the server's scan dashboard
+     */
+    getDashboardUrl() {
+        return `${this.getServerUrl()}/dashboard`;
+    }
+
+    /**
+     * Get the short link for a place, asking the server for one when it has none yet.
+     * The server hands out one code per place, so asking again returns the same link.
+     * @param {Object} placeData - Place data with id, displayName and formattedAddress
+     * @param {string} reviewUrl - Review URL the short link redirects to
+     * @returns {Promise<Object>} {shortUrl, code, hits}, hits is null when the count is from the cache
+     */
+    async getShortLink(placeData, reviewUrl) {
+        const serverUrl = this.getServerUrl();
+        const cached = await this.cache.get(placeData.id);
+
+        try {
+            const link = await this.request('/api/links', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    placeId: placeData.id,
+                    name: placeData.displayName || '',
+                    address: placeData.formattedAddress || '',
+                    url: reviewUrl
+                })
+            });
+
+            await this.cache.put({ placeId: placeData.id, serverUrl, code: link.code, shortUrl: link.shortUrl });
+            console.log('Short link ready:', link.shortUrl);
+            return { shortUrl: link.shortUrl, code: link.code, hits: link.hits };
+        } catch (e) {
+            // A link issued earlier by the same server keeps working while it is unreachable from here
+            if (cached && cached.serverUrl === serverUrl) {
+                console.log('Short link server unreachable, using the cached link:', e.message);
+                return { shortUrl: cached.shortUrl, code: cached.code, hits: null };
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Get scan counts for every short link
+     * @returns {Promise<Object[]>} Links from the server, most scanned first
+     */
+    async getStats() {
+        const { links } = await this.request('/api/links');
+        return links;
+    }
+
+    /**
+     * Call the short-link server
+     * @param {string} path - API path
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Object>} JSON response
+     */
+    async request(path, options = {}) {
+        const serverUrl = this.getServerUrl();
+        if (!this.isAllowedByPage(serverUrl)) {
+            throw new Error(i18n.t('shortLinks.blocked', { origin: new URL(serverUrl).origin }));
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${serverUrl}${path}`, { ...options, signal: controller.signal });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Short link server answered ${response.status}`);
+            }
+            return data;
+        } catch (e) {
+            if (e.name === 'AbortError') {
+                throw new Error(i18n.t('shortLinks.noAnswer', { server: serverUrl }));
+            }
+            if (e instanceof TypeError) {
+                throw new Error(i18n.t('shortLinks.unreachable', { server: serverUrl }));
+            }
+            throw e;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Check the page's Content-Security-Policy lets it connect to a URL. The browser blocks
+     * anything else with the same TypeError as a network failure, so this is checked first.
+     * Pages without a policy, e.g. one embedding the widget, allow everything.
+     * @param {string} url - URL to connect to
+     * @returns {boolean} True when connect-src (or default-src) allows the URL
+     */
+    isAllowedByPage(url) {
+        const meta = typeof document !== 'undefined' && document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+        if (!meta) return true;
+
+        const directives = meta.content.split(';').map(directive => directive.trim().split(/\s+/));
+        const directive = directives.find(([name]) => name === 'connect-src') || directives.find(([name]) => name === 'default-src');
+        if (!directive) return true;
+
+        let target;
+        try {
+            target = new URL(url);
+        } catch (e) {
+            return false;
+        }
+        const defaultPorts = { 'http:': '80', 'https:': '443' };
+        const targetPort = target.port || defaultPorts[target.protocol];
+
+        return directive.slice(1).some((source) => {
+            if (source === '*') return true;
+            if (source === "'self'") return target.origin === window.location.origin;
+            if (/^[a-z][a-z0-9+.-]*:$/i.test(source)) return target.protocol === source.toLowerCase();
+
+            // scheme://host:port, the host may start with *. and the port may be left out or *
+            const match = source.match(/^([a-z][a-z0-9+.-]*):\/\/(\*\.)?([^/:]+)(?::(\d+|\*))?/i);
+            if (!match || `${match[1].toLowerCase()}:` !== target.protocol) return false;
+
+            const [, , wildcard, host, port] = match;
+            const hostMatches = wildcard
+                ? target.hostname.endsWith(`.${host.toLowerCase()}`)
+                : target.hostname === host.toLowerCase();
+            const portMatches = port === '*' || (port || defaultPorts[target.protocol]) === targetPort;
+            return hostMatches && portMatches;
+        });
+    }
+
+    /**
+     * Store short link settings in localStorage
+     * @param {Object} settings - Settings to store
+     * @returns {boolean} Success status
+     */
+    setStoredSettings(settings) {
+        try {
+            const newSettings = { ...this.getStoredSettings(), ...settings };
+            localStorage.setItem('short_link_settings', JSON.stringify(newSettings));
+            console.log('Short link settings saved to localStorage');
+            return true;
+        } catch (e) {
+            console.error('Failed to save short link settings to localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get short link settings from localStorage
+     * @returns {Object} Stored settings
+     */
+    getStoredSettings() {
+        try {
+            const value = localStorage.getItem('short_link_settings');
+            return value ? JSON.parse(value) : {};
+        } catch (e) {
+            console.error('Failed to read short link settings from localStorage:', e);
+            return {};
+        }
+    }
+}
+
+// Create a singleton instance
+export const shortLinkHandler = new ShortLinkHandler();
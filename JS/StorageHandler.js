@@ -0,0 +1,146 @@
+/**
+ * Key-value record storage backed by IndexedDB, falling back to localStorage
+ * when IndexedDB is unavailable (private browsing, old browsers, file:// quirks)
+ */
+export class StorageHandler {
+    /**
+     * @param {string} storeName - Object store name, also the localStorage key for the fallback
+     * @param {string} [keyPath='id'] - Record property used as the key
+     */
+    constructor(storeName, keyPath = 'id') {
+        this.dbName = 'google_review_helper';
+        this.dbVersion = 1;
+        this.storeName = storeName;
+        this.keyPath = keyPath;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase|null>} Database, or null when falling back to localStorage
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                console.log('IndexedDB not available, using localStorage');
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(`${this.dbName}_${this.storeName}`, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: this.keyPath });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error('Failed to open IndexedDB, using localStorage:', request.error);
+                    resolve(null);
+                };
+            } catch (e) {
+                console.error('Failed to open IndexedDB, using localStorage:', e);
+                resolve(null);
+            }
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async withStore(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get every record
+     * @returns {Promise<Object[]>} Records
+     */
+    async getAll() {
+        if (!await this.open()) return this.readFallback();
+        return this.withStore('readonly', store => store.getAll());
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} key - Record key
+     * @returns {Promise<Object|null>} Record or null
+     */
+    async get(key) {
+        if (!await this.open()) {
+            return this.readFallback().find(record => record[this.keyPath] === key) || null;
+        }
+        const record = await this.withStore('readonly', store => store.get(key));
+        return record || null;
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {Object} record - Record to store
+     * @returns {Promise<void>}
+     */
+    async put(record) {
+        if (!await this.open()) {
+            const records = this.readFallback().filter(item => item[this.keyPath] !== record[this.keyPath]);
+            records.push(record);
+            this.writeFallback(records);
+            return;
+        }
+        await this.withStore('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        if (!await this.open()) {
+            this.writeFallback(this.readFallback().filter(record => record[this.keyPath] !== key));
+            return;
+        }
+        await this.withStore('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Read the localStorage fallback
+     * @returns {Object[]} Records
+     */
+    readFallback() {
+        try {
+            const value = localStorage.getItem(this.storeName);
+            return value ? JSON.parse(value) : [];
+        } catch (e) {
+            console.error(`Failed to read ${this.storeName} from localStorage:`, e);
+            return [];
+        }
+    }
+
+    /**
+     * Write the localStorage fallback
+     * @param {Object[]} records - Records
+     * @returns {boolean} Success status
+     */
+    writeFallback(records) {
+        try {
+            localStorage.setItem(this.storeName, JSON.stringify(records));
+            return true;
+        } catch (e) {
+            console.error(`Failed to save ${this.storeName} to localStorage:`, e);
+            return false;
+        }
+    }
+}
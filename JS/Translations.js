@@ -0,0 +1,1318 @@
+/**
+ * UI message catalogues used by I18nHandler
+ *
+ * One catalogue per language, keyed by message ID. Keys missing from a catalogue
+ * fall back to English, so a new language can start small.
+ *
+ *   {name}       - Placeholder filled in by i18n.t(key, {name})
+ *   { one, ... } - Plural forms by Intl.PluralRules category, picked with vars.count
+ *   meta.dir     - Text direction of the language, 'ltr' or 'rtl'
+ *   print.<id>.* - Name and default texts of the built-in print templates
+ *
+ * Messages read with data-i18n-html may contain inline markup; all others are plain text.
+ */
+export const translations = {
+    en: {
+        'meta.dir': 'ltr',
+        'app.title': 'Google Review Helper',
+        'app.intro': 'Enter your <strong>Google Places API Key</strong> and a business name or Maps link to retrieve a <strong>Google Review</strong> link, as well as <strong>QR Codes</strong> pointing to the <strong>Google Review Page</strong> and the <strong>Google Maps Page</strong>, and the Business\'s <strong>Place ID</strong>.',
+        'language.label': 'Language:',
+
+        'keys.label': 'Key:',
+        'keys.namePlaceholder': 'Key name, e.g. the client it belongs to',
+        'keys.add': 'Add Key',
+        'keys.remove': 'Remove',
+        'keys.apiKeyLabel': 'Google Places API Key:',
+        'keys.apiKeyPlaceholder': 'Your Google Places API Key',
+        'keys.mapIdLabel': 'Map ID:',
+        'keys.mapIdPlaceholder': 'Blank for Google\'s demo map ID',
+        'keys.storageLabel': 'Remember keys:',
+        'keys.mode.session': 'For this tab only',
+        'keys.mode.local': 'On this device',
+        'keys.mode.encrypted': 'On this device, encrypted with a passphrase',
+        'keys.passphrasePlaceholder': 'Passphrase',
+        'keys.unlock': 'Unlock',
+        'keys.encryptSave': 'Encrypt & Save',
+        'keys.lock': 'Lock',
+        'keys.forgetAll': 'Forget All Keys',
+        'keys.unnamed': 'Unnamed key',
+        'keys.defaultName': 'My key',
+        'keys.numbered': 'Key {number}',
+        'keys.confirmRemove': 'Remove the key "{name}" from this browser?',
+        'keys.confirmForget': 'Forget every API key saved in this browser?',
+        'keys.enterPassphrase': 'Enter a passphrase first.',
+        'keys.enterKey': 'Enter an API key first.',
+        'keys.wrongPassphrase': 'Wrong passphrase, the API keys could not be unlocked.',
+        'keys.status.locked': 'Your saved keys are locked. Enter your passphrase and press Unlock.',
+        'keys.status.encryptedSaved': 'Keys saved encrypted on this device. Lock them when you step away.',
+        'keys.status.encryptedUnsaved': 'Enter a passphrase and press Encrypt & Save. Until then the keys are only kept in this page.',
+        'keys.status.encryptedEmpty': 'Enter your key and a passphrase to save it encrypted on this device.',
+        'keys.status.local': 'Keys saved in plain text in this browser. Avoid this on shared machines.',
+        'keys.status.session': 'Keys kept for this tab only and forgotten when it closes.',
+
+        'diagnostics.summary': 'Key check & monthly usage',
+        'diagnostics.test': 'Test Key',
+        'diagnostics.resetUsage': 'Reset Counter',
+        'diagnostics.usageNote': 'Calls are counted in this browser only, so lookups made elsewhere with the same key are missing. Google Cloud Console has the billed totals.',
+        'diagnostics.demoNoKey': 'Demo mode uses sample data, there is no key to test.',
+        'diagnostics.enterKey': 'Enter an API key to test.',
+        'diagnostics.testing': 'Testing key...',
+        'diagnostics.keyWorks': 'Key works.',
+        'diagnostics.keyWorksDetail': 'Maps JavaScript API and Places API (New) both accepted it.',
+        'diagnostics.errorCode': 'Google error code: {code}',
+        'diagnostics.yourSite': 'your site',
+        'diagnostics.failure.InvalidKeyMapError': 'The API key is not valid.',
+        'diagnostics.failure.MissingKeyMapError': 'No API key was sent to Google.',
+        'diagnostics.failure.ExpiredKeyMapError': 'The API key has expired or was deleted.',
+        'diagnostics.failure.RefererNotAllowedMapError': 'This website is not allowed to use the API key.',
+        'diagnostics.failure.ApiNotActivatedMapError': 'The Maps JavaScript API is not enabled for this key\'s project.',
+        'diagnostics.failure.PlacesApiNotActivatedError': 'The Places API (New) is not enabled for this key\'s project.',
+        'diagnostics.failure.ApiTargetBlockedMapError': 'The key\'s API restrictions block the APIs this tool needs.',
+        'diagnostics.failure.BillingNotEnabledMapError': 'Billing is not enabled for this key\'s project.',
+        'diagnostics.failure.OverQuotaMapError': 'The project has used up its quota.',
+        'diagnostics.failure.ProjectDeniedMapError': 'Google has denied access for this key\'s project.',
+        'diagnostics.failure.DeletedApiProjectMapError': 'The key belongs to a deleted project.',
+        'diagnostics.failure.ScriptLoadError': 'The Google Maps script could not be downloaded.',
+        'diagnostics.step.credentials': 'Open Google Cloud Console > APIs & Services > Credentials and select your key.',
+        'diagnostics.step.reload': 'Reload this page after changing the key or its settings.',
+        'diagnostics.step.checkKey': 'Check the whole key was copied, it starts with "AIza".',
+        'diagnostics.step.enterKey': 'Enter your key in the API key field.',
+        'diagnostics.step.newKey': 'Create a new key and enter it here.',
+        'diagnostics.step.allowSite': 'Under "Application restrictions", add {site} to the allowed websites.',
+        'diagnostics.step.openLibrary': 'Open Google Cloud Console > APIs & Services > Library.',
+        'diagnostics.step.enableMaps': 'Enable "Maps JavaScript API".',
+        'diagnostics.step.enablePlaces': 'Enable "Places API (New)", not just the legacy "Places API".',
+        'diagnostics.step.waitAndRetry': 'Wait a few minutes, then try again.',
+        'diagnostics.step.allowApis': 'Under "API restrictions", allow "Maps JavaScript API" and "Places API (New)".',
+        'diagnostics.step.openBilling': 'Open Google Cloud Console > Billing.',
+        'diagnostics.step.linkBilling': 'Link a valid billing account to the project. The monthly free usage still applies.',
+        'diagnostics.step.openQuotas': 'Open Google Cloud Console > APIs & Services > Quotas.',
+        'diagnostics.step.raiseQuota': 'Raise the daily limit or wait for the quota to reset.',
+        'diagnostics.step.checkNotices': 'Check for notices in Google Cloud Console.',
+        'diagnostics.step.contactSupport': 'Contact Google Maps Platform support if the project should be in good standing.',
+        'diagnostics.step.newProjectKey': 'Create a new key in an active project and enter it here.',
+        'diagnostics.step.checkConnection': 'Check your internet connection.',
+        'diagnostics.step.disableBlockers': 'Turn off ad or script blockers for this page.',
+        'diagnostics.step.tryAgain': 'Try again.',
+        'usage.tier': 'Tier',
+        'usage.calls': 'Calls in {month} / free',
+
+        'notes.keyPrivacy': 'Your API keys stay <strong>in your browser</strong>: for this tab only, on this device, or encrypted with a passphrase you choose. It is <strong>never</strong> sent anywhere except back to Google.',
+        'notes.freeCredit': 'The <strong>Google Places API</strong> has a generous free monthly credit of up to <strong>10,000</strong> monthly API calls, meaning for the occasional lookup, this service is basically free to use. However, they do still require you to set up a <strong>Google Developer Account</strong> with a <strong>valid billing account</strong> in order to use this service. If you\'re using this service to help clients (or yourself) land Google Reviews by simplifying the process for customers, then the small amount of work necessary to set everything up is well worth it.',
+        'notes.getKey': 'Get your own Google Places API Key',
+        'notes.demo': 'Try it with demo data, no key needed',
+        'demo.note': '<strong>Demo mode:</strong> searches use built-in sample places (scenario: {scenario}) and no API key is needed. Try "Joe\'s Pizza" or "Blue Bottle Coffee".',
+        'demo.leave': 'Leave demo mode',
+
+        'search.inputLabel': 'Business name or Google Maps URL:',
+        'search.inputPlaceholder': 'Enter business name or Google Maps link',
+        'search.submit': 'Submit Places Search',
+        'searchArea.summary': 'Search area',
+        'searchArea.note': 'Rank name searches near one area, so a chain with many branches returns the one you mean first. Places elsewhere can still appear further down.',
+        'searchArea.modeLabel': 'Search near:',
+        'searchArea.mode.none': 'Anywhere',
+        'searchArea.mode.geolocation': 'My current location',
+        'searchArea.mode.city': 'A city',
+        'searchArea.cityLabel': 'City:',
+        'searchArea.cityPlaceholder': 'e.g. Brooklyn, NY',
+        'searchArea.locate': 'Use My Location',
+        'searchArea.located': 'Searching near {lat}, {lng}',
+        'searchArea.notLocated': 'Your location has not been shared yet.',
+        'searchArea.locating': 'Finding your location...',
+        'searchArea.locateFailed': 'Couldn\'t get your location: {error}',
+        'searchArea.noGeolocation': 'this browser can\'t share it',
+        'searchArea.radiusLabel': 'Radius (km):',
+        'searchArea.useUrl': 'Search near the coordinates in pasted Maps links',
+        'searchArea.regionLabel': 'Region code:',
+        'searchArea.regionPlaceholder': 'e.g. US, blank for any region',
+        'searchArea.typeLabel': 'Place type:',
+        'searchArea.typePlaceholder': 'e.g. restaurant or cafe, blank for any',
+        'searchArea.source.url': 'the Maps link\'s coordinates',
+        'searchArea.source.geolocation': 'your location',
+        'details.summary': 'Extra place details',
+        'details.note': 'Each extra field can move a lookup into a more expensive Places API billing tier (Essentials, Pro or Enterprise). Switch off what you don\'t need.',
+        'details.group.location': 'Map location',
+        'details.group.businessStatus': 'Business status',
+        'details.group.photo': 'Photo',
+        'details.group.rating': 'Rating and review count',
+        'details.group.hours': 'Opening hours',
+        'details.group.phone': 'Phone number',
+        'details.group.website': 'Website',
+        'links.summary': 'Link formats',
+        'links.note': 'Pick the review and Maps link formats to show. Each one gets its own copy button and QR code.',
+        'links.variant.review': 'Google Review Page',
+        'links.variant.maps': 'Google Maps Business Page',
+        'links.variant.writeReview': 'Write-review dialog on Google Search',
+        'links.variant.gpage': 'g.page review link',
+        'links.variant.cid': 'Maps listing by CID',
+        'links.variant.android': 'Google Maps app (Android)',
+        'links.variant.ios': 'Google Maps app (iOS)',
+        'links.unavailable': '{name}: {reason}',
+        'links.needs.id': 'needs a Place ID.',
+        'links.needs.cid': 'needs the place\'s Maps CID. Look the place up again to get it.',
+        'links.needs.featureId': 'needs a Google Maps URL with the place\'s feature ID (0x…:0x…). Paste the place\'s full Maps URL to get it.',
+
+        'output.waiting': 'Waiting for submission...',
+        'output.enterKeyForLink': 'Enter your API key and press Submit to look up the linked place.',
+        'output.loading': 'Loading...',
+        'output.debugHint': 'Check browser console (F12) for debug info',
+        'output.openedFromLink': 'Opened from a shared link',
+        'output.openedFromLibrary': 'Opened from your saved places',
+        'output.previousResult': 'Previous search result loaded from your saved places',
+        'errors.prefix': 'Error:',
+        'errors.consoleHint': 'Check browser console (F12) for full error details',
+        'errors.keysLocked': 'Your saved API keys are locked. Enter your passphrase and press Unlock.',
+        'errors.popupBlocked': 'The browser blocked the new tab. Allow pop-ups for this page and try again.',
+        'errors.missingInput': 'Enter both API key and location input.',
+        'errors.batchMissingInput': 'Enter an API key and at least one business, Maps link or Place ID.',
+        'errors.noResults': 'No results found for the search query',
+        'errors.cityNotFound': 'Couldn\'t find "{city}" to search near. Check the city in the search area settings.',
+        'errors.unknownPlaceId': 'Google does not recognise the Place ID "{id}". It may be stale, or the business may have closed or moved. Search by name to find its current Place ID.',
+        'errors.shortLink': 'Short links can\'t be read directly. Open the link, then paste the full Google Maps URL from your address bar.',
+        'errors.cidOnly': 'This link only contains a Maps CID ({cid}), which the Places API can\'t look up. Open the link, then paste the full Google Maps URL from your address bar.',
+        'errors.noPlaceInUrl': 'No place ID or business name found in this URL',
+
+        'offline.queuedLookup': 'You are offline. "{input}" is queued and will be looked up when the connection returns. Saved places below still open.',
+        'offline.ranQueued': { one: 'Back online: ran {count} queued lookup.', other: 'Back online: ran {count} queued lookups.' },
+        'offline.savedResult': '{input}: saved {name}',
+        'offline.ambiguousResult': { one: '{input}: {count} matching place, choose the right one', other: '{input}: {count} matching places, choose the right one' },
+        'offline.batch': 'You are offline. Batch searches need a connection, try again once you are back online.',
+        'offline.queuedTitle': 'Queued:',
+        'offline.offlineTitle': 'Offline:',
+        'offline.waiting': { one: 'Back online. {count} queued lookup is waiting to run.', other: 'Back online. {count} queued lookups are waiting to run.' },
+        'offline.status': 'You are offline. Saved places still open with their links and QR codes; new lookups are queued until the connection returns.',
+        'actions.open': 'Open',
+        'actions.searchAgain': 'Search Again',
+        'actions.copyLink': 'Copy Link',
+        'actions.copyShareLink': 'Copy Share Link',
+        'actions.remove': 'Remove',
+
+        'candidates.found': { one: '{count} matching place found, choose the right one:', other: '{count} matching places found, choose the right one:' },
+        'candidates.use': 'Use This Place',
+        'candidates.previous': 'Previous',
+        'candidates.next': 'Next',
+        'candidates.page': 'Page {page} of {pages}',
+
+        'place.name': 'Place:',
+        'place.address': 'Address:',
+        'place.id': 'Place ID:',
+        'place.none': 'N/A',
+        'place.replaced': 'Google replaced the stale Place ID {id} with this one.',
+        'place.lookedUpWith': 'Looked up with the key "{name}"',
+        'place.shareNote': 'Opens this place in the helper, no API key needed',
+        'place.rating': 'Rating:',
+        'place.reviewCount': { one: '({count} review)', other: '({count} reviews)' },
+        'place.status': 'Status:',
+        'place.status.OPERATIONAL': 'Open',
+        'place.status.CLOSED_TEMPORARILY': 'Temporarily closed',
+        'place.status.CLOSED_PERMANENTLY': 'Permanently closed',
+        'place.phone': 'Phone:',
+        'place.website': 'Website:',
+        'place.location': 'Location:',
+        'place.hours': 'Opening Hours',
+        'place.photoAlt': 'Photo of {name}',
+        'place.searchFilters': 'Search narrowed to:',
+        'place.searchedNear': 'within {radius} km of {place}',
+        'place.searchedRegion': 'region {region}',
+        'place.searchedType': 'type {type}',
+        'map.label': 'Map of {name}',
+        'map.candidatesLabel': 'Map of the matching places',
+        'map.pinSelect': 'Choose {place}',
+        'map.fallback.unavailable': 'No map here: the Google Maps script isn\'t loaded, e.g. with the sample data. The pins show where the places lie relative to each other.',
+        'map.fallback.offline': 'No map while offline. The pins show where the places lie relative to each other.',
+        'map.fallback.failed': 'The map couldn\'t be loaded. Check that your key allows the Maps JavaScript API. The pins show where the places lie relative to each other.',
+
+        'batch.summary': 'Batch Mode',
+        'batch.inputLabel': 'Businesses, Google Maps URLs or Place IDs (one per line):',
+        'batch.inputPlaceholder': 'One business name, Maps link or Place ID per line',
+        'batch.fileLabel': 'Or upload a CSV file (first column is used):',
+        'batch.run': 'Run Batch Search',
+        'batch.column.input': 'Input',
+        'batch.column.place': 'Place',
+        'batch.column.placeId': 'Place ID',
+        'batch.column.links': 'Links',
+        'batch.column.status': 'Status',
+        'batch.status.pending': 'Pending',
+        'batch.status.running': 'Searching...',
+        'batch.status.ok': 'OK',
+        'batch.status.replaced': 'OK (replaces stale ID {id})',
+        'batch.status.ambiguous': 'Ambiguous ({count} matches, best match used)',
+        'batch.status.error': 'Error: {error}',
+        'batch.review': 'Review',
+        'batch.maps': 'Maps',
+        'batch.retry': 'Retry',
+        'batch.choose': 'Choose the right place',
+        'batch.progress': 'Processed {done} of {total} ({failed} failed, {ambiguous} ambiguous)',
+        'export.csv': 'Export CSV',
+        'export.json': 'Export JSON',
+        'export.zip': 'QR Codes (ZIP)',
+        'export.zipFailed': 'The QR code ZIP couldn\'t be made: {error}',
+        'library.summary': 'Saved Places',
+        'library.searchPlaceholder': 'Search saved places, tags or notes',
+        'library.export': 'Export Library',
+        'library.import': 'Import Library',
+        'library.imported': { one: 'Imported {count} place.', other: 'Imported {count} places.' },
+        'library.importFailed': 'Import failed: {error}',
+        'library.importSkipped': { one: 'Skipped {count} entry without a valid Place ID.', other: 'Skipped {count} entries without a valid Place ID.' },
+        'library.loadFailed': 'Couldn\'t show your saved places: {error}',
+        'library.saveFailed': 'This place couldn\'t be added to your saved places: {error}',
+        'library.notAnExport': 'This file is not a saved places export',
+        'library.noMatches': 'No saved places match your search.',
+        'library.empty': 'Places you look up are saved here.',
+        'library.pin': 'Pin',
+        'library.unpin': 'Unpin',
+        'library.delete': 'Delete',
+        'library.lookedUpWith': 'Looked up with: {name}',
+        'library.tagsAndNotes': 'Tags & Notes',
+        'library.tags': 'Tags (comma separated):',
+        'library.notes': 'Notes:',
+        'library.confirmDelete': 'Delete {name} from your saved places?',
+
+        'shortLinks.summary': 'Short Links & Scan Counts',
+        'shortLinks.note': 'Short links keep QR codes simple and count every scan. They need the short link server from this project running where phones can reach it: node server/short-link-server.js',
+        'shortLinks.enable': 'Encode short links in QR codes and printouts',
+        'shortLinks.server': 'Short link server:',
+        'shortLinks.showStats': 'Show Scan Counts',
+        'shortLinks.dashboard': 'Open Dashboard',
+        'shortLinks.none': 'No short links yet. Open a place with short links switched on to create one.',
+        'shortLinks.place': 'Place',
+        'shortLinks.link': 'Short link',
+        'shortLinks.scans': 'Scans',
+        'shortLinks.lastWeek': 'Last 7 days',
+        'shortLinks.creating': 'Getting the short link...',
+        'shortLinks.failed': 'No short link, the QR codes use the full review link. {error}',
+        'shortLinks.blocked': 'This page\'s Content-Security-Policy doesn\'t allow connecting to {origin}. Add it to connect-src in index.html and widget.html.',
+        'shortLinks.unreachable': 'The short link server at {server} is not reachable.',
+        'shortLinks.noAnswer': 'The short link server at {server} did not answer.',
+        'shortLinks.scanCount': { one: '{count} scan', other: '{count} scans' },
+        'shortLinks.offline': 'Saved link, scan count unavailable offline',
+        'shortLinks.copy': 'Copy Short Link',
+
+        'qr.settings': 'QR Code Settings',
+        'qr.correction': 'Error Correction:',
+        'qr.correction.L': 'Low (7%)',
+        'qr.correction.M': 'Medium (15%)',
+        'qr.correction.Q': 'Quartile (25%)',
+        'qr.correction.H': 'High (30%)',
+        'qr.foreground': 'Foreground:',
+        'qr.background': 'Background:',
+        'qr.transparent': 'Transparent',
+        'qr.shape': 'Module Shape:',
+        'qr.shape.square': 'Square',
+        'qr.shape.rounded': 'Rounded',
+        'qr.shape.dots': 'Dots',
+        'qr.margin': 'Quiet Zone (modules):',
+        'qr.size': 'Output Size:',
+        'qr.logo': 'Centre Logo:',
+        'qr.logoNote': 'A logo is set, so error correction is locked to High.',
+        'qr.logoFailed': 'Couldn\'t use that image as a logo: {error}',
+        'qr.viewRaw': 'View Raw',
+        'qr.pdfFailed': 'The PDF couldn\'t be made: {error}',
+        'qr.alt': 'QR code for {label}',
+        'qr.lowContrast': 'Low contrast ({ratio}:1). Aim for at least {minimum}:1 so phones can scan the code reliably.',
+        'qr.inverted': 'The foreground is lighter than the background. Many scanners can\'t read inverted QR codes.',
+        'qr.transparentWarning': 'Transparent background: print it on a light surface.',
+
+        'print.title': 'Printable Templates',
+        'print.template': 'Template:',
+        'print.headline': 'Headline:',
+        'print.callToAction': 'Call to Action:',
+        'print.preview': 'Open Print Preview',
+        'print.import': 'Import custom templates (JSON):',
+        'print.importFailed': 'Couldn\'t import the templates: {error}',
+        'print.print': 'Print',
+        'print.table-tent-a6.name': 'A6 Table Tent',
+        'print.table-tent-a6.headline': 'Enjoyed your visit?',
+        'print.table-tent-a6.callToAction': 'Scan to leave us a review!',
+        'print.business-cards.name': 'Business Card Sheet (10 per A4)',
+        'print.business-cards.headline': 'Tell us how we did',
+        'print.business-cards.callToAction': 'Scan to leave a Google review',
+        'print.flyer-letter.name': 'Flyer (US Letter)',
+        'print.flyer-letter.headline': 'We\'d love your feedback!',
+        'print.flyer-letter.callToAction': 'Scan the code to leave us a Google review',
+        'print.flyer-a4.name': 'Flyer (A4)',
+        'print.flyer-a4.headline': 'We\'d love your feedback!',
+        'print.flyer-a4.callToAction': 'Scan the code to leave us a Google review',
+        'print.window-sticker.name': 'Window Sticker (120mm)',
+        'print.window-sticker.headline': 'Review us on Google',
+        'print.window-sticker.callToAction': 'Scan with your phone camera'
+    },
+
+    es: {
+        'meta.dir': 'ltr',
+        'app.title': 'Asistente de reseñas de Google',
+        'app.intro': 'Introduce tu <strong>clave de la API de Google Places</strong> y el nombre de un negocio o un enlace de Maps para obtener el enlace de <strong>reseñas de Google</strong>, <strong>códigos QR</strong> que llevan a la <strong>página de reseñas</strong> y a la <strong>página de Google Maps</strong>, y el <strong>Place ID</strong> del negocio.',
+        'language.label': 'Idioma:',
+
+        'keys.label': 'Clave:',
+        'keys.namePlaceholder': 'Nombre de la clave, p. ej. el cliente al que pertenece',
+        'keys.add': 'Añadir clave',
+        'keys.remove': 'Quitar',
+        'keys.apiKeyLabel': 'Clave de la API de Google Places:',
+        'keys.apiKeyPlaceholder': 'Tu clave de la API de Google Places',
+        'keys.mapIdLabel': 'ID de mapa:',
+        'keys.mapIdPlaceholder': 'En blanco para el ID de mapa de demostración de Google',
+        'keys.storageLabel': 'Recordar claves:',
+        'keys.mode.session': 'Solo en esta pestaña',
+        'keys.mode.local': 'En este dispositivo',
+        'keys.mode.encrypted': 'En este dispositivo, cifradas con una frase de contraseña',
+        'keys.passphrasePlaceholder': 'Frase de contraseña',
+        'keys.unlock': 'Desbloquear',
+        'keys.encryptSave': 'Cifrar y guardar',
+        'keys.lock': 'Bloquear',
+        'keys.forgetAll': 'Olvidar todas las claves',
+        'keys.unnamed': 'Clave sin nombre',
+        'keys.defaultName': 'Mi clave',
+        'keys.numbered': 'Clave {number}',
+        'keys.confirmRemove': '¿Quitar la clave "{name}" de este navegador?',
+        'keys.confirmForget': '¿Olvidar todas las claves de API guardadas en este navegador?',
+        'keys.enterPassphrase': 'Primero introduce una frase de contraseña.',
+        'keys.enterKey': 'Primero introduce una clave de API.',
+        'keys.wrongPassphrase': 'Frase de contraseña incorrecta, no se pudieron desbloquear las claves.',
+        'keys.status.locked': 'Tus claves guardadas están bloqueadas. Introduce tu frase de contraseña y pulsa Desbloquear.',
+        'keys.status.encryptedSaved': 'Claves guardadas cifradas en este dispositivo. Bloquéalas cuando te ausentes.',
+        'keys.status.encryptedUnsaved': 'Introduce una frase de contraseña y pulsa Cifrar y guardar. Hasta entonces las claves solo se conservan en esta página.',
+        'keys.status.encryptedEmpty': 'Introduce tu clave y una frase de contraseña para guardarla cifrada en este dispositivo.',
+        'keys.status.local': 'Claves guardadas sin cifrar en este navegador. Evítalo en equipos compartidos.',
+        'keys.status.session': 'Claves guardadas solo para esta pestaña; se olvidan al cerrarla.',
+
+        'diagnostics.summary': 'Comprobación de la clave y uso mensual',
+        'diagnostics.test': 'Probar clave',
+        'diagnostics.resetUsage': 'Reiniciar contador',
+        'diagnostics.usageNote': 'Las llamadas solo se cuentan en este navegador, así que faltan las búsquedas hechas en otros sitios con la misma clave. Google Cloud Console muestra los totales facturados.',
+        'diagnostics.demoNoKey': 'El modo de demostración usa datos de ejemplo, no hay ninguna clave que probar.',
+        'diagnostics.enterKey': 'Introduce una clave de API para probarla.',
+        'diagnostics.testing': 'Probando la clave...',
+        'diagnostics.keyWorks': 'La clave funciona.',
+        'diagnostics.keyWorksDetail': 'Maps JavaScript API y Places API (New) la han aceptado.',
+        'diagnostics.errorCode': 'Código de error de Google: {code}',
+        'diagnostics.yourSite': 'tu sitio',
+        'diagnostics.failure.InvalidKeyMapError': 'La clave de API no es válida.',
+        'diagnostics.failure.MissingKeyMapError': 'No se ha enviado ninguna clave de API a Google.',
+        'diagnostics.failure.ExpiredKeyMapError': 'La clave de API ha caducado o se ha eliminado.',
+        'diagnostics.failure.RefererNotAllowedMapError': 'Este sitio web no tiene permiso para usar la clave de API.',
+        'diagnostics.failure.ApiNotActivatedMapError': 'Maps JavaScript API no está habilitada en el proyecto de esta clave.',
+        'diagnostics.failure.PlacesApiNotActivatedError': 'Places API (New) no está habilitada en el proyecto de esta clave.',
+        'diagnostics.failure.ApiTargetBlockedMapError': 'Las restricciones de API de la clave bloquean las API que necesita esta herramienta.',
+        'diagnostics.failure.BillingNotEnabledMapError': 'La facturación no está habilitada en el proyecto de esta clave.',
+        'diagnostics.failure.OverQuotaMapError': 'El proyecto ha agotado su cuota.',
+        'diagnostics.failure.ProjectDeniedMapError': 'Google ha denegado el acceso al proyecto de esta clave.',
+        'diagnostics.failure.DeletedApiProjectMapError': 'La clave pertenece a un proyecto eliminado.',
+        'diagnostics.failure.ScriptLoadError': 'No se ha podido descargar el script de Google Maps.',
+        'diagnostics.step.credentials': 'Abre Google Cloud Console > APIs y servicios > Credenciales y selecciona tu clave.',
+        'diagnostics.step.reload': 'Recarga esta página después de cambiar la clave o su configuración.',
+        'diagnostics.step.checkKey': 'Comprueba que has copiado la clave entera, empieza por "AIza".',
+        'diagnostics.step.enterKey': 'Introduce tu clave en el campo de la clave de API.',
+        'diagnostics.step.newKey': 'Crea una clave nueva e introdúcela aquí.',
+        'diagnostics.step.allowSite': 'En "Restricciones de aplicaciones", añade {site} a los sitios web permitidos.',
+        'diagnostics.step.openLibrary': 'Abre Google Cloud Console > APIs y servicios > Biblioteca.',
+        'diagnostics.step.enableMaps': 'Habilita "Maps JavaScript API".',
+        'diagnostics.step.enablePlaces': 'Habilita "Places API (New)", no solo la antigua "Places API".',
+        'diagnostics.step.waitAndRetry': 'Espera unos minutos y vuelve a intentarlo.',
+        'diagnostics.step.allowApis': 'En "Restricciones de API", permite "Maps JavaScript API" y "Places API (New)".',
+        'diagnostics.step.openBilling': 'Abre Google Cloud Console > Facturación.',
+        'diagnostics.step.linkBilling': 'Vincula una cuenta de facturación válida al proyecto. El uso gratuito mensual se sigue aplicando.',
+        'diagnostics.step.openQuotas': 'Abre Google Cloud Console > APIs y servicios > Cuotas.',
+        'diagnostics.step.raiseQuota': 'Aumenta el límite diario o espera a que se restablezca la cuota.',
+        'diagnostics.step.checkNotices': 'Busca avisos en Google Cloud Console.',
+        'diagnostics.step.contactSupport': 'Contacta con el soporte de Google Maps Platform si el proyecto debería estar en regla.',
+        'diagnostics.step.newProjectKey': 'Crea una clave nueva en un proyecto activo e introdúcela aquí.',
+        'diagnostics.step.checkConnection': 'Comprueba tu conexión a internet.',
+        'diagnostics.step.disableBlockers': 'Desactiva los bloqueadores de anuncios o de scripts en esta página.',
+        'diagnostics.step.tryAgain': 'Vuelve a intentarlo.',
+        'usage.tier': 'Nivel',
+        'usage.calls': 'Llamadas en {month} / gratuitas',
+
+        'notes.keyPrivacy': 'Tus claves de API se quedan <strong>en tu navegador</strong>: solo en esta pestaña, en este dispositivo o cifradas con la frase de contraseña que elijas. <strong>Nunca</strong> se envían a ningún sitio salvo a Google.',
+        'notes.freeCredit': 'La <strong>API de Google Places</strong> incluye un generoso crédito mensual gratuito de hasta <strong>10.000</strong> llamadas al mes, así que para búsquedas ocasionales este servicio es prácticamente gratis. Aun así, Google exige crear una <strong>cuenta de Google Developer</strong> con una <strong>cuenta de facturación válida</strong> para usarlo. Si usas este servicio para ayudar a tus clientes (o a ti mismo) a conseguir reseñas en Google facilitando el proceso a los clientes, el poco trabajo necesario para configurarlo todo merece la pena.',
+        'notes.getKey': 'Consigue tu propia clave de la API de Google Places',
+        'notes.demo': 'Pruébalo con datos de demostración, sin clave',
+        'demo.note': '<strong>Modo de demostración:</strong> las búsquedas usan lugares de ejemplo integrados (escenario: {scenario}) y no hace falta clave de API. Prueba "Joe\'s Pizza" o "Blue Bottle Coffee".',
+        'demo.leave': 'Salir del modo de demostración',
+
+        'search.inputLabel': 'Nombre del negocio o URL de Google Maps:',
+        'search.inputPlaceholder': 'Introduce el nombre del negocio o un enlace de Google Maps',
+        'search.submit': 'Buscar en Places',
+        'searchArea.summary': 'Zona de búsqueda',
+        'searchArea.note': 'Prioriza los resultados cerca de una zona, para que una cadena con muchos locales devuelva primero el que buscas. Los lugares de otras zonas pueden aparecer más abajo.',
+        'searchArea.modeLabel': 'Buscar cerca de:',
+        'searchArea.mode.none': 'Cualquier lugar',
+        'searchArea.mode.geolocation': 'Mi ubicación actual',
+        'searchArea.mode.city': 'Una ciudad',
+        'searchArea.cityLabel': 'Ciudad:',
+        'searchArea.cityPlaceholder': 'p. ej. Guadalajara, Jalisco',
+        'searchArea.locate': 'Usar mi ubicación',
+        'searchArea.located': 'Buscando cerca de {lat}, {lng}',
+        'searchArea.notLocated': 'Aún no has compartido tu ubicación.',
+        'searchArea.locating': 'Buscando tu ubicación...',
+        'searchArea.locateFailed': 'No se pudo obtener tu ubicación: {error}',
+        'searchArea.noGeolocation': 'este navegador no puede compartirla',
+        'searchArea.radiusLabel': 'Radio (km):',
+        'searchArea.useUrl': 'Buscar cerca de las coordenadas de los enlaces de Maps pegados',
+        'searchArea.regionLabel': 'Código de región:',
+        'searchArea.regionPlaceholder': 'p. ej. MX, vacío para cualquier región',
+        'searchArea.typeLabel': 'Tipo de lugar:',
+        'searchArea.typePlaceholder': 'p. ej. restaurant o cafe, vacío para cualquiera',
+        'searchArea.source.url': 'las coordenadas del enlace de Maps',
+        'searchArea.source.geolocation': 'tu ubicación',
+        'details.summary': 'Detalles adicionales del lugar',
+        'details.note': 'Cada campo adicional puede llevar una búsqueda a un nivel de facturación más caro de la API de Places (Essentials, Pro o Enterprise). Desactiva lo que no necesites.',
+        'details.group.location': 'Ubicación en el mapa',
+        'details.group.businessStatus': 'Estado del negocio',
+        'details.group.photo': 'Foto',
+        'details.group.rating': 'Valoración y número de reseñas',
+        'details.group.hours': 'Horario',
+        'details.group.phone': 'Número de teléfono',
+        'details.group.website': 'Sitio web',
+        'links.summary': 'Formatos de enlace',
+        'links.note': 'Elige qué formatos de enlace de reseñas y de Maps mostrar. Cada uno tiene su propio botón de copiar y su código QR.',
+        'links.variant.review': 'Página de reseñas de Google',
+        'links.variant.maps': 'Página del negocio en Google Maps',
+        'links.variant.writeReview': 'Diálogo para escribir una reseña en la Búsqueda de Google',
+        'links.variant.gpage': 'Enlace de reseñas g.page',
+        'links.variant.cid': 'Ficha de Maps por CID',
+        'links.variant.android': 'App de Google Maps (Android)',
+        'links.variant.ios': 'App de Google Maps (iOS)',
+        'links.unavailable': '{name}: {reason}',
+        'links.needs.id': 'necesita un Place ID.',
+        'links.needs.cid': 'necesita el CID de Maps del lugar. Vuelve a buscar el lugar para obtenerlo.',
+        'links.needs.featureId': 'necesita una URL de Google Maps con el feature ID del lugar (0x…:0x…). Pega la URL completa de Maps del lugar para obtenerlo.',
+
+        'output.waiting': 'Esperando una búsqueda...',
+        'output.enterKeyForLink': 'Introduce tu clave de API y pulsa Buscar para consultar el lugar enlazado.',
+        'output.loading': 'Cargando...',
+        'output.debugHint': 'Consulta la consola del navegador (F12) para ver la información de depuración',
+        'output.openedFromLink': 'Abierto desde un enlace compartido',
+        'output.openedFromLibrary': 'Abierto desde tus lugares guardados',
+        'output.previousResult': 'Resultado anterior cargado desde tus lugares guardados',
+        'errors.prefix': 'Error:',
+        'errors.consoleHint': 'Consulta la consola del navegador (F12) para ver todos los detalles del error',
+        'errors.keysLocked': 'Tus claves de API guardadas están bloqueadas. Introduce tu frase de contraseña y pulsa Desbloquear.',
+        'errors.popupBlocked': 'El navegador ha bloqueado la pestaña nueva. Permite las ventanas emergentes en esta página y vuelve a intentarlo.',
+        'errors.missingInput': 'Introduce la clave de API y el lugar que buscas.',
+        'errors.batchMissingInput': 'Introduce una clave de API y al menos un negocio, enlace de Maps o Place ID.',
+        'errors.noResults': 'No se han encontrado resultados para la búsqueda',
+        'errors.cityNotFound': 'No se ha encontrado "{city}" para buscar cerca. Comprueba la ciudad en la configuración de la zona de búsqueda.',
+        'errors.unknownPlaceId': 'Google no reconoce el Place ID "{id}". Puede estar obsoleto, o el negocio puede haber cerrado o cambiado de lugar. Busca por nombre para obtener su Place ID actual.',
+        'errors.shortLink': 'Los enlaces cortos no se pueden leer directamente. Abre el enlace y pega la URL completa de Google Maps de la barra de direcciones.',
+        'errors.cidOnly': 'Este enlace solo contiene un CID de Maps ({cid}), que la API de Places no puede buscar. Abre el enlace y pega la URL completa de Google Maps de la barra de direcciones.',
+        'errors.noPlaceInUrl': 'No se ha encontrado ningún Place ID ni nombre de negocio en esta URL',
+
+        'offline.queuedLookup': 'No tienes conexión. "{input}" queda en cola y se buscará cuando vuelva la conexión. Los lugares guardados siguen abriéndose.',
+        'offline.ranQueued': { one: 'Conexión recuperada: se ha ejecutado {count} búsqueda en cola.', other: 'Conexión recuperada: se han ejecutado {count} búsquedas en cola.' },
+        'offline.savedResult': '{input}: se guardó {name}',
+        'offline.ambiguousResult': { one: '{input}: {count} lugar coincidente, elige el correcto', other: '{input}: {count} lugares coincidentes, elige el correcto' },
+        'offline.batch': 'No tienes conexión. Las búsquedas por lotes necesitan conexión, vuelve a intentarlo cuando estés en línea.',
+        'offline.queuedTitle': 'En cola:',
+        'offline.offlineTitle': 'Sin conexión:',
+        'offline.waiting': { one: 'Conexión recuperada. {count} búsqueda en cola espera para ejecutarse.', other: 'Conexión recuperada. {count} búsquedas en cola esperan para ejecutarse.' },
+        'offline.status': 'No tienes conexión. Los lugares guardados siguen abriéndose con sus enlaces y códigos QR; las búsquedas nuevas quedan en cola hasta que vuelva la conexión.',
+        'actions.open': 'Abrir',
+        'actions.searchAgain': 'Buscar de nuevo',
+        'actions.copyLink': 'Copiar enlace',
+        'actions.copyShareLink': 'Copiar enlace para compartir',
+        'actions.remove': 'Quitar',
+
+        'candidates.found': { one: 'Se encontró {count} lugar coincidente, elige el correcto:', other: 'Se encontraron {count} lugares coincidentes, elige el correcto:' },
+        'candidates.use': 'Usar este lugar',
+        'candidates.previous': 'Anterior',
+        'candidates.next': 'Siguiente',
+        'candidates.page': 'Página {page} de {pages}',
+
+        'place.name': 'Lugar:',
+        'place.address': 'Dirección:',
+        'place.id': 'Place ID:',
+        'place.none': 'N/D',
+        'place.replaced': 'Google ha sustituido el Place ID obsoleto {id} por este.',
+        'place.lookedUpWith': 'Buscado con la clave "{name}"',
+        'place.shareNote': 'Abre este lugar en el asistente, sin clave de API',
+        'place.rating': 'Valoración:',
+        'place.reviewCount': { one: '({count} reseña)', other: '({count} reseñas)' },
+        'place.status': 'Estado:',
+        'place.status.OPERATIONAL': 'Abierto',
+        'place.status.CLOSED_TEMPORARILY': 'Cerrado temporalmente',
+        'place.status.CLOSED_PERMANENTLY': 'Cerrado definitivamente',
+        'place.phone': 'Teléfono:',
+        'place.website': 'Sitio web:',
+        'place.location': 'Ubicación:',
+        'place.hours': 'Horario',
+        'place.photoAlt': 'Foto de {name}',
+        'place.searchFilters': 'Búsqueda limitada a:',
+        'place.searchedNear': 'a menos de {radius} km de {place}',
+        'place.searchedRegion': 'región {region}',
+        'place.searchedType': 'tipo {type}',
+        'map.label': 'Mapa de {name}',
+        'map.candidatesLabel': 'Mapa de los lugares encontrados',
+        'map.pinSelect': 'Elegir {place}',
+        'map.fallback.unavailable': 'No hay mapa: el script de Google Maps no está cargado, por ejemplo con los datos de muestra. Los marcadores muestran la posición de los lugares entre sí.',
+        'map.fallback.offline': 'No hay mapa sin conexión. Los marcadores muestran la posición de los lugares entre sí.',
+        'map.fallback.failed': 'No se pudo cargar el mapa. Comprueba que tu clave permite la API de Maps JavaScript. Los marcadores muestran la posición de los lugares entre sí.',
+
+        'batch.summary': 'Modo por lotes',
+        'batch.inputLabel': 'Negocios, URL de Google Maps o Place IDs (uno por línea):',
+        'batch.inputPlaceholder': 'Un nombre de negocio, enlace de Maps o Place ID por línea',
+        'batch.fileLabel': 'O sube un archivo CSV (se usa la primera columna):',
+        'batch.run': 'Ejecutar búsqueda por lotes',
+        'batch.column.input': 'Entrada',
+        'batch.column.place': 'Lugar',
+        'batch.column.placeId': 'Place ID',
+        'batch.column.links': 'Enlaces',
+        'batch.column.status': 'Estado',
+        'batch.status.pending': 'Pendiente',
+        'batch.status.running': 'Buscando...',
+        'batch.status.ok': 'OK',
+        'batch.status.replaced': 'OK (sustituye al ID obsoleto {id})',
+        'batch.status.ambiguous': 'Ambiguo ({count} coincidencias, se ha usado la mejor)',
+        'batch.status.error': 'Error: {error}',
+        'batch.review': 'Reseña',
+        'batch.maps': 'Maps',
+        'batch.retry': 'Reintentar',
+        'batch.choose': 'Elige el lugar correcto',
+        'batch.progress': 'Procesados {done} de {total} ({failed} con error, {ambiguous} ambiguos)',
+        'export.csv': 'Exportar CSV',
+        'export.json': 'Exportar JSON',
+        'export.zip': 'Códigos QR (ZIP)',
+        'export.zipFailed': 'No se ha podido crear el ZIP de códigos QR: {error}',
+        'library.summary': 'Lugares guardados',
+        'library.searchPlaceholder': 'Buscar en lugares guardados, etiquetas o notas',
+        'library.export': 'Exportar biblioteca',
+        'library.import': 'Importar biblioteca',
+        'library.imported': { one: 'Se ha importado {count} lugar.', other: 'Se han importado {count} lugares.' },
+        'library.importFailed': 'Error al importar: {error}',
+        'library.importSkipped': { one: 'Se ha omitido {count} entrada sin un ID de lugar válido.', other: 'Se han omitido {count} entradas sin un ID de lugar válido.' },
+        'library.loadFailed': 'No se pudieron mostrar tus lugares guardados: {error}',
+        'library.saveFailed': 'No se ha podido añadir este lugar a tus lugares guardados: {error}',
+        'library.notAnExport': 'Este archivo no es una exportación de lugares guardados',
+        'library.noMatches': 'Ningún lugar guardado coincide con tu búsqueda.',
+        'library.empty': 'Los lugares que buscas se guardan aquí.',
+        'library.pin': 'Fijar',
+        'library.unpin': 'Desfijar',
+        'library.delete': 'Eliminar',
+        'library.lookedUpWith': 'Buscado con: {name}',
+        'library.tagsAndNotes': 'Etiquetas y notas',
+        'library.tags': 'Etiquetas (separadas por comas):',
+        'library.notes': 'Notas:',
+        'library.confirmDelete': '¿Eliminar {name} de tus lugares guardados?',
+
+        'shortLinks.summary': 'Enlaces cortos y escaneos',
+        'shortLinks.note': 'Los enlaces cortos simplifican los códigos QR y cuentan cada escaneo. Necesitan el servidor de enlaces cortos de este proyecto en un equipo al que lleguen los móviles: node server/short-link-server.js',
+        'shortLinks.enable': 'Usar enlaces cortos en los códigos QR y las impresiones',
+        'shortLinks.server': 'Servidor de enlaces cortos:',
+        'shortLinks.showStats': 'Ver escaneos',
+        'shortLinks.dashboard': 'Abrir panel',
+        'shortLinks.none': 'Aún no hay enlaces cortos. Abre un lugar con los enlaces cortos activados para crear uno.',
+        'shortLinks.place': 'Lugar',
+        'shortLinks.link': 'Enlace corto',
+        'shortLinks.scans': 'Escaneos',
+        'shortLinks.lastWeek': 'Últimos 7 días',
+        'shortLinks.creating': 'Obteniendo el enlace corto...',
+        'shortLinks.failed': 'Sin enlace corto, los códigos QR usan el enlace de reseñas completo. {error}',
+        'shortLinks.blocked': 'La Content-Security-Policy de esta página no permite conectarse a {origin}. Añádelo a connect-src en index.html y widget.html.',
+        'shortLinks.unreachable': 'No se puede acceder al servidor de enlaces cortos en {server}.',
+        'shortLinks.noAnswer': 'El servidor de enlaces cortos en {server} no ha respondido.',
+        'shortLinks.scanCount': { one: '{count} escaneo', other: '{count} escaneos' },
+        'shortLinks.offline': 'Enlace guardado, sin recuento de escaneos sin conexión',
+        'shortLinks.copy': 'Copiar enlace corto',
+
+        'qr.settings': 'Ajustes del código QR',
+        'qr.correction': 'Corrección de errores:',
+        'qr.correction.L': 'Baja (7 %)',
+        'qr.correction.M': 'Media (15 %)',
+        'qr.correction.Q': 'Cuartil (25 %)',
+        'qr.correction.H': 'Alta (30 %)',
+        'qr.foreground': 'Primer plano:',
+        'qr.background': 'Fondo:',
+        'qr.transparent': 'Transparente',
+        'qr.shape': 'Forma de los módulos:',
+        'qr.shape.square': 'Cuadrados',
+        'qr.shape.rounded': 'Redondeados',
+        'qr.shape.dots': 'Puntos',
+        'qr.margin': 'Margen (módulos):',
+        'qr.size': 'Tamaño de salida:',
+        'qr.logo': 'Logotipo central:',
+        'qr.logoNote': 'Hay un logotipo, así que la corrección de errores queda fijada en Alta.',
+        'qr.logoFailed': 'No se pudo usar esa imagen como logotipo: {error}',
+        'qr.viewRaw': 'Ver original',
+        'qr.pdfFailed': 'No se ha podido crear el PDF: {error}',
+        'qr.alt': 'Código QR de {label}',
+        'qr.lowContrast': 'Contraste bajo ({ratio}:1). Procura llegar al menos a {minimum}:1 para que los móviles lean el código sin problemas.',
+        'qr.inverted': 'El primer plano es más claro que el fondo. Muchos lectores no pueden leer códigos QR invertidos.',
+        'qr.transparentWarning': 'Fondo transparente: imprímelo sobre una superficie clara.',
+
+        'print.title': 'Plantillas para imprimir',
+        'print.template': 'Plantilla:',
+        'print.headline': 'Titular:',
+        'print.callToAction': 'Llamada a la acción:',
+        'print.preview': 'Abrir vista previa de impresión',
+        'print.import': 'Importar plantillas personalizadas (JSON):',
+        'print.importFailed': 'No se pudieron importar las plantillas: {error}',
+        'print.print': 'Imprimir',
+        'print.table-tent-a6.name': 'Expositor de mesa A6',
+        'print.table-tent-a6.headline': '¿Te ha gustado tu visita?',
+        'print.table-tent-a6.callToAction': '¡Escanea y déjanos una reseña!',
+        'print.business-cards.name': 'Hoja de tarjetas de visita (10 por A4)',
+        'print.business-cards.headline': 'Cuéntanos qué tal lo hicimos',
+        'print.business-cards.callToAction': 'Escanea para dejar una reseña en Google',
+        'print.flyer-letter.name': 'Folleto (Carta EE. UU.)',
+        'print.flyer-letter.headline': '¡Nos encantaría conocer tu opinión!',
+        'print.flyer-letter.callToAction': 'Escanea el código para dejarnos una reseña en Google',
+        'print.flyer-a4.name': 'Folleto (A4)',
+        'print.flyer-a4.headline': '¡Nos encantaría conocer tu opinión!',
+        'print.flyer-a4.callToAction': 'Escanea el código para dejarnos una reseña en Google',
+        'print.window-sticker.name': 'Adhesivo para escaparate (120 mm)',
+        'print.window-sticker.headline': 'Déjanos una reseña en Google',
+        'print.window-sticker.callToAction': 'Escanea con la cámara de tu móvil'
+    },
+
+    fr: {
+        'meta.dir': 'ltr',
+        'app.title': 'Assistant d\'avis Google',
+        'app.intro': 'Saisissez votre <strong>clé d\'API Google Places</strong> et le nom d\'un commerce ou un lien Maps pour obtenir le lien d\'<strong>avis Google</strong>, des <strong>codes QR</strong> menant à la <strong>page d\'avis</strong> et à la <strong>page Google Maps</strong>, ainsi que le <strong>Place ID</strong> du commerce.',
+        'language.label': 'Langue :',
+
+        'keys.label': 'Clé :',
+        'keys.namePlaceholder': 'Nom de la clé, p. ex. le client concerné',
+        'keys.add': 'Ajouter une clé',
+        'keys.remove': 'Retirer',
+        'keys.apiKeyLabel': 'Clé d\'API Google Places :',
+        'keys.apiKeyPlaceholder': 'Votre clé d\'API Google Places',
+        'keys.mapIdLabel': 'ID de carte :',
+        'keys.mapIdPlaceholder': 'Vide pour l\'ID de carte de démonstration de Google',
+        'keys.storageLabel': 'Mémoriser les clés :',
+        'keys.mode.session': 'Pour cet onglet uniquement',
+        'keys.mode.local': 'Sur cet appareil',
+        'keys.mode.encrypted': 'Sur cet appareil, chiffrées avec une phrase secrète',
+        'keys.passphrasePlaceholder': 'Phrase secrète',
+        'keys.unlock': 'Déverrouiller',
+        'keys.encryptSave': 'Chiffrer et enregistrer',
+        'keys.lock': 'Verrouiller',
+        'keys.forgetAll': 'Oublier toutes les clés',
+        'keys.unnamed': 'Clé sans nom',
+        'keys.defaultName': 'Ma clé',
+        'keys.numbered': 'Clé {number}',
+        'keys.confirmRemove': 'Retirer la clé « {name} » de ce navigateur ?',
+        'keys.confirmForget': 'Oublier toutes les clés d\'API enregistrées dans ce navigateur ?',
+        'keys.enterPassphrase': 'Saisissez d\'abord une phrase secrète.',
+        'keys.enterKey': 'Saisissez d\'abord une clé d\'API.',
+        'keys.wrongPassphrase': 'Phrase secrète incorrecte, les clés d\'API n\'ont pas pu être déverrouillées.',
+        'keys.status.locked': 'Vos clés enregistrées sont verrouillées. Saisissez votre phrase secrète et cliquez sur Déverrouiller.',
+        'keys.status.encryptedSaved': 'Clés enregistrées chiffrées sur cet appareil. Verrouillez-les quand vous vous absentez.',
+        'keys.status.encryptedUnsaved': 'Saisissez une phrase secrète et cliquez sur Chiffrer et enregistrer. D\'ici là, les clés ne sont conservées que dans cette page.',
+        'keys.status.encryptedEmpty': 'Saisissez votre clé et une phrase secrète pour l\'enregistrer chiffrée sur cet appareil.',
+        'keys.status.local': 'Clés enregistrées en clair dans ce navigateur. À éviter sur un ordinateur partagé.',
+        'keys.status.session': 'Clés conservées pour cet onglet uniquement et oubliées à sa fermeture.',
+
+        'diagnostics.summary': 'Vérification de la clé et utilisation mensuelle',
+        'diagnostics.test': 'Tester la clé',
+        'diagnostics.resetUsage': 'Remettre à zéro',
+        'diagnostics.usageNote': 'Les appels ne sont comptés que dans ce navigateur : les recherches faites ailleurs avec la même clé n\'y figurent pas. Google Cloud Console indique les totaux facturés.',
+        'diagnostics.demoNoKey': 'Le mode démo utilise des données d\'exemple, il n\'y a pas de clé à tester.',
+        'diagnostics.enterKey': 'Saisissez une clé d\'API à tester.',
+        'diagnostics.testing': 'Test de la clé...',
+        'diagnostics.keyWorks': 'La clé fonctionne.',
+        'diagnostics.keyWorksDetail': 'Maps JavaScript API et Places API (New) l\'ont toutes deux acceptée.',
+        'diagnostics.errorCode': 'Code d\'erreur Google : {code}',
+        'diagnostics.yourSite': 'votre site',
+        'diagnostics.failure.InvalidKeyMapError': 'La clé d\'API n\'est pas valide.',
+        'diagnostics.failure.MissingKeyMapError': 'Aucune clé d\'API n\'a été envoyée à Google.',
+        'diagnostics.failure.ExpiredKeyMapError': 'La clé d\'API a expiré ou a été supprimée.',
+        'diagnostics.failure.RefererNotAllowedMapError': 'Ce site web n\'est pas autorisé à utiliser la clé d\'API.',
+        'diagnostics.failure.ApiNotActivatedMapError': 'Maps JavaScript API n\'est pas activée pour le projet de cette clé.',
+        'diagnostics.failure.PlacesApiNotActivatedError': 'Places API (New) n\'est pas activée pour le projet de cette clé.',
+        'diagnostics.failure.ApiTargetBlockedMapError': 'Les restrictions d\'API de la clé bloquent les API dont cet outil a besoin.',
+        'diagnostics.failure.BillingNotEnabledMapError': 'La facturation n\'est pas activée pour le projet de cette clé.',
+        'diagnostics.failure.OverQuotaMapError': 'Le projet a épuisé son quota.',
+        'diagnostics.failure.ProjectDeniedMapError': 'Google a refusé l\'accès au projet de cette clé.',
+        'diagnostics.failure.DeletedApiProjectMapError': 'La clé appartient à un projet supprimé.',
+        'diagnostics.failure.ScriptLoadError': 'Le script Google Maps n\'a pas pu être téléchargé.',
+        'diagnostics.step.credentials': 'Ouvrez Google Cloud Console > API et services > Identifiants et sélectionnez votre clé.',
+        'diagnostics.step.reload': 'Rechargez cette page après avoir modifié la clé ou ses paramètres.',
+        'diagnostics.step.checkKey': 'Vérifiez que la clé a été copiée en entier, elle commence par « AIza ».',
+        'diagnostics.step.enterKey': 'Saisissez votre clé dans le champ de la clé d\'API.',
+        'diagnostics.step.newKey': 'Créez une nouvelle clé et saisissez-la ici.',
+        'diagnostics.step.allowSite': 'Sous « Restrictions relatives aux applications », ajoutez {site} aux sites web autorisés.',
+        'diagnostics.step.openLibrary': 'Ouvrez Google Cloud Console > API et services > Bibliothèque.',
+        'diagnostics.step.enableMaps': 'Activez « Maps JavaScript API ».',
+        'diagnostics.step.enablePlaces': 'Activez « Places API (New) », pas seulement l\'ancienne « Places API ».',
+        'diagnostics.step.waitAndRetry': 'Patientez quelques minutes, puis réessayez.',
+        'diagnostics.step.allowApis': 'Sous « Restrictions relatives aux API », autorisez « Maps JavaScript API » et « Places API (New) ».',
+        'diagnostics.step.openBilling': 'Ouvrez Google Cloud Console > Facturation.',
+        'diagnostics.step.linkBilling': 'Associez un compte de facturation valide au projet. L\'utilisation gratuite mensuelle s\'applique toujours.',
+        'diagnostics.step.openQuotas': 'Ouvrez Google Cloud Console > API et services > Quotas.',
+        'diagnostics.step.raiseQuota': 'Augmentez la limite quotidienne ou attendez la réinitialisation du quota.',
+        'diagnostics.step.checkNotices': 'Vérifiez les avis dans Google Cloud Console.',
+        'diagnostics.step.contactSupport': 'Contactez l\'assistance Google Maps Platform si le projet devrait être en règle.',
+        'diagnostics.step.newProjectKey': 'Créez une nouvelle clé dans un projet actif et saisissez-la ici.',
+        'diagnostics.step.checkConnection': 'Vérifiez votre connexion internet.',
+        'diagnostics.step.disableBlockers': 'Désactivez les bloqueurs de publicités ou de scripts pour cette page.',
+        'diagnostics.step.tryAgain': 'Réessayez.',
+        'usage.tier': 'Niveau',
+        'usage.calls': 'Appels en {month} / gratuits',
+
+        'notes.keyPrivacy': 'Vos clés d\'API restent <strong>dans votre navigateur</strong> : pour cet onglet uniquement, sur cet appareil, ou chiffrées avec la phrase secrète de votre choix. Elles ne sont <strong>jamais</strong> envoyées ailleurs qu\'à Google.',
+        'notes.freeCredit': 'L\'<strong>API Google Places</strong> offre un crédit mensuel gratuit généreux allant jusqu\'à <strong>10 000</strong> appels par mois : pour des recherches occasionnelles, ce service est donc quasiment gratuit. Google exige toutefois un <strong>compte Google Developer</strong> associé à un <strong>compte de facturation valide</strong> pour l\'utiliser. Si ce service vous aide, vous ou vos clients, à obtenir des avis Google en simplifiant la démarche pour la clientèle, le peu de travail nécessaire à la configuration en vaut largement la peine.',
+        'notes.getKey': 'Obtenir votre propre clé d\'API Google Places',
+        'notes.demo': 'Essayer avec des données de démo, sans clé',
+        'demo.note': '<strong>Mode démo :</strong> les recherches utilisent des lieux d\'exemple intégrés (scénario : {scenario}) et aucune clé d\'API n\'est nécessaire. Essayez « Joe\'s Pizza » ou « Blue Bottle Coffee ».',
+        'demo.leave': 'Quitter le mode démo',
+
+        'search.inputLabel': 'Nom du commerce ou URL Google Maps :',
+        'search.inputPlaceholder': 'Saisissez le nom du commerce ou un lien Google Maps',
+        'search.submit': 'Lancer la recherche Places',
+        'searchArea.summary': 'Zone de recherche',
+        'searchArea.note': 'Classe les résultats près d\'une zone, pour qu\'une chaîne aux nombreux établissements renvoie d\'abord celui que vous cherchez. Les lieux situés ailleurs peuvent encore apparaître plus bas.',
+        'searchArea.modeLabel': 'Chercher près de :',
+        'searchArea.mode.none': 'N\'importe où',
+        'searchArea.mode.geolocation': 'Ma position actuelle',
+        'searchArea.mode.city': 'Une ville',
+        'searchArea.cityLabel': 'Ville :',
+        'searchArea.cityPlaceholder': 'p. ex. Montréal, QC',
+        'searchArea.locate': 'Utiliser ma position',
+        'searchArea.located': 'Recherche près de {lat}, {lng}',
+        'searchArea.notLocated': 'Votre position n\'a pas encore été partagée.',
+        'searchArea.locating': 'Recherche de votre position...',
+        'searchArea.locateFailed': 'Impossible d\'obtenir votre position : {error}',
+        'searchArea.noGeolocation': 'ce navigateur ne peut pas la partager',
+        'searchArea.radiusLabel': 'Rayon (km) :',
+        'searchArea.useUrl': 'Chercher près des coordonnées des liens Maps collés',
+        'searchArea.regionLabel': 'Code de région :',
+        'searchArea.regionPlaceholder': 'p. ex. FR, vide pour toutes les régions',
+        'searchArea.typeLabel': 'Type de lieu :',
+        'searchArea.typePlaceholder': 'p. ex. restaurant ou cafe, vide pour tous',
+        'searchArea.source.url': 'les coordonnées du lien Maps',
+        'searchArea.source.geolocation': 'votre position',
+        'details.summary': 'Détails supplémentaires du lieu',
+        'details.note': 'Chaque champ supplémentaire peut faire passer une recherche dans un niveau de facturation plus cher de l\'API Places (Essentials, Pro ou Enterprise). Désactivez ce dont vous n\'avez pas besoin.',
+        'details.group.location': 'Position sur la carte',
+        'details.group.businessStatus': 'Statut de l\'établissement',
+        'details.group.photo': 'Photo',
+        'details.group.rating': 'Note et nombre d\'avis',
+        'details.group.hours': 'Horaires d\'ouverture',
+        'details.group.phone': 'Numéro de téléphone',
+        'details.group.website': 'Site web',
+        'links.summary': 'Formats de lien',
+        'links.note': 'Choisissez les formats de lien d\'avis et Maps à afficher. Chacun a son propre bouton de copie et son code QR.',
+        'links.variant.review': 'Page d\'avis Google',
+        'links.variant.maps': 'Fiche Google Maps du commerce',
+        'links.variant.writeReview': 'Fenêtre de rédaction d\'avis dans la recherche Google',
+        'links.variant.gpage': 'Lien d\'avis g.page',
+        'links.variant.cid': 'Fiche Maps par CID',
+        'links.variant.android': 'Appli Google Maps (Android)',
+        'links.variant.ios': 'Appli Google Maps (iOS)',
+        'links.unavailable': '{name} : {reason}',
+        'links.needs.id': 'nécessite un Place ID.',
+        'links.needs.cid': 'nécessite le CID Maps du lieu. Recherchez à nouveau le lieu pour l\'obtenir.',
+        'links.needs.featureId': 'nécessite une URL Google Maps contenant le feature ID du lieu (0x…:0x…). Collez l\'URL Maps complète du lieu pour l\'obtenir.',
+
+        'output.waiting': 'En attente d\'une recherche...',
+        'output.enterKeyForLink': 'Saisissez votre clé d\'API et lancez la recherche pour consulter le lieu du lien.',
+        'output.loading': 'Chargement...',
+        'output.debugHint': 'Consultez la console du navigateur (F12) pour les informations de débogage',
+        'output.openedFromLink': 'Ouvert depuis un lien partagé',
+        'output.openedFromLibrary': 'Ouvert depuis vos lieux enregistrés',
+        'output.previousResult': 'Résultat précédent chargé depuis vos lieux enregistrés',
+        'errors.prefix': 'Erreur :',
+        'errors.consoleHint': 'Consultez la console du navigateur (F12) pour le détail de l\'erreur',
+        'errors.keysLocked': 'Vos clés d\'API enregistrées sont verrouillées. Saisissez votre phrase secrète et cliquez sur Déverrouiller.',
+        'errors.popupBlocked': 'Le navigateur a bloqué le nouvel onglet. Autorisez les fenêtres pop-up pour cette page et réessayez.',
+        'errors.missingInput': 'Saisissez la clé d\'API et le lieu recherché.',
+        'errors.batchMissingInput': 'Saisissez une clé d\'API et au moins un commerce, lien Maps ou Place ID.',
+        'errors.noResults': 'Aucun résultat pour cette recherche',
+        'errors.cityNotFound': 'Impossible de trouver « {city} » pour chercher à proximité. Vérifiez la ville dans les paramètres de la zone de recherche.',
+        'errors.unknownPlaceId': 'Google ne reconnaît pas le Place ID « {id} ». Il est peut-être obsolète, ou l\'établissement a fermé ou déménagé. Recherchez par nom pour obtenir son Place ID actuel.',
+        'errors.shortLink': 'Les liens courts ne peuvent pas être lus directement. Ouvrez le lien, puis collez l\'URL Google Maps complète depuis la barre d\'adresse.',
+        'errors.cidOnly': 'Ce lien ne contient qu\'un CID Maps ({cid}), que l\'API Places ne peut pas rechercher. Ouvrez le lien, puis collez l\'URL Google Maps complète depuis la barre d\'adresse.',
+        'errors.noPlaceInUrl': 'Aucun Place ID ni nom d\'établissement trouvé dans cette URL',
+
+        'offline.queuedLookup': 'Vous êtes hors ligne. « {input} » est mis en file d\'attente et sera recherché au retour de la connexion. Les lieux enregistrés s\'ouvrent toujours.',
+        'offline.ranQueued': { one: 'De retour en ligne : {count} recherche en attente exécutée.', other: 'De retour en ligne : {count} recherches en attente exécutées.' },
+        'offline.savedResult': '{input} : {name} enregistré',
+        'offline.ambiguousResult': { one: '{input} : {count} lieu correspondant, choisissez le bon', other: '{input} : {count} lieux correspondants, choisissez le bon' },
+        'offline.batch': 'Vous êtes hors ligne. Les recherches par lot nécessitent une connexion, réessayez une fois en ligne.',
+        'offline.queuedTitle': 'En attente :',
+        'offline.offlineTitle': 'Hors ligne :',
+        'offline.waiting': { one: 'De retour en ligne. {count} recherche en attente va être exécutée.', other: 'De retour en ligne. {count} recherches en attente vont être exécutées.' },
+        'offline.status': 'Vous êtes hors ligne. Les lieux enregistrés s\'ouvrent toujours avec leurs liens et codes QR ; les nouvelles recherches sont mises en attente jusqu\'au retour de la connexion.',
+        'actions.open': 'Ouvrir',
+        'actions.searchAgain': 'Rechercher à nouveau',
+        'actions.copyLink': 'Copier le lien',
+        'actions.copyShareLink': 'Copier le lien de partage',
+        'actions.remove': 'Retirer',
+
+        'candidates.found': { one: '{count} lieu correspondant trouvé, choisissez le bon :', other: '{count} lieux correspondants trouvés, choisissez le bon :' },
+        'candidates.use': 'Utiliser ce lieu',
+        'candidates.previous': 'Précédent',
+        'candidates.next': 'Suivant',
+        'candidates.page': 'Page {page} sur {pages}',
+
+        'place.name': 'Lieu :',
+        'place.address': 'Adresse :',
+        'place.id': 'Place ID :',
+        'place.none': 'N/D',
+        'place.replaced': 'Google a remplacé le Place ID obsolète {id} par celui-ci.',
+        'place.lookedUpWith': 'Recherché avec la clé « {name} »',
+        'place.shareNote': 'Ouvre ce lieu dans l\'assistant, sans clé d\'API',
+        'place.rating': 'Note :',
+        'place.reviewCount': { one: '({count} avis)', other: '({count} avis)' },
+        'place.status': 'Statut :',
+        'place.status.OPERATIONAL': 'Ouvert',
+        'place.status.CLOSED_TEMPORARILY': 'Fermé temporairement',
+        'place.status.CLOSED_PERMANENTLY': 'Fermé définitivement',
+        'place.phone': 'Téléphone :',
+        'place.website': 'Site web :',
+        'place.location': 'Position :',
+        'place.hours': 'Horaires d\'ouverture',
+        'place.photoAlt': 'Photo de {name}',
+        'place.searchFilters': 'Recherche limitée à :',
+        'place.searchedNear': 'à moins de {radius} km de {place}',
+        'place.searchedRegion': 'région {region}',
+        'place.searchedType': 'type {type}',
+        'map.label': 'Carte de {name}',
+        'map.candidatesLabel': 'Carte des lieux trouvés',
+        'map.pinSelect': 'Choisir {place}',
+        'map.fallback.unavailable': 'Pas de carte ici : le script Google Maps n\'est pas chargé, par exemple avec les données d\'exemple. Les repères montrent la position des lieux les uns par rapport aux autres.',
+        'map.fallback.offline': 'Pas de carte hors ligne. Les repères montrent la position des lieux les uns par rapport aux autres.',
+        'map.fallback.failed': 'La carte n\'a pas pu être chargée. Vérifiez que votre clé autorise l\'API Maps JavaScript. Les repères montrent la position des lieux les uns par rapport aux autres.',
+
+        'batch.summary': 'Mode par lot',
+        'batch.inputLabel': 'Commerces, URL Google Maps ou Place IDs (un par ligne) :',
+        'batch.inputPlaceholder': 'Un nom de commerce, lien Maps ou Place ID par ligne',
+        'batch.fileLabel': 'Ou importez un fichier CSV (la première colonne est utilisée) :',
+        'batch.run': 'Lancer la recherche par lot',
+        'batch.column.input': 'Entrée',
+        'batch.column.place': 'Lieu',
+        'batch.column.placeId': 'Place ID',
+        'batch.column.links': 'Liens',
+        'batch.column.status': 'État',
+        'batch.status.pending': 'En attente',
+        'batch.status.running': 'Recherche...',
+        'batch.status.ok': 'OK',
+        'batch.status.replaced': 'OK (remplace l\'ID obsolète {id})',
+        'batch.status.ambiguous': 'Ambigu ({count} résultats, le meilleur a été utilisé)',
+        'batch.status.error': 'Erreur : {error}',
+        'batch.review': 'Avis',
+        'batch.maps': 'Maps',
+        'batch.retry': 'Réessayer',
+        'batch.choose': 'Choisissez le bon lieu',
+        'batch.progress': '{done} sur {total} traités ({failed} en échec, {ambiguous} ambigus)',
+        'export.csv': 'Exporter en CSV',
+        'export.json': 'Exporter en JSON',
+        'export.zip': 'Codes QR (ZIP)',
+        'export.zipFailed': 'Impossible de créer le ZIP des codes QR : {error}',
+        'library.summary': 'Lieux enregistrés',
+        'library.searchPlaceholder': 'Rechercher dans les lieux, étiquettes ou notes',
+        'library.export': 'Exporter la bibliothèque',
+        'library.import': 'Importer une bibliothèque',
+        'library.imported': { one: '{count} lieu importé.', other: '{count} lieux importés.' },
+        'library.importFailed': 'Échec de l\'importation : {error}',
+        'library.importSkipped': { one: '{count} entrée sans identifiant de lieu valide ignorée.', other: '{count} entrées sans identifiant de lieu valide ignorées.' },
+        'library.loadFailed': 'Impossible d\'afficher vos lieux enregistrés : {error}',
+        'library.saveFailed': 'Impossible d\'ajouter ce lieu à vos lieux enregistrés : {error}',
+        'library.notAnExport': 'Ce fichier n\'est pas un export de lieux enregistrés',
+        'library.noMatches': 'Aucun lieu enregistré ne correspond à votre recherche.',
+        'library.empty': 'Les lieux que vous recherchez sont enregistrés ici.',
+        'library.pin': 'Épingler',
+        'library.unpin': 'Désépingler',
+        'library.delete': 'Supprimer',
+        'library.lookedUpWith': 'Recherché avec : {name}',
+        'library.tagsAndNotes': 'Étiquettes et notes',
+        'library.tags': 'Étiquettes (séparées par des virgules) :',
+        'library.notes': 'Notes :',
+        'library.confirmDelete': 'Supprimer {name} de vos lieux enregistrés ?',
+
+        'shortLinks.summary': 'Liens courts et scans',
+        'shortLinks.note': 'Les liens courts allègent les codes QR et comptent chaque scan. Ils nécessitent le serveur de liens courts de ce projet, lancé là où les téléphones peuvent le joindre : node server/short-link-server.js',
+        'shortLinks.enable': 'Utiliser des liens courts dans les codes QR et les impressions',
+        'shortLinks.server': 'Serveur de liens courts :',
+        'shortLinks.showStats': 'Afficher les scans',
+        'shortLinks.dashboard': 'Ouvrir le tableau de bord',
+        'shortLinks.none': 'Aucun lien court pour l\'instant. Ouvrez un lieu avec les liens courts activés pour en créer un.',
+        'shortLinks.place': 'Lieu',
+        'shortLinks.link': 'Lien court',
+        'shortLinks.scans': 'Scans',
+        'shortLinks.lastWeek': '7 derniers jours',
+        'shortLinks.creating': 'Obtention du lien court...',
+        'shortLinks.failed': 'Pas de lien court, les codes QR utilisent le lien d\'avis complet. {error}',
+        'shortLinks.blocked': 'La Content-Security-Policy de cette page n\'autorise pas la connexion à {origin}. Ajoutez-le à connect-src dans index.html et widget.html.',
+        'shortLinks.unreachable': 'Le serveur de liens courts à {server} est injoignable.',
+        'shortLinks.noAnswer': 'Le serveur de liens courts à {server} n\'a pas répondu.',
+        'shortLinks.scanCount': { one: '{count} scan', other: '{count} scans' },
+        'shortLinks.offline': 'Lien enregistré, nombre de scans indisponible hors ligne',
+        'shortLinks.copy': 'Copier le lien court',
+
+        'qr.settings': 'Paramètres du code QR',
+        'qr.correction': 'Correction d\'erreurs :',
+        'qr.correction.L': 'Faible (7 %)',
+        'qr.correction.M': 'Moyenne (15 %)',
+        'qr.correction.Q': 'Quartile (25 %)',
+        'qr.correction.H': 'Élevée (30 %)',
+        'qr.foreground': 'Premier plan :',
+        'qr.background': 'Arrière-plan :',
+        'qr.transparent': 'Transparent',
+        'qr.shape': 'Forme des modules :',
+        'qr.shape.square': 'Carrés',
+        'qr.shape.rounded': 'Arrondis',
+        'qr.shape.dots': 'Points',
+        'qr.margin': 'Zone de silence (modules) :',
+        'qr.size': 'Taille de sortie :',
+        'qr.logo': 'Logo central :',
+        'qr.logoNote': 'Un logo est défini, la correction d\'erreurs est donc fixée sur Élevée.',
+        'qr.logoFailed': 'Impossible d\'utiliser cette image comme logo : {error}',
+        'qr.viewRaw': 'Voir l\'original',
+        'qr.pdfFailed': 'Impossible de créer le PDF : {error}',
+        'qr.alt': 'Code QR : {label}',
+        'qr.lowContrast': 'Contraste faible ({ratio}:1). Visez au moins {minimum}:1 pour que les téléphones lisent le code de façon fiable.',
+        'qr.inverted': 'Le premier plan est plus clair que l\'arrière-plan. Beaucoup de lecteurs ne savent pas lire les codes QR inversés.',
+        'qr.transparentWarning': 'Arrière-plan transparent : imprimez-le sur une surface claire.',
+
+        'print.title': 'Modèles à imprimer',
+        'print.template': 'Modèle :',
+        'print.headline': 'Titre :',
+        'print.callToAction': 'Appel à l\'action :',
+        'print.preview': 'Ouvrir l\'aperçu avant impression',
+        'print.import': 'Importer des modèles personnalisés (JSON) :',
+        'print.importFailed': 'Impossible d\'importer les modèles : {error}',
+        'print.print': 'Imprimer',
+        'print.table-tent-a6.name': 'Chevalet de table A6',
+        'print.table-tent-a6.headline': 'Vous avez aimé votre visite ?',
+        'print.table-tent-a6.callToAction': 'Scannez pour nous laisser un avis !',
+        'print.business-cards.name': 'Planche de cartes de visite (10 par A4)',
+        'print.business-cards.headline': 'Dites-nous ce que vous en pensez',
+        'print.business-cards.callToAction': 'Scannez pour laisser un avis Google',
+        'print.flyer-letter.name': 'Prospectus (Lettre US)',
+        'print.flyer-letter.headline': 'Votre avis compte pour nous !',
+        'print.flyer-letter.callToAction': 'Scannez le code pour nous laisser un avis Google',
+        'print.flyer-a4.name': 'Prospectus (A4)',
+        'print.flyer-a4.headline': 'Votre avis compte pour nous !',
+        'print.flyer-a4.callToAction': 'Scannez le code pour nous laisser un avis Google',
+        'print.window-sticker.name': 'Autocollant de vitrine (120 mm)',
+        'print.window-sticker.headline': 'Donnez-nous votre avis sur Google',
+        'print.window-sticker.callToAction': 'Scannez avec l\'appareil photo de votre téléphone'
+    },
+
+    ar: {
+        'meta.dir': 'rtl',
+        'app.title': 'مساعد مراجعات Google',
+        'app.intro': 'أدخل <strong>مفتاح Google Places API</strong> واسم النشاط التجاري أو رابط الخرائط للحصول على رابط <strong>مراجعات Google</strong>، و<strong>رموز QR</strong> تؤدي إلى <strong>صفحة المراجعات</strong> و<strong>صفحة خرائط Google</strong>، بالإضافة إلى <strong>Place ID</strong> الخاص بالنشاط.',
+        'language.label': 'اللغة:',
+
+        'keys.label': 'المفتاح:',
+        'keys.namePlaceholder': 'اسم المفتاح، مثل اسم العميل',
+        'keys.add': 'إضافة مفتاح',
+        'keys.remove': 'إزالة',
+        'keys.apiKeyLabel': 'مفتاح Google Places API:',
+        'keys.apiKeyPlaceholder': 'مفتاح Google Places API الخاص بك',
+        'keys.mapIdLabel': 'معرّف الخريطة:',
+        'keys.mapIdPlaceholder': 'اتركه فارغاً لاستخدام معرّف الخريطة التجريبي من Google',
+        'keys.storageLabel': 'تذكّر المفاتيح:',
+        'keys.mode.session': 'لهذه النافذة فقط',
+        'keys.mode.local': 'على هذا الجهاز',
+        'keys.mode.encrypted': 'على هذا الجهاز، مشفّرة بعبارة مرور',
+        'keys.passphrasePlaceholder': 'عبارة المرور',
+        'keys.unlock': 'فتح القفل',
+        'keys.encryptSave': 'تشفير وحفظ',
+        'keys.lock': 'قفل',
+        'keys.forgetAll': 'نسيان كل المفاتيح',
+        'keys.unnamed': 'مفتاح بلا اسم',
+        'keys.defaultName': 'مفتاحي',
+        'keys.numbered': 'المفتاح {number}',
+        'keys.confirmRemove': 'هل تريد إزالة المفتاح "{name}" من هذا المتصفح؟',
+        'keys.confirmForget': 'هل تريد نسيان كل مفاتيح API المحفوظة في هذا المتصفح؟',
+        'keys.enterPassphrase': 'أدخل عبارة المرور أولاً.',
+        'keys.enterKey': 'أدخل مفتاح API أولاً.',
+        'keys.wrongPassphrase': 'عبارة المرور غير صحيحة، تعذّر فتح مفاتيح API.',
+        'keys.status.locked': 'مفاتيحك المحفوظة مقفلة. أدخل عبارة المرور واضغط فتح القفل.',
+        'keys.status.encryptedSaved': 'المفاتيح محفوظة مشفّرة على هذا الجهاز. اقفلها عندما تبتعد عن الجهاز.',
+        'keys.status.encryptedUnsaved': 'أدخل عبارة مرور واضغط تشفير وحفظ. حتى ذلك الحين تبقى المفاتيح في هذه الصفحة فقط.',
+        'keys.status.encryptedEmpty': 'أدخل مفتاحك وعبارة مرور لحفظه مشفّراً على هذا الجهاز.',
+        'keys.status.local': 'المفاتيح محفوظة كنص عادي في هذا المتصفح. تجنّب ذلك على الأجهزة المشتركة.',
+        'keys.status.session': 'المفاتيح محفوظة لهذه النافذة فقط وتُنسى عند إغلاقها.',
+
+        'diagnostics.summary': 'فحص المفتاح والاستخدام الشهري',
+        'diagnostics.test': 'اختبار المفتاح',
+        'diagnostics.resetUsage': 'تصفير العدّاد',
+        'diagnostics.usageNote': 'تُحسب الطلبات في هذا المتصفح فقط، لذا لا تظهر عمليات البحث التي تمت في مكان آخر بالمفتاح نفسه. يعرض Google Cloud Console الإجماليات المفوترة.',
+        'diagnostics.demoNoKey': 'الوضع التجريبي يستخدم بيانات نموذجية، ولا يوجد مفتاح لاختباره.',
+        'diagnostics.enterKey': 'أدخل مفتاح API لاختباره.',
+        'diagnostics.testing': 'جارٍ اختبار المفتاح...',
+        'diagnostics.keyWorks': 'المفتاح يعمل.',
+        'diagnostics.keyWorksDetail': 'قبلته كل من Maps JavaScript API وPlaces API (New).',
+        'diagnostics.errorCode': 'رمز خطأ Google: {code}',
+        'diagnostics.yourSite': 'موقعك',
+        'diagnostics.failure.InvalidKeyMapError': 'مفتاح API غير صالح.',
+        'diagnostics.failure.MissingKeyMapError': 'لم يُرسل أي مفتاح API إلى Google.',
+        'diagnostics.failure.ExpiredKeyMapError': 'انتهت صلاحية مفتاح API أو تم حذفه.',
+        'diagnostics.failure.RefererNotAllowedMapError': 'هذا الموقع غير مسموح له باستخدام مفتاح API.',
+        'diagnostics.failure.ApiNotActivatedMapError': 'Maps JavaScript API غير مفعّلة في مشروع هذا المفتاح.',
+        'diagnostics.failure.PlacesApiNotActivatedError': 'Places API (New) غير مفعّلة في مشروع هذا المفتاح.',
+        'diagnostics.failure.ApiTargetBlockedMapError': 'قيود API على المفتاح تحجب واجهات API التي تحتاجها هذه الأداة.',
+        'diagnostics.failure.BillingNotEnabledMapError': 'الفوترة غير مفعّلة في مشروع هذا المفتاح.',
+        'diagnostics.failure.OverQuotaMapError': 'استنفد المشروع حصته.',
+        'diagnostics.failure.ProjectDeniedMapError': 'رفضت Google الوصول إلى مشروع هذا المفتاح.',
+        'diagnostics.failure.DeletedApiProjectMapError': 'المفتاح يتبع مشروعاً محذوفاً.',
+        'diagnostics.failure.ScriptLoadError': 'تعذر تنزيل نص Google Maps البرمجي.',
+        'diagnostics.step.credentials': 'افتح Google Cloud Console > APIs & Services > Credentials واختر مفتاحك.',
+        'diagnostics.step.reload': 'أعد تحميل هذه الصفحة بعد تغيير المفتاح أو إعداداته.',
+        'diagnostics.step.checkKey': 'تحقق من نسخ المفتاح كاملاً، فهو يبدأ بـ "AIza".',
+        'diagnostics.step.enterKey': 'أدخل مفتاحك في حقل مفتاح API.',
+        'diagnostics.step.newKey': 'أنشئ مفتاحاً جديداً وأدخله هنا.',
+        'diagnostics.step.allowSite': 'ضمن "Application restrictions"، أضف {site} إلى المواقع المسموح بها.',
+        'diagnostics.step.openLibrary': 'افتح Google Cloud Console > APIs & Services > Library.',
+        'diagnostics.step.enableMaps': 'فعّل "Maps JavaScript API".',
+        'diagnostics.step.enablePlaces': 'فعّل "Places API (New)"، وليس "Places API" القديمة فقط.',
+        'diagnostics.step.waitAndRetry': 'انتظر بضع دقائق ثم حاول مرة أخرى.',
+        'diagnostics.step.allowApis': 'ضمن "API restrictions"، اسمح بـ "Maps JavaScript API" و"Places API (New)".',
+        'diagnostics.step.openBilling': 'افتح Google Cloud Console > Billing.',
+        'diagnostics.step.linkBilling': 'اربط حساب فوترة صالحاً بالمشروع. يظل الاستخدام المجاني الشهري سارياً.',
+        'diagnostics.step.openQuotas': 'افتح Google Cloud Console > APIs & Services > Quotas.',
+        'diagnostics.step.raiseQuota': 'ارفع الحد اليومي أو انتظر إعادة تعيين الحصة.',
+        'diagnostics.step.checkNotices': 'ابحث عن إشعارات في Google Cloud Console.',
+        'diagnostics.step.contactSupport': 'تواصل مع دعم Google Maps Platform إذا كان يفترض أن يكون المشروع في وضع سليم.',
+        'diagnostics.step.newProjectKey': 'أنشئ مفتاحاً جديداً في مشروع نشط وأدخله هنا.',
+        'diagnostics.step.checkConnection': 'تحقق من اتصالك بالإنترنت.',
+        'diagnostics.step.disableBlockers': 'أوقف أدوات حظر الإعلانات أو النصوص البرمجية لهذه الصفحة.',
+        'diagnostics.step.tryAgain': 'حاول مرة أخرى.',
+        'usage.tier': 'الفئة',
+        'usage.calls': 'الطلبات في {month} / المجانية',
+
+        'notes.keyPrivacy': 'تبقى مفاتيح API <strong>في متصفحك</strong>: لهذه النافذة فقط، أو على هذا الجهاز، أو مشفّرة بعبارة مرور تختارها. <strong>لا</strong> تُرسل إلى أي مكان سوى Google.',
+        'notes.freeCredit': 'توفّر <strong>Google Places API</strong> رصيداً شهرياً مجانياً سخياً يصل إلى <strong>10٬000</strong> طلب شهرياً، لذا فإن هذه الخدمة مجانية تقريباً لعمليات البحث العرضية. لكن Google تشترط إنشاء <strong>حساب Google Developer</strong> مرتبط <strong>بحساب فوترة صالح</strong> لاستخدامها. إذا كنت تستخدم هذه الخدمة لمساعدة عملائك (أو نفسك) في الحصول على مراجعات Google بتسهيل العملية على الزبائن، فإن الجهد القليل المطلوب للإعداد يستحق العناء.',
+        'notes.getKey': 'احصل على مفتاح Google Places API الخاص بك',
+        'notes.demo': 'جرّبه ببيانات تجريبية، دون مفتاح',
+        'demo.note': '<strong>الوضع التجريبي:</strong> تستخدم عمليات البحث أماكن نموذجية مدمجة (السيناريو: {scenario}) ولا حاجة إلى مفتاح API. جرّب "Joe\'s Pizza" أو "Blue Bottle Coffee".',
+        'demo.leave': 'الخروج من الوضع التجريبي',
+
+        'search.inputLabel': 'اسم النشاط التجاري أو رابط خرائط Google:',
+        'search.inputPlaceholder': 'أدخل اسم النشاط التجاري أو رابط خرائط Google',
+        'search.submit': 'بحث في Places',
+        'searchArea.summary': 'منطقة البحث',
+        'searchArea.note': 'رتّب نتائج البحث بالاسم قرب منطقة واحدة، حتى تظهر أولاً الفرع الذي تقصده من سلسلة لها فروع كثيرة. قد تظهر أماكن من مناطق أخرى في الأسفل.',
+        'searchArea.modeLabel': 'البحث قرب:',
+        'searchArea.mode.none': 'أي مكان',
+        'searchArea.mode.geolocation': 'موقعي الحالي',
+        'searchArea.mode.city': 'مدينة',
+        'searchArea.cityLabel': 'المدينة:',
+        'searchArea.cityPlaceholder': 'مثلاً: دبي',
+        'searchArea.locate': 'استخدام موقعي',
+        'searchArea.located': 'البحث قرب {lat}، {lng}',
+        'searchArea.notLocated': 'لم تتم مشاركة موقعك بعد.',
+        'searchArea.locating': 'جارٍ تحديد موقعك...',
+        'searchArea.locateFailed': 'تعذّر الحصول على موقعك: {error}',
+        'searchArea.noGeolocation': 'هذا المتصفح لا يستطيع مشاركته',
+        'searchArea.radiusLabel': 'نصف القطر (كم):',
+        'searchArea.useUrl': 'البحث قرب الإحداثيات الموجودة في روابط الخرائط الملصقة',
+        'searchArea.regionLabel': 'رمز المنطقة:',
+        'searchArea.regionPlaceholder': 'مثلاً AE، اتركه فارغاً لأي منطقة',
+        'searchArea.typeLabel': 'نوع المكان:',
+        'searchArea.typePlaceholder': 'مثلاً restaurant أو cafe، اتركه فارغاً لأي نوع',
+        'searchArea.source.url': 'إحداثيات رابط الخرائط',
+        'searchArea.source.geolocation': 'موقعك',
+        'details.summary': 'تفاصيل إضافية عن المكان',
+        'details.note': 'قد ينقل كل حقل إضافي عملية البحث إلى فئة فوترة أغلى في Places API (Essentials أو Pro أو Enterprise). أوقف ما لا تحتاجه.',
+        'details.group.location': 'الموقع على الخريطة',
+        'details.group.businessStatus': 'حالة النشاط',
+        'details.group.photo': 'صورة',
+        'details.group.rating': 'التقييم وعدد المراجعات',
+        'details.group.hours': 'ساعات العمل',
+        'details.group.phone': 'رقم الهاتف',
+        'details.group.website': 'الموقع الإلكتروني',
+        'links.summary': 'صيغ الروابط',
+        'links.note': 'اختر صيغ روابط المراجعات والخرائط التي تريد عرضها. لكل منها زر نسخ ورمز QR خاص به.',
+        'links.variant.review': 'صفحة مراجعات Google',
+        'links.variant.maps': 'صفحة النشاط على خرائط Google',
+        'links.variant.writeReview': 'نافذة كتابة مراجعة في بحث Google',
+        'links.variant.gpage': 'رابط مراجعات g.page',
+        'links.variant.cid': 'صفحة الخرائط حسب CID',
+        'links.variant.android': 'تطبيق خرائط Google (Android)',
+        'links.variant.ios': 'تطبيق خرائط Google (iOS)',
+        'links.unavailable': '{name}: {reason}',
+        'links.needs.id': 'يحتاج إلى Place ID.',
+        'links.needs.cid': 'يحتاج إلى CID الخاص بالمكان على الخرائط. ابحث عن المكان مرة أخرى للحصول عليه.',
+        'links.needs.featureId': 'يحتاج إلى رابط خرائط Google يحتوي على feature ID الخاص بالمكان (0x…:0x…). الصق رابط الخرائط الكامل للمكان للحصول عليه.',
+
+        'output.waiting': 'في انتظار البحث...',
+        'output.enterKeyForLink': 'أدخل مفتاح API واضغط بحث للعثور على المكان المرتبط.',
+        'output.loading': 'جارٍ التحميل...',
+        'output.debugHint': 'راجع وحدة تحكم المتصفح (F12) لمعلومات التصحيح',
+        'output.openedFromLink': 'فُتح من رابط مشترك',
+        'output.openedFromLibrary': 'فُتح من أماكنك المحفوظة',
+        'output.previousResult': 'نتيجة البحث السابقة محمّلة من أماكنك المحفوظة',
+        'errors.prefix': 'خطأ:',
+        'errors.consoleHint': 'راجع وحدة تحكم المتصفح (F12) لتفاصيل الخطأ كاملة',
+        'errors.keysLocked': 'مفاتيح API المحفوظة مقفلة. أدخل عبارة المرور واضغط فتح القفل.',
+        'errors.popupBlocked': 'حظر المتصفح علامة التبويب الجديدة. اسمح بالنوافذ المنبثقة لهذه الصفحة وحاول مرة أخرى.',
+        'errors.missingInput': 'أدخل مفتاح API والمكان المطلوب.',
+        'errors.batchMissingInput': 'أدخل مفتاح API ونشاطاً تجارياً واحداً على الأقل أو رابط خرائط أو Place ID.',
+        'errors.noResults': 'لا توجد نتائج لعبارة البحث',
+        'errors.cityNotFound': 'تعذر العثور على "{city}" للبحث بالقرب منها. تحقق من المدينة في إعدادات منطقة البحث.',
+        'errors.unknownPlaceId': 'لا تتعرف Google على Place ID ‏"{id}". ربما أصبح قديماً، أو أُغلق النشاط التجاري أو انتقل. ابحث بالاسم للحصول على Place ID الحالي.',
+        'errors.shortLink': 'لا يمكن قراءة الروابط المختصرة مباشرة. افتح الرابط، ثم الصق عنوان Google Maps الكامل من شريط العنوان.',
+        'errors.cidOnly': 'هذا الرابط لا يحتوي إلا على CID لخرائط Google ‏({cid})، ولا يمكن لواجهة Places API البحث عنه. افتح الرابط، ثم الصق عنوان Google Maps الكامل من شريط العنوان.',
+        'errors.noPlaceInUrl': 'لم يُعثر على Place ID أو اسم نشاط تجاري في هذا العنوان',
+
+        'offline.queuedLookup': 'أنت غير متصل. أُضيف "{input}" إلى قائمة الانتظار وسيُبحث عنه عند عودة الاتصال. لا تزال الأماكن المحفوظة أدناه تُفتح.',
+        'offline.ranQueued': { zero: 'عاد الاتصال: لم يُنفَّذ أي بحث منتظر.', one: 'عاد الاتصال: نُفّذ بحث منتظر واحد.', two: 'عاد الاتصال: نُفّذ بحثان منتظران.', few: 'عاد الاتصال: نُفّذت {count} عمليات بحث منتظرة.', other: 'عاد الاتصال: نُفّذ {count} بحثاً منتظراً.' },
+        'offline.savedResult': '{input}: حُفظ {name}',
+        'offline.ambiguousResult': { one: '{input}: مكان واحد مطابق، اختر الصحيح', two: '{input}: مكانان مطابقان، اختر الصحيح', few: '{input}: {count} أماكن مطابقة، اختر الصحيح', other: '{input}: {count} مكاناً مطابقاً، اختر الصحيح' },
+        'offline.batch': 'أنت غير متصل. يحتاج البحث الجماعي إلى اتصال، حاول مجدداً عند عودة الاتصال.',
+        'offline.queuedTitle': 'قيد الانتظار:',
+        'offline.offlineTitle': 'غير متصل:',
+        'offline.waiting': { one: 'عاد الاتصال. بحث منتظر واحد بانتظار التنفيذ.', two: 'عاد الاتصال. بحثان منتظران بانتظار التنفيذ.', few: 'عاد الاتصال. {count} عمليات بحث بانتظار التنفيذ.', other: 'عاد الاتصال. {count} بحثاً بانتظار التنفيذ.' },
+        'offline.status': 'أنت غير متصل. لا تزال الأماكن المحفوظة تُفتح مع روابطها ورموز QR؛ وتنتظر عمليات البحث الجديدة حتى يعود الاتصال.',
+        'actions.open': 'فتح',
+        'actions.searchAgain': 'البحث مجدداً',
+        'actions.copyLink': 'نسخ الرابط',
+        'actions.copyShareLink': 'نسخ رابط المشاركة',
+        'actions.remove': 'إزالة',
+
+        'candidates.found': { one: 'عُثر على مكان واحد مطابق، اختر الصحيح:', two: 'عُثر على مكانين مطابقين، اختر الصحيح:', few: 'عُثر على {count} أماكن مطابقة، اختر الصحيح:', other: 'عُثر على {count} مكاناً مطابقاً، اختر الصحيح:' },
+        'candidates.use': 'استخدام هذا المكان',
+        'candidates.previous': 'السابق',
+        'candidates.next': 'التالي',
+        'candidates.page': 'الصفحة {page} من {pages}',
+
+        'place.name': 'المكان:',
+        'place.address': 'العنوان:',
+        'place.id': 'Place ID:',
+        'place.none': 'غير متوفر',
+        'place.replaced': 'استبدلت Google معرّف المكان القديم {id} بهذا المعرّف.',
+        'place.lookedUpWith': 'بُحث عنه بالمفتاح "{name}"',
+        'place.shareNote': 'يفتح هذا المكان في المساعد دون الحاجة إلى مفتاح API',
+        'place.rating': 'التقييم:',
+        'place.reviewCount': { one: '(مراجعة واحدة)', two: '(مراجعتان)', few: '({count} مراجعات)', other: '({count} مراجعة)' },
+        'place.status': 'الحالة:',
+        'place.status.OPERATIONAL': 'مفتوح',
+        'place.status.CLOSED_TEMPORARILY': 'مغلق مؤقتاً',
+        'place.status.CLOSED_PERMANENTLY': 'مغلق نهائياً',
+        'place.phone': 'الهاتف:',
+        'place.website': 'الموقع الإلكتروني:',
+        'place.location': 'الموقع:',
+        'place.hours': 'ساعات العمل',
+        'place.photoAlt': 'صورة {name}',
+        'place.searchFilters': 'تم تضييق البحث إلى:',
+        'place.searchedNear': 'ضمن {radius} كم من {place}',
+        'place.searchedRegion': 'المنطقة {region}',
+        'place.searchedType': 'النوع {type}',
+        'map.label': 'خريطة {name}',
+        'map.candidatesLabel': 'خريطة الأماكن المطابقة',
+        'map.pinSelect': 'اختيار {place}',
+        'map.fallback.unavailable': 'لا توجد خريطة هنا: لم يتم تحميل سكربت خرائط Google، مثلاً مع البيانات التجريبية. تُظهر الدبابيس مواقع الأماكن بالنسبة لبعضها.',
+        'map.fallback.offline': 'لا توجد خريطة دون اتصال. تُظهر الدبابيس مواقع الأماكن بالنسبة لبعضها.',
+        'map.fallback.failed': 'تعذر تحميل الخريطة. تأكد من أن مفتاحك يسمح بواجهة Maps JavaScript API. تُظهر الدبابيس مواقع الأماكن بالنسبة لبعضها.',
+
+        'batch.summary': 'البحث الجماعي',
+        'batch.inputLabel': 'أنشطة تجارية أو روابط خرائط Google أو Place IDs (واحد في كل سطر):',
+        'batch.inputPlaceholder': 'اسم نشاط أو رابط خرائط أو Place ID في كل سطر',
+        'batch.fileLabel': 'أو ارفع ملف CSV (يُستخدم العمود الأول):',
+        'batch.run': 'تشغيل البحث الجماعي',
+        'batch.column.input': 'المدخل',
+        'batch.column.place': 'المكان',
+        'batch.column.placeId': 'Place ID',
+        'batch.column.links': 'الروابط',
+        'batch.column.status': 'الحالة',
+        'batch.status.pending': 'قيد الانتظار',
+        'batch.status.running': 'جارٍ البحث...',
+        'batch.status.ok': 'تم',
+        'batch.status.replaced': 'تم (يحل محل المعرّف القديم {id})',
+        'batch.status.ambiguous': 'غير محدد ({count} نتائج مطابقة، استُخدمت أفضلها)',
+        'batch.status.error': 'خطأ: {error}',
+        'batch.review': 'مراجعة',
+        'batch.maps': 'الخرائط',
+        'batch.retry': 'إعادة المحاولة',
+        'batch.choose': 'اختر المكان الصحيح',
+        'batch.progress': 'تمت معالجة {done} من {total} ({failed} فشلت، {ambiguous} غير محددة)',
+        'export.csv': 'تصدير CSV',
+        'export.json': 'تصدير JSON',
+        'export.zip': 'رموز QR ‏(ZIP)',
+        'export.zipFailed': 'تعذر إنشاء ملف ZIP لرموز QR: {error}',
+        'library.summary': 'الأماكن المحفوظة',
+        'library.searchPlaceholder': 'ابحث في الأماكن المحفوظة أو الوسوم أو الملاحظات',
+        'library.export': 'تصدير المكتبة',
+        'library.import': 'استيراد مكتبة',
+        'library.imported': { zero: 'لم يُستورد أي مكان.', one: 'تم استيراد مكان واحد.', two: 'تم استيراد مكانين.', few: 'تم استيراد {count} أماكن.', many: 'تم استيراد {count} مكاناً.', other: 'تم استيراد {count} مكان.' },
+        'library.importFailed': 'فشل الاستيراد: {error}',
+        'library.importSkipped': { zero: 'لم يُتخطَّ أي إدخال.', one: 'تم تخطي إدخال واحد بلا معرّف مكان صالح.', two: 'تم تخطي إدخالين بلا معرّف مكان صالح.', few: 'تم تخطي {count} إدخالات بلا معرّف مكان صالح.', many: 'تم تخطي {count} إدخالاً بلا معرّف مكان صالح.', other: 'تم تخطي {count} إدخال بلا معرّف مكان صالح.' },
+        'library.loadFailed': 'تعذر عرض أماكنك المحفوظة: {error}',
+        'library.saveFailed': 'تعذرت إضافة هذا المكان إلى أماكنك المحفوظة: {error}',
+        'library.notAnExport': 'هذا الملف ليس تصديراً للأماكن المحفوظة',
+        'library.noMatches': 'لا توجد أماكن محفوظة تطابق بحثك.',
+        'library.empty': 'تُحفظ هنا الأماكن التي تبحث عنها.',
+        'library.pin': 'تثبيت',
+        'library.unpin': 'إلغاء التثبيت',
+        'library.delete': 'حذف',
+        'library.lookedUpWith': 'تم البحث باستخدام: {name}',
+        'library.tagsAndNotes': 'الوسوم والملاحظات',
+        'library.tags': 'الوسوم (مفصولة بفواصل):',
+        'library.notes': 'ملاحظات:',
+        'library.confirmDelete': 'هل تريد حذف {name} من أماكنك المحفوظة؟',
+
+        'shortLinks.summary': 'الروابط المختصرة وعدد المسح',
+        'shortLinks.note': 'تبسّط الروابط المختصرة رموز QR وتحصي كل عملية مسح. تحتاج إلى خادم الروابط المختصرة في هذا المشروع يعمل في مكان تصل إليه الهواتف: node server/short-link-server.js',
+        'shortLinks.enable': 'استخدام الروابط المختصرة في رموز QR والمطبوعات',
+        'shortLinks.server': 'خادم الروابط المختصرة:',
+        'shortLinks.showStats': 'عرض عدد المسح',
+        'shortLinks.dashboard': 'فتح لوحة المتابعة',
+        'shortLinks.none': 'لا توجد روابط مختصرة بعد. افتح مكاناً مع تفعيل الروابط المختصرة لإنشاء رابط.',
+        'shortLinks.place': 'المكان',
+        'shortLinks.link': 'الرابط المختصر',
+        'shortLinks.scans': 'عمليات المسح',
+        'shortLinks.lastWeek': 'آخر 7 أيام',
+        'shortLinks.creating': 'جارٍ الحصول على الرابط المختصر...',
+        'shortLinks.failed': 'لا يوجد رابط مختصر، تستخدم رموز QR رابط المراجعة الكامل. {error}',
+        'shortLinks.blocked': 'لا تسمح سياسة أمان المحتوى (Content-Security-Policy) لهذه الصفحة بالاتصال بـ {origin}. أضفه إلى connect-src في index.html وwidget.html.',
+        'shortLinks.unreachable': 'تعذر الوصول إلى خادم الروابط المختصرة على {server}.',
+        'shortLinks.noAnswer': 'لم يستجب خادم الروابط المختصرة على {server}.',
+        'shortLinks.scanCount': { zero: 'لا عمليات مسح', one: 'عملية مسح واحدة', two: 'عمليتا مسح', few: '{count} عمليات مسح', other: '{count} عملية مسح' },
+        'shortLinks.offline': 'رابط محفوظ، عدد المسح غير متاح دون اتصال',
+        'shortLinks.copy': 'نسخ الرابط المختصر',
+
+        'qr.settings': 'إعدادات رمز QR',
+        'qr.correction': 'تصحيح الأخطاء:',
+        'qr.correction.L': 'منخفض (7%)',
+        'qr.correction.M': 'متوسط (15%)',
+        'qr.correction.Q': 'ربعي (25%)',
+        'qr.correction.H': 'مرتفع (30%)',
+        'qr.foreground': 'لون المقدمة:',
+        'qr.background': 'الخلفية:',
+        'qr.transparent': 'شفافة',
+        'qr.shape': 'شكل الوحدات:',
+        'qr.shape.square': 'مربعات',
+        'qr.shape.rounded': 'مستديرة الحواف',
+        'qr.shape.dots': 'نقاط',
+        'qr.margin': 'الهامش (بالوحدات):',
+        'qr.size': 'حجم الإخراج:',
+        'qr.logo': 'شعار في المنتصف:',
+        'qr.logoNote': 'تم تعيين شعار، لذا ثُبّت تصحيح الأخطاء على مرتفع.',
+        'qr.logoFailed': 'تعذر استخدام هذه الصورة كشعار: {error}',
+        'qr.viewRaw': 'عرض الأصل',
+        'qr.pdfFailed': 'تعذر إنشاء ملف PDF: {error}',
+        'qr.alt': 'رمز QR لـ {label}',
+        'qr.lowContrast': 'التباين منخفض ({ratio}:1). اجعله {minimum}:1 على الأقل لتتمكن الهواتف من قراءة الرمز بسهولة.',
+        'qr.inverted': 'لون المقدمة أفتح من الخلفية. لا تستطيع كثير من الماسحات قراءة رموز QR المعكوسة.',
+        'qr.transparentWarning': 'خلفية شفافة: اطبعه على سطح فاتح.',
+
+        'print.title': 'قوالب قابلة للطباعة',
+        'print.template': 'القالب:',
+        'print.headline': 'العنوان:',
+        'print.callToAction': 'عبارة الدعوة:',
+        'print.preview': 'فتح معاينة الطباعة',
+        'print.import': 'استيراد قوالب مخصصة (JSON):',
+        'print.importFailed': 'تعذر استيراد القوالب: {error}',
+        'print.print': 'طباعة',
+        'print.table-tent-a6.name': 'بطاقة طاولة A6',
+        'print.table-tent-a6.headline': 'هل استمتعت بزيارتك؟',
+        'print.table-tent-a6.callToAction': 'امسح الرمز واترك لنا مراجعة!',
+        'print.business-cards.name': 'ورقة بطاقات أعمال (10 في A4)',
+        'print.business-cards.headline': 'أخبرنا عن تجربتك',
+        'print.business-cards.callToAction': 'امسح الرمز لترك مراجعة على Google',
+        'print.flyer-letter.name': 'منشور (Letter أمريكي)',
+        'print.flyer-letter.headline': 'يسعدنا سماع رأيك!',
+        'print.flyer-letter.callToAction': 'امسح الرمز لترك مراجعة لنا على Google',
+        'print.flyer-a4.name': 'منشور (A4)',
+        'print.flyer-a4.headline': 'يسعدنا سماع رأيك!',
+        'print.flyer-a4.callToAction': 'امسح الرمز لترك مراجعة لنا على Google',
+        'print.window-sticker.name': 'ملصق واجهة (120 مم)',
+        'print.window-sticker.headline': 'قيّمنا على Google',
+        'print.window-sticker.callToAction': 'امسح الرمز بكاميرا هاتفك'
+    }
+};
@@ -0,0 +1,175 @@
+/**
+ * Parses Google Maps / Google Search URLs into every place identifier they carry
+ */
+export class UrlParser {
+    constructor() {
+        // Hosts that only redirect to a full Maps URL and can't be read client-side
+        this.shortLinkHosts = ['maps.app.goo.gl', 'goo.gl', 'g.co', 'g.page'];
+    }
+
+    /**
+     * Check whether the input looks like a URL we should parse
+     * @param {string} input - User input
+     * @returns {boolean} True for http(s) URLs and bare Google hosts
+     */
+    isUrl(input) {
+        return /^(https?:\/\/|(www\.|maps\.)?google\.[a-z.]+\/|maps\.app\.goo\.gl\/|goo\.gl\/|g\.page\/|search\.google\.com\/)/i.test(input.trim());
+    }
+
+    /**
+     * Check whether the input is a bare Google Place ID such as "ChIJ..."
+     * @param {string} input - User input
+     * @returns {boolean} True for place IDs
+     */
+    isPlaceId(input) {
+        // Place IDs are URL-safe base64 with a known prefix: ChIJ for most
+        // businesses, Eh/Ei/Gh for addresses and other place types. Being base64,
+        // an ID may have no digit at all, so length is the only other check.
+        const value = input.trim();
+        return /^(ChIJ|GhIJ|IhoS|E[h-m])[A-Za-z0-9_-]+$/.test(value) && value.length >= 27;
+    }
+
+    /**
+     * Parse a Maps URL
+     * @param {string} input - URL to parse
+     * @returns {Object|null} Parsed identifiers, or null when the input is not a URL
+     *   {placeId, featureId, cid, name, query, coordinates: {lat, lng, zoom}, isShortLink, shortLinkId}
+     */
+    parse(input) {
+        if (!this.isUrl(input)) return null;
+
+        let url;
+        try {
+            url = new URL(/^https?:\/\//i.test(input.trim()) ? input.trim() : `https://${input.trim()}`);
+        } catch (e) {
+            console.error('Failed to parse URL:', e);
+            return null;
+        }
+
+        const result = {
+            placeId: null,
+            featureId: null,
+            cid: null,
+            name: null,
+            query: null,
+            coordinates: null,
+            isShortLink: false,
+            shortLinkId: null
+        };
+
+        const host = url.hostname.toLowerCase();
+        let path = url.pathname;
+        try {
+            path = decodeURIComponent(url.pathname);
+        } catch (e) {
+            console.log('Could not decode URL path, using it as-is');
+        }
+        const params = url.searchParams;
+
+        // Short links only resolve through a redirect we can't follow from the browser
+        if (this.shortLinkHosts.includes(host)) {
+            result.isShortLink = true;
+            const segments = url.pathname.split('/').filter(Boolean);
+
+            // g.page/<business-slug> names the business, g.page/r/<id>/review does not
+            if (host === 'g.page' && segments[0] === 'r') {
+                result.shortLinkId = segments[1] || null;
+            } else {
+                result.shortLinkId = segments[0] || null;
+                if (host === 'g.page' && segments.length) {
+                    result.name = segments[0].replace(/[-_+]/g, ' ');
+                }
+            }
+            return result;
+        }
+
+        // Query parameters: place_id (Maps), query_place_id (Maps search API), placeid (writereview)
+        result.placeId = params.get('place_id') || params.get('query_place_id') || params.get('placeid') || null;
+
+        // ftid and cid
+        if (params.get('ftid')) result.featureId = params.get('ftid');
+        if (params.get('cid')) result.cid = params.get('cid');
+
+        // q / query parameters hold a free-text search
+        result.query = params.get('q') || params.get('query') || null;
+
+        // /maps/place/<name>/ and /maps/search/<query>/
+        const placeMatch = path.match(/\/place\/([^\/]+)/);
+        if (placeMatch) {
+            result.name = placeMatch[1].replace(/\+/g, ' ');
+        }
+
+        const searchMatch = path.match(/\/search\/([^\/@]+)/);
+        if (searchMatch && !result.query) {
+            result.query = searchMatch[1].replace(/\+/g, ' ');
+        }
+
+        // @lat,lng,zoom viewport
+        const viewportMatch = path.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?)z)?/);
+        if (viewportMatch) {
+            result.coordinates = {
+                lat: parseFloat(viewportMatch[1]),
+                lng: parseFloat(viewportMatch[2]),
+                zoom: viewportMatch[3] ? parseFloat(viewportMatch[3]) : null
+            };
+        }
+
+        // data=!... blob, usually the last path segment but sometimes a parameter
+        this.parseDataBlob(path + (params.get('data') || ''), result);
+
+        // Derive the CID from the feature ID when it wasn't given directly
+        if (result.featureId && !result.cid) {
+            result.cid = this.featureIdToCid(result.featureId);
+        }
+
+        return result;
+    }
+
+    /**
+     * Read identifiers from a Maps "!"-encoded data blob
+     * @param {string} blob - Data blob such as "!3m1!4b1!4m6!3m5!1s0x...:0x...!8m2!3d..!4d..!19sChIJ..."
+     * @param {Object} result - Parse result to fill in
+     */
+    parseDataBlob(blob, result) {
+        // !1s0x<hex>:0x<hex> feature ID
+        const featureMatch = blob.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i);
+        if (featureMatch && !result.featureId) {
+            result.featureId = featureMatch[1];
+        }
+
+        // !19s<place id>
+        const placeIdMatch = blob.match(/!19s([A-Za-z0-9_-]+)/);
+        if (placeIdMatch && !result.placeId) {
+            result.placeId = placeIdMatch[1];
+        }
+
+        // !3d<lat>!4d<lng> is the pin position, more precise than the @ viewport
+        const pinMatch = blob.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+        if (pinMatch) {
+            result.coordinates = {
+                lat: parseFloat(pinMatch[1]),
+                lng: parseFloat(pinMatch[2]),
+                zoom: result.coordinates ? result.coordinates.zoom : null
+            };
+        }
+    }
+
+    /**
+     * Convert a feature ID ("0x<hex>:0x<hex>") to its decimal CID
+     * @param {string} featureId - Feature ID
+     * @returns {string|null} Decimal CID or null
+     */
+    featureIdToCid(featureId) {
+        const match = featureId.match(/:0x([0-9a-f]+)$/i);
+        if (!match) return null;
+
+        try {
+            return BigInt(`0x${match[1]}`).toString();
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+// Create a singleton instance
+export const urlParser = new UrlParser();
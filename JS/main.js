@@ -1,18 +1,72 @@
+import { i18n } from './I18nHandler.js';
+import { dom } from './DomHelper.js';
+import { keyDiagnosticsHandler } from './KeyDiagnosticsHandler.js';
+import { keyPanelHandler } from './KeyPanelHandler.js';
+import { settingsHandler } from './SettingsHandler.js';
+import { placesHandler } from './PlacesHandler.js';
+import { qrCodeHandler } from './QRCodeHandler.js';
+import { resultRenderer } from './ResultRenderer.js';
+import { mapPreviewHandler } from './MapPreviewHandler.js';
+import { batchHandler } from './BatchHandler.js';
+import { libraryHandler } from './LibraryHandler.js';
+import { deepLinkHandler } from './DeepLinkHandler.js';
+import { offlineHandler } from './OfflineHandler.js';
+
 /**
- * Main application controller
+ * Main application controller: the search, its candidates and result, batch lookups,
+ * offline queue and history. The key panel and the settings panels have their own handlers.
  */
 document.addEventListener('DOMContentLoaded', () => {
     // DOM elements
     const elements = {
+        languageSelect: document.getElementById('languageSelect'),
         apiKey: document.getElementById('apiKey'),
+        mapId: document.getElementById('mapId'),
+        keySelect: document.getElementById('keySelect'),
+        keyName: document.getElementById('keyName'),
+        addKeyBtn: document.getElementById('addKeyBtn'),
+        removeKeyBtn: document.getElementById('removeKeyBtn'),
+        keyStorageMode: document.getElementById('keyStorageMode'),
+        keyPassphrase: document.getElementById('keyPassphrase'),
+        unlockKeyBtn: document.getElementById('unlockKeyBtn'),
+        lockKeyBtn: document.getElementById('lockKeyBtn'),
+        forgetKeyBtn: document.getElementById('forgetKeyBtn'),
+        keyStatus: document.getElementById('keyStatus'),
+        keyDiagnostics: document.getElementById('keyDiagnostics'),
+        testKeyBtn: document.getElementById('testKeyBtn'),
+        resetUsageBtn: document.getElementById('resetUsageBtn'),
+        keyTestResult: document.getElementById('keyTestResult'),
+        usagePanel: document.getElementById('usagePanel'),
         placeInput: document.getElementById('placeInput'),
         fetchBtn: document.getElementById('fetchBtn'),
-        output: document.getElementById('output')
+        output: document.getElementById('output'),
+        batchInput: document.getElementById('batchInput'),
+        batchFile: document.getElementById('batchFile'),
+        batchBtn: document.getElementById('batchBtn'),
+        batchOutput: document.getElementById('batchOutput'),
+        library: document.getElementById('library'),
+        shortLinkEnabled: document.getElementById('shortLinkEnabled'),
+        shortLinkServer: document.getElementById('shortLinkServer'),
+        shortLinkDashboard: document.getElementById('shortLinkDashboard'),
+        shortLinkStatsBtn: document.getElementById('shortLinkStatsBtn'),
+        shortLinkStats: document.getElementById('shortLinkStats'),
+        providerNote: document.getElementById('providerNote'),
+        searchAreaFields: document.getElementById('searchAreaFields'),
+        detailFields: document.getElementById('detailFields'),
+        linkVariantFields: document.getElementById('linkVariantFields'),
+        connectionStatus: document.getElementById('connectionStatus')
     };
 
     // State
-    let fullApiKey = '';
     let currentPlaceData = null;
+    let currentInput = '';
+    let currentCandidates = [];
+    let candidatePage = 0;
+    let restoringHistory = false;
+    // QR options of the shared link the page was opened with, for its result only
+    let linkQrOptions = {};
+
+    const CANDIDATES_PER_PAGE = 5;
 
     // Initialize the app
     init();
@@ -23,24 +77,177 @@ document.addEventListener('DOMContentLoaded', () => {
     function init() {
         console.log('Page loaded, checking for saved data...');
 
+        // Translate the page into the saved or browser language
+        i18n.apply(document);
+
+        // Catch key failures reported by the Maps script
+        keyDiagnosticsHandler.install();
+        keyDiagnosticsHandler.onFailure((diagnosis) => {
+            keyPanelHandler.renderDiagnosis(elements.keyTestResult, diagnosis);
+            elements.keyDiagnostics.open = true;
+        });
+
+        // Pick the Places provider
+        setupProvider();
+
+        // Read any shared link the page was opened with
+        const deepLink = deepLinkHandler.parse();
+
         // Load saved data
-        loadSavedData();
+        loadSavedData(deepLink);
+
+        // Show the language, search area, detail field, link format and short link settings
+        settingsHandler.init(elements, refreshCurrentResult);
 
         // Set up event listeners
         setupEventListeners();
+
+        // Cache the app for offline use and run queued lookups on reconnect
+        offlineHandler.register();
+        offlineHandler.watch(elements.connectionStatus, processQueuedLookups);
+        if (offlineHandler.isOnline()) {
+            processQueuedLookups();
+        }
+
+        // Open the shared link
+        openDeepLink(deepLink);
+    }
+
+    /**
+     * Open a deep link: show or look up its place, drawing its QR codes with the
+     * link's options. They are not stored, so the user's own settings stay as they were.
+     * @param {Object} deepLink - Parsed link from deepLinkHandler.parse
+     */
+    async function openDeepLink(deepLink) {
+        linkQrOptions = deepLink.qrSettings;
+        if (Object.keys(linkQrOptions).length) {
+            console.log('QR settings from link:', linkQrOptions);
+        }
+
+        if (deepLink.placeId && deepLink.name) {
+            // Everything needed for the links and QR codes is in the URL, no lookup required
+            console.log('Opening place from link:', deepLink.placeId);
+            const linkedPlace = {
+                id: deepLink.placeId,
+                displayName: deepLink.name,
+                formattedAddress: deepLink.address
+            };
+            if (deepLink.cid) linkedPlace.cid = deepLink.cid;
+            displayStoredSearchResult(linkedPlace, i18n.t('output.openedFromLink'));
+        } else if (deepLink.placeId || deepLink.query) {
+            elements.placeInput.value = deepLink.query || deepLink.placeId;
+
+            if (keyPanelHandler.getApiKey() || !placesHandler.provider.requiresApiKey) {
+                console.log('Looking up place from link');
+                restoringHistory = true;
+                try {
+                    await handleSearch();
+                } finally {
+                    restoringHistory = false;
+                }
+            } else {
+                dom.showMessage(elements.output, i18n.t('output.enterKeyForLink'));
+            }
+        }
+
+        if (deepLink.section) {
+            deepLinkHandler.openSection(deepLink.section);
+        }
+    }
+
+    /**
+     * Show a place opened from the saved places library
+     * @param {Object} placeData - Saved place
+     */
+    function handleLibraryOpen(placeData) {
+        linkQrOptions = {};
+        displayStoredSearchResult(placeData, i18n.t('output.openedFromLibrary'));
+        deepLinkHandler.pushPlace(placeData);
+        elements.output.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Show the result or candidate list stored in a history entry
+     * @param {PopStateEvent} event - History navigation event
+     */
+    function handleHistoryChange(event) {
+        const state = event.state;
+        linkQrOptions = {};
+
+        if (state && state.view === 'place') {
+            currentPlaceData = state.place;
+            currentCandidates = [];
+            elements.placeInput.value = state.place.id;
+            displayPlaceInfo(state.place, elements.output);
+        } else if (state && state.view === 'candidates') {
+            currentCandidates = state.candidates;
+            candidatePage = 0;
+            elements.placeInput.value = state.query;
+            displayCandidates();
+        } else {
+            // Entries without state are the page as first opened
+            dom.replace(elements.output, dom.create('p', {
+                className: 'default-output',
+                textContent: i18n.t('output.waiting'),
+                dataset: { i18n: 'output.waiting' }
+            }));
+            openDeepLink(deepLinkHandler.parse());
+        }
+    }
+
+    /**
+     * Redraw everything built in JavaScript in the new language.
+     * Place names and addresses keep the language they were looked up in.
+     */
+    function handleLanguageChange() {
+        settingsHandler.refresh();
+        keyPanelHandler.refresh();
+        libraryHandler.render(elements.library, handleLibraryOpen);
+        if (batchHandler.container) {
+            batchHandler.renderTable();
+        }
+        setupProvider();
+        offlineHandler.renderStatus();
+
+        if (currentCandidates.length) {
+            displayCandidates();
+        } else {
+            refreshCurrentResult();
+        }
     }
 
     /**
-     * Load saved data from localStorage
+     * Redraw the shown place, e.g. after a setting that changes its links or QR codes
      */
-    function loadSavedData() {
-        // Load API key
-        const savedKey = getStoredApiKey();
-        if (savedKey) {
-            fullApiKey = savedKey;
-            elements.apiKey.value = maskApiKey(savedKey);
-            console.log('API key loaded and masked');
+    function refreshCurrentResult() {
+        if (currentPlaceData && !currentCandidates.length) {
+            displayPlaceInfo(currentPlaceData, elements.output);
         }
+    }
+
+    /**
+     * Switch to the offline fake provider when the page is opened with ?provider=fake.
+     * ?scenario=timeout|script-error|ambiguous simulates the failure paths.
+     */
+    function setupProvider() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('provider') !== 'fake') return;
+
+        const scenario = params.get('scenario') || 'normal';
+        placesHandler.useFakeProvider(scenario);
+
+        elements.providerNote.hidden = false;
+        i18n.render(elements.providerNote, 'demo.note', { scenario });
+        elements.providerNote.append(' ', dom.create('a', { href: window.location.pathname, textContent: i18n.t('demo.leave') }));
+    }
+
+    /**
+     * Load saved data from localStorage and the saved places library
+     * @param {Object} deepLink - Parsed link the page was opened with
+     */
+    async function loadSavedData(deepLink) {
+        // Load API keys and show this month's usage
+        keyPanelHandler.init(elements);
 
         // Load business input
         const savedBusinessInput = getStoredBusinessInput();
@@ -55,8 +262,15 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('QR settings loaded');
         }
 
-        // Load and display last search result if available
-        const savedSearchResult = getStoredSearchResult();
+        // Show the saved places library
+        await libraryHandler.init();
+        libraryHandler.render(elements.library, handleLibraryOpen);
+
+        // A linked place or search takes the place of the last result
+        if (deepLink.placeId || deepLink.query) return;
+
+        // Load and display the most recently opened place if available
+        const savedSearchResult = await libraryHandler.getMostRecent();
         if (savedSearchResult) {
             displayStoredSearchResult(savedSearchResult);
             console.log('Last search result loaded');
@@ -67,21 +281,8 @@ document.addEventListener('DOMContentLoaded', () => {
      * Set up event listeners
      */
     function setupEventListeners() {
-        // API key field events
-        elements.apiKey.addEventListener('focus', function () {
-            if (fullApiKey && this.value.includes('•')) {
-                this.value = fullApiKey;
-            }
-        });
-
-        elements.apiKey.addEventListener('blur', function () {
-            const currentValue = this.value.trim();
-            if (currentValue && !currentValue.includes('•')) {
-                fullApiKey = currentValue;
-                setStoredApiKey(currentValue);
-                this.value = maskApiKey(currentValue);
-            }
-        });
+        // Redraw generated text in a newly picked language
+        i18n.onChange(handleLanguageChange);
 
         // Business input event
         elements.placeInput.addEventListener('keydown', function (event) {
@@ -93,204 +294,363 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Fetch button event
         elements.fetchBtn.addEventListener('click', handleSearch);
+
+        // Batch button event
+        elements.batchBtn.addEventListener('click', handleBatch);
+
+        // Back and forward switch between results
+        window.addEventListener('popstate', handleHistoryChange);
     }
 
     /**
      * Handle search button click
      */
     async function handleSearch() {
-        const apiKey = elements.apiKey.value.trim();
         const input = elements.placeInput.value.trim();
 
         // Clear previous output
         elements.output.textContent = '';
 
-        // Validate inputs
-        if (!apiKey || !input) {
-            elements.output.innerHTML = '<p style="color:red;">Enter both API key and location input.</p>';
-            return;
+        // A search of the user's own leaves the shared link behind
+        if (!restoringHistory) {
+            linkQrOptions = {};
         }
 
-        // Handle API key
-        if (!apiKey.includes('•')) {
-            fullApiKey = apiKey;
-            setStoredApiKey(apiKey);
-            elements.apiKey.value = maskApiKey(apiKey);
+        // Validate inputs, a newly typed key is remembered
+        if (!await keyPanelHandler.takeApiKey(elements.output, 'errors.missingInput')) return;
+        if (!input) {
+            dom.showMessage(elements.output, i18n.t('errors.missingInput'), 'error-message');
+            return;
         }
 
         // Save the business input
         setStoredBusinessInput(input);
+        currentInput = input;
+
+        // Without a connection the lookup waits in the queue
+        if (!offlineHandler.isOnline()) {
+            await queueLookup(input);
+            return;
+        }
 
         // Show loading state
-        elements.output.innerHTML = 'Loading...<div class="debug">Check browser console (F12) for debug info</div>';
+        dom.replace(elements.output, i18n.t('output.loading'), dom.create('div', { className: 'debug', textContent: i18n.t('output.debugHint') }));
 
         console.log('=== Starting place search ===');
-        console.log('API Key:', fullApiKey.substring(0, 10) + '...');
         console.log('Input:', input);
 
+        // Only key failures reported from here on belong to this search
+        keyDiagnosticsHandler.reset();
+        let loaded = false;
+
         try {
             // Load Google Maps API
             console.log('Calling loadGoogleMaps...');
-            await placesHandler.loadGoogleMaps(fullApiKey);
+            await placesHandler.loadGoogleMaps(keyPanelHandler.getApiKey());
+            loaded = true;
             console.log('Google Maps loaded successfully');
 
             // Search for the place
-            const place = await placesHandler.searchPlace(input);
-            console.log('Place found:', place);
-
-            // Store the search result
-            const placeData = {
-                id: place.id,
-                displayName: place.displayName,
-                formattedAddress: place.formattedAddress
-            };
-            setStoredSearchResult(placeData);
-            currentPlaceData = placeData;
+            const candidates = await placesHandler.searchPlace(input);
+            console.log('Candidates found:', candidates);
 
-            // Display the result
-            displayPlaceInfo(place, elements.output);
+            if (candidates.length === 1) {
+                selectPlace(candidates[0]);
+            } else {
+                currentCandidates = candidates;
+                candidatePage = 0;
+                deepLinkHandler.pushCandidates(input, candidates, restoringHistory);
+                displayCandidates();
+            }
 
         } catch (err) {
+            // The connection dropped while loading or searching
+            if (!offlineHandler.isOnline()) {
+                await queueLookup(input);
+                return;
+            }
+
             console.error('Error:', err);
-            elements.output.innerHTML = `<p style="color:red;"><strong>Error:</strong> ${err.message}</p><div class="debug">Check browser console (F12) for full error details</div>`;
+            await keyPanelHandler.showFailure(elements.output, err, !loaded);
             currentPlaceData = null;
+        } finally {
+            keyPanelHandler.renderUsage();
         }
     }
 
     /**
-     * Display place information in the output element
-     * @param {Object} place - Place data from Google Places API
-     * @param {HTMLElement} output - Output element to display results in
+     * Queue a lookup while offline and say so in the output
+     * @param {string} input - Business name, Maps link or Place ID
      */
-    function displayPlaceInfo(place, output) {
-        console.log('Displaying place info:', place);
-
-        // The new API uses 'id' instead of 'place_id'
-        const placeId = place.id;
-        const placeName = place.displayName || 'N/A';
-        const placeAddress = place.formattedAddress || 'N/A';
-        const reviewUrl = `https://search.google.com/local/writereview?placeid=${placeId}`;
-        const businessUrl = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(placeName + ' ' + placeAddress)}&query_place_id=${placeId}`;
-
-        // Clear the output first to ensure we're not appending to existing content
-        output.innerHTML = '';
-
-        // Create the result container
-        const resultContainer = document.createElement('div');
-        resultContainer.innerHTML = `
-      <p><strong>Place:</strong> ${placeName}</p>
-      <p><strong>Address:</strong> ${placeAddress}</p>
-      <p><strong>Place ID:</strong> ${placeId}</p>
-      <div class="button-container">
-        <a href="${businessUrl}" class="business-link" target="_blank">Google Maps Business Page</a>
-      </div>
-      <div class="link-box">
-        <a href="${reviewUrl}" class="review-link" target="_blank">Google Review Page</a>
-        <button class="copy">Copy Link</button>
-      </div>
-    `;
-
-        // Add the container to the output
-        output.appendChild(resultContainer);
-
-        // Add copy button functionality with proper closure
-        const copyButton = resultContainer.querySelector('button.copy');
-        copyButton.addEventListener('click', () => {
-            navigator.clipboard.writeText(reviewUrl);
-        });
+    async function queueLookup(input) {
+        await offlineHandler.enqueue(input);
 
-        // Generate QR codes
-        qrCodeHandler.generateQRCodes(placeId, placeName, reviewUrl, businessUrl, output);
+        elements.output.innerHTML = '';
+        const note = document.createElement('p');
+        note.className = 'queued-note';
+        note.textContent = i18n.t('offline.queuedLookup', { input });
+        elements.output.appendChild(note);
     }
 
     /**
-     * Display stored search result
-     * @param {Object} placeData - Stored place data
+     * Run lookups queued while offline, saving unambiguous matches to the library
      */
-    function displayStoredSearchResult(placeData) {
-        const placeId = placeData.id;
-        const placeName = placeData.displayName || 'N/A';
-        const placeAddress = placeData.formattedAddress || 'N/A';
-        const reviewUrl = `https://search.google.com/local/writereview?placeid=${placeId}`;
-        const businessUrl = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(placeName + ' ' + placeAddress)}&query_place_id=${placeId}`;
+    async function processQueuedLookups() {
+        const queued = await offlineHandler.getQueued();
+        if (!queued.length) return;
 
-        // Clear the output first
-        elements.output.innerHTML = '';
+        if (placesHandler.provider.requiresApiKey && !keyPanelHandler.getApiKey()) {
+            console.log('Queued lookups are waiting for an API key');
+            return;
+        }
 
-        // Add the storage note at the top
-        const storageNote = document.createElement('p');
-        storageNote.className = 'default-output';
-        storageNote.textContent = 'Previous search result loaded from local storage';
-        elements.output.appendChild(storageNote);
-
-        // Create the result container
-        const resultContainer = document.createElement('div');
-        resultContainer.innerHTML = `
-      <p><strong>Place:</strong> ${placeName}</p>
-      <p><strong>Address:</strong> ${placeAddress}</p>
-      <p><strong>Place ID:</strong> ${placeId}</p>
-      <div class="button-container">
-        <a href="${businessUrl}" class="business-link" target="_blank">Google Maps Business Page</a>
-      </div>
-      <div class="link-box">
-        <a href="${reviewUrl}" class="review-link" target="_blank">Google Review Page</a>
-        <button class="copy">Copy Link</button>
-      </div>
-    `;
-
-        // Add the container to the output
-        elements.output.appendChild(resultContainer);
-
-        // Add copy button functionality with proper closure
-        const copyButton = resultContainer.querySelector('button.copy');
-        copyButton.addEventListener('click', () => {
-            navigator.clipboard.writeText(reviewUrl);
-        });
+        console.log(`Running ${queued.length} queued lookups`);
 
-        // Store current place data
-        currentPlaceData = placeData;
+        try {
+            await placesHandler.loadGoogleMaps(keyPanelHandler.getApiKey());
+        } catch (err) {
+            console.error('Could not load Google Maps for queued lookups:', err);
+            return;
+        }
+
+        const results = [];
+        for (const item of queued) {
+            try {
+                const candidates = await placesHandler.searchPlace(item.input);
+                if (candidates.length === 1) {
+                    await libraryHandler.savePlace(candidates[0], item.input, keyPanelHandler.getLookupKey());
+                }
+                results.push({ input: item.input, candidates });
+            } catch (err) {
+                // Lost the connection again, keep the rest queued
+                if (!offlineHandler.isOnline()) break;
+                results.push({ input: item.input, error: err.message });
+            }
+            await offlineHandler.remove(item.id);
+        }
 
-        // Generate QR codes
-        qrCodeHandler.generateQRCodes(placeId, placeName, reviewUrl, businessUrl, elements.output);
+        if (results.length) {
+            displayQueuedResults(results);
+        }
+        keyPanelHandler.renderUsage();
     }
 
     /**
-     * Mask API key for display
-     * @param {string} apiKey - Full API key
-     * @returns {string} Masked API key
+     * Show the outcome of queued lookups
+     * @param {Object[]} results - {input, candidates} or {input, error} per lookup
      */
-    function maskApiKey(apiKey) {
-        if (apiKey.length <= 6) return apiKey;
-        return '•'.repeat(apiKey.length - 6) + apiKey.slice(-6);
+    function displayQueuedResults(results) {
+        elements.output.innerHTML = '';
+
+        const heading = document.createElement('p');
+        heading.className = 'default-output';
+        heading.textContent = i18n.t('offline.ranQueued', { count: results.length });
+        elements.output.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'candidate-list';
+
+        results.forEach((result) => {
+            const item = document.createElement('li');
+            item.className = 'candidate';
+
+            const summary = document.createElement('p');
+            const button = document.createElement('button');
+            button.className = 'candidate-select';
+
+            if (result.candidates && result.candidates.length === 1) {
+                const place = result.candidates[0];
+                summary.textContent = i18n.t('offline.savedResult', { input: result.input, name: place.displayName || place.id });
+                button.textContent = i18n.t('actions.open');
+                button.addEventListener('click', () => {
+                    currentInput = result.input;
+                    selectPlace(place);
+                });
+            } else {
+                summary.textContent = result.error
+                    ? `${result.input}: ${result.error}`
+                    : i18n.t('offline.ambiguousResult', { input: result.input, count: result.candidates.length });
+                button.textContent = i18n.t('actions.searchAgain');
+                button.addEventListener('click', () => {
+                    elements.placeInput.value = result.input;
+                    handleSearch();
+                });
+            }
+
+            item.append(summary, button);
+            list.appendChild(item);
+        });
+
+        elements.output.appendChild(list);
     }
 
-    // localStorage utilities
-    function setStoredApiKey(value) {
+    /**
+     * Handle batch search button click
+     */
+    async function handleBatch() {
+        // Collect inputs from the textarea and the uploaded CSV
+        let inputs = batchHandler.parseLines(elements.batchInput.value);
+        const file = elements.batchFile.files[0];
+        if (file) {
+            inputs = inputs.concat(batchHandler.parseCsv(await file.text()));
+        }
+
+        // Validate inputs, a newly typed key is remembered
+        if (!await keyPanelHandler.takeApiKey(elements.batchOutput, 'errors.batchMissingInput')) return;
+        if (inputs.length === 0) {
+            dom.showMessage(elements.batchOutput, i18n.t('errors.batchMissingInput'), 'error-message');
+            return;
+        }
+
+        if (!offlineHandler.isOnline()) {
+            dom.showMessage(elements.batchOutput, i18n.t('offline.batch'), 'queued-note');
+            return;
+        }
+
+        dom.replace(elements.batchOutput, i18n.t('output.loading'), dom.create('div', { className: 'debug', textContent: i18n.t('output.debugHint') }));
+        elements.batchBtn.disabled = true;
+        keyDiagnosticsHandler.reset();
+        let loaded = false;
+
         try {
-            localStorage.setItem('google_api_key', value);
-            console.log('API key saved to localStorage');
-            return true;
-        } catch (e) {
-            console.error('Failed to save to localStorage:', e);
-            return false;
+            await placesHandler.loadGoogleMaps(keyPanelHandler.getApiKey());
+            loaded = true;
+            await batchHandler.run(inputs, elements.batchOutput);
+        } catch (err) {
+            console.error('Batch error:', err);
+            await keyPanelHandler.showFailure(elements.batchOutput, err, !loaded);
+        } finally {
+            elements.batchBtn.disabled = false;
+            keyPanelHandler.renderUsage();
         }
     }
 
-    function getStoredApiKey() {
-        try {
-            const value = localStorage.getItem('google_api_key');
-            if (value) {
-                console.log('API key retrieved from localStorage:', value.substring(0, 10) + '...');
-            } else {
-                console.log('No API key found in localStorage');
+    /**
+     * Store a chosen place and display it
+     * @param {Object} place - Place data from Google Places API
+     */
+    function selectPlace(place) {
+        console.log('Place selected:', place);
+
+        currentPlaceData = place;
+        currentCandidates = [];
+        deepLinkHandler.pushPlace(place, restoringHistory);
+
+        // Display the result
+        displayPlaceInfo(place, elements.output);
+
+        // Save the place to the library, saying so above the result when that fails
+        libraryHandler.savePlace(place, currentInput, keyPanelHandler.getLookupKey()).catch((err) => {
+            console.error('Failed to save place to the library:', err);
+            if (currentPlaceData === place) {
+                elements.output.prepend(dom.create('p', {
+                    className: 'error-message',
+                    textContent: i18n.t('library.saveFailed', { error: err.message })
+                }));
             }
-            return value;
-        } catch (e) {
-            console.error('Failed to read from localStorage:', e);
-            return null;
+        });
+    }
+
+    /**
+     * Display the current page of search candidates as a selectable list
+     */
+    function displayCandidates() {
+        const pageCount = Math.ceil(currentCandidates.length / CANDIDATES_PER_PAGE);
+        const start = candidatePage * CANDIDATES_PER_PAGE;
+        const pageCandidates = currentCandidates.slice(start, start + CANDIDATES_PER_PAGE);
+
+        // Clear the output first
+        elements.output.innerHTML = '';
+
+        const heading = document.createElement('p');
+        heading.className = 'default-output';
+        heading.textContent = i18n.t('candidates.found', { count: currentCandidates.length });
+        elements.output.appendChild(heading);
+
+        // The candidates came from one search, so they share its filters
+        const searchFilters = resultRenderer.renderSearchFilters(currentCandidates[0]);
+        if (searchFilters) {
+            elements.output.appendChild(searchFilters);
         }
+
+        // Pin every candidate, not just this page's, numbered like the list below
+        const map = mapPreviewHandler.create(currentCandidates, { onSelect: selectPlace });
+        if (map) {
+            elements.output.appendChild(map);
+        }
+
+        // Create the candidate list
+        const list = document.createElement('ul');
+        list.className = 'candidate-list';
+
+        pageCandidates.forEach((place, index) => {
+            const selectButton = dom.create('button', { className: 'candidate-select', textContent: i18n.t('candidates.use') });
+            selectButton.addEventListener('click', () => {
+                selectPlace(place);
+            });
+
+            list.appendChild(dom.create('li', { className: 'candidate' }, [
+                dom.create('span', { className: 'candidate-number', textContent: i18n.formatNumber(start + index + 1) }),
+                ...resultRenderer.renderPlaceSummary(place),
+                resultRenderer.renderPlaceDetails(place),
+                selectButton
+            ]));
+        });
+
+        elements.output.appendChild(list);
+
+        // Add paging controls when there is more than one page
+        if (pageCount > 1) {
+            const previousButton = dom.create('button', {
+                className: 'copy',
+                textContent: i18n.t('candidates.previous'),
+                disabled: candidatePage === 0
+            });
+            const nextButton = dom.create('button', {
+                className: 'copy',
+                textContent: i18n.t('candidates.next'),
+                disabled: candidatePage >= pageCount - 1
+            });
+
+            previousButton.addEventListener('click', () => {
+                candidatePage--;
+                displayCandidates();
+            });
+            nextButton.addEventListener('click', () => {
+                candidatePage++;
+                displayCandidates();
+            });
+
+            elements.output.appendChild(dom.create('div', { className: 'candidate-pager' }, [
+                previousButton,
+                dom.create('span', { textContent: i18n.t('candidates.page', { page: candidatePage + 1, pages: pageCount }) }),
+                nextButton
+            ]));
+        }
+    }
+
+    /**
+     * Display place information in the output element
+     * @param {Object} place - Place data from Google Places API
+     * @param {HTMLElement} output - Output element to display results in
+     */
+    function displayPlaceInfo(place, output) {
+        resultRenderer.render(output, place, { qrOptions: linkQrOptions });
     }
 
+    /**
+     * Display stored search result
+     * @param {Object} placeData - Stored place data
+     * @param {string} [note] - Note shown above the result
+     */
+    function displayStoredSearchResult(placeData, note = i18n.t('output.previousResult')) {
+        resultRenderer.render(elements.output, placeData, { note, qrOptions: linkQrOptions });
+
+        // Store current place data
+        currentPlaceData = placeData;
+    }
+
+    // localStorage utilities
     function setStoredBusinessInput(value) {
         try {
             localStorage.setItem('business_input', value);
@@ -316,31 +676,4 @@ document.addEventListener('DOMContentLoaded', () => {
             return null;
         }
     }
-
-    function setStoredSearchResult(placeData) {
-        try {
-            localStorage.setItem('last_search_result', JSON.stringify(placeData));
-            console.log('Search result saved to localStorage');
-            return true;
-        } catch (e) {
-            console.error('Failed to save search result to localStorage:', e);
-            return false;
-        }
-    }
-
-    function getStoredSearchResult() {
-        try {
-            const value = localStorage.getItem('last_search_result');
-            if (value) {
-                console.log('Search result retrieved from localStorage');
-                return JSON.parse(value);
-            } else {
-                console.log('No search result found in localStorage');
-                return null;
-            }
-        } catch (e) {
-            console.error('Failed to read search result from localStorage:', e);
-            return null;
-        }
-    }
 });
\ No newline at end of file
@@ -0,0 +1,488 @@
+/**
+ * Command-line review link lookup, for scripts that need links and QR codes without a browser.
+ *
+ * Runs the web app's own modules: inputs go through PlacesHandler.searchPlace, links are
+ * built by ReviewLinkBuilder and QR codes use QRCodeHandler's settings and SVG builder.
+ * Places requests go to the Places API (New) REST endpoints through RestPlacesProvider.
+ * Uses Node's built-in modules only (Node 18 or later for fetch):
+ *
+ *   node cli/review-links.mjs --key KEY "Blue Bottle Coffee Oakland" ChIJ... "https://www.google.com/maps/place/..."
+ *   node cli/review-links.mjs --csv places.csv --format csv --qr-dir qr-codes > links.csv
+ *
+ * Run with --help for every option. Results go to stdout, one record per input with the
+ * error message for inputs that failed, and the exit code is 1 when any input failed.
+ * --endpoint points it at another Places API, e.g. a local mock server for tests.
+ */
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+const usage = `Usage: node cli/review-links.mjs [options] [name | Maps URL | Place ID]...
+
+Lookup:
+  --key KEY                Places API key, defaults to $PLACES_API_KEY
+  --csv FILE               Also look up the first column of every row in a CSV file
+  --locale CODE            Language and region of the results, e.g. en-GB or fr-CA
+  --near CITY              Rank places near a city first, e.g. "Brooklyn, NY"
+  --radius KM              How far around --near to look, default 5
+  --region CODE            Region code to search in, e.g. US, default any region
+  --type TYPE              Only places of one type, e.g. restaurant
+  --endpoint URL           Places API base URL, default https://places.googleapis.com/v1
+
+Output:
+  --format json|csv        Output format, default json
+  --variants IDS           Comma separated link variants to add, e.g. gpage,android
+                           (review and maps are always included)
+
+QR codes:
+  --qr-dir DIR             Write a QR code for each link variant of each place into DIR
+  --qr-format png|svg      File format, default png
+  --correction-level L|M|Q|H
+  --dark #RRGGBB           Module colour, default #aa6519
+  --light #RRGGBB          Background colour, default transparent
+  --transparent            Leave the background transparent, also with --light
+  --shape square|rounded|dots
+  --margin N               Quiet zone in modules, default 4
+  --size N                 Width and height in pixels, default 1024
+  --logo FILE              PNG, JPEG, GIF or WebP logo in the centre, SVG output only
+
+  --verbose                Show the lookup's debug logging on stderr
+  --help                   Show this help`;
+
+// Options that take no value
+const flags = ['transparent', 'verbose', 'help'];
+const valueOptions = ['key', 'csv', 'locale', 'near', 'radius', 'region', 'type', 'endpoint', 'format', 'variants', 'qrDir', 'qrFormat',
+    'correctionLevel', 'dark', 'light', 'shape', 'margin', 'size', 'logo'];
+
+/**
+ * Read --name value pairs, --flag switches and positional inputs from the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options by name, positional arguments in inputs
+ */
+function parseArgs(args) {
+    const options = { inputs: [] };
+    for (let i = 0; i < args.length; i++) {
+        const match = args[i].match(/^--([\w-]+)(?:=(.*))?$/);
+        if (!match) {
+            options.inputs.push(args[i]);
+            continue;
+        }
+        const name = match[1].replace(/-(\w)/g, (dash, letter) => letter.toUpperCase());
+        if (flags.includes(name)) {
+            options[name] = true;
+        } else if (valueOptions.includes(name)) {
+            options[name] = match[2] !== undefined ? match[2] : args[++i];
+        } else {
+            throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * localStorage for the shared modules. Every setting comes from the command line,
+ * so nothing needs to outlive the run.
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+const appDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'JS');
+const args = (() => {
+    try {
+        return parseArgs(process.argv.slice(2));
+    } catch (e) {
+        process.stderr.write(`${e.message}\n\n${usage}\n`);
+        process.exit(2);
+    }
+})();
+
+// The shared modules log their progress with console.log and console.error.
+// stdout carries the results, so that logging goes to stderr with --verbose and is dropped otherwise.
+console.log = console.error = args.verbose
+    ? (...values) => process.stderr.write(`${values.map(value => (typeof value === 'string' ? value : JSON.stringify(value))).join(' ')}\n`)
+    : () => {};
+
+// Give the modules what a page would: storage and the qrcodejs global. qrcodejs is a
+// classic script that only looks at the document to pick a renderer, and we never let it draw.
+Object.defineProperty(globalThis, 'localStorage', { value: new MemoryStorage(), configurable: true, writable: true });
+const qrcodeScope = { document: { documentElement: { tagName: 'html' } } };
+vm.runInNewContext(fs.readFileSync(path.join(appDir, 'vendor', 'qrcode.min.js'), 'utf8'), qrcodeScope);
+globalThis.QRCode = qrcodeScope.QRCode;
+
+// Imported after the globals above, the modules read them as they load
+const { i18n } = await import('../JS/I18nHandler.js');
+const { placesHandler } = await import('../JS/PlacesHandler.js');
+const { RestPlacesProvider } = await import('../JS/RestPlacesProvider.js');
+const { reviewLinkBuilder } = await import('../JS/ReviewLinkBuilder.js');
+const { qrCodeHandler } = await import('../JS/QRCodeHandler.js');
+const { exportHandler } = await import('../JS/ExportHandler.js');
+const { batchHandler } = await import('../JS/BatchHandler.js');
+
+class ReviewLinkCli {
+    /**
+     * @param {Object} options - Options from parseArgs
+     * @throws {Error} When an option has an invalid value
+     */
+    constructor(options) {
+        this.inputs = [...options.inputs];
+        this.apiKey = options.key || process.env.PLACES_API_KEY;
+        this.endpoint = options.endpoint;
+        this.format = options.format || 'json';
+        this.qrDir = options.qrDir || null;
+        this.qrFormat = options.qrFormat || 'png';
+
+        if (!this.apiKey) {
+            throw new Error('A Places API key is needed, pass --key or set PLACES_API_KEY');
+        }
+        if (options.csv) {
+            this.inputs.push(...batchHandler.parseCsv(fs.readFileSync(options.csv, 'utf8')));
+        }
+        if (options.locale) {
+            i18n.setLocale(options.locale);
+        }
+        placesHandler.setStoredSearchSettings(this.readSearchSettings(options));
+        if (!['json', 'csv'].includes(this.format)) {
+            throw new Error(`--format must be json or csv, not "${this.format}"`);
+        }
+        if (!['png', 'svg'].includes(this.qrFormat)) {
+            throw new Error(`--qr-format must be png or svg, not "${this.qrFormat}"`);
+        }
+
+        // review and maps are the reviewUrl and businessUrl columns, other variants get their own
+        const variantIds = reviewLinkBuilder.variants.map(variant => variant.id);
+        const extraVariants = (options.variants || '').split(',').map(id => id.trim()).filter(Boolean);
+        extraVariants.forEach((id) => {
+            if (!variantIds.includes(id)) {
+                throw new Error(`Unknown link variant "${id}", choose from ${variantIds.join(', ')}`);
+            }
+        });
+        this.variants = variantIds.filter(id => ['review', 'maps', ...extraVariants].includes(id));
+        this.fields = ['input', ...exportHandler.fields, ...this.variants.filter(id => id !== 'review' && id !== 'maps'), 'candidates', 'error'];
+
+        this.qrOptions = qrCodeHandler.getQrOptions(this.readQrOverrides(options));
+    }
+
+    /**
+     * Turn the search area flags into PlacesHandler search settings
+     * @param {Object} options - Options from parseArgs
+     * @returns {Object} Search settings
+     * @throws {Error} When a search option has an invalid value
+     */
+    readSearchSettings(options) {
+        const settings = {
+            biasMode: options.near ? 'city' : 'none',
+            city: options.near || '',
+            region: options.region || '',
+            includedType: options.type || ''
+        };
+
+        if (options.radius !== undefined) {
+            const radius = Number(options.radius);
+            if (!(radius > 0 && radius <= placesHandler.maxRadius / 1000)) {
+                throw new Error(`--radius must be a number of km from 0 to ${placesHandler.maxRadius / 1000}`);
+            }
+            settings.radius = radius * 1000;
+        }
+        if (settings.region && !/^[a-z]{2}$/i.test(settings.region)) {
+            throw new Error('--region must be a two letter region code, e.g. US');
+        }
+        if (settings.includedType && !/^[a-z_]+$/.test(settings.includedType)) {
+            throw new Error('--type must be a Places type such as restaurant or coffee_shop');
+        }
+
+        return settings;
+    }
+
+    /**
+     * Turn the QR flags into QRCodeHandler options
+     * @param {Object} options - Options from parseArgs
+     * @returns {Object} Options over QRCodeHandler's defaults
+     * @throws {Error} When a QR option has an invalid value
+     */
+    readQrOverrides(options) {
+        const overrides = {};
+
+        if (options.correctionLevel !== undefined) {
+            overrides.correctionLevel = String(options.correctionLevel).toUpperCase();
+            if (!['L', 'M', 'Q', 'H'].includes(overrides.correctionLevel)) {
+                throw new Error('--correction-level must be L, M, Q or H');
+            }
+        }
+        ['dark', 'light'].forEach((name) => {
+            if (options[name] === undefined) return;
+            if (!/^#[0-9a-f]{6}$/i.test(options[name])) {
+                throw new Error(`--${name} must be a colour like #1a2b3c`);
+            }
+            overrides[name === 'dark' ? 'colorDark' : 'colorLight'] = options[name];
+        });
+        // The background is transparent unless a colour is given for it
+        if (options.light !== undefined) {
+            overrides.transparentBackground = false;
+        }
+        if (options.transparent) {
+            overrides.transparentBackground = true;
+        }
+        if (options.shape !== undefined) {
+            if (!['square', 'rounded', 'dots'].includes(options.shape)) {
+                throw new Error('--shape must be square, rounded or dots');
+            }
+            overrides.moduleShape = options.shape;
+        }
+        if (options.margin !== undefined) {
+            overrides.margin = Number(options.margin);
+            if (!Number.isInteger(overrides.margin) || overrides.margin < 0 || overrides.margin > 20) {
+                throw new Error('--margin must be a whole number from 0 to 20');
+            }
+        }
+        if (options.size !== undefined) {
+            overrides.size = Number(options.size);
+            if (!Number.isInteger(overrides.size) || overrides.size < 64 || overrides.size > 4096) {
+                throw new Error('--size must be a whole number from 64 to 4096');
+            }
+        }
+        if (options.logo !== undefined) {
+            // Decoding a logo for PNG output would need an image library
+            if (this.qrFormat !== 'svg') {
+                throw new Error('--logo needs --qr-format svg');
+            }
+            const types = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' };
+            const type = types[path.extname(options.logo).toLowerCase()];
+            if (!type) {
+                throw new Error('--logo must be a PNG, JPEG, GIF or WebP file');
+            }
+            overrides.logo = `data:${type};base64,${fs.readFileSync(options.logo).toString('base64')}`;
+        }
+
+        return overrides;
+    }
+
+    /**
+     * Look up every input, write the QR codes and print the records
+     * @returns {Promise<boolean>} True when every input was found
+     */
+    async run() {
+        placesHandler.setProvider(new RestPlacesProvider({ endpoint: this.endpoint }));
+        await placesHandler.loadGoogleMaps(this.apiKey);
+
+        const records = [];
+        for (const input of this.inputs) {
+            records.push(await this.lookup(input));
+        }
+
+        if (this.qrDir) {
+            this.writeQrCodes(records);
+        }
+
+        process.stdout.write(this.format === 'csv'
+            ? exportHandler.toCsv(records, this.fields)
+            : `${exportHandler.toJson(records, this.fields)}\n`);
+
+        return records.every(record => !record.error);
+    }
+
+    /**
+     * Look up one input, like a batch row
+     * @param {string} input - Business name, Maps URL or Place ID
+     * @returns {Promise<Object>} Export record with input, candidates, error and the extra link variants
+     */
+    async lookup(input) {
+        try {
+            const candidates = await placesHandler.searchPlace(input);
+            const place = candidates[0];
+            const record = {
+                input,
+                ...exportHandler.createRecord(place, reviewLinkBuilder.buildReviewUrl(place.id), reviewLinkBuilder.buildMapsUrl(place)),
+                candidates: candidates.length,
+                error: ''
+            };
+
+            reviewLinkBuilder.buildAll(place, this.variants).forEach((link) => {
+                if (link.id !== 'review' && link.id !== 'maps') {
+                    record[link.id] = link.url || '';
+                }
+            });
+
+            // Only the QR codes need the place itself
+            Object.defineProperty(record, 'place', { value: place, enumerable: false });
+            return record;
+        } catch (err) {
+            process.stderr.write(`${input}: ${err.message}\n`);
+            return { input, id: '', displayName: '', formattedAddress: '', reviewUrl: '', businessUrl: '', candidates: 0, error: err.message };
+        }
+    }
+
+    /**
+     * Write a QR code for every link variant of every found place,
+     * named like the app's QR ZIP export: <name>-review.png, <name>-maps.png
+     * @param {Object[]} records - Records from lookup
+     */
+    writeQrCodes(records) {
+        fs.mkdirSync(this.qrDir, { recursive: true });
+        const usedNames = new Set();
+
+        records.filter(record => record.place).forEach((record) => {
+            // Keep file names unique when several places share a name
+            let name = exportHandler.fileNameFor(record.displayName);
+            if (usedNames.has(name)) {
+                name = `${name}-${record.id}`;
+            }
+            usedNames.add(name);
+
+            reviewLinkBuilder.buildAll(record.place, this.variants)
+                .filter(link => link.url)
+                .forEach((link) => {
+                    const file = path.join(this.qrDir, `${name}-${link.id}.${this.qrFormat}`);
+                    try {
+                        const data = this.qrFormat === 'svg'
+                            ? qrCodeHandler.buildSvg(link.url, this.qrOptions)
+                            : this.buildPng(link.url, this.qrOptions);
+                        fs.writeFileSync(file, data);
+                    } catch (err) {
+                        process.stderr.write(`${file}: ${err.message}\n`);
+                    }
+                });
+        });
+    }
+
+    /**
+     * Draw a QR code as a PNG, with the same geometry as QRCodeHandler#drawQRCode.
+     * Every pixel is sampled four times, so rounded and dot modules get smooth edges.
+     * @param {string} url - URL to encode
+     * @param {Object} options - QR options from getQrOptions
+     * @returns {Buffer} PNG file
+     */
+    buildPng(url, options) {
+        const model = qrCodeHandler.createQRCodeModel(url, options.correctionLevel);
+        const moduleCount = model.getModuleCount();
+        const size = options.size;
+        const moduleSize = size / (moduleCount + options.margin * 2);
+        const dark = this.parseColor(options.colorDark);
+        const light = this.parseColor(options.colorLight);
+        const offsets = [0.25, 0.75];
+
+        const isInside = (x, y) => {
+            const u = x / moduleSize - options.margin;
+            const v = y / moduleSize - options.margin;
+            const col = Math.floor(u);
+            const row = Math.floor(v);
+            if (row < 0 || col < 0 || row >= moduleCount || col >= moduleCount || !model.isDark(row, col)) {
+                return false;
+            }
+
+            // Finder patterns stay square so scanners can lock on
+            const shape = qrCodeHandler.isFinderModule(row, col, moduleCount) ? 'square' : options.moduleShape;
+            const fx = u - col;
+            const fy = v - row;
+            if (shape === 'dots') {
+                return (fx - 0.5) ** 2 + (fy - 0.5) ** 2 <= 0.45 ** 2;
+            }
+            if (shape === 'rounded') {
+                const radius = 0.3;
+                const dx = Math.max(radius - fx, 0, fx - (1 - radius));
+                const dy = Math.max(radius - fy, 0, fy - (1 - radius));
+                return dx * dx + dy * dy <= radius * radius;
+            }
+            return true;
+        };
+
+        // One filter byte, then RGBA for every pixel, per row
+        const pixels = Buffer.alloc((size * 4 + 1) * size);
+        for (let y = 0; y < size; y++) {
+            const rowStart = y * (size * 4 + 1);
+            for (let x = 0; x < size; x++) {
+                let hits = 0;
+                offsets.forEach((oy) => {
+                    offsets.forEach((ox) => {
+                        if (isInside(x + ox, y + oy)) hits++;
+                    });
+                });
+                const coverage = hits / 4;
+                const pixel = rowStart + 1 + x * 4;
+
+                if (options.transparentBackground) {
+                    pixels.set([...dark, Math.round(coverage * 255)], pixel);
+                } else {
+                    pixels.set([
+                        ...light.map((channel, i) => Math.round(channel + (dark[i] - channel) * coverage)),
+                        255
+                    ], pixel);
+                }
+            }
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(size, 0);
+        header.writeUInt32BE(size, 4);
+        header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            this.pngChunk('IHDR', header),
+            this.pngChunk('IDAT', zlib.deflateSync(pixels)),
+            this.pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    /**
+     * Build a PNG chunk: length, type, data and the CRC-32 of type and data
+     * @param {string} type - Chunk type, e.g. 'IHDR'
+     * @param {Buffer} data - Chunk data
+     * @returns {Buffer} Chunk
+     */
+    pngChunk(type, data) {
+        const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const chunk = Buffer.alloc(typeAndData.length + 8);
+        chunk.writeUInt32BE(data.length, 0);
+        typeAndData.copy(chunk, 4);
+        chunk.writeUInt32BE(exportHandler.crc32(typeAndData), typeAndData.length + 4);
+        return chunk;
+    }
+
+    /**
+     * @param {string} hex - Colour like #1a2b3c
+     * @returns {number[]} Red, green and blue from 0 to 255
+     */
+    parseColor(hex) {
+        return [1, 3, 5].map(start => parseInt(hex.substr(start, 2), 16));
+    }
+}
+
+if (args.help) {
+    process.stdout.write(`${usage}\n`);
+    process.exit(0);
+}
+
+let cli;
+try {
+    cli = new ReviewLinkCli(args);
+    if (!cli.inputs.length) {
+        throw new Error('Nothing to look up, give names, Maps URLs or Place IDs, or --csv FILE');
+    }
+} catch (e) {
+    process.stderr.write(`${e.message}\n\n${usage}\n`);
+    process.exit(2);
+}
+
+cli.run().then((allFound) => {
+    process.exitCode = allFound ? 0 : 1;
+}).catch((e) => {
+    process.stderr.write(`Lookup failed: ${e.message}\n`);
+    process.exitCode = 1;
+});
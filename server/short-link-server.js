@@ -0,0 +1,485 @@
+/**
+ * Short-link redirect service for review links.
+ *
+ * Gives each place a short code, redirects /<code> to the place's review URL and
+ * counts every hit, so printed QR codes stay sparse and scans can be counted.
+ * Uses Node's built-in modules only, so it runs offline with no install step:
+ *
+ *   node server/short-link-server.js [--port 8787] [--host 127.0.0.1] [--base-url URL] [--data FILE] [--origin URL,...]
+ *
+ * Phones scanning a code must be able to reach the server, so for real use run it with
+ * --host 0.0.0.0 and --base-url set to the address phones will use, e.g. http://192.168.1.20:8787
+ * or a domain proxied to it.
+ *
+ * Only pages on this machine may use the API by default. A helper served from anywhere else
+ * needs its origin passed with --origin, e.g. --origin https://reviews.example.com.
+ * The helper pages only connect to http://localhost:8787 and http://127.0.0.1:8787: a server at
+ * any other address needs its origin added to connect-src in the Content-Security-Policy of
+ * index.html and widget.html, or the browser blocks every request to it.
+ *
+ * Routes:
+ *   GET  /<code>      - Redirect to the review URL and count the hit
+ *   POST /api/links   - {placeId, name, address, url} -> link for the place, created on first use.
+ *                       An existing link keeps the URL it was created with.
+ *   GET  /api/links   - Every link with its hit counts
+ *   GET  /dashboard   - Scan counts per place
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+class ShortLinkServer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.port=8787] - Port to listen on
+     * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+     * @param {string} [options.baseUrl] - Public address short links are built with
+     * @param {string} [options.dataFile] - JSON file the links and counts are kept in
+     * @param {string|string[]} [options.allowedOrigins] - Origins of helper pages allowed to use the API, beside this machine's
+     */
+    constructor(options = {}) {
+        this.port = Number(options.port) || 8787;
+        this.host = options.host || '127.0.0.1';
+        this.baseUrl = (options.baseUrl || `http://${this.host === '0.0.0.0' ? 'localhost' : this.host}:${this.port}`).replace(/\/+$/, '');
+        this.dataFile = options.dataFile || path.join(__dirname, 'short-links.json');
+        this.allowedOrigins = [].concat(options.allowedOrigins || [])
+            .flatMap(origin => String(origin).split(','))
+            .map(origin => origin.trim().replace(/\/+$/, ''))
+            .filter(Boolean);
+
+        // Only Google review and Maps pages can be redirected to, so the service is no open redirect
+        this.allowedHosts = ['search.google.com', 'www.google.com', 'google.com', 'maps.google.com', 'g.page'];
+
+        this.codeLength = 6;
+        this.codeAlphabet = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        this.maxBodySize = 10 * 1024;
+        this.dailyHistory = 90;
+
+        this.links = this.load();
+        this.server = null;
+    }
+
+    /**
+     * Read saved links from the data file
+     * @returns {Object} Links by code
+     */
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+            console.log(`Loaded ${Object.keys(data.links || {}).length} short links from ${this.dataFile}`);
+            return data.links || {};
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error('Failed to read short links, starting empty:', e.message);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Write the links to the data file. A temporary file and rename keep it whole if the process stops mid-write.
+     */
+    save() {
+        const temporaryFile = `${this.dataFile}.tmp`;
+        fs.writeFileSync(temporaryFile, JSON.stringify({ links: this.links }, null, 2));
+        fs.renameSync(temporaryFile, this.dataFile);
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<void>} Resolves once the server is listening
+     */
+    start() {
+        this.server = http.createServer((request, response) => {
+            this.handle(request, response).catch((e) => {
+                console.error('Request failed:', e);
+                this.sendJson(response, 500, { error: 'Internal error' });
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                console.log(`Short links served at ${this.baseUrl}, dashboard at ${this.baseUrl}/dashboard`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    /**
+     * Route a request
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     * @returns {Promise<void>}
+     */
+    async handle(request, response) {
+        const { pathname } = new URL(request.url, this.baseUrl);
+
+        // The helper page calls the API from its own origin. Only allowed origins may read the
+        // answers, so other sites can't list the links or create new ones from a visitor's browser.
+        const origin = request.headers.origin;
+        const originAllowed = this.isAllowedOrigin(origin);
+        response.setHeader('Vary', 'Origin');
+        if (originAllowed) {
+            response.setHeader('Access-Control-Allow-Origin', origin);
+        }
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(originAllowed ? 204 : 403, originAllowed ? {
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                // A public https helper reaching this server on the local network needs this in Chrome
+                'Access-Control-Allow-Private-Network': 'true',
+                'Access-Control-Max-Age': '86400'
+            } : {});
+            response.end();
+            return;
+        }
+
+        if (pathname === '/api/links' && request.method === 'POST' && origin && !originAllowed) {
+            this.sendJson(response, 403, { error: `Origin ${origin} is not allowed, start the server with --origin ${origin}` });
+            return;
+        }
+
+        if (pathname === '/api/links' && request.method === 'POST') {
+            const body = await this.readJson(request);
+            const result = this.createLink(body);
+            this.sendJson(response, result.error ? 400 : 200, result);
+        } else if (pathname === '/api/links' && request.method === 'GET') {
+            this.sendJson(response, 200, { links: this.listLinks() });
+        } else if (pathname === '/dashboard' || pathname === '/') {
+            this.sendHtml(response, 200, this.renderDashboard());
+        } else if (request.method === 'GET' || request.method === 'HEAD') {
+            this.redirect(pathname.slice(1), request, response);
+        } else {
+            this.sendJson(response, 405, { error: 'Method not allowed' });
+        }
+    }
+
+    /**
+     * Create the link for a place, or return its existing one. The target of an existing
+     * link never changes, so nobody can point a printed code somewhere else.
+     * @param {Object} body - {placeId, name, address, url}
+     * @returns {Object} Public link data, or {error}
+     */
+    createLink(body) {
+        if (!body || typeof body.placeId !== 'string' || !body.placeId.trim()) {
+            return { error: 'placeId is required' };
+        }
+        if (!this.isAllowedTarget(body.url)) {
+            return { error: `url must be a Google review or Maps link on ${this.allowedHosts.join(', ')}` };
+        }
+
+        const placeId = body.placeId.trim();
+        let link = Object.values(this.links).find(item => item.placeId === placeId);
+
+        if (!link) {
+            link = {
+                code: this.generateCode(),
+                placeId,
+                url: body.url,
+                hits: 0,
+                daily: {},
+                createdAt: new Date().toISOString(),
+                lastHitAt: null
+            };
+            this.links[link.code] = link;
+            console.log(`Created short link /${link.code} for ${placeId}`);
+        }
+
+        link.name = String(body.name || link.name || '');
+        link.address = String(body.address || link.address || '');
+        this.save();
+
+        return this.toPublic(link);
+    }
+
+    /**
+     * Redirect a short code to its target and count the hit
+     * @param {string} code - Short code
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     */
+    redirect(code, request, response) {
+        const link = Object.prototype.hasOwnProperty.call(this.links, code) ? this.links[code] : null;
+        if (!link) {
+            this.sendHtml(response, 404, this.renderPage('Link not found', '<p>This short link does not exist.</p>'));
+            return;
+        }
+
+        // Link previews and uptime checks send HEAD, only real visits are counted
+        if (request.method === 'GET') {
+            const now = new Date();
+            const day = now.toISOString().slice(0, 10);
+            link.hits++;
+            link.lastHitAt = now.toISOString();
+            link.daily[day] = (link.daily[day] || 0) + 1;
+            this.pruneDaily(link);
+            this.save();
+        }
+
+        response.writeHead(302, { Location: link.url, 'Cache-Control': 'no-store' });
+        response.end();
+    }
+
+    /**
+     * Drop daily counts older than the kept history
+     * @param {Object} link - Stored link
+     */
+    pruneDaily(link) {
+        const days = Object.keys(link.daily).sort();
+        days.slice(0, Math.max(0, days.length - this.dailyHistory)).forEach(day => delete link.daily[day]);
+    }
+
+    /**
+     * Check a redirect target is an https Google review or Maps page
+     * @param {string} url - Target URL
+     * @returns {boolean} True when the URL may be redirected to
+     */
+    isAllowedTarget(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'https:' && this.allowedHosts.includes(parsed.hostname);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Check a page may use the API: pages on this machine, and the origins passed with --origin
+     * @param {string} [origin] - Origin header of the request
+     * @returns {boolean} True when the origin may read API answers
+     */
+    isAllowedOrigin(origin) {
+        if (!origin) return false;
+        if (this.allowedOrigins.includes(origin)) return true;
+
+        try {
+            const { protocol, hostname } = new URL(origin);
+            return (protocol === 'http:' || protocol === 'https:')
+                && ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Make an unused random code. Lookalike characters (0/O, 1/l/I) are left out.
+     * @returns {string} Short code
+     */
+    generateCode() {
+        let code;
+        do {
+            code = Array.from(crypto.randomBytes(this.codeLength), byte => this.codeAlphabet[byte % this.codeAlphabet.length]).join('');
+        } while (this.links[code] || ['api', 'dashboard'].includes(code));
+        return code;
+    }
+
+    /**
+     * Every link, most scanned first
+     * @returns {Object[]} Public link data
+     */
+    listLinks() {
+        return Object.values(this.links)
+            .map(link => this.toPublic(link))
+            .sort((a, b) => b.hits - a.hits);
+    }
+
+    /**
+     * Shape a stored link for API responses
+     * @param {Object} link - Stored link
+     * @returns {Object} {code, shortUrl, placeId, name, address, url, hits, lastWeek, lastHitAt, createdAt}
+     */
+    toPublic(link) {
+        return {
+            code: link.code,
+            shortUrl: `${this.baseUrl}/${link.code}`,
+            placeId: link.placeId,
+            name: link.name,
+            address: link.address,
+            url: link.url,
+            hits: link.hits,
+            lastWeek: this.countSince(link, 7),
+            lastHitAt: link.lastHitAt,
+            createdAt: link.createdAt
+        };
+    }
+
+    /**
+     * Count hits over the last few days, today included
+     * @param {Object} link - Stored link
+     * @param {number} days - Number of days
+     * @returns {number} Hits
+     */
+    countSince(link, days) {
+        const since = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+        return Object.entries(link.daily)
+            .filter(([day]) => day >= since)
+            .reduce((sum, [, count]) => sum + count, 0);
+    }
+
+    /**
+     * Build the dashboard page
+     * @returns {string} HTML document
+     */
+    renderDashboard() {
+        const links = this.listLinks();
+        const rows = links.map(link => `
+        <tr>
+          <td><strong>${this.escapeHtml(link.name || link.placeId)}</strong><br><span class="muted">${this.escapeHtml(link.address)}</span></td>
+          <td><a href="${this.escapeHtml(link.shortUrl)}" target="_blank" rel="noopener">${this.escapeHtml(link.shortUrl)}</a></td>
+          <td class="number">${link.hits}</td>
+          <td class="number">${link.lastWeek}</td>
+          <td>${link.lastHitAt ? this.escapeHtml(link.lastHitAt.replace('T', ' ').slice(0, 16)) : '-'}</td>
+        </tr>`).join('');
+
+        const total = links.reduce((sum, link) => sum + link.hits, 0);
+        const body = links.length
+            ? `<p class="muted">${links.length} places, ${total} scans in total. Reload to update.</p>
+      <table>
+        <thead><tr><th>Place</th><th>Short link</th><th class="number">Scans</th><th class="number">Last 7 days</th><th>Last scan (UTC)</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`
+            : '<p class="muted">No short links yet. Turn on short links in the helper and open a place to create one.</p>';
+
+        return this.renderPage('Review link scans', body);
+    }
+
+    /**
+     * Wrap content in the dashboard page layout
+     * @param {string} title - Page title
+     * @param {string} body - Body HTML
+     * @returns {string} HTML document
+     */
+    renderPage(title, body) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${this.escapeHtml(title)}</title>
+  <style>
+    body { margin: 0; padding: 2rem; background: rgb(23, 23, 23); color: rgb(210, 191, 149); font-family: 'Noto Sans', Arial, sans-serif; }
+    h1 { color: rgb(170, 101, 25); }
+    a { color: rgb(170, 101, 25); word-break: break-all; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { padding: 0.5rem; border-bottom: 1px solid rgb(50, 50, 50); text-align: left; vertical-align: top; }
+    th { font-family: 'Noto Sans Mono', monospace; }
+    .number { text-align: right; }
+    .muted { color: rgb(150, 150, 150); }
+  </style>
+</head>
+<body>
+  <h1>${this.escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>`;
+    }
+
+    /**
+     * Read a JSON request body
+     * @param {http.IncomingMessage} request - Request
+     * @returns {Promise<Object|null>} Parsed body, or null when it is not valid JSON
+     */
+    readJson(request) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            request.setEncoding('utf8');
+            request.on('data', (chunk) => {
+                body += chunk;
+                if (body.length > this.maxBodySize) {
+                    request.destroy();
+                    reject(new Error('Request body too large'));
+                }
+            });
+            request.on('end', () => {
+                try {
+                    resolve(JSON.parse(body));
+                } catch (e) {
+                    resolve(null);
+                }
+            });
+            request.on('error', reject);
+        });
+    }
+
+    /**
+     * @param {http.ServerResponse} response - Response
+     * @param {number} status - HTTP status
+     * @param {Object} data - JSON body
+     */
+    sendJson(response, status, data) {
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(data));
+    }
+
+    /**
+     * @param {http.ServerResponse} response - Response
+     * @param {number} status - HTTP status
+     * @param {string} html - HTML document
+     */
+    sendHtml(response, status, html) {
+        response.writeHead(status, {
+            'Content-Type': 'text/html; charset=utf-8',
+            // The dashboard is plain markup with one stylesheet, it never needs scripts
+            'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'"
+        });
+        response.end(html);
+    }
+
+    /**
+     * @param {string} text - Raw text
+     * @returns {string} HTML-safe text
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+/**
+ * Read --name value pairs from the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options by name
+ */
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const match = args[i].match(/^--([\w-]+)(?:=(.*))?$/);
+        if (!match) continue;
+        const name = match[1].replace(/-(\w)/g, (dash, letter) => letter.toUpperCase());
+        options[name] = match[2] !== undefined ? match[2] : args[++i];
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const server = new ShortLinkServer({
+        port: args.port || process.env.SHORT_LINK_PORT,
+        host: args.host || process.env.SHORT_LINK_HOST,
+        baseUrl: args.baseUrl || process.env.SHORT_LINK_BASE_URL,
+        dataFile: args.data || process.env.SHORT_LINK_DATA,
+        allowedOrigins: args.origin || process.env.SHORT_LINK_ORIGINS
+    });
+
+    server.start().catch((e) => {
+        console.error('Failed to start the short link server:', e.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { ShortLinkServer };
@@ -0,0 +1,152 @@
+/**
+ * Service worker: keeps the app shell, the vendored QR library and the fonts
+ * cached so saved places open without a connection.
+ * Bump CACHE_VERSION whenever a file in APP_SHELL changes.
+ */
+const CACHE_VERSION = 'v30';
+const APP_CACHE = `review-helper-app-${CACHE_VERSION}`;
+const FONT_CACHE = `review-helper-fonts-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './CSS/main.css',
+    './JS/vendor/qrcode.min.js',
+    './JS/Translations.js',
+    './JS/I18nHandler.js',
+    './JS/DomHelper.js',
+    './JS/UrlParser.js',
+    './JS/ReviewLinkBuilder.js',
+    './JS/StorageHandler.js',
+    './JS/KeyStorageHandler.js',
+    './JS/KeyDiagnosticsHandler.js',
+    './JS/GooglePlacesProvider.js',
+    './JS/FakePlacesFixtures.js',
+    './JS/FakePlacesProvider.js',
+    './JS/PlacesHandler.js',
+    './JS/QRCodeHandler.js',
+    './JS/ExportHandler.js',
+    './JS/PrintTemplates.js',
+    './JS/PrintHandler.js',
+    './JS/BatchHandler.js',
+    './JS/LibraryHandler.js',
+    './JS/ShortLinkHandler.js',
+    './JS/DeepLinkHandler.js',
+    './JS/OfflineHandler.js',
+    './JS/MapPreviewHandler.js',
+    './JS/ResultRenderer.js',
+    './JS/ReviewLinkApi.js',
+    './JS/ReviewLinkHelperElement.js',
+    './JS/KeyPanelHandler.js',
+    './JS/SettingsHandler.js',
+    './JS/main.js'
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left by older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== APP_CACHE && key !== FONT_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, FONT_CACHE));
+        return;
+    }
+
+    // Maps and Places requests always go to the network, lookups are queued by the page when offline
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request));
+});
+
+/**
+ * Serve from the cache, fetching and storing on a miss
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Try the network for pages, falling back to the cached copy of the same page.
+ * Deep links carry their state in the query string, so each page is cached once
+ * under its address without it.
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(APP_CACHE);
+    const url = new URL(request.url);
+    const pageUrl = url.origin + url.pathname;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(pageUrl, response.clone());
+        }
+        return response;
+    } catch (e) {
+        const cached = await cache.match(pageUrl);
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+/**
+ * Serve from the cache straight away and refresh it in the background
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const update = fetch(request)
+        .then((response) => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || update;
+}
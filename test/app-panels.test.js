@@ -0,0 +1,102 @@
+import { waitFor } from './setup.js';
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { i18n } from '../JS/I18nHandler.js';
+import { placesHandler } from '../JS/PlacesHandler.js';
+import { keyPanelHandler } from '../JS/KeyPanelHandler.js';
+import { mapPreviewHandler } from '../JS/MapPreviewHandler.js';
+import { shortLinkHandler } from '../JS/ShortLinkHandler.js';
+
+describe('key and settings panels on the page', () => {
+    const apiKey = document.getElementById('apiKey');
+
+    before(async () => {
+        await import('../JS/main.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+    });
+
+    test('fills the language picker and the settings panels', () => {
+        const languages = [...document.querySelectorAll('#languageSelect option')].map(option => option.value);
+
+        assert.deepEqual(languages, i18n.locales.map(locale => locale.code));
+        assert.equal(document.querySelectorAll('#detailFields input[type="checkbox"]').length, placesHandler.detailFieldGroups.length);
+        assert.ok(document.querySelector('#searchAreaFields select'));
+        assert.equal(document.getElementById('shortLinkServer').value, 'http://localhost:8787');
+        assert.ok(document.querySelector('#usagePanel table'));
+    });
+
+    test('asks for a key before searching with Google', () => {
+        document.getElementById('placeInput').value = 'Joe\'s Pizza';
+        document.getElementById('fetchBtn').click();
+
+        return waitFor(() => /API key/.test(document.getElementById('output').textContent));
+    });
+
+    test('masks and keeps a newly typed key', async () => {
+        apiKey.value = 'AIzaSyTestKey0000000000000000123456';
+        apiKey.dispatchEvent(new Event('blur'));
+
+        await waitFor(() => apiKey.value.startsWith('•'));
+        assert.ok(apiKey.value.endsWith('123456'));
+        assert.equal(keyPanelHandler.getApiKey(), 'AIzaSyTestKey0000000000000000123456');
+        assert.equal(document.querySelectorAll('#keySelect option').length, 1);
+
+        apiKey.dispatchEvent(new Event('focus'));
+        assert.equal(apiKey.value, 'AIzaSyTestKey0000000000000000123456');
+    });
+
+    test('adds a second named key and switches between them', () => {
+        document.getElementById('addKeyBtn').click();
+
+        const options = document.querySelectorAll('#keySelect option');
+        assert.equal(options.length, 2);
+        assert.equal(apiKey.value, '');
+        assert.equal(document.getElementById('keySelect').disabled, false);
+
+        document.getElementById('keySelect').value = options[0].value;
+        document.getElementById('keySelect').dispatchEvent(new Event('change'));
+        assert.equal(keyPanelHandler.getApiKey(), 'AIzaSyTestKey0000000000000000123456');
+    });
+
+    test('keeps the map ID entered alongside the key', () => {
+        const mapId = document.getElementById('mapId');
+        mapId.value = ' 8e0a97af9386fef ';
+        mapId.dispatchEvent(new Event('change'));
+
+        assert.equal(mapPreviewHandler.getMapId(), '8e0a97af9386fef');
+        assert.equal(mapPreviewHandler.getMapId('widget-map-id'), 'widget-map-id');
+
+        mapId.value = '';
+        mapId.dispatchEvent(new Event('change'));
+        assert.equal(mapPreviewHandler.getMapId(), mapPreviewHandler.demoMapId);
+    });
+
+    test('says when the page\'s policy blocks the short link server', async () => {
+        const server = document.getElementById('shortLinkServer');
+        server.value = 'https://links.example.com';
+        server.dispatchEvent(new Event('change'));
+        document.getElementById('shortLinkStatsBtn').click();
+
+        const error = await waitFor(() => document.querySelector('#shortLinkStats .error-message'));
+        assert.match(error.textContent, /Content-Security-Policy doesn't allow connecting to https:\/\/links\.example\.com/);
+        assert.equal(shortLinkHandler.isAllowedByPage('http://127.0.0.1:8787/api/links'), true);
+        assert.equal(shortLinkHandler.isAllowedByPage('http://localhost:9999/api/links'), false);
+
+        server.value = '';
+        server.dispatchEvent(new Event('change'));
+    });
+
+    test('redraws the panels in a newly picked language', async () => {
+        const select = document.getElementById('languageSelect');
+        select.value = 'es-ES';
+        select.dispatchEvent(new Event('change'));
+
+        assert.equal(i18n.getLanguage(), 'es');
+        await waitFor(() => document.querySelector('#searchAreaFields option').textContent === i18n.t('searchArea.mode.none'));
+        assert.notEqual(i18n.t('searchArea.mode.none'), i18n.catalogues.en['searchArea.mode.none']);
+        assert.equal(document.getElementById('keyStatus').textContent, i18n.t('keys.status.session'));
+        assert.equal(document.querySelector('#library .library-export').textContent, i18n.t('library.export'));
+        assert.equal(document.getElementById('unlockKeyBtn').textContent, i18n.t('keys.encryptSave'));
+    });
+});
@@ -0,0 +1,95 @@
+import './setup.js';
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { batchHandler } from '../JS/BatchHandler.js';
+import { placesHandler } from '../JS/PlacesHandler.js';
+import { exportHandler } from '../JS/ExportHandler.js';
+import { FakePlacesProvider } from '../JS/FakePlacesProvider.js';
+import { fakePlacesFixtures } from '../JS/FakePlacesFixtures.js';
+
+const inputs = ['Blue Bottle Coffee Oakland', 'Joe\'s Pizza', 'Nothing Like This Anywhere'];
+
+describe('batch lookups', () => {
+    before(async () => {
+        placesHandler.setProvider(new FakePlacesProvider(fakePlacesFixtures, { delay: 0 }));
+        await placesHandler.loadGoogleMaps();
+    });
+
+    test('fills in the table of a container outside the page', async () => {
+        const container = document.createElement('div');
+
+        const rows = await batchHandler.run(inputs, container);
+
+        assert.deepEqual(rows.map(row => row.status), ['ok', 'ambiguous', 'error']);
+        const tableRows = container.querySelectorAll('.batch-table tbody tr');
+        assert.equal(tableRows.length, 3);
+        assert.equal(tableRows[0].className, 'batch-status-ok');
+        assert.match(tableRows[0].textContent, /ChIJFakeBlueBottleOakland005/);
+        assert.equal(tableRows[2].className, 'batch-status-error');
+    });
+
+    test('settles an ambiguous row on the picked candidate', async () => {
+        const container = document.createElement('div');
+        await batchHandler.run(inputs, container);
+
+        const select = container.querySelector('.batch-status-ambiguous select.batch-choose');
+        assert.equal(select.options.length, 4);
+        select.value = '2';
+        select.dispatchEvent(new Event('change'));
+
+        const row = batchHandler.rows[1];
+        assert.equal(row.status, 'ok');
+        assert.equal(row.place.id, row.candidates[2].id);
+        assert.match(row.reviewUrl, new RegExp(row.candidates[2].id));
+        assert.equal(container.querySelectorAll('.batch-table tbody tr')[1].className, 'batch-status-ok');
+        assert.equal(container.querySelector('.batch-choose'), null);
+    });
+
+    test('exports every row with its status and error', async () => {
+        await batchHandler.run(inputs, document.createElement('div'));
+
+        const records = batchHandler.getRecords();
+
+        assert.deepEqual(records.map(record => [record.input, record.status]), inputs.map((input, index) => [input, ['ok', 'ambiguous', 'error'][index]]));
+        assert.equal(records[1].candidates, 3);
+        assert.equal(records[2].id, '');
+        assert.match(records[2].error, /No results found/);
+
+        const csv = exportHandler.toCsv(records, batchHandler.exportFields).split('\r\n');
+        assert.equal(csv[0], 'input,id,displayName,formattedAddress,reviewUrl,businessUrl,status,candidates,error');
+        assert.match(csv[3], /^Nothing Like This Anywhere,,,,,,error,0,No results found/);
+    });
+
+    test('keeps two tables apart', async () => {
+        const first = document.createElement('div');
+        const second = document.createElement('div');
+        document.body.append(first, second);
+
+        await batchHandler.run(['Blue Bottle Coffee Oakland'], first);
+        await batchHandler.run(['Harbor Family Dental'], second);
+
+        assert.match(first.querySelector('tbody tr').textContent, /Blue Bottle Coffee/);
+        assert.match(second.querySelector('tbody tr').textContent, /Harbor Family Dental/);
+        first.remove();
+        second.remove();
+    });
+});
+
+describe('QR code ZIP', () => {
+    test('dates its files in DOS format', async () => {
+        const modified = new Date(2026, 9, 19, 14, 35, 42);
+        const zip = await exportHandler.createZip([{ name: 'review.png', data: new Uint8Array([1, 2, 3]) }], modified);
+        const bytes = new DataView(await zip.arrayBuffer());
+        const time = (14 << 11) | (35 << 5) | 21;
+        const date = ((2026 - 1980) << 9) | (10 << 5) | 19;
+
+        // Local file header, then the central directory entry after the name and data
+        assert.equal(bytes.getUint16(10, true), time);
+        assert.equal(bytes.getUint16(12, true), date);
+        const central = 30 + 'review.png'.length + 3;
+        assert.equal(bytes.getUint32(central, true), 0x02014b50);
+        assert.equal(bytes.getUint16(central + 12, true), time);
+        assert.equal(bytes.getUint16(central + 14, true), date);
+    });
+});
@@ -0,0 +1,69 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { PlacesServer } from './places-server.js';
+
+const cli = fileURLToPath(new URL('../cli/review-links.mjs', import.meta.url));
+
+describe('review-links CLI against a Places server', () => {
+    const server = new PlacesServer();
+    const qrDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-links-'));
+
+    /**
+     * Run the CLI against the fixture server
+     * @param {string[]} args - Command-line arguments after --endpoint
+     * @param {Object} [env] - Extra environment variables
+     * @returns {Promise<Object>} {code, stdout, stderr}
+     */
+    const run = (args, env = {}) => new Promise((resolve) => {
+        const { PLACES_API_KEY, ...parentEnv } = process.env;
+        execFile(process.execPath, [cli, '--endpoint', server.url, ...args], {
+            env: { ...parentEnv, ...env },
+            timeout: 30000
+        }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+
+    before(() => server.start());
+    after(async () => {
+        await server.stop();
+        fs.rmSync(qrDir, { recursive: true, force: true });
+    });
+
+    test('looks a place up and writes its QR codes', async () => {
+        const { code, stdout } = await run(['--format', 'csv', '--qr-dir', qrDir, 'Blue Bottle Coffee Oakland'], { PLACES_API_KEY: 'test-key' });
+
+        assert.equal(code, 0);
+        assert.match(stdout, /ChIJFakeBlueBottleOakland005/);
+        assert.match(stdout, /writereview\?placeid=ChIJFakeBlueBottleOakland005/);
+
+        const review = fs.readFileSync(path.join(qrDir, 'blue-bottle-coffee-review.png'));
+        assert.deepEqual([...review.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        assert.equal(server.requests[0].pathname, '/places:searchText');
+    });
+
+    test('reports a Place ID Google no longer knows and exits with 1', async () => {
+        const { code, stdout, stderr } = await run(['--key', 'test-key', '--format', 'json', 'ChIJFakeClosedBakery00000007']);
+        const [record] = JSON.parse(stdout);
+
+        assert.equal(code, 1);
+        assert.equal(record.id, '');
+        assert.match(record.error, /does not recognise the Place ID/);
+        assert.match(stderr, /^ChIJFakeClosedBakery00000007: /m);
+    });
+
+    test('exits with 2 without an API key', async () => {
+        const requests = server.requests.length;
+        const { code, stderr } = await run(['Blue Bottle Coffee Oakland']);
+
+        assert.equal(code, 2);
+        assert.match(stderr, /key/i);
+        assert.equal(server.requests.length, requests);
+    });
+});
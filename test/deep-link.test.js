@@ -0,0 +1,41 @@
+import { waitFor } from './setup.js';
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { qrCodeHandler } from '../JS/QRCodeHandler.js';
+
+describe('opening a shared link', () => {
+    const output = document.getElementById('output');
+
+    before(async () => {
+        history.replaceState(null, '', '?provider=fake&place_id=ChIJifIePKtZwokRVZ-UdRGkZzs&name=Joe%27s+Pizza&fg=aa0000&shape=dots');
+        localStorage.setItem('qr_settings', JSON.stringify({ correctionLevel: 'Q', colorDark: '#000000' }));
+
+        await import('../JS/main.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+        await waitFor(() => output.querySelector('.qr-settings'));
+    });
+
+    test('draws the linked place with the link\'s QR options', () => {
+        assert.match(output.querySelector('.result-card').textContent, /Joe's Pizza/);
+        assert.equal(output.querySelector('.qr-settings input[type="color"]').value, '#aa0000');
+        assert.equal(output.querySelector('.qr-settings select[id^="qr-module-shape"]').value, 'dots');
+        // Options the link leaves out come from the user's settings
+        assert.equal(output.querySelector('.qr-settings select[id^="correction-level"]').value, 'Q');
+    });
+
+    test('leaves the stored QR settings alone', () => {
+        assert.deepEqual(qrCodeHandler.getStoredQrSettings(), { correctionLevel: 'Q', colorDark: '#000000' });
+    });
+
+    test('stores a setting the user changes, keeping the rest of the link\'s options', () => {
+        const shapeSelect = output.querySelector('.qr-settings select[id^="qr-module-shape"]');
+        shapeSelect.value = 'rounded';
+        shapeSelect.dispatchEvent(new Event('change'));
+
+        assert.equal(qrCodeHandler.getStoredQrSettings().moduleShape, 'rounded');
+        assert.equal(qrCodeHandler.getStoredQrSettings().colorDark, '#000000');
+        assert.equal(output.querySelector('.qr-settings select[id^="qr-module-shape"]').value, 'rounded');
+        assert.equal(output.querySelector('.qr-settings input[type="color"]').value, '#aa0000');
+    });
+});
@@ -0,0 +1,213 @@
+import { waitFor } from './setup.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PlacesHandler } from '../JS/PlacesHandler.js';
+import { FakePlacesProvider } from '../JS/FakePlacesProvider.js';
+import { GooglePlacesProvider } from '../JS/GooglePlacesProvider.js';
+import { fakePlacesFixtures } from '../JS/FakePlacesFixtures.js';
+import { reviewLinkBuilder } from '../JS/ReviewLinkBuilder.js';
+import { i18n } from '../JS/I18nHandler.js';
+import { libraryHandler } from '../JS/LibraryHandler.js';
+
+/**
+ * Build a PlacesHandler serving the fixtures without the simulated network delay
+ * @param {string} [scenario] - FakePlacesProvider scenario
+ * @returns {PlacesHandler}
+ */
+function createHandler(scenario = 'normal') {
+    const handler = new PlacesHandler();
+    handler.setProvider(new FakePlacesProvider(fakePlacesFixtures, { scenario, delay: 0 }));
+    return handler;
+}
+
+describe('FakePlacesProvider behind PlacesHandler', () => {
+    test('finds a single place by name', async () => {
+        const handler = createHandler();
+        await handler.loadGoogleMaps();
+
+        const candidates = await handler.searchPlace('Blue Bottle Coffee Oakland');
+
+        assert.equal(candidates.length, 1);
+        assert.equal(candidates[0].id, 'ChIJFakeBlueBottleOakland005');
+        assert.equal(candidates[0].displayName, 'Blue Bottle Coffee');
+        assert.equal(candidates[0].cid, '16740051622173098114');
+        assert.deepEqual(candidates[0].location, { lat: 37.7966311, lng: -122.2756402 });
+    });
+
+    test('returns every branch of a chain, same-name places first', async () => {
+        const handler = createHandler();
+        await handler.loadGoogleMaps();
+
+        const candidates = await handler.searchPlace('Joe\'s');
+
+        assert.deepEqual(candidates.map(place => place.displayName), ['Joe\'s Pizza', 'Joe\'s Pizza', 'Joe\'s Pizza', 'Joe\'s Diner']);
+    });
+
+    test('narrows a search to a region only when one was picked', async () => {
+        const handler = createHandler();
+        await handler.loadGoogleMaps();
+
+        i18n.setLocale('en-GB');
+        await handler.searchPlace('Joe\'s');
+        handler.setStoredSearchSettings({ region: 'us' });
+        await handler.searchPlace('Joe\'s');
+        handler.setStoredSearchSettings({ region: '' });
+        i18n.setLocale('en-US');
+
+        const regions = handler.provider.calls.filter(call => call.method === 'searchByText').map(call => call.request.region);
+        assert.deepEqual(regions, [undefined, 'US']);
+    });
+
+    test('looks a Place ID up directly and reports replaced IDs', async () => {
+        const handler = createHandler();
+        await handler.loadGoogleMaps();
+
+        const [place] = await handler.searchPlace('ChIJFakeHarborDentalOldId0006');
+
+        assert.equal(place.id, 'ChIJFakeHarborDentalSeattle6');
+        assert.equal(place.previousPlaceId, 'ChIJFakeHarborDentalOldId0006');
+        assert.deepEqual(handler.provider.calls.map(call => call.method), ['load', 'fetchFields']);
+    });
+
+    test('explains a stale Place ID', async () => {
+        const handler = createHandler();
+        await handler.loadGoogleMaps();
+
+        await assert.rejects(handler.searchPlace('ChIJFakeClosedBakery00000007'), /does not recognise the Place ID/);
+    });
+
+    test('only requests the switched-on detail fields', async () => {
+        const handler = createHandler();
+        handler.setStoredDetailSettings({ location: false, phone: true });
+        await handler.loadGoogleMaps();
+
+        const [place] = await handler.searchPlace('Harbor Family Dental');
+        handler.setStoredDetailSettings({ location: true, phone: false });
+
+        assert.equal(place.nationalPhoneNumber, '(206) 555-0199');
+        assert.equal(place.location, undefined);
+        assert.equal(place.rating, undefined);
+    });
+
+    test('requests the location for detail settings saved before it was a group', async () => {
+        const handler = createHandler();
+        localStorage.setItem('detail_settings', JSON.stringify({ phone: true }));
+
+        const fields = handler.getRequestedFields();
+        localStorage.removeItem('detail_settings');
+
+        assert.ok(fields.includes('location'));
+        assert.ok(fields.includes('nationalPhoneNumber'));
+    });
+
+    test('rejects a search with no matches', async () => {
+        const handler = createHandler();
+        await handler.loadGoogleMaps();
+
+        await assert.rejects(handler.searchPlace('Nothing Like This Anywhere'), /No results found/);
+    });
+
+    test('simulates the ambiguous scenario', async () => {
+        const handler = createHandler('ambiguous');
+        await handler.loadGoogleMaps();
+
+        const candidates = await handler.searchPlace('Blue Bottle Coffee Oakland');
+
+        assert.equal(candidates.length, fakePlacesFixtures.places.length);
+    });
+
+    test('simulates the timeout scenario', async () => {
+        const handler = createHandler('timeout');
+
+        await assert.rejects(handler.loadGoogleMaps(), { message: GooglePlacesProvider.messages.timeout });
+    });
+
+    test('simulates the script-error scenario', async () => {
+        const handler = createHandler('script-error');
+
+        await assert.rejects(handler.loadGoogleMaps(), { message: GooglePlacesProvider.messages.scriptError });
+    });
+});
+
+describe('search, candidate list and QR codes on the page', () => {
+    // setupProvider reads ?provider=fake when the app starts
+    history.replaceState(null, '', '?provider=fake');
+    localStorage.setItem('detail_settings', JSON.stringify({ location: true }));
+
+    const output = document.getElementById('output');
+    const placeInput = document.getElementById('placeInput');
+    const fetchButton = document.getElementById('fetchBtn');
+
+    test('starts in demo mode', async () => {
+        await import('../JS/main.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+
+        const note = document.getElementById('providerNote');
+        assert.equal(note.hidden, false);
+        assert.match(note.textContent, /normal/);
+    });
+
+    test('lists the candidates of an ambiguous search', async () => {
+        placeInput.value = 'Joe\'s Pizza';
+        fetchButton.click();
+
+        const items = await waitFor(() => output.querySelectorAll('li.candidate').length && output.querySelectorAll('li.candidate'));
+
+        assert.equal(items.length, 3);
+        assert.match(items[2].textContent, /216 Bedford Ave/);
+        assert.equal(output.querySelectorAll('.map-pin').length, 3);
+    });
+
+    test('shows the chosen candidate with its links and QR codes', async () => {
+        const items = output.querySelectorAll('li.candidate');
+        items[2].querySelector('button.candidate-select').click();
+
+        const card = await waitFor(() => output.querySelector('.result-card'));
+        assert.match(card.textContent, /216 Bedford Ave, Brooklyn/);
+        assert.match(card.textContent, /ChIJFakeJoesPizzaBrooklyn003/);
+
+        const images = await waitFor(() => {
+            const found = output.querySelectorAll('.qr-code img');
+            return found.length && [...found].every(img => img.src) && found;
+        });
+        assert.equal(images.length, reviewLinkBuilder.getEnabledVariants().length);
+        assert.match(images[0].src, /^data:image\/png;base64,/);
+
+        // The chosen place is remembered in the address bar
+        assert.match(location.search, /place_id=ChIJFakeJoesPizzaBrooklyn003/);
+    });
+
+    test('goes straight to the result for an unambiguous search', async () => {
+        placeInput.value = 'Blue Bottle Coffee Oakland';
+        fetchButton.click();
+
+        const card = await waitFor(() => {
+            const found = output.querySelector('.result-card');
+            return found && /Blue Bottle Coffee/.test(found.textContent) && found;
+        });
+        assert.match(card.textContent, /300 Webster St/);
+        assert.equal(output.querySelector('li.candidate'), null);
+    });
+
+    test('shows lookup errors in the output', async () => {
+        placeInput.value = 'ChIJFakeClosedBakery00000007';
+        fetchButton.click();
+
+        const error = await waitFor(() => output.querySelector('.error-message'));
+        assert.match(error.textContent, /does not recognise the Place ID/);
+    });
+
+    test('says so when a found place can\'t be saved', async () => {
+        const savePlace = libraryHandler.savePlace;
+        libraryHandler.savePlace = () => Promise.reject(new Error('QuotaExceededError'));
+
+        placeInput.value = 'Blue Bottle Coffee Oakland';
+        fetchButton.click();
+
+        const error = await waitFor(() => output.querySelector('.error-message'));
+        libraryHandler.savePlace = savePlace;
+        assert.match(error.textContent, /QuotaExceededError/);
+        assert.match(output.querySelector('.result-card').textContent, /Blue Bottle Coffee/);
+    });
+});
@@ -0,0 +1,29 @@
+import './setup.js';
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GooglePlacesProvider } from '../JS/GooglePlacesProvider.js';
+
+describe('GooglePlacesProvider', () => {
+    const provider = new GooglePlacesProvider();
+    const mapsScripts = () => [...document.querySelectorAll('script[src*="maps.googleapis.com/maps/api/js"]')];
+
+    after(() => provider.unload());
+
+    test('escapes the key in the script URL', () => {
+        provider.load('key&callback=evil').catch(() => {});
+
+        const [script] = mapsScripts();
+        assert.equal(new URL(script.src).searchParams.get('key'), 'key&callback=evil');
+        assert.equal(new URL(script.src).searchParams.get('callback'), 'initMap');
+    });
+
+    test('settles a pending load when the key changes', async () => {
+        const first = provider.load('first-key');
+        provider.load('second-key').catch(() => {});
+
+        await assert.rejects(first, { message: GooglePlacesProvider.messages.superseded });
+        assert.equal(mapsScripts().length, 1);
+        assert.match(mapsScripts()[0].src, /key=second-key/);
+    });
+});
@@ -0,0 +1,179 @@
+import { waitFor } from './setup.js';
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resultRenderer } from '../JS/ResultRenderer.js';
+import { dom } from '../JS/DomHelper.js';
+import { qrCodeHandler } from '../JS/QRCodeHandler.js';
+import { printHandler } from '../JS/PrintHandler.js';
+import { exportHandler } from '../JS/ExportHandler.js';
+import { libraryHandler } from '../JS/LibraryHandler.js';
+
+// Place names, addresses and websites come from Google, imported libraries and shared links
+const imgPayload = '<img src=x onerror="window.pwned = true">';
+const svgPayload = '"><svg onload="window.pwned = true">';
+const hostilePlace = {
+    id: 'ChIJifIePKtZwokRVZ-UdRGkZzs',
+    displayName: imgPayload,
+    formattedAddress: svgPayload,
+    websiteURI: 'javascript:window.pwned = true',
+    location: { lat: 40.7305951, lng: -74.0021503 }
+};
+
+/**
+ * Collect everything in a tree that would run script: injected elements,
+ * on* attributes and javascript: links
+ * @param {ParentNode} root - Tree to search
+ * @returns {string[]} Descriptions of what was found
+ */
+function findInjected(root) {
+    const found = [];
+    root.querySelectorAll('*').forEach((element) => {
+        if (element.matches('img[src="x"], svg[onload], script')) {
+            found.push(`<${element.localName}>`);
+        }
+        [...element.attributes].forEach((attribute) => {
+            if (/^on/i.test(attribute.name) || /^\s*javascript:/i.test(attribute.value)) {
+                found.push(`${element.localName}[${attribute.name}=${attribute.value}]`);
+            }
+        });
+    });
+    return found;
+}
+
+describe('hostile place data', () => {
+    const originalOpen = window.open;
+
+    afterEach(() => {
+        window.open = originalOpen;
+        delete window.pwned;
+    });
+
+    test('renders as text in the result card, its QR codes and the map', async () => {
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+
+        const card = resultRenderer.render(container, hostilePlace);
+        await waitFor(() => container.querySelectorAll('.qr-code img').length);
+
+        assert.deepEqual(findInjected(container), []);
+        assert.ok(card.textContent.includes(imgPayload));
+        assert.ok(card.textContent.includes(svgPayload));
+        // The javascript: website is left out rather than linked
+        assert.equal([...card.querySelectorAll('a')].some(anchor => anchor.href.startsWith('javascript:')), false);
+        assert.equal(window.pwned, undefined);
+        container.remove();
+    });
+
+    test('renders as text in error messages', () => {
+        const container = document.createElement('div');
+
+        dom.showError(container, `No results found for "${imgPayload}"`, svgPayload);
+
+        assert.deepEqual(findInjected(container), []);
+        assert.match(container.querySelector('.error-message').textContent, /No results found for "<img src=x/);
+        assert.equal(container.querySelector('.debug').textContent, svgPayload);
+    });
+
+    test('stays text in the QR code tab', async () => {
+        const tab = { document: document.implementation.createHTMLDocument('') };
+        window.open = () => tab;
+
+        await qrCodeHandler.openQRCodeInNewTab(svgPayload, `https://example.com/?q=${encodeURIComponent(imgPayload)}`);
+
+        assert.equal(tab.document.title, `QR Code - ${svgPayload}`);
+        assert.deepEqual(findInjected(tab.document), []);
+        assert.match(tab.document.querySelector('img').src, /^data:image\/png;base64,/);
+    });
+
+    test('is escaped in the print preview document', () => {
+        const template = printHandler.getTemplates().find(item => ['name', 'address'].every(element => item.elements.includes(element)));
+        const html = printHandler.buildDocument(template, {
+            headline: svgPayload,
+            callToAction: imgPayload,
+            name: imgPayload,
+            address: svgPayload,
+            qrSvg: qrCodeHandler.buildSvg('https://example.com/', qrCodeHandler.getQrOptions())
+        });
+        const parsed = new window.DOMParser().parseFromString(html, 'text/html');
+
+        assert.deepEqual(findInjected(parsed), []);
+        assert.equal(parsed.querySelector('.name').textContent, imgPayload);
+        assert.equal(parsed.querySelector('.address').textContent, svgPayload);
+        assert.ok(parsed.title.endsWith(` - ${imgPayload}`));
+    });
+});
+
+describe('hostile QR settings in storage', () => {
+    afterEach(() => {
+        localStorage.removeItem('qr_settings');
+    });
+
+    test('stay out of SVG and print markup', () => {
+        localStorage.setItem('qr_settings', JSON.stringify({
+            colorDark: '"/><script>window.pwned = true</script>',
+            colorLight: '#fff" onload="window.pwned = true',
+            transparentBackground: false,
+            logo: 'data:image/png;base64,AAAA" onload="window.pwned = true',
+            margin: '4"/><script>',
+            size: 1e9
+        }));
+
+        const options = qrCodeHandler.getQrOptions();
+        const svg = qrCodeHandler.buildSvg('https://example.com/', options);
+        const parsed = new window.DOMParser().parseFromString(svg, 'image/svg+xml');
+
+        assert.deepEqual(findInjected(parsed), []);
+        assert.equal(parsed.querySelector('g').getAttribute('fill'), qrCodeHandler.defaultSettings.colorDark);
+        assert.equal(options.logo, null);
+        assert.equal(options.margin, qrCodeHandler.defaultSettings.margin);
+        assert.equal(options.size, 4096);
+    });
+});
+
+describe('hostile library imports', () => {
+    test('keep valid entries with known fields and skip the rest', async () => {
+        const container = document.createElement('div');
+        libraryHandler.render(container, () => {});
+
+        const result = await libraryHandler.importLibrary(JSON.stringify({
+            places: [
+                { id: 'ChIJifIePKtZwokRVZ-UdRGkZzs', displayName: 'Joe\'s Pizza', tags: 'not, a, list', notes: 42, onclick: 'window.pwned = true' },
+                { id: '"><script>window.pwned = true</script>' },
+                { id: 12345 },
+                null
+            ]
+        }));
+        const [place] = await libraryHandler.getPlaces();
+
+        assert.deepEqual(result, { imported: 1, skipped: 3 });
+        assert.equal(place.id, 'ChIJifIePKtZwokRVZ-UdRGkZzs');
+        assert.deepEqual(place.tags, []);
+        assert.equal(place.notes, '');
+        assert.equal('onclick' in place, false);
+
+        await waitFor(() => container.querySelector('.library-item'));
+        assert.deepEqual(findInjected(container), []);
+    });
+
+    test('show a broken stored entry as an error instead of rejecting', async () => {
+        const container = document.createElement('div');
+        libraryHandler.render(container, () => {});
+        await libraryHandler.storage.put({ id: 'ChIJFakeBrokenEntry000000001', tags: 'not a list' });
+
+        await libraryHandler.refresh();
+
+        assert.match(container.querySelector('.library-list .error-message').textContent, /Couldn't show your saved places/);
+        await libraryHandler.deletePlace('ChIJFakeBrokenEntry000000001');
+    });
+});
+
+describe('exports of hostile places', () => {
+    test('keep spreadsheet formulas in CSV cells as text', () => {
+        const csv = exportHandler.toCsv([
+            { id: 'ChIJFakeFormula', displayName: '=HYPERLINK("http://evil.example","Click")', formattedAddress: '+1 Main St', reviewUrl: '-2+3', businessUrl: '@SUM(A1)' }
+        ]);
+
+        assert.equal(csv.split('\r\n')[1], 'ChIJFakeFormula,"\'=HYPERLINK(""http://evil.example"",""Click"")",\'+1 Main St,\'-2+3,\'@SUM(A1)');
+    });
+});
@@ -0,0 +1,37 @@
+import './setup.js';
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { keyDiagnosticsHandler } from '../JS/KeyDiagnosticsHandler.js';
+
+describe('key diagnosis', () => {
+    afterEach(() => keyDiagnosticsHandler.reset());
+
+    test('doesn\'t blame an earlier key failure for a later lookup', async () => {
+        keyDiagnosticsHandler.report('InvalidKeyMapError');
+        keyDiagnosticsHandler.reset();
+
+        const started = Date.now();
+        const diagnosis = await keyDiagnosticsHandler.diagnose(new Error('No results found for "Nowhere"'));
+
+        assert.equal(diagnosis, null);
+        assert.ok(Date.now() - started < 400);
+    });
+
+    test('recognises a Places error message without waiting', async () => {
+        const started = Date.now();
+        const diagnosis = await keyDiagnosticsHandler.diagnose(new Error('INVALID_ARGUMENT: API key not valid. Please pass a valid API key.'));
+
+        assert.equal(diagnosis.code, 'InvalidKeyMapError');
+        assert.ok(Date.now() - started < 400);
+    });
+
+    test('waits for the Maps script\'s report when it failed to load', async () => {
+        setTimeout(() => keyDiagnosticsHandler.report('RefererNotAllowedMapError'), 50);
+
+        const diagnosis = await keyDiagnosticsHandler.diagnose(new Error('Google Maps failed to load'), true);
+
+        assert.equal(diagnosis.code, 'RefererNotAllowedMapError');
+        assert.match(diagnosis.steps.join('\n'), /localhost/);
+    });
+});
@@ -0,0 +1,130 @@
+import http from 'http';
+
+import { fakePlacesFixtures } from '../JS/FakePlacesFixtures.js';
+
+/**
+ * Places API (New) stand-in serving the fake fixtures over HTTP, for tests of code
+ * that talks REST to Google, such as the CLI through RestPlacesProvider.
+ *
+ *   POST /places:searchText - Fixtures whose name and address hold every word of textQuery
+ *   GET  /places/{id}       - One fixture, NOT_FOUND for stale and unknown IDs
+ *
+ * Answers are shaped like Google's: REST field names, only the fields in X-Goog-FieldMask,
+ * and {error: {code, status, message}} with a key other than apiKey.
+ */
+export class PlacesServer {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.apiKey='test-key'] - The only key accepted
+     * @param {Object} [options.fixtures] - Places in FakePlacesFixtures' shape
+     */
+    constructor({ apiKey = 'test-key', fixtures = fakePlacesFixtures } = {}) {
+        this.apiKey = apiKey;
+        this.fixtures = fixtures;
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * Listen on a free port
+     * @returns {Promise<string>} Base URL to pass as the endpoint
+     */
+    start() {
+        this.server = http.createServer((request, response) => {
+            let body = '';
+            request.setEncoding('utf8');
+            request.on('data', (chunk) => {
+                body += chunk;
+            });
+            request.on('end', () => {
+                const { status, data } = this.handle(request, body ? JSON.parse(body) : null);
+                response.writeHead(status, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(data));
+            });
+        });
+
+        return new Promise((resolve) => {
+            this.server.listen(0, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Answer one request
+     * @param {http.IncomingMessage} request - Request
+     * @param {Object|null} body - Parsed JSON body
+     * @returns {Object} {status, data}
+     */
+    handle(request, body) {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        const fieldMask = (request.headers['x-goog-fieldmask'] || '').split(',').filter(Boolean);
+        this.requests.push({ method: request.method, pathname, fieldMask, body });
+
+        if (request.headers['x-goog-api-key'] !== this.apiKey) {
+            return this.error(400, 'INVALID_ARGUMENT', 'API key not valid. Please pass a valid API key.');
+        }
+
+        if (request.method === 'POST' && pathname === '/places:searchText') {
+            const words = body.textQuery.toLowerCase().split(/[\s,]+/).filter(Boolean);
+            const places = this.fixtures.places
+                .filter(place => words.every(word => `${place.displayName} ${place.formattedAddress}`.toLowerCase().includes(word)))
+                .slice(0, body.pageSize || 20)
+                .map(place => this.toRest(place, fieldMask.map(field => field.replace(/^places\./, ''))));
+
+            // Google leaves places out altogether when nothing matches
+            return { status: 200, data: places.length ? { places } : {} };
+        }
+
+        const match = request.method === 'GET' && pathname.match(/^\/places\/([^/]+)$/);
+        if (match) {
+            const id = decodeURIComponent(match[1]);
+            const currentId = this.fixtures.movedIds[id] || id;
+            const place = !this.fixtures.staleIds.includes(id) && this.fixtures.places.find(item => item.id === currentId);
+
+            return place
+                ? { status: 200, data: this.toRest(place, fieldMask) }
+                : this.error(404, 'NOT_FOUND', `Place '${id}' not found.`);
+        }
+
+        return this.error(404, 'NOT_FOUND', `No route for ${request.method} ${pathname}`);
+    }
+
+    /**
+     * Reshape a fixture like a REST place, keeping the masked fields
+     * @param {Object} fixture - Place from the fixtures
+     * @param {string[]} fieldMask - REST field names to keep
+     * @returns {Object} REST place
+     */
+    toRest(fixture, fieldMask) {
+        const place = {
+            ...fixture,
+            displayName: { text: fixture.displayName, languageCode: 'en' },
+            location: fixture.location && { latitude: fixture.location.lat, longitude: fixture.location.lng },
+            googleMapsUri: fixture.googleMapsURI,
+            websiteUri: fixture.websiteURI
+        };
+
+        return Object.fromEntries(Object.entries(place).filter(([name, value]) => fieldMask.includes(name) && value !== undefined));
+    }
+
+    /**
+     * @param {number} code - HTTP status
+     * @param {string} status - Google status, e.g. NOT_FOUND
+     * @param {string} message - Error message
+     * @returns {Object} {status, data}
+     */
+    error(code, status, message) {
+        return { status: code, data: { error: { code, status, message } } };
+    }
+}
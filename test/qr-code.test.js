@@ -0,0 +1,211 @@
+import { RecordingCanvas, waitFor } from './setup.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { qrCodeHandler } from '../JS/QRCodeHandler.js';
+import { printHandler } from '../JS/PrintHandler.js';
+
+const reviewUrl = 'https://search.google.com/local/writereview?placeid=ChIJifIePKtZwokRVZ-UdRGkZzs';
+const options = { ...qrCodeHandler.defaultSettings, colorDark: '#000000', colorLight: '#ffffff', transparentBackground: false, size: 450 };
+
+/**
+ * Count the dark modules of a matrix or model
+ * @param {Object} model - qrcodejs model
+ * @returns {number} Dark modules
+ */
+function countDark(model) {
+    let dark = 0;
+    for (let row = 0; row < model.getModuleCount(); row++) {
+        for (let col = 0; col < model.getModuleCount(); col++) {
+            if (model.isDark(row, col)) dark++;
+        }
+    }
+    return dark;
+}
+
+describe('QR model', () => {
+    test('encodes a review link as a version 5 code at M correction', () => {
+        const model = qrCodeHandler.createQRCodeModel(reviewUrl, 'M');
+
+        assert.equal(model.getModuleCount(), 37);
+        assert.equal(countDark(model), 684);
+    });
+
+    test('needs a larger code for higher correction levels', () => {
+        const counts = ['L', 'M', 'Q', 'H'].map(level => qrCodeHandler.createQRCodeModel(reviewUrl, level).getModuleCount());
+
+        assert.deepEqual(counts, [37, 37, 45, 49]);
+    });
+
+    test('draws the finder patterns in three corners', () => {
+        const model = qrCodeHandler.createQRCodeModel(reviewUrl, 'M');
+        const last = model.getModuleCount() - 1;
+
+        // Outer ring dark, ring inside it light, 3x3 centre dark
+        [[0, 0], [0, last], [last, 0]].forEach(([rowEdge, colEdge]) => {
+            const row = rowEdge ? rowEdge - 6 : 0;
+            const col = colEdge ? colEdge - 6 : 0;
+            assert.equal(model.isDark(row, col), true);
+            assert.equal(model.isDark(row + 1, col + 1), false);
+            assert.equal(model.isDark(row + 3, col + 3), true);
+        });
+        assert.equal(model.isDark(last - 3, last - 3), false);
+    });
+
+    test('rejects a payload too long for the correction level', () => {
+        const longUrl = `${reviewUrl}&${'x'.repeat(2000)}`;
+
+        assert.throws(() => qrCodeHandler.createQRCodeModel(longUrl, 'H'), /too long for a QR code at H error correction/);
+        assert.doesNotThrow(() => qrCodeHandler.createQRCodeModel(longUrl, 'L'));
+    });
+});
+
+describe('headless rendering', () => {
+    test('resolves with the matrix once drawn into the given canvas', async () => {
+        const canvas = new RecordingCanvas();
+        const qrCode = await qrCodeHandler.renderQRCode(reviewUrl, options, canvas);
+
+        assert.equal(qrCode.moduleCount, 37);
+        assert.equal(qrCode.matrix.length, 37);
+        assert.equal(qrCode.matrix.flat().filter(Boolean).length, 684);
+        assert.equal(qrCode.canvas, canvas);
+        assert.equal(canvas.width, 450);
+        assert.match(qrCode.dataUrl, /^data:image\/png;base64,/);
+
+        // One background fill, then one square per dark module in the foreground colour
+        const fills = canvas.context.calls.filter(call => call.method === 'fillRect');
+        assert.deepEqual(fills[0].args, [0, 0, 450, 450]);
+        assert.equal(fills[0].fillStyle, '#ffffff');
+        assert.equal(fills.length - 1, 684);
+        assert.ok(fills.slice(1).every(call => call.fillStyle === '#000000'));
+    });
+
+    test('keeps the quiet zone clear', async () => {
+        const canvas = new RecordingCanvas();
+        await qrCodeHandler.renderQRCode(reviewUrl, { ...options, margin: 4 }, canvas);
+
+        const moduleSize = 450 / (37 + 8);
+        const fills = canvas.context.calls.filter(call => call.method === 'fillRect').slice(1);
+        const first = Math.min(...fills.map(call => call.args[0]));
+        assert.equal(first, Math.floor(4 * moduleSize));
+    });
+
+    test('draws round modules as arcs, finder patterns stay square', async () => {
+        const canvas = new RecordingCanvas();
+        await qrCodeHandler.renderQRCode(reviewUrl, { ...options, moduleShape: 'dots' }, canvas);
+
+        const arcs = canvas.context.calls.filter(call => call.method === 'arc').length;
+        const squares = canvas.context.calls.filter(call => call.method === 'fillRect').length - 1;
+        assert.equal(arcs + squares, 684);
+        // Each finder pattern has 33 dark modules
+        assert.equal(squares, 3 * 33);
+    });
+
+    test('rejects instead of drawing when the payload is too long', async () => {
+        const canvas = new RecordingCanvas();
+
+        await assert.rejects(qrCodeHandler.renderQRCode(`${reviewUrl}&${'x'.repeat(2000)}`, { ...options, correctionLevel: 'H' }, canvas), /too long/);
+        assert.equal(canvas.context, null);
+    });
+});
+
+describe('SVG output', () => {
+    test('uses whole modules as coordinates, one path square per dark module', () => {
+        const svg = qrCodeHandler.buildSvg(reviewUrl, options);
+
+        assert.match(svg, /viewBox="0 0 45 45" width="450" height="450"/);
+        assert.match(svg, /<rect width="45" height="45" fill="#ffffff"\/>/);
+        assert.equal(svg.match(/h1v1h-1z/g).length, 684);
+        // The first finder pattern starts at the quiet zone's edge
+        assert.match(svg, /<path d="M4 4h1v1h-1z/);
+    });
+
+    test('matches the canvas rendering module for module', async () => {
+        const model = qrCodeHandler.createQRCodeModel(reviewUrl, 'M');
+        const svg = qrCodeHandler.buildSvg(reviewUrl, options);
+
+        const squares = [...svg.matchAll(/M(\d+) (\d+)h1v1h-1z/g)].map(([, x, y]) => [Number(y) - 4, Number(x) - 4]);
+        assert.ok(squares.every(([row, col]) => model.isDark(row, col)));
+    });
+
+    test('leaves the background out when transparent', () => {
+        const svg = qrCodeHandler.buildSvg(reviewUrl, { ...options, transparentBackground: true });
+
+        assert.doesNotMatch(svg, /<rect width=/);
+    });
+});
+
+describe('download buttons', () => {
+    test('say so when a PDF can\'t be made', async () => {
+        const output = document.createElement('div');
+        const codes = [{ type: 'review', label: 'Review', url: reviewUrl }];
+        const buildPdf = qrCodeHandler.buildPdf;
+        qrCodeHandler.buildPdf = () => Promise.reject(new Error('Logo could not be read'));
+
+        qrCodeHandler.generateQRCodes('ChIJifIePKtZwokRVZ-UdRGkZzs', 'Joe\'s Pizza', codes, output);
+        [...output.querySelectorAll('.qr-button')].find(button => button.textContent === 'PDF').click();
+
+        const error = await waitFor(() => output.querySelector('.qr-button-error').textContent);
+        qrCodeHandler.buildPdf = buildPdf;
+        assert.match(error, /Logo could not be read/);
+    });
+
+    test('say so when the browser blocks the full-size tab', async () => {
+        const output = document.createElement('div');
+        const codes = [{ type: 'review', label: 'Review', url: reviewUrl }];
+        const open = window.open;
+        window.open = () => null;
+
+        qrCodeHandler.generateQRCodes('ChIJifIePKtZwokRVZ-UdRGkZzs', 'Joe\'s Pizza', codes, output);
+        output.querySelector('.qr-button').click();
+
+        const error = await waitFor(() => output.querySelector('.qr-button-error').textContent);
+        window.open = open;
+        assert.match(error, /blocked/);
+    });
+});
+
+describe('logo upload', () => {
+    test('says so when the image can\'t be used and keeps no logo', async () => {
+        const output = document.createElement('div');
+        const codes = [{ type: 'review', label: 'Review', url: reviewUrl }];
+        const loadLogo = qrCodeHandler.loadLogo;
+        qrCodeHandler.loadLogo = () => Promise.reject(new Error('Failed to load logo image'));
+
+        qrCodeHandler.generateQRCodes('ChIJifIePKtZwokRVZ-UdRGkZzs', 'Joe\'s Pizza', codes, output);
+        const logoInput = output.querySelector('.qr-logo-input');
+        Object.defineProperty(logoInput, 'files', { value: [{ name: 'logo.png' }] });
+        logoInput.dispatchEvent(new Event('change'));
+
+        const error = await waitFor(() => output.querySelector('.qr-logo-error').textContent);
+        qrCodeHandler.loadLogo = loadLogo;
+        assert.match(error, /Couldn't use that image as a logo: Failed to load logo image/);
+        assert.equal(qrCodeHandler.getQrOptions().logo, null);
+    });
+});
+
+describe('print preview', () => {
+    test('says so when the browser blocks the preview', () => {
+        const output = document.createElement('div');
+        const open = window.open;
+        window.open = () => null;
+
+        printHandler.renderPrintSection(output, { displayName: 'Joe\'s Pizza', formattedAddress: '7 Carmine St' }, reviewUrl);
+        output.querySelector('.print-section button').click();
+        window.open = open;
+
+        assert.match(output.querySelector('.print-error').textContent, /blocked/);
+    });
+
+    test('says why a template file can\'t be imported', async () => {
+        const output = document.createElement('div');
+        printHandler.renderPrintSection(output, { displayName: 'Joe\'s Pizza', formattedAddress: '7 Carmine St' }, reviewUrl);
+
+        const importInput = output.querySelector('.print-section input[type="file"]');
+        Object.defineProperty(importInput, 'files', { value: [{ text: async () => JSON.stringify({ id: 'broken' }) }] });
+        importInput.dispatchEvent(new Event('change'));
+
+        const error = await waitFor(() => output.querySelector('.print-import-error').textContent);
+        assert.match(error, /Couldn't import the templates: Template "broken" is invalid: missing name/);
+    });
+});
@@ -0,0 +1,50 @@
+import './setup.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { lookupPlace } from '../JS/ReviewLinkApi.js';
+import { placesHandler } from '../JS/PlacesHandler.js';
+import { googlePlacesProvider } from '../JS/GooglePlacesProvider.js';
+import { FakePlacesProvider } from '../JS/FakePlacesProvider.js';
+import { fakePlacesFixtures } from '../JS/FakePlacesFixtures.js';
+
+describe('lookupPlace', () => {
+    test('returns the best match with its links', async () => {
+        const result = await lookupPlace('Blue Bottle Coffee Oakland', { provider: 'fake' });
+
+        assert.equal(result.place.id, 'ChIJFakeBlueBottleOakland005');
+        assert.equal(result.candidates.length, 1);
+        assert.equal(result.reviewUrl, 'https://search.google.com/local/writereview?placeid=ChIJFakeBlueBottleOakland005');
+        assert.match(result.businessUrl, /query_place_id=ChIJFakeBlueBottleOakland005$/);
+    });
+
+    test('leaves the page\'s Places provider alone', async () => {
+        await lookupPlace('Joe\'s Pizza', { provider: 'fake', scenario: 'ambiguous' });
+
+        assert.equal(placesHandler.provider, googlePlacesProvider);
+        // So a Google lookup after a fake one still needs its key
+        await assert.rejects(lookupPlace('Joe\'s Pizza'), /needs an apiKey/);
+    });
+
+    test('runs lookups with different providers side by side', async () => {
+        const [ambiguous, normal] = await Promise.all([
+            lookupPlace('Blue Bottle Coffee Oakland', { provider: 'fake', scenario: 'ambiguous' }),
+            lookupPlace('Blue Bottle Coffee Oakland', { provider: 'fake' })
+        ]);
+
+        assert.equal(ambiguous.candidates.length, fakePlacesFixtures.places.length);
+        assert.equal(normal.candidates.length, 1);
+    });
+
+    test('uses a provider object passed in', async () => {
+        const provider = new FakePlacesProvider(fakePlacesFixtures, { delay: 0 });
+
+        await lookupPlace('Harbor Family Dental', { provider });
+
+        assert.deepEqual(provider.calls.map(call => call.method), ['load', 'searchByText']);
+    });
+
+    test('rejects empty input', async () => {
+        await assert.rejects(lookupPlace('  ', { provider: 'fake' }), /needs a business name/);
+    });
+});
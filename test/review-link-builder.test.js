@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { reviewLinkBuilder } from '../JS/ReviewLinkBuilder.js';
+import { urlParser } from '../JS/UrlParser.js';
+
+// Joe's Pizza on Carmine St, identifiers as they appear in its Maps and g.page links
+const place = {
+    id: 'ChIJifIePKtZwokRVZ-UdRGkZzs',
+    displayName: 'Joe\'s Pizza',
+    formattedAddress: '7 Carmine St, New York, NY 10014',
+    featureId: '0x89c2599261e7bca9:0x1b28d7c0e4e4e989',
+    cid: '1957051261566380425'
+};
+const query = 'Joe\'s%20Pizza%207%20Carmine%20St%2C%20New%20York%2C%20NY%2010014';
+const mapsUrl = `https://www.google.com/maps/search/?api=1&query=${query}&query_place_id=ChIJifIePKtZwokRVZ-UdRGkZzs`;
+
+describe('reviewLinkBuilder.build', () => {
+    const expected = {
+        review: 'https://search.google.com/local/writereview?placeid=ChIJifIePKtZwokRVZ-UdRGkZzs',
+        maps: mapsUrl,
+        writeReview: `https://www.google.com/search?q=${query}#lrd=0x89c2599261e7bca9:0x1b28d7c0e4e4e989,3,,,,`,
+        gpage: 'https://g.page/r/CYnp5OTA1ygbEAE/review',
+        cid: 'https://maps.google.com/?cid=1957051261566380425',
+        android: `intent://www.google.com/maps/search/?api=1&query=${query}&query_place_id=ChIJifIePKtZwokRVZ-UdRGkZzs#Intent;scheme=https;package=com.google.android.apps.maps;S.browser_fallback_url=${encodeURIComponent(mapsUrl)};end`,
+        ios: `comgooglemapsurl://www.google.com/maps/search/?api=1&query=${query}&query_place_id=ChIJifIePKtZwokRVZ-UdRGkZzs`
+    };
+
+    Object.entries(expected).forEach(([variantId, url]) => {
+        test(`builds the ${variantId} link`, () => {
+            assert.equal(reviewLinkBuilder.build(variantId, place), url);
+        });
+    });
+
+    test('falls back to the feature ID when the place has no name or address', () => {
+        const url = reviewLinkBuilder.build('writeReview', { featureId: place.featureId });
+
+        assert.equal(url, 'https://www.google.com/search?q=0x89c2599261e7bca9%3A0x1b28d7c0e4e4e989#lrd=0x89c2599261e7bca9:0x1b28d7c0e4e4e989,3,,,,');
+    });
+
+    test('skips variants the place lacks the identifier for', () => {
+        const links = reviewLinkBuilder.buildAll({ id: place.id, displayName: place.displayName });
+
+        assert.deepEqual(links.filter(link => !link.url).map(link => link.id), ['writeReview', 'gpage', 'cid']);
+    });
+
+    test('skips the CID variants for a malformed CID instead of throwing', () => {
+        ['0x1b28d7c0e4e4e989', '1957051261566380425abc', '-1', '18446744073709551616', ' 42'].forEach((cid) => {
+            assert.equal(reviewLinkBuilder.build('gpage', { ...place, cid }), null);
+            assert.equal(reviewLinkBuilder.build('cid', { ...place, cid }), null);
+        });
+    });
+
+    test('rejects unknown variants', () => {
+        assert.throws(() => reviewLinkBuilder.build('bogus', place), /Unknown link variant: bogus/);
+    });
+});
+
+describe('reviewLinkBuilder.cidToReviewToken', () => {
+    test('encodes the CID the g.page review link carries', () => {
+        assert.equal(reviewLinkBuilder.cidToReviewToken('1957051261566380425'), 'CYnp5OTA1ygbEAE');
+        assert.equal(reviewLinkBuilder.cidToReviewToken('12357592277655835061'), 'CbVRyQS0_H6rEAE');
+    });
+
+    test('matches the CID in the feature ID of the same place', () => {
+        const fromFeature = urlParser.featureIdToCid(place.featureId);
+        const token = urlParser.parse(reviewLinkBuilder.buildGPageUrl(fromFeature)).shortLinkId;
+
+        assert.equal(token, 'CYnp5OTA1ygbEAE');
+    });
+
+    test('round-trips the smallest and largest CIDs', () => {
+        ['0', '18446744073709551615'].forEach((cid) => {
+            const bytes = Buffer.from(reviewLinkBuilder.cidToReviewToken(cid), 'base64url');
+            assert.equal(bytes.length, 11);
+            assert.equal(bytes.readBigUInt64LE(1).toString(), cid);
+        });
+    });
+
+    test('throws on a CID that is not a decimal number', () => {
+        assert.throws(() => reviewLinkBuilder.cidToReviewToken('abc'), /Not a Maps CID: abc/);
+    });
+});
+
+describe('reviewLinkBuilder.cidFromMapsUri', () => {
+    test('reads the CID of a googleMapsURI', () => {
+        assert.equal(reviewLinkBuilder.cidFromMapsUri('https://maps.google.com/?cid=1957051261566380425'), '1957051261566380425');
+    });
+
+    test('ignores URIs without a numeric CID', () => {
+        assert.equal(reviewLinkBuilder.cidFromMapsUri('https://maps.google.com/?cid=abc'), null);
+        assert.equal(reviewLinkBuilder.cidFromMapsUri('not a url'), null);
+    });
+});
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import { JSDOM } from 'jsdom';
+
+/**
+ * Browser environment for the tests: index.html in jsdom, with its window's globals
+ * on globalThis and the vendored qrcodejs loaded, the way the page's scripts see them.
+ * Import this before any module under test, since some of them read localStorage
+ * and navigator as soon as they load. Each test file runs in its own process, so
+ * every file starts with a fresh page and empty storage.
+ */
+
+const root = new URL('../', import.meta.url);
+const html = fs.readFileSync(new URL('index.html', root), 'utf8');
+
+const jsdom = new JSDOM(html, {
+    url: 'http://localhost/index.html',
+    pretendToBeVisual: true,
+    runScripts: 'outside-only'
+});
+const { window } = jsdom;
+
+const globals = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+    'HTMLElement', 'HTMLCanvasElement', 'Node', 'Event', 'CustomEvent', 'KeyboardEvent',
+    'customElements', 'FileReader', 'Image', 'confirm'
+];
+globals.forEach((name) => {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+});
+
+// qrcodejs is a classic script that defines window.QRCode
+window.eval(fs.readFileSync(new URL('JS/vendor/qrcode.min.js', root), 'utf8'));
+globalThis.QRCode = window.QRCode;
+
+// Only now let the page finish loading: modules imported next to this one start
+// running at the first await, and they need the globals above. App code waiting
+// for DOMContentLoaded is then started by the test.
+await new Promise(resolve => window.addEventListener('load', resolve));
+
+/**
+ * 2D context standing in for the canvas jsdom doesn't have. It records every
+ * call, so tests can check what was drawn.
+ */
+export class RecordingContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.calls = [];
+
+        ['fillRect', 'beginPath', 'arc', 'moveTo', 'arcTo', 'closePath', 'fill', 'drawImage'].forEach((method) => {
+            this[method] = (...args) => this.calls.push({ method, args, fillStyle: this.fillStyle });
+        });
+    }
+}
+
+/**
+ * Canvas that needs no DOM, like an OffscreenCanvas
+ */
+export class RecordingCanvas {
+    constructor(width = 0, height = 0) {
+        this.width = width;
+        this.height = height;
+        this.context = null;
+    }
+
+    getContext() {
+        this.context = this.context || new RecordingContext(this);
+        return this.context;
+    }
+
+    toDataURL() {
+        const summary = `${this.width}x${this.height}:${this.context ? this.context.calls.length : 0}`;
+        return `data:image/png;base64,${Buffer.from(summary).toString('base64')}`;
+    }
+}
+
+window.HTMLCanvasElement.prototype.getContext = RecordingCanvas.prototype.getContext;
+window.HTMLCanvasElement.prototype.toDataURL = RecordingCanvas.prototype.toDataURL;
+
+// The modules narrate every step on the console, which would bury the test report
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.error = () => {};
+}
+
+/**
+ * Wait until a condition holds, for UI updated after async work
+ * @param {Function} condition - Returns a truthy value once ready
+ * @param {number} [timeout=3000] - Milliseconds to wait before failing
+ * @returns {Promise<*>} The condition's value
+ */
+export async function waitFor(condition, timeout = 3000) {
+    const started = Date.now();
+    for (;;) {
+        const value = condition();
+        if (value) return value;
+        if (Date.now() - started > timeout) {
+            throw new Error(`Timed out waiting for ${condition}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+export { window };
@@ -0,0 +1,81 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { ShortLinkServer } from '../server/short-link-server.js';
+
+const reviewUrl = 'https://search.google.com/local/writereview?placeid=ChIJifIePKtZwokRVZ-UdRGkZzs';
+
+describe('short link server', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'short-links-'));
+    const server = new ShortLinkServer({
+        port: 18787,
+        dataFile: path.join(dataDir, 'links.json'),
+        allowedOrigins: 'https://reviews.example.com'
+    });
+    const api = `${server.baseUrl}/api/links`;
+
+    /**
+     * Ask the server for a place's link
+     * @param {Object} body - {placeId, name, address, url}
+     * @param {string} [origin] - Origin header to send
+     * @returns {Promise<Response>}
+     */
+    const createLink = (body, origin = 'http://localhost:8000') => fetch(api, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Origin: origin },
+        body: JSON.stringify(body)
+    });
+
+    before(() => server.start());
+    after(async () => {
+        await server.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('creates a link and redirects it to the review page', async () => {
+        const response = await createLink({ placeId: 'ChIJifIePKtZwokRVZ-UdRGkZzs', name: 'Joe\'s Pizza', url: reviewUrl });
+        const link = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('access-control-allow-origin'), 'http://localhost:8000');
+
+        const redirect = await fetch(link.shortUrl, { redirect: 'manual' });
+        assert.equal(redirect.status, 302);
+        assert.equal(redirect.headers.get('location'), reviewUrl);
+    });
+
+    test('keeps the target of an existing link', async () => {
+        const response = await createLink({
+            placeId: 'ChIJifIePKtZwokRVZ-UdRGkZzs',
+            url: 'https://www.google.com/maps/search/?api=1&query=somewhere+else'
+        });
+        const link = await response.json();
+
+        assert.equal(link.url, reviewUrl);
+        const redirect = await fetch(link.shortUrl, { redirect: 'manual' });
+        assert.equal(redirect.headers.get('location'), reviewUrl);
+    });
+
+    test('answers the helper origins it was started with', async () => {
+        const response = await fetch(api, { method: 'OPTIONS', headers: { Origin: 'https://reviews.example.com' } });
+
+        assert.equal(response.status, 204);
+        assert.equal(response.headers.get('access-control-allow-origin'), 'https://reviews.example.com');
+    });
+
+    test('turns away other sites', async () => {
+        const preflight = await fetch(api, { method: 'OPTIONS', headers: { Origin: 'https://evil.example' } });
+        assert.equal(preflight.status, 403);
+        assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+
+        const response = await createLink({ placeId: 'ChIJFakeOther', url: reviewUrl }, 'https://evil.example');
+        assert.equal(response.status, 403);
+        assert.equal(server.listLinks().length, 1);
+
+        const list = await fetch(api, { headers: { Origin: 'https://evil.example' } });
+        assert.equal(list.headers.get('access-control-allow-origin'), null);
+    });
+});
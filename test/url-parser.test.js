@@ -0,0 +1,145 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { urlParser } from '../JS/UrlParser.js';
+
+/**
+ * Nothing found, the shape every parse result starts from
+ */
+const empty = {
+    placeId: null,
+    featureId: null,
+    cid: null,
+    name: null,
+    query: null,
+    coordinates: null,
+    isShortLink: false,
+    shortLinkId: null
+};
+
+// Links as copied from the address bar, the share dialog and the Maps URLs API
+const samples = [
+    {
+        title: '/place/ link with a feature ID and pin coordinates',
+        url: 'https://www.google.com/maps/place/Joe\'s+Pizza/@40.7305991,-74.0026794,17z/data=!3m1!4b1!4m6!3m5!1s0x89c2599261e7bca9:0x1b28d7c0e4e4e989!8m2!3d40.7305951!4d-74.0021503!16s%2Fg%2F1tdgmh0h?entry=ttu',
+        expected: {
+            name: 'Joe\'s Pizza',
+            featureId: '0x89c2599261e7bca9:0x1b28d7c0e4e4e989',
+            cid: '1957051261566380425',
+            coordinates: { lat: 40.7305951, lng: -74.0021503, zoom: 17 }
+        }
+    },
+    {
+        title: 'data= blob carrying the Place ID in !19s',
+        url: 'https://www.google.com/maps/place/Blue+Bottle+Coffee/@37.7966311,-122.2782151,17z/data=!4m8!3m7!1s0x808f80b0b5b0ef1b:0xe850b2b4f6b8a282!8m2!3d37.7966311!4d-122.2756402!9m1!1b1!16s%2Fg%2F11b6g8t0xq!19sChIJG-_wtbCAj4ARgqK49rSyUOg?entry=ttu',
+        expected: {
+            name: 'Blue Bottle Coffee',
+            placeId: 'ChIJG-_wtbCAj4ARgqK49rSyUOg',
+            featureId: '0x808f80b0b5b0ef1b:0xe850b2b4f6b8a282',
+            cid: '16740076305239286402',
+            coordinates: { lat: 37.7966311, lng: -122.2756402, zoom: 17 }
+        }
+    },
+    {
+        title: 'percent-encoded /place/ name without a data blob',
+        url: 'https://www.google.com/maps/place/Caf%C3%A9+de+Flore/@48.8541,2.3326,19.5z',
+        expected: {
+            name: 'Café de Flore',
+            coordinates: { lat: 48.8541, lng: 2.3326, zoom: 19.5 }
+        }
+    },
+    {
+        title: '?cid= link',
+        url: 'https://maps.google.com/?cid=1957113480285324553',
+        expected: { cid: '1957113480285324553' }
+    },
+    {
+        title: '?ftid= link',
+        url: 'https://www.google.com/maps?ftid=0x89c259af18b60165:0x6b5cf3a8c0b9c2e4',
+        expected: { featureId: '0x89c259af18b60165:0x6b5cf3a8c0b9c2e4', cid: '7736326166029124324' }
+    },
+    {
+        title: '?q= search',
+        url: 'https://www.google.com/maps?q=Blue+Bottle+Coffee+Oakland',
+        expected: { query: 'Blue Bottle Coffee Oakland' }
+    },
+    {
+        title: 'Maps URLs API search with query_place_id',
+        url: 'https://www.google.com/maps/search/?api=1&query=Joe%27s%20Pizza&query_place_id=ChIJifIePKtZwokRVZ-UdRGkZzs',
+        expected: { query: 'Joe\'s Pizza', placeId: 'ChIJifIePKtZwokRVZ-UdRGkZzs' }
+    },
+    {
+        title: '/search/ path with a viewport',
+        url: 'https://www.google.com/maps/search/pizza+near+union+square/@40.7359,-73.9911,15z',
+        expected: { query: 'pizza near union square', coordinates: { lat: 40.7359, lng: -73.9911, zoom: 15 } }
+    },
+    {
+        title: 'write-review link',
+        url: 'https://search.google.com/local/writereview?placeid=ChIJifIePKtZwokRVZ-UdRGkZzs',
+        expected: { placeId: 'ChIJifIePKtZwokRVZ-UdRGkZzs' }
+    },
+    {
+        title: 'place_id= link without a scheme',
+        url: 'www.google.com/maps/place/?place_id=ChIJifIePKtZwokRVZ-UdRGkZzs',
+        expected: { placeId: 'ChIJifIePKtZwokRVZ-UdRGkZzs' }
+    },
+    {
+        title: 'maps.app.goo.gl share link',
+        url: 'https://maps.app.goo.gl/3Xb8P5hQZ7sRk2Jd6',
+        expected: { isShortLink: true, shortLinkId: '3Xb8P5hQZ7sRk2Jd6' }
+    },
+    {
+        title: 'g.page/<slug> business link',
+        url: 'https://g.page/joes-pizza-nyc?share',
+        expected: { isShortLink: true, shortLinkId: 'joes-pizza-nyc', name: 'joes pizza nyc' }
+    },
+    {
+        title: 'g.page/r/<token>/review link',
+        url: 'https://g.page/r/CYnp5OTA1ygbEAE/review',
+        expected: { isShortLink: true, shortLinkId: 'CYnp5OTA1ygbEAE' }
+    }
+];
+
+describe('urlParser.parse', () => {
+    samples.forEach(({ title, url, expected }) => {
+        test(title, () => {
+            assert.deepEqual(urlParser.parse(url), { ...empty, ...expected });
+        });
+    });
+
+    test('returns null for anything that is not a URL', () => {
+        assert.equal(urlParser.parse('Joe\'s Pizza New York'), null);
+        assert.equal(urlParser.parse('ChIJifIePKtZwokRVZ-UdRGkZzs'), null);
+    });
+});
+
+describe('urlParser.isPlaceId', () => {
+    const placeIds = [
+        'ChIJifIePKtZwokRVZ-UdRGkZzs',
+        'ChIJG-_wtbCAj4ARgqK49rSyUOg',
+        // Base64 without a single digit, about one real ID in a hundred
+        'ChIJAbCdEfGhIjKlMnOpQrStUvWx',
+        'EiwxMjM0IE1haW4gU3QsIE5ldyBZb3JrLCBOWSAxMDAwMSwgVVNB',
+        '  GhIJQWDl0CIeQUARxks3icF8U8A  '
+    ];
+    const notPlaceIds = [
+        'Joe\'s Pizza',
+        'ChIJ',
+        'ChIJ too short',
+        'ChIJifIePKtZwokRVZ UdRGkZzs',
+        'https://maps.google.com/?cid=1957113480285324553',
+        'Ehrenfeld'
+    ];
+
+    placeIds.forEach((value) => {
+        test(`accepts ${value.trim()}`, () => {
+            assert.equal(urlParser.isPlaceId(value), true);
+        });
+    });
+
+    notPlaceIds.forEach((value) => {
+        test(`rejects ${value}`, () => {
+            assert.equal(urlParser.isPlaceId(value), false);
+        });
+    });
+});